@@ -0,0 +1,62 @@
+/**
+ * Last-writer-wins scene CRDT
+ *
+ * Every object and sticky note is a map of fields, and each field remembers
+ * the stamp of the edit that last wrote it in `versions`. A stamp is
+ * [counter, actor]: a Lamport counter plus the id of the replica that made the
+ * edit, which breaks ties. Merging keeps whichever write has the higher stamp,
+ * field by field, so replicas that see the same edits in any order converge.
+ */
+
+const ZERO_STAMP = [0, ''];
+
+// Fields that describe an edit rather than the entity being edited
+const META_FIELDS = ['id', 'stamp', 'versions', 'socketId', 'gestureId'];
+
+const isStamp = (stamp) => Array.isArray(stamp) && stamp.length === 2 &&
+  Number.isFinite(stamp[0]) && typeof stamp[1] === 'string';
+
+const compareStamps = (a, b) => {
+  if (a[0] !== b[0]) return a[0] - b[0];
+  if (a[1] === b[1]) return 0;
+  return a[1] < b[1] ? -1 : 1;
+};
+
+// The entity fields carried by an edit
+const fieldsOf = (data) => {
+  const fields = { ...data };
+  META_FIELDS.forEach((field) => delete fields[field]);
+  return fields;
+};
+
+// Strip CRDT bookkeeping, e.g. to snapshot an entity for undo
+const withoutVersions = (entity) => {
+  const { versions, ...rest } = entity;
+  return rest;
+};
+
+// Merge fields into entity in place, keeping newer writes that are already there
+const mergeFields = (entity, fields, stamp) => {
+  if (!entity.versions) entity.versions = {};
+  Object.keys(fields).forEach((field) => {
+    if (compareStamps(stamp, entity.versions[field] || ZERO_STAMP) > 0) {
+      entity[field] = fields[field];
+      entity.versions[field] = stamp;
+    }
+  });
+  return entity;
+};
+
+// Highest Lamport counter written into any of the entities
+const maxCounter = (entities) => entities.reduce((max, entity) => (
+  Object.values(entity.versions || {}).reduce((m, stamp) => Math.max(m, stamp[0]), max)
+), 0);
+
+module.exports = {
+  isStamp,
+  compareStamps,
+  fieldsOf,
+  withoutVersions,
+  mergeFields,
+  maxCounter,
+};
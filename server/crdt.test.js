@@ -0,0 +1,92 @@
+/**
+ * Scene CRDT Tests
+ *
+ * Verifies that last-writer-wins merges converge regardless of delivery order.
+ * Run with: cd server && npm test
+ */
+
+const { isStamp, compareStamps, fieldsOf, withoutVersions, mergeFields, maxCounter } = require('./crdt');
+
+// Every ordering of a list
+const permutations = (items) => (items.length <= 1
+  ? [items]
+  : items.flatMap((item, i) => permutations([...items.slice(0, i), ...items.slice(i + 1)]).map(rest => [item, ...rest])));
+
+describe('compareStamps', () => {
+  test('orders by counter, then by actor', () => {
+    expect(compareStamps([2, 'a'], [1, 'z'])).toBeGreaterThan(0);
+    expect(compareStamps([1, 'a'], [1, 'b'])).toBeLessThan(0);
+    expect(compareStamps([1, 'a'], [1, 'a'])).toBe(0);
+  });
+});
+
+describe('isStamp', () => {
+  test('accepts [counter, actor] pairs only', () => {
+    expect(isStamp([1, 'a'])).toBe(true);
+    expect(isStamp([1])).toBe(false);
+    expect(isStamp(['1', 'a'])).toBe(false);
+    expect(isStamp(undefined)).toBe(false);
+  });
+});
+
+describe('mergeFields', () => {
+  test('writes fields that are newer than what is stored', () => {
+    const entity = { id: 'a', x: 0, versions: { x: [1, 'alice'] } };
+    mergeFields(entity, { x: 5, y: 6 }, [2, 'bob']);
+
+    expect(entity).toMatchObject({ x: 5, y: 6 });
+    expect(entity.versions).toEqual({ x: [2, 'bob'], y: [2, 'bob'] });
+  });
+
+  test('ignores fields that are older than what is stored', () => {
+    const entity = { id: 'a', x: 0, versions: { x: [3, 'alice'] } };
+    mergeFields(entity, { x: 5 }, [2, 'bob']);
+
+    expect(entity.x).toBe(0);
+  });
+
+  test('treats entities without versions as never written', () => {
+    const entity = { id: 'a', x: 0 };
+    mergeFields(entity, { x: 5 }, [1, 'bob']);
+
+    expect(entity.x).toBe(5);
+  });
+
+  test('concurrent edits converge in any delivery order', () => {
+    const edits = [
+      [{ x: 10, y: 10 }, [3, 'alice']],
+      [{ x: 20, y: 20 }, [3, 'bob']],
+      [{ width: 50 }, [4, 'alice']],
+      [{ deleted: true }, [2, 'carol']],
+      [{ x: 1, width: 1 }, [1, 'bob']],
+    ];
+
+    const results = permutations(edits).map((order) => {
+      const entity = { id: 'shape' };
+      order.forEach(([fields, stamp]) => mergeFields(entity, fields, stamp));
+      return entity;
+    });
+
+    results.forEach(result => expect(result).toEqual(results[0]));
+    expect(results[0]).toMatchObject({ x: 20, y: 20, width: 50, deleted: true });
+  });
+});
+
+describe('helpers', () => {
+  test('fieldsOf drops edit metadata', () => {
+    expect(fieldsOf({ id: 'a', stamp: [1, 'x'], socketId: 's', gestureId: 'g', versions: {}, x: 1 })).toEqual({ x: 1 });
+  });
+
+  test('withoutVersions drops bookkeeping', () => {
+    expect(withoutVersions({ id: 'a', x: 1, versions: { x: [1, 'y'] } })).toEqual({ id: 'a', x: 1 });
+  });
+
+  test('maxCounter finds the highest counter written', () => {
+    expect(maxCounter([
+      { versions: { x: [3, 'a'] } },
+      { versions: { x: [1, 'a'], y: [7, 'b'] } },
+      {},
+    ])).toBe(7);
+    expect(maxCounter([])).toBe(0);
+  });
+});
@@ -0,0 +1,43 @@
+/**
+ * Board grid settings
+ *
+ * How a board's grid is shown and snapped to (see src/utils/snapping.js).
+ * They are room state like the scene: editors change them with a
+ * 'grid:update' event carrying only the fields that change, the room passes
+ * the result on to everyone else, and it is saved to `boards.grid_settings`
+ * along with the scene.
+ */
+
+const GRID_SIZES = [10, 20, 40, 80];
+
+const DEFAULT_GRID_SETTINGS = { visible: false, snap: false, size: 20, guides: true };
+
+// Settings as saved with a board, with anything missing or unknown left at
+// its default
+const normalizeGridSettings = (settings) => {
+  const saved = settings && typeof settings === 'object' ? settings : {};
+  const flag = key => (typeof saved[key] === 'boolean' ? saved[key] : DEFAULT_GRID_SETTINGS[key]);
+  return {
+    visible: flag('visible'),
+    snap: flag('snap'),
+    size: GRID_SIZES.includes(saved.size) ? saved.size : DEFAULT_GRID_SETTINGS.size,
+    guides: flag('guides'),
+  };
+};
+
+// The settings after a change; fields it gets wrong keep their current value
+const updateGridSettings = (current, changes = {}) => {
+  const kept = normalizeGridSettings(current);
+  const checked = normalizeGridSettings(changes);
+  const next = {};
+  Object.keys(kept).forEach((key) => {
+    next[key] = changes[key] === checked[key] ? checked[key] : kept[key];
+  });
+  return next;
+};
+
+module.exports = {
+  DEFAULT_GRID_SETTINGS,
+  normalizeGridSettings,
+  updateGridSettings,
+};
@@ -0,0 +1,33 @@
+/**
+ * Grid Settings Tests
+ *
+ * Verifies how saved and changed grid settings are checked.
+ * Run with: cd server && npm test
+ */
+
+const { DEFAULT_GRID_SETTINGS, normalizeGridSettings, updateGridSettings } = require('./gridSettings');
+
+describe('normalizeGridSettings', () => {
+  test('fills in defaults for boards saved without settings', () => {
+    expect(normalizeGridSettings(null)).toEqual(DEFAULT_GRID_SETTINGS);
+    expect(normalizeGridSettings({ visible: true })).toEqual({ ...DEFAULT_GRID_SETTINGS, visible: true });
+  });
+
+  test('drops unknown fields and sizes', () => {
+    expect(normalizeGridSettings({ size: 13, snap: 'yes', color: 'red' })).toEqual(DEFAULT_GRID_SETTINGS);
+  });
+});
+
+describe('updateGridSettings', () => {
+  const current = { visible: true, snap: true, size: 40, guides: false };
+
+  test('writes the fields a change carries', () => {
+    expect(updateGridSettings(current, { size: 10, visible: false }))
+      .toEqual({ visible: false, snap: true, size: 10, guides: false });
+  });
+
+  test('keeps the current value of fields a change gets wrong', () => {
+    expect(updateGridSettings(current, { size: 13, snap: 'no', guides: true }))
+      .toEqual({ visible: true, snap: true, size: 40, guides: true });
+  });
+});
@@ -0,0 +1,69 @@
+/**
+ * Per-user undo/redo history
+ *
+ * Each user in a room gets their own stacks of inverse operations, so undo
+ * only ever reverts that user's own edits. Undoing applies the inverse to the
+ * room state through applyOperation; the result is broadcast like any other
+ * object event.
+ */
+
+const { applyOperation } = require('./sceneOps');
+
+const MAX_HISTORY = 100;
+
+const getHistory = (room, userKey) => {
+  if (!room.history[userKey]) {
+    room.history[userKey] = { undo: [], redo: [] };
+  }
+  return room.history[userKey];
+};
+
+// Remember how to revert an operation the user just made
+const recordOperation = (room, userKey, inverse, gestureId) => {
+  const history = getHistory(room, userKey);
+  const top = history.undo[history.undo.length - 1];
+
+  // A drag sends a stream of moves; the first one's inverse already restores
+  // the state from before the gesture, so later ones add no undo step
+  const continuesGesture = gestureId && top && top.gestureId === gestureId &&
+    top.event === inverse.event && top.data.id === inverse.data.id;
+
+  if (!continuesGesture) {
+    history.undo.push({ ...inverse, gestureId });
+    if (history.undo.length > MAX_HISTORY) {
+      history.undo.shift();
+    }
+  }
+  history.redo = [];
+};
+
+// Apply the most recent entry that still makes sense. Entries that target
+// objects someone else has since removed are skipped.
+const replay = (room, from, to) => {
+  while (from.length > 0) {
+    const entry = from.pop();
+    const result = applyOperation(room, entry.event, entry.data);
+    if (result.ok) {
+      to.push(result.inverse);
+      return { event: entry.event, data: result.data };
+    }
+  }
+  return null;
+};
+
+// Returns the applied { event, data } to broadcast, or null if there was nothing to undo
+const undo = (room, userKey) => {
+  const history = getHistory(room, userKey);
+  return replay(room, history.undo, history.redo);
+};
+
+const redo = (room, userKey) => {
+  const history = getHistory(room, userKey);
+  return replay(room, history.redo, history.undo);
+};
+
+module.exports = {
+  recordOperation,
+  undo,
+  redo,
+};
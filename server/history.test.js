@@ -0,0 +1,107 @@
+/**
+ * Undo/Redo History Tests
+ *
+ * Verifies per-user, operation-based undo and redo against room state.
+ * Run with: cd server && npm test
+ */
+
+const { applyOperation } = require('./sceneOps');
+const { recordOperation, undo, redo } = require('./history');
+
+const createRoom = () => ({
+  canvasState: [],
+  stickyNotes: [],
+  clock: 0,
+  users: {},
+  history: {},
+});
+
+// Apply an operation the way the socket handler does
+const perform = (room, userKey, event, data) => {
+  const result = applyOperation(room, event, data);
+  recordOperation(room, userKey, result.inverse, data.gestureId);
+  return result;
+};
+
+describe('undo/redo history', () => {
+  let room;
+
+  beforeEach(() => {
+    room = createRoom();
+  });
+
+  test('undoing a create deletes the object and redo restores it', () => {
+    perform(room, 'alice', 'shape', { id: 'r1', type: 'rectangle', x: 0, y: 0, width: 10, height: 10 });
+
+    expect(undo(room, 'alice')).toMatchObject({ event: 'delete', data: { id: 'r1' } });
+    expect(room.canvasState[0].deleted).toBe(true);
+
+    const redone = redo(room, 'alice');
+    expect(redone.event).toBe('shape');
+    expect(redone.data).toMatchObject({ id: 'r1', type: 'rectangle' });
+    expect(room.canvasState[0].deleted).toBe(false);
+  });
+
+  test('each user only undoes their own operations', () => {
+    perform(room, 'alice', 'shape', { id: 'a1', type: 'rectangle', x: 0, y: 0, width: 10, height: 10 });
+    perform(room, 'bob', 'shape', { id: 'b1', type: 'ellipse', x: 0, y: 0, width: 10, height: 10 });
+
+    expect(undo(room, 'alice').data.id).toBe('a1');
+    expect(room.canvasState.find(obj => obj.id === 'b1').deleted).toBe(false);
+  });
+
+  test('moves within one drag gesture are undone as a single step', () => {
+    perform(room, 'alice', 'shape', { id: 'r1', type: 'rectangle', x: 0, y: 0, width: 10, height: 10 });
+    perform(room, 'alice', 'move', { id: 'r1', x: 5, y: 0, gestureId: 'drag-1' });
+    perform(room, 'alice', 'move', { id: 'r1', x: 10, y: 10, gestureId: 'drag-1' });
+
+    expect(undo(room, 'alice')).toMatchObject({ event: 'move', data: { id: 'r1', x: 0, y: 0 } });
+    expect(room.canvasState[0]).toMatchObject({ x: 0, y: 0 });
+  });
+
+  test('separate drags are separate undo steps', () => {
+    perform(room, 'alice', 'shape', { id: 'r1', type: 'rectangle', x: 0, y: 0, width: 10, height: 10 });
+    perform(room, 'alice', 'move', { id: 'r1', x: 5, y: 0, gestureId: 'drag-1' });
+    perform(room, 'alice', 'move', { id: 'r1', x: 10, y: 0, gestureId: 'drag-2' });
+
+    undo(room, 'alice');
+    expect(room.canvasState[0].x).toBe(5);
+  });
+
+  test('a new operation clears the redo stack', () => {
+    perform(room, 'alice', 'shape', { id: 'r1', type: 'rectangle', x: 0, y: 0, width: 10, height: 10 });
+    undo(room, 'alice');
+    perform(room, 'alice', 'shape', { id: 'r2', type: 'rectangle', x: 0, y: 0, width: 10, height: 10 });
+
+    expect(redo(room, 'alice')).toBeNull();
+  });
+
+  test('skips entries whose object was removed by someone else', () => {
+    perform(room, 'alice', 'shape', { id: 'r1', type: 'rectangle', x: 0, y: 0, width: 10, height: 10 });
+    perform(room, 'alice', 'shape', { id: 'r2', type: 'rectangle', x: 0, y: 0, width: 10, height: 10 });
+    perform(room, 'alice', 'move', { id: 'r2', x: 5, y: 5 });
+    perform(room, 'bob', 'delete', { id: 'r2' });
+
+    // The move and create of r2 can't be undone any more, so r1's create is next
+    expect(undo(room, 'alice')).toMatchObject({ event: 'delete', data: { id: 'r1' } });
+  });
+
+  test('undoes sticky note edits', () => {
+    perform(room, 'alice', 'stickyNote:create', { id: 'n1', x: 0, y: 0, width: 200, height: 200, text: 'A' });
+    perform(room, 'alice', 'stickyNote:update', { id: 'n1', text: 'B' });
+
+    expect(undo(room, 'alice')).toMatchObject({ event: 'stickyNote:update', data: { id: 'n1', text: 'A' } });
+    expect(room.stickyNotes[0].text).toBe('A');
+  });
+
+  test('undo edits are stamped by the server so they win over the original', () => {
+    perform(room, 'alice', 'shape', { id: 'r1', type: 'rectangle', x: 0, y: 0, width: 10, height: 10, stamp: [4, 'alice'] });
+
+    expect(undo(room, 'alice').data.stamp).toEqual([5, 'server']);
+  });
+
+  test('returns null when there is nothing to undo', () => {
+    expect(undo(room, 'alice')).toBeNull();
+    expect(redo(room, 'alice')).toBeNull();
+  });
+});
@@ -3,8 +3,17 @@ require('dotenv').config();
 const express = require("express");
 const cors = require("cors");
 const path = require("path");
+const { createHash } = require("crypto");
 const { createClient } = require("@supabase/supabase-js");
 const jwt = require("jsonwebtoken");
+const { loadBoardScene, saveBoardScene, saveBoardThumbnail, serializeRoom } = require("./persistence");
+const { renderThumbnail } = require("./thumbnail");
+const { OPERATION_EVENTS, createDefaultLayer, findEntity, applyOperation, clearObjects } = require("./sceneOps");
+const { maxCounter } = require("./crdt");
+const { createLogState, appendOp, opsSince } = require("./opLog");
+const { recordOperation, undo, redo } = require("./history");
+const { canEdit, getBoardRole } = require("./permissions");
+const { normalizeGridSettings, updateGridSettings } = require("./gridSettings");
 
 const app = express();
 app.use(cors());
@@ -40,9 +49,153 @@ const verifyToken = (token) => {
 };
 
 // Store state per room
-// rooms[roomId] = { canvasState: [], stickyNotes: [], users: {} }
+// rooms[roomId] = { canvasState: [], stickyNotes: [], layers: [], gridSettings, clock, epoch, seq, log: [], users: {}, history: {}, persistent, dirty, saveTimer, savedScene, thumbnailHash, thumbnailTimer }
 const rooms = {};
 
+// In-flight scene loads, so concurrent joins share a single query
+const roomLoads = {};
+
+// How long a room may stay dirty before its scene is written back
+const SAVE_INTERVAL_MS = 5000;
+
+// How long after a save the board's thumbnail is redrawn. Saves in between
+// are folded into the same redraw.
+const THUMBNAIL_INTERVAL_MS = 30000;
+
+// Load a room from boards.scene_json the first time anyone joins it
+const loadRoom = (roomId) => {
+  if (rooms[roomId]) return Promise.resolve(rooms[roomId]);
+
+  if (!roomLoads[roomId]) {
+    roomLoads[roomId] = loadBoardScene(supabase, roomId).then(({ scene, gridSettings, error }) => {
+      if (error) {
+        console.error(`Failed to load scene for room ${roomId}:`, error.message);
+      }
+      const canvasState = scene ? scene.objects : [];
+      const stickyNotes = scene ? scene.stickyNotes : [];
+      const layers = scene && Array.isArray(scene.layers) && scene.layers.length > 0
+        ? scene.layers
+        : [createDefaultLayer()];
+      rooms[roomId] = {
+        canvasState,
+        stickyNotes,
+        layers,
+        // How the board's grid is shown and snapped to (see gridSettings.js)
+        gridSettings: normalizeGridSettings(gridSettings),
+        // Lamport clock for edits the server stamps itself (see crdt.js)
+        clock: maxCounter([...canvasState, ...stickyNotes, ...layers]),
+        // Sequence numbers and recent edits for reconnecting clients (see opLog.js)
+        ...createLogState(),
+        users: {},
+        history: {},
+        // Never write back a room we couldn't read, or we'd wipe the saved scene
+        persistent: !!scene,
+        dirty: false,
+        saveTimer: null,
+        // Last scene written back, which the thumbnail is drawn from
+        savedScene: null,
+        thumbnailHash: null,
+        thumbnailTimer: null,
+      };
+      delete roomLoads[roomId];
+      return rooms[roomId];
+    });
+  }
+  return roomLoads[roomId];
+};
+
+// Write a room's scene back to Supabase if it has unsaved changes
+const saveRoom = async (roomId) => {
+  const room = rooms[roomId];
+  if (!room) return;
+
+  if (room.saveTimer) {
+    clearTimeout(room.saveTimer);
+    room.saveTimer = null;
+  }
+  if (!room.persistent || !room.dirty) return;
+
+  room.dirty = false;
+  const scene = serializeRoom(room);
+  const { error } = await saveBoardScene(supabase, roomId, scene, room.gridSettings);
+  if (error) {
+    console.error(`Failed to save scene for room ${roomId}:`, error.message);
+    // Try again on the next tick of the schedule
+    markRoomDirty(roomId);
+    return;
+  }
+  room.savedScene = scene;
+  scheduleThumbnail(roomId);
+};
+
+// Redraw a room's thumbnail from its last saved scene
+const updateThumbnail = async (roomId) => {
+  const room = rooms[roomId];
+  if (!room) return;
+
+  if (room.thumbnailTimer) {
+    clearTimeout(room.thumbnailTimer);
+    room.thumbnailTimer = null;
+  }
+  if (!room.savedScene) return;
+
+  const scene = room.savedScene;
+  room.savedScene = null;
+  const png = renderThumbnail(scene);
+  // Edits too small to show at thumbnail size don't need a new upload
+  const hash = createHash('sha1').update(png).digest('hex');
+  if (hash === room.thumbnailHash) return;
+
+  const { error } = await saveBoardThumbnail(supabase, roomId, png);
+  if (error) {
+    console.error(`Failed to save thumbnail for room ${roomId}:`, error.message);
+    return;
+  }
+  room.thumbnailHash = hash;
+};
+
+const scheduleThumbnail = (roomId) => {
+  const room = rooms[roomId];
+  if (!room || room.thumbnailTimer) return;
+
+  room.thumbnailTimer = setTimeout(() => {
+    room.thumbnailTimer = null;
+    updateThumbnail(roomId);
+  }, THUMBNAIL_INTERVAL_MS);
+};
+
+// Flag a room as changed and schedule a save if one isn't pending
+const markRoomDirty = (roomId) => {
+  const room = rooms[roomId];
+  if (!room) return;
+
+  room.dirty = true;
+  if (room.persistent && !room.saveTimer) {
+    room.saveTimer = setTimeout(() => {
+      room.saveTimer = null;
+      saveRoom(roomId);
+    }, SAVE_INTERVAL_MS);
+  }
+};
+
+// Flush and drop a room from memory once the last user has left
+const unloadRoomIfEmpty = async (roomId) => {
+  await saveRoom(roomId);
+  await updateThumbnail(roomId);
+  const room = rooms[roomId];
+  if (room && Object.keys(room.users).length === 0 && !room.dirty) {
+    delete rooms[roomId];
+  }
+};
+
+// Tell the sender their event was dropped instead of applying it to the wrong
+// object. They already applied it locally, so it carries the room's copy of
+// the entity (null if the room has none) for them to put back.
+const rejectOp = (socket, room, event, id, reason = 'unknown-id') => {
+  const entity = room && id ? findEntity(room, id) : null;
+  socket.emit("op:rejected", { event, id, reason, entity });
+};
+
 // User colors palette
 const userColors = [
   '#ef4444', '#f97316', '#f59e0b', '#84cc16', '#22c55e', 
@@ -84,22 +237,46 @@ io.use((socket, next) => {
 io.on("connection", (socket) => {
   console.log("User connected:", socket.id, socket.user?.email || 'guest');
   
-  // Store user's room for cleanup on disconnect
+  // Store user's room for cleanup on disconnect, and their role on that board
   let currentRoom = null;
+  let currentRole = null;
   const userName = socket.user?.displayName || socket.user?.email?.split('@')[0] || 'Anonymous';
   const userColor = getUserColor(socket.id);
+  // Undo history follows the signed-in user across reconnects
+  const historyKey = socket.user?.id || socket.id;
+
+  // Only editors and admins of the room this socket joined may change it
+  const canMutate = (roomId) => roomId === currentRoom && canEdit(currentRole);
+
+  // A reconnecting client passes the epoch and last sequence number it saw
+  socket.on("join-room", async (roomId, { epoch, lastSeq } = {}) => {
+    // Guests only exist outside production, where they keep full access
+    const { role, error } = socket.user.isGuest
+      ? { role: 'editor', error: null }
+      : await getBoardRole(supabase, roomId, socket.user.id);
+    if (error) {
+      console.error(`Failed to look up role for room ${roomId}:`, error.message);
+    }
+    if (!role) {
+      socket.emit("room:rejected", { roomId, reason: 'forbidden' });
+      return;
+    }
+
+    const room = await loadRoom(roomId);
+    // The client may have gone away while the scene was loading
+    if (socket.disconnected) return;
 
-  socket.on("join-room", (roomId) => {
     socket.join(roomId);
     currentRoom = roomId;
-    console.log(`User ${socket.id} (${userName}) joined room ${roomId}`);
+    currentRole = role;
+    console.log(`User ${socket.id} (${userName}) joined room ${roomId} as ${role}`);
 
-    if (!rooms[roomId]) {
-      rooms[roomId] = { canvasState: [], stickyNotes: [], users: {} };
-    }
+    // Let the client switch to read-only mode for viewers
+    socket.emit("room:role", { roomId, role });
+    socket.emit("grid:update", room.gridSettings);
 
     // Add user to room's user list
-    rooms[roomId].users[socket.id] = { 
+    room.users[socket.id] = { 
       userName, 
       userColor,
       odId: socket.user?.id,
@@ -116,13 +293,21 @@ io.on("connection", (socket) => {
       avatarUrl: socket.user?.avatarUrl
     });
 
-    // Send current canvas state to newly connected client
-    socket.emit("init", rooms[roomId].canvasState);
-
-    // Send current sticky notes to newly connected client
-    rooms[roomId].stickyNotes.forEach(note => {
-      socket.emit("stickyNote:create", note);
-    });
+    // A reconnecting client only needs the edits it missed. Anyone else gets
+    // the whole scene; tombstones are included so late edits to deleted
+    // entities merge the same way everywhere.
+    const missed = opsSince(room, epoch, lastSeq);
+    if (missed) {
+      socket.emit("resync", { ops: missed, seq: room.seq });
+    } else {
+      socket.emit("init", {
+        objects: room.canvasState,
+        stickyNotes: room.stickyNotes,
+        layers: room.layers,
+        epoch: room.epoch,
+        seq: room.seq,
+      });
+    }
 
     // Send current users' cursors to the newly connected client
     // (they will receive cursor:move events as users move)
@@ -158,204 +343,93 @@ io.on("connection", (socket) => {
       // Notify others in the room
       socket.to(currentRoom).emit("user:left", { odId: socket.id });
       socket.to(currentRoom).emit("cursor:leave", { odId: socket.id });
+      unloadRoomIfEmpty(currentRoom);
     }
   });
 
   socket.on("draw", (data) => {
     const { roomId, ...drawData } = data;
+    if (!canMutate(roomId)) return;
     // Ensure socketId is passed through
     socket.to(roomId).emit("draw", { ...drawData, socketId: socket.id });
   });
 
-  socket.on("text", (data) => {
-    const { roomId, ...textData } = data;
-    if (rooms[roomId]) {
-      rooms[roomId].canvasState.push(textData);
-      socket.to(roomId).emit("text", textData);
-    }
-  });
-
-  socket.on("stroke", (data) => {
-    const { roomId, ...strokeData } = data;
-    if (rooms[roomId]) {
-      rooms[roomId].canvasState.push(strokeData);
-      // Ensure socketId is passed through
-      socket.to(roomId).emit("stroke", { ...strokeData, socketId: socket.id });
-    }
-  });
-
-  socket.on("move", (data) => {
-    const { roomId, ...moveData } = data;
-    if (rooms[roomId]) {
-      const canvasState = rooms[roomId].canvasState;
-      if (canvasState[moveData.index]) {
-        const obj = canvasState[moveData.index];
-        if (obj.type === 'stroke') {
-          obj.points = obj.points.map(
-            p => ({ x: p.x + moveData.deltaX, y: p.y + moveData.deltaY })
-          );
-        } else if (obj.type === 'text') {
-          obj.x += moveData.deltaX;
-          obj.y += moveData.deltaY;
-        } else if (obj.type === 'rectangle' || obj.type === 'ellipse' || obj.type === 'triangle') {
-          obj.x += moveData.deltaX;
-          obj.y += moveData.deltaY;
-        } else if (obj.type === 'line' || obj.type === 'arrow') {
-          obj.x1 += moveData.deltaX;
-          obj.y1 += moveData.deltaY;
-          obj.x2 += moveData.deltaX;
-          obj.y2 += moveData.deltaY;
-        }
+  // Object and sticky-note events all go through applyOperation, which
+  // updates room state and reports the inverse for this user's undo history
+  OPERATION_EVENTS.forEach((event) => {
+    socket.on(event, (data) => {
+      const { roomId, ...opData } = data;
+      const room = rooms[roomId];
+      if (!room) return;
+      if (!canMutate(roomId)) {
+        // A batch is put back one event at a time
+        const ops = event === 'batch' && Array.isArray(opData.ops) ? opData.ops : [{ event, data: opData }];
+        ops.forEach(op => rejectOp(socket, room, op && op.event, op && op.data && op.data.id, 'forbidden'));
+        return;
       }
-      socket.to(roomId).emit("move", moveData);
-    }
-  });
 
-  socket.on("resize", (data) => {
-    const { roomId, ...resizeData } = data;
-    if (rooms[roomId]) {
-      const canvasState = rooms[roomId].canvasState;
-      if (canvasState[resizeData.index] && canvasState[resizeData.index].type === 'text') {
-        canvasState[resizeData.index].fontSize = resizeData.fontSize;
-      }
-      socket.to(roomId).emit("resize", resizeData);
-    }
-  });
+      const result = applyOperation(room, event, opData);
+      if (!result.ok) return rejectOp(socket, room, event, opData.id, result.reason);
+      // Parts of a batch that couldn't be applied
+      (result.skipped || []).forEach(op => rejectOp(socket, room, op.event, op.id, op.reason));
 
-  socket.on("resizeStroke", (data) => {
-    const { roomId, ...resizeData } = data;
-    if (rooms[roomId]) {
-      const canvasState = rooms[roomId].canvasState;
-      if (canvasState[resizeData.index] && canvasState[resizeData.index].type === 'stroke') {
-        canvasState[resizeData.index].points = resizeData.points;
-      }
-      socket.to(roomId).emit("resizeStroke", resizeData);
-    }
-  });
+      recordOperation(room, historyKey, result.inverse, opData.gestureId);
+      markRoomDirty(roomId);
 
-  socket.on("shape", (data) => {
-    const { roomId, ...shapeData } = data;
-    if (rooms[roomId]) {
-      rooms[roomId].canvasState.push(shapeData);
-      socket.to(roomId).emit("shape", shapeData);
-    }
-  });
-
-  socket.on("resizeShape", (data) => {
-    const { roomId, ...resizeData } = data;
-    if (rooms[roomId]) {
-      const canvasState = rooms[roomId].canvasState;
-      if (canvasState[resizeData.index]) {
-        const obj = canvasState[resizeData.index];
-        if (obj.type === 'rectangle' || obj.type === 'ellipse' || obj.type === 'triangle') {
-          obj.x = resizeData.x;
-          obj.y = resizeData.y;
-          obj.width = resizeData.width;
-          obj.height = resizeData.height;
-        }
-      }
-      socket.to(roomId).emit("resizeShape", resizeData);
-    }
+      // Ensure socketId is passed through so receivers can drop the live stroke
+      const broadcastData = event === 'stroke' ? { ...result.data, socketId: socket.id } : result.data;
+      socket.to(roomId).emit(event, appendOp(room, event, broadcastData));
+    });
   });
 
-  socket.on("resizeLine", (data) => {
-    const { roomId, ...resizeData } = data;
-    if (rooms[roomId]) {
-      const canvasState = rooms[roomId].canvasState;
-      if (canvasState[resizeData.index]) {
-        const obj = canvasState[resizeData.index];
-        if (obj.type === 'line' || obj.type === 'arrow') {
-          obj.x1 = resizeData.x1;
-          obj.y1 = resizeData.y1;
-          obj.x2 = resizeData.x2;
-          obj.y2 = resizeData.y2;
-        }
-      }
-      socket.to(roomId).emit("resizeLine", resizeData);
-    }
+  // Grid settings are room state too, but not part of the scene or anyone's
+  // undo history. A refused change puts the sender back on the room's settings.
+  socket.on("grid:update", (data) => {
+    const { roomId, ...changes } = data;
+    const room = rooms[roomId];
+    if (!room) return;
+    if (!canMutate(roomId)) return socket.emit("grid:update", room.gridSettings);
+
+    room.gridSettings = updateGridSettings(room.gridSettings, changes);
+    markRoomDirty(roomId);
+    socket.to(roomId).emit("grid:update", room.gridSettings);
   });
 
+  // Undo/redo revert this user's own operations on the server and broadcast
+  // the result to everyone in the room, including the sender
   socket.on("undo", (data) => {
-    // Undo is tricky with shared state, currently just broadcasting
-    // Ideally we should update server state to match
-    // For now, we'll just broadcast to room
-    const { roomId, ...undoData } = data;
-    socket.to(roomId).emit("undo", undoData);
-  });
-
-  socket.on("redo", (data) => {
-    const { roomId, ...redoData } = data;
-    socket.to(roomId).emit("redo", redoData);
-  });
-
-  socket.on("clear", (roomId) => {
-    if (rooms[roomId]) {
-      rooms[roomId].canvasState = [];
-      socket.to(roomId).emit("clear");
-    }
-  });
-
-  socket.on("delete", (data) => {
-    const { roomId, index } = data;
-    if (rooms[roomId]) {
-      const canvasState = rooms[roomId].canvasState;
-      if (canvasState[index]) {
-        canvasState[index].deleted = true;
-      }
-      socket.to(roomId).emit("delete", { index });
-    }
-  });
-
-  socket.on("stickyNote:create", (data) => {
-    const { roomId, ...note } = data;
-    if (rooms[roomId]) {
-      rooms[roomId].stickyNotes.push(note);
-      socket.to(roomId).emit("stickyNote:create", note);
-    }
-  });
-
-  socket.on("stickyNote:update", (data) => {
-    const { roomId, ...updateData } = data;
-    if (rooms[roomId]) {
-      const note = rooms[roomId].stickyNotes.find(n => n.id === updateData.id);
-      if (note) {
-        note.text = updateData.text;
-      }
-      socket.to(roomId).emit("stickyNote:update", updateData);
-    }
-  });
-
-  socket.on("stickyNote:move", (data) => {
-    const { roomId, ...moveData } = data;
-    if (rooms[roomId]) {
-      const note = rooms[roomId].stickyNotes.find(n => n.id === moveData.id);
-      if (note) {
-        note.x = moveData.x;
-        note.y = moveData.y;
-      }
-      socket.to(roomId).emit("stickyNote:move", moveData);
+    const { roomId } = data;
+    const room = rooms[roomId];
+    if (!room) return;
+    if (!canMutate(roomId)) return rejectOp(socket, null, "undo", null, 'forbidden');
+
+    const op = undo(room, historyKey);
+    if (op) {
+      markRoomDirty(roomId);
+      io.to(roomId).emit(op.event, appendOp(room, op.event, op.data));
     }
   });
 
-  socket.on("stickyNote:resize", (data) => {
-    const { roomId, ...resizeData } = data;
-    if (rooms[roomId]) {
-      const note = rooms[roomId].stickyNotes.find(n => n.id === resizeData.id);
-      if (note) {
-        note.x = resizeData.x;
-        note.y = resizeData.y;
-        note.width = resizeData.width;
-        note.height = resizeData.height;
-      }
-      socket.to(roomId).emit("stickyNote:resize", resizeData);
+  socket.on("redo", (data) => {
+    const { roomId } = data;
+    const room = rooms[roomId];
+    if (!room) return;
+    if (!canMutate(roomId)) return rejectOp(socket, null, "redo", null, 'forbidden');
+
+    const op = redo(room, historyKey);
+    if (op) {
+      markRoomDirty(roomId);
+      io.to(roomId).emit(op.event, appendOp(room, op.event, op.data));
     }
   });
 
-  socket.on("stickyNote:delete", (data) => {
-    const { roomId, ...deleteData } = data;
-    if (rooms[roomId]) {
-      rooms[roomId].stickyNotes = rooms[roomId].stickyNotes.filter(n => n.id !== deleteData.id);
-      socket.to(roomId).emit("stickyNote:delete", deleteData);
+  socket.on("clear", (roomId) => {
+    if (!canMutate(roomId)) return rejectOp(socket, null, "clear", null, 'forbidden');
+    const room = rooms[roomId];
+    if (room) {
+      const stamp = clearObjects(room);
+      markRoomDirty(roomId);
+      socket.to(roomId).emit("clear", appendOp(room, "clear", { stamp }));
     }
   });
 });
@@ -370,3 +444,13 @@ if (process.env.NODE_ENV === 'production') {
 
 const PORT = process.env.PORT || 5000;
 server.listen(PORT, () => console.log(`Server running on port ${PORT}`));
+
+// Flush every dirty room before the process exits (e.g. on a Render redeploy)
+const shutdown = async (signal) => {
+  console.log(`${signal} received, saving rooms before exit`);
+  await Promise.all(Object.keys(rooms).map(roomId => saveRoom(roomId).then(() => updateThumbnail(roomId))));
+  process.exit(0);
+};
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
@@ -0,0 +1,50 @@
+/**
+ * Per-room operation log
+ *
+ * Every edit applied to a room gets the next number in the room's sequence
+ * and is kept in a bounded log, so a client that reconnects can be sent just
+ * the edits it missed instead of the whole scene. The epoch changes whenever
+ * the room is loaded into memory, because sequence numbers restart with it.
+ */
+
+const { randomUUID } = require('crypto');
+
+const MAX_LOG_SIZE = 1000;
+
+// Fields a room needs for sequencing; spread into a freshly loaded room
+const createLogState = () => ({
+  epoch: randomUUID(),
+  seq: 0,
+  log: [],
+});
+
+// Number an applied edit and remember it. Returns the data to broadcast.
+const appendOp = (room, event, data) => {
+  room.seq += 1;
+  const op = { ...data, seq: room.seq };
+  room.log.push({ event, data: op });
+  if (room.log.length > MAX_LOG_SIZE) {
+    room.log.shift();
+  }
+  return op;
+};
+
+// The edits after lastSeq, or null when they can't be replayed and the
+// client needs the whole scene instead
+const opsSince = (room, epoch, lastSeq) => {
+  if (epoch !== room.epoch || !Number.isInteger(lastSeq) || lastSeq > room.seq) {
+    return null;
+  }
+  const oldestSeq = room.log.length > 0 ? room.log[0].data.seq : room.seq + 1;
+  if (lastSeq + 1 < oldestSeq) {
+    return null;
+  }
+  return room.log.filter(op => op.data.seq > lastSeq);
+};
+
+module.exports = {
+  MAX_LOG_SIZE,
+  createLogState,
+  appendOp,
+  opsSince,
+};
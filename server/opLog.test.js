@@ -0,0 +1,70 @@
+/**
+ * Operation Log Tests
+ *
+ * Verifies sequence numbering and which edits a reconnecting client is sent.
+ * Run with: cd server && npm test
+ */
+
+const { MAX_LOG_SIZE, createLogState, appendOp, opsSince } = require('./opLog');
+
+describe('appendOp', () => {
+  test('numbers edits in order and returns the numbered data', () => {
+    const room = createLogState();
+
+    expect(appendOp(room, 'move', { id: 'a', x: 1 })).toEqual({ id: 'a', x: 1, seq: 1 });
+    expect(appendOp(room, 'delete', { id: 'a' }).seq).toBe(2);
+    expect(room.seq).toBe(2);
+    expect(room.log.map(op => op.event)).toEqual(['move', 'delete']);
+  });
+
+  test('keeps only the most recent edits', () => {
+    const room = createLogState();
+    for (let i = 0; i < MAX_LOG_SIZE + 5; i++) {
+      appendOp(room, 'move', { id: 'a' });
+    }
+
+    expect(room.log).toHaveLength(MAX_LOG_SIZE);
+    expect(room.log[0].data.seq).toBe(6);
+  });
+
+  test('each loaded room gets its own epoch', () => {
+    expect(createLogState().epoch).not.toBe(createLogState().epoch);
+  });
+});
+
+describe('opsSince', () => {
+  let room;
+
+  beforeEach(() => {
+    room = createLogState();
+    ['a', 'b', 'c'].forEach(id => appendOp(room, 'shape', { id }));
+  });
+
+  test('returns the edits after the last one the client saw', () => {
+    expect(opsSince(room, room.epoch, 1).map(op => op.data.id)).toEqual(['b', 'c']);
+    expect(opsSince(room, room.epoch, 3)).toEqual([]);
+  });
+
+  test('replays everything to a client that joined before any edit', () => {
+    expect(opsSince(room, room.epoch, 0)).toHaveLength(3);
+  });
+
+  test('needs a full scene when the room was reloaded since', () => {
+    expect(opsSince(room, 'another-epoch', 1)).toBeNull();
+    expect(opsSince(room, undefined, undefined)).toBeNull();
+  });
+
+  test('needs a full scene when the missed edits are no longer logged', () => {
+    for (let i = 0; i < MAX_LOG_SIZE; i++) {
+      appendOp(room, 'move', { id: 'a' });
+    }
+
+    expect(opsSince(room, room.epoch, 1)).toBeNull();
+    expect(opsSince(room, room.epoch, room.seq - 1)).toHaveLength(1);
+  });
+
+  test('needs a full scene for sequence numbers the room never reached', () => {
+    expect(opsSince(room, room.epoch, 10)).toBeNull();
+    expect(opsSince(room, room.epoch, 1.5)).toBeNull();
+  });
+});
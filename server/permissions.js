@@ -0,0 +1,57 @@
+/**
+ * Board access roles
+ *
+ * Works out what a user may do on a board from `boards` and
+ * `board_collaborators`, using the service-role Supabase client owned by
+ * index.js. Owners are admins; everyone else gets the role stored for them.
+ */
+
+const EDIT_ROLES = ['editor', 'admin'];
+
+const canEdit = (role) => EDIT_ROLES.includes(role);
+
+// Returns { role, error }. role is null when the user has no access.
+const getBoardRole = async (supabase, boardId, userId) => {
+  try {
+    const { data: board, error } = await supabase
+      .from('boards')
+      .select('owner_id, is_public, collaborators')
+      .eq('id', boardId)
+      .single();
+    if (error || !board) {
+      return { role: null, error: error || new Error('Board not found') };
+    }
+    if (board.owner_id === userId) {
+      return { role: 'admin', error: null };
+    }
+
+    const { data: collaborator, error: collaboratorError } = await supabase
+      .from('board_collaborators')
+      .select('role')
+      .eq('board_id', boardId)
+      .eq('user_id', userId)
+      .maybeSingle();
+    if (collaboratorError) {
+      return { role: null, error: collaboratorError };
+    }
+    if (collaborator) {
+      return { role: collaborator.role, error: null };
+    }
+
+    // Boards shared before board_collaborators existed only list the user here
+    if ((board.collaborators || []).includes(userId)) {
+      return { role: 'editor', error: null };
+    }
+    if (board.is_public) {
+      return { role: 'viewer', error: null };
+    }
+    return { role: null, error: null };
+  } catch (error) {
+    return { role: null, error };
+  }
+};
+
+module.exports = {
+  canEdit,
+  getBoardRole,
+};
@@ -0,0 +1,78 @@
+/**
+ * Board Role Tests
+ *
+ * Verifies how a user's role on a board is resolved with a stubbed Supabase client.
+ * Run with: cd server && npm test
+ */
+
+const { canEdit, getBoardRole } = require('./permissions');
+
+// Minimal stand-in for the chained Supabase query builder, with one canned
+// result per table
+const createMockSupabase = ({ board, boardError = null, collaborator = null, collaboratorError = null }) => {
+  const createBuilder = (result) => {
+    const builder = {
+      select: jest.fn(() => builder),
+      eq: jest.fn(() => builder),
+      single: jest.fn(() => Promise.resolve(result)),
+      maybeSingle: jest.fn(() => Promise.resolve(result)),
+    };
+    return builder;
+  };
+  return {
+    from: jest.fn((table) => (table === 'boards'
+      ? createBuilder({ data: board, error: boardError })
+      : createBuilder({ data: collaborator, error: collaboratorError }))),
+  };
+};
+
+const privateBoard = { owner_id: 'owner', is_public: false, collaborators: [] };
+
+describe('getBoardRole', () => {
+  test('owners are admins', async () => {
+    const supabase = createMockSupabase({ board: privateBoard });
+    expect(await getBoardRole(supabase, 'board-1', 'owner')).toEqual({ role: 'admin', error: null });
+  });
+
+  test('uses the role stored for a collaborator', async () => {
+    const supabase = createMockSupabase({ board: privateBoard, collaborator: { role: 'viewer' } });
+    expect((await getBoardRole(supabase, 'board-1', 'user')).role).toBe('viewer');
+  });
+
+  test('treats users only listed in boards.collaborators as editors', async () => {
+    const supabase = createMockSupabase({ board: { ...privateBoard, collaborators: ['user'] } });
+    expect((await getBoardRole(supabase, 'board-1', 'user')).role).toBe('editor');
+  });
+
+  test('anyone may view a public board', async () => {
+    const supabase = createMockSupabase({ board: { ...privateBoard, is_public: true } });
+    expect((await getBoardRole(supabase, 'board-1', 'stranger')).role).toBe('viewer');
+  });
+
+  test('strangers have no access to a private board', async () => {
+    const supabase = createMockSupabase({ board: privateBoard });
+    expect(await getBoardRole(supabase, 'board-1', 'stranger')).toEqual({ role: null, error: null });
+  });
+
+  test('reports missing boards and query errors', async () => {
+    const missing = await getBoardRole(createMockSupabase({ board: null }), 'board-1', 'user');
+    expect(missing.role).toBeNull();
+    expect(missing.error).toBeTruthy();
+
+    const failed = await getBoardRole(
+      createMockSupabase({ board: privateBoard, collaboratorError: { message: 'boom' } }),
+      'board-1',
+      'user'
+    );
+    expect(failed).toEqual({ role: null, error: { message: 'boom' } });
+  });
+});
+
+describe('canEdit', () => {
+  test('editors and admins can edit, viewers cannot', () => {
+    expect(canEdit('admin')).toBe(true);
+    expect(canEdit('editor')).toBe(true);
+    expect(canEdit('viewer')).toBe(false);
+    expect(canEdit(null)).toBe(false);
+  });
+});
@@ -0,0 +1,118 @@
+/**
+ * Board scene persistence
+ *
+ * Reads and writes a room's scene to the `boards.scene_json` column, its grid
+ * settings to `boards.grid_settings`, and its thumbnail to Storage and
+ * `boards.thumbnail_url`, using the service-role Supabase client owned by
+ * index.js.
+ */
+
+const { randomUUID } = require('crypto');
+
+const EMPTY_SCENE = { objects: [], stickyNotes: [] };
+
+// Thumbnails are stored as <board id>.png (see thumbnail.js)
+const THUMBNAIL_BUCKET = 'board-thumbnails';
+
+// scene_json is JSONB, but the client stores it as a stringified JSON value,
+// so accept both shapes when reading.
+const parseScene = (sceneJson) => {
+  let scene = sceneJson;
+  if (typeof scene === 'string') {
+    try {
+      scene = JSON.parse(scene);
+    } catch (error) {
+      console.error('Failed to parse scene_json:', error.message);
+      return { ...EMPTY_SCENE };
+    }
+  }
+  if (!scene || typeof scene !== 'object') {
+    return { ...EMPTY_SCENE };
+  }
+  return {
+    ...scene,
+    // Scenes saved before objects carried ids get one assigned on load
+    objects: Array.isArray(scene.objects)
+      ? scene.objects.map(obj => (obj.id ? obj : { ...obj, id: randomUUID() }))
+      : [],
+    stickyNotes: Array.isArray(scene.stickyNotes) ? scene.stickyNotes : [],
+  };
+};
+
+// Objects from bottom to top: by z, or list position for objects without one
+// (see src/utils/zOrder.js)
+const sortByZ = (objects) => objects
+  .map((obj, index) => ({ obj, index, z: Number.isFinite(obj.z) ? obj.z : index }))
+  .sort((a, b) => a.z - b.z || a.index - b.index)
+  .map(entry => entry.obj);
+
+// Build the scene that gets written back, dropping deleted entities just like
+// the client-side auto-save does. Objects are written in stacking order, which
+// is how they stack when loaded, so their z keys are dropped too.
+const serializeRoom = (room) => ({
+  objects: sortByZ(room.canvasState).filter(obj => !obj.deleted).map(({ z, ...obj }) => obj),
+  stickyNotes: room.stickyNotes.filter(note => !note.deleted),
+  layers: room.layers.filter(layer => !layer.deleted),
+});
+
+const loadBoardScene = async (supabase, boardId) => {
+  try {
+    const { data, error } = await supabase
+      .from('boards')
+      .select('scene_json, grid_settings')
+      .eq('id', boardId)
+      .single();
+    if (error || !data) {
+      return { scene: null, gridSettings: null, error: error || new Error('Board not found') };
+    }
+    return { scene: parseScene(data.scene_json), gridSettings: data.grid_settings || null, error: null };
+  } catch (error) {
+    return { scene: null, gridSettings: null, error };
+  }
+};
+
+// Grid settings are written along with the scene when given
+const saveBoardScene = async (supabase, boardId, scene, gridSettings) => {
+  try {
+    const { error } = await supabase
+      .from('boards')
+      .update({
+        scene_json: JSON.stringify(scene),
+        ...(gridSettings ? { grid_settings: gridSettings } : {}),
+        updated_at: new Date().toISOString(),
+      })
+      .eq('id', boardId);
+    return { error };
+  } catch (error) {
+    return { error };
+  }
+};
+
+// Upload a board's thumbnail over its previous one and point the board at it
+const saveBoardThumbnail = async (supabase, boardId, png) => {
+  try {
+    const path = `${boardId}.png`;
+    const bucket = supabase.storage.from(THUMBNAIL_BUCKET);
+    const { error: uploadError } = await bucket.upload(path, png, { contentType: 'image/png', upsert: true });
+    if (uploadError) return { url: null, error: uploadError };
+
+    // The path never changes, so the URL carries a version for browser caches
+    const url = `${bucket.getPublicUrl(path).data.publicUrl}?v=${Date.now()}`;
+    const { error } = await supabase
+      .from('boards')
+      .update({ thumbnail_url: url })
+      .eq('id', boardId);
+    return { url: error ? null : url, error };
+  } catch (error) {
+    return { url: null, error };
+  }
+};
+
+module.exports = {
+  THUMBNAIL_BUCKET,
+  parseScene,
+  serializeRoom,
+  loadBoardScene,
+  saveBoardScene,
+  saveBoardThumbnail,
+};
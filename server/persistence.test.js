@@ -0,0 +1,186 @@
+/**
+ * Scene Persistence Tests
+ *
+ * Verifies reading and writing boards.scene_json with a stubbed Supabase client.
+ * Run with: cd server && npm test
+ */
+
+const {
+  THUMBNAIL_BUCKET,
+  parseScene,
+  serializeRoom,
+  loadBoardScene,
+  saveBoardScene,
+  saveBoardThumbnail,
+} = require('./persistence');
+
+// Minimal stand-in for the chained Supabase query builder
+const createMockSupabase = ({ selectResult, updateResult, uploadResult } = {}) => {
+  const calls = { update: null, eq: [] };
+  const builder = {
+    select: jest.fn(() => builder),
+    update: jest.fn((values) => {
+      calls.update = values;
+      return builder;
+    }),
+    eq: jest.fn((column, value) => {
+      calls.eq.push([column, value]);
+      return calls.update ? Promise.resolve(updateResult || { error: null }) : builder;
+    }),
+    single: jest.fn(() => Promise.resolve(selectResult || { data: null, error: null })),
+  };
+  const bucket = {
+    upload: jest.fn(() => Promise.resolve(uploadResult || { error: null })),
+    getPublicUrl: jest.fn(path => ({ data: { publicUrl: `https://storage.example/${path}` } })),
+  };
+  return {
+    calls,
+    bucket,
+    from: jest.fn(() => builder),
+    storage: { from: jest.fn(() => bucket) },
+  };
+};
+
+describe('parseScene', () => {
+  test('parses a stringified scene', () => {
+    const scene = parseScene(JSON.stringify({ objects: [{ id: 'obj-1', type: 'text' }], stickyNotes: [] }));
+    expect(scene.objects).toEqual([{ id: 'obj-1', type: 'text' }]);
+    expect(scene.stickyNotes).toEqual([]);
+  });
+
+  test('assigns unique ids to objects saved without one', () => {
+    const scene = parseScene({ objects: [{ type: 'text' }, { type: 'stroke' }], stickyNotes: [] });
+    expect(scene.objects[0].id).toEqual(expect.any(String));
+    expect(scene.objects[1].id).toEqual(expect.any(String));
+    expect(scene.objects[0].id).not.toBe(scene.objects[1].id);
+  });
+
+  test('accepts an already-parsed scene', () => {
+    const scene = parseScene({ objects: [], stickyNotes: [{ id: 'n1' }] });
+    expect(scene.stickyNotes).toEqual([{ id: 'n1' }]);
+  });
+
+  test('falls back to an empty scene for invalid input', () => {
+    expect(parseScene('not json')).toEqual({ objects: [], stickyNotes: [] });
+    expect(parseScene(null)).toEqual({ objects: [], stickyNotes: [] });
+    expect(parseScene({ objects: 'nope' })).toEqual({ objects: [], stickyNotes: [] });
+  });
+});
+
+describe('serializeRoom', () => {
+  test('drops deleted objects and keeps sticky notes and layers', () => {
+    const room = {
+      canvasState: [{ type: 'text', text: 'a' }, { type: 'text', text: 'b', deleted: true }],
+      stickyNotes: [{ id: 'n1' }],
+      layers: [{ id: 'default', name: 'Layer 1' }, { id: 'old', deleted: true }],
+      users: { socket1: {} },
+    };
+    expect(serializeRoom(room)).toEqual({
+      objects: [{ type: 'text', text: 'a' }],
+      stickyNotes: [{ id: 'n1' }],
+      layers: [{ id: 'default', name: 'Layer 1' }],
+    });
+  });
+
+  test('writes objects in stacking order without their z keys', () => {
+    const room = {
+      canvasState: [{ id: 'a' }, { id: 'b', z: -1 }, { id: 'gone', deleted: true }, { id: 'c', z: 3.5 }, { id: 'd' }],
+      stickyNotes: [],
+      layers: [],
+    };
+    expect(serializeRoom(room).objects).toEqual([{ id: 'b' }, { id: 'a' }, { id: 'c' }, { id: 'd' }]);
+  });
+});
+
+describe('loadBoardScene', () => {
+  test('returns the parsed scene for an existing board', async () => {
+    const supabase = createMockSupabase({
+      selectResult: { data: { scene_json: '{"objects":[{"id":"s1","type":"stroke"}],"stickyNotes":[]}' }, error: null },
+    });
+
+    const { scene, error } = await loadBoardScene(supabase, 'board-1');
+
+    expect(error).toBeNull();
+    expect(scene.objects).toEqual([{ id: 's1', type: 'stroke' }]);
+    expect(supabase.from).toHaveBeenCalledWith('boards');
+    expect(supabase.calls.eq).toEqual([['id', 'board-1']]);
+  });
+
+  test('returns the board\'s grid settings, or null for a board without any', async () => {
+    const grid = { visible: true, snap: true, size: 40, guides: true };
+    const withGrid = createMockSupabase({ selectResult: { data: { scene_json: null, grid_settings: grid }, error: null } });
+    const withoutGrid = createMockSupabase({ selectResult: { data: { scene_json: null }, error: null } });
+
+    expect((await loadBoardScene(withGrid, 'board-1')).gridSettings).toEqual(grid);
+    expect((await loadBoardScene(withoutGrid, 'board-1')).gridSettings).toBeNull();
+  });
+
+  test('returns an error and no scene when the board is missing', async () => {
+    const supabase = createMockSupabase({
+      selectResult: { data: null, error: { message: 'not found' } },
+    });
+
+    const { scene, error } = await loadBoardScene(supabase, 'missing');
+
+    expect(scene).toBeNull();
+    expect(error).toEqual({ message: 'not found' });
+  });
+});
+
+describe('saveBoardScene', () => {
+  test('writes the stringified scene to scene_json', async () => {
+    const supabase = createMockSupabase();
+    const scene = { objects: [], stickyNotes: [{ id: 'n1' }] };
+
+    const { error } = await saveBoardScene(supabase, 'board-1', scene);
+
+    expect(error).toBeNull();
+    expect(JSON.parse(supabase.calls.update.scene_json)).toEqual(scene);
+    expect(supabase.calls.update.updated_at).toBeDefined();
+    expect(supabase.calls.update).not.toHaveProperty('grid_settings');
+    expect(supabase.calls.eq).toEqual([['id', 'board-1']]);
+  });
+
+  test('writes grid settings along with the scene', async () => {
+    const supabase = createMockSupabase();
+    const grid = { visible: true, snap: false, size: 20, guides: true };
+
+    await saveBoardScene(supabase, 'board-1', { objects: [], stickyNotes: [] }, grid);
+
+    expect(supabase.calls.update.grid_settings).toEqual(grid);
+  });
+
+  test('reports update errors', async () => {
+    const supabase = createMockSupabase({ updateResult: { error: { message: 'denied' } } });
+
+    const { error } = await saveBoardScene(supabase, 'board-1', { objects: [], stickyNotes: [] });
+
+    expect(error).toEqual({ message: 'denied' });
+  });
+});
+
+describe('saveBoardThumbnail', () => {
+  test('replaces the stored thumbnail and points the board at a fresh URL', async () => {
+    const supabase = createMockSupabase();
+    const png = Buffer.from('png');
+
+    const { url, error } = await saveBoardThumbnail(supabase, 'board-1', png);
+
+    expect(error).toBeNull();
+    expect(supabase.storage.from).toHaveBeenCalledWith(THUMBNAIL_BUCKET);
+    expect(supabase.bucket.upload).toHaveBeenCalledWith('board-1.png', png, { contentType: 'image/png', upsert: true });
+    expect(url).toMatch(/^https:\/\/storage\.example\/board-1\.png\?v=\d+$/);
+    expect(supabase.calls.update).toEqual({ thumbnail_url: url });
+    expect(supabase.calls.eq).toEqual([['id', 'board-1']]);
+  });
+
+  test('leaves the board alone when the upload fails', async () => {
+    const supabase = createMockSupabase({ uploadResult: { error: { message: 'quota' } } });
+
+    const { url, error } = await saveBoardThumbnail(supabase, 'board-1', Buffer.from('png'));
+
+    expect(url).toBeNull();
+    expect(error).toEqual({ message: 'quota' });
+    expect(supabase.calls.update).toBeNull();
+  });
+});
@@ -0,0 +1,418 @@
+/**
+ * Scene operations
+ *
+ * Applies the object and sticky-note events of the socket protocol to a
+ * room's state. Every event is a last-writer-wins merge of some fields (see
+ * crdt.js), stamped by the sender or, for server-made edits such as undo, by
+ * the room. Every applied operation also reports its inverse as another
+ * protocol event, which is what the undo history stores and replays.
+ *
+ * A batch carries several events that were made as one edit, e.g. moving a
+ * multi-selection. It shares one stamp, is broadcast as one event and is
+ * undone as one step.
+ *
+ * A group is an object listing the ids of its children (see
+ * src/utils/groups.js). It is created with a 'group' event and ungrouped by
+ * deleting it, which leaves the children in place.
+ *
+ * Layers are a third list of entities. Each object names its layer; objects
+ * whose layer is missing belong to the bottom one. A room always keeps at
+ * least one layer.
+ *
+ * Shapes, text, strokes and sticky notes can be rotated about their middle
+ * (see src/utils/rotation.js). Their positions are stored unrotated, so a
+ * move or resize computed at one angle may carry that angle too, and then
+ * writes it along with the geometry.
+ *
+ * Images keep their pixels out of the scene: the object holds a URL to the
+ * uploaded file, its natural size, and the part of it that is shown (its
+ * crop, in image pixels). Cropping rewrites the crop and the box together.
+ *
+ * Lines and arrows can be bound to anchors on shapes and sticky notes (see
+ * src/utils/connectors.js). Their `start` and `end` bindings are set with a
+ * 'setBindings' event and their routing with 'setRouting'; the client that moves
+ * a target sends the new endpoints along with it, so the room only checks
+ * the bindings are well formed.
+ *
+ * An object's style (colour, fill, line width, dash, opacity and corner
+ * radius; see src/utils/styles.js) is set with a 'restyle' event carrying
+ * only the fields that change. Null puts a field back to its default.
+ */
+
+const { isStamp, fieldsOf, withoutVersions, mergeFields } = require('./crdt');
+
+// Objects drawn in a box; see src/utils/shapes.js
+const SHAPE_TYPES = [
+  'rectangle', 'ellipse', 'triangle', 'diamond', 'parallelogram', 'hexagon', 'star', 'cylinder', 'cloud', 'callout',
+];
+const LINE_TYPES = ['line', 'arrow'];
+const OBJECT_TYPES = ['stroke', 'text', 'image', ...SHAPE_TYPES, ...LINE_TYPES];
+const ROTATABLE_TYPES = ['stroke', 'text', 'image', ...SHAPE_TYPES];
+const ANCHORS = ['top', 'right', 'bottom', 'left'];
+const ROUTINGS = ['straight', 'elbow'];
+const DASH_STYLES = ['solid', 'dashed', 'dotted'];
+
+// Which objects each style field applies to, as in src/utils/styles.js
+const STYLE_TYPES = {
+  color: ['stroke', 'text', ...SHAPE_TYPES, ...LINE_TYPES],
+  fill: SHAPE_TYPES,
+  size: ['stroke', ...SHAPE_TYPES, ...LINE_TYPES],
+  dash: [...SHAPE_TYPES, ...LINE_TYPES],
+  opacity: ['stroke', 'text', 'image', ...SHAPE_TYPES, ...LINE_TYPES],
+  cornerRadius: ['rectangle'],
+};
+
+// Fields that place an object on the canvas, which is what a move rewrites
+const geometryFields = (obj) => {
+  if (obj.type === 'stroke') return ['points'];
+  if (LINE_TYPES.includes(obj.type)) return ['x1', 'y1', 'x2', 'y2'];
+  return ['x', 'y'];
+};
+
+// The socket event that creates (or restores) an object of a given type
+const createEventFor = (obj) => {
+  if (obj.type === 'stroke') return 'stroke';
+  if (obj.type === 'text') return 'text';
+  if (obj.type === 'image') return 'image';
+  if (obj.type === 'group') return 'group';
+  return 'shape';
+};
+
+// Deleted entities stay in the room as tombstones but can't be edited
+const findObject = (room, id) => room.canvasState.find(obj => obj.id === id && !obj.deleted);
+
+const findStickyNote = (room, id) => room.stickyNotes.find(note => note.id === id && !note.deleted);
+
+const findLayer = (room, id) => room.layers.find(layer => layer.id === id && !layer.deleted);
+
+// The room's copy of an object, sticky note or layer, tombstones included,
+// or null if it has never had one
+const findEntity = (room, id) => (
+  [room.canvasState, room.stickyNotes, room.layers]
+    .map(list => list.find(entity => entity.id === id))
+    .find(Boolean) || null
+);
+
+// The layer rooms start with when their scene has none
+const createDefaultLayer = () => ({ id: 'default', name: 'Layer 1', hidden: false, locked: false, order: 0 });
+
+const applied = (data, inverse) => ({ ok: true, data, inverse });
+
+const rejected = (reason) => ({ ok: false, reason });
+
+// Radians, or null for an entity that was never rotated (what undoing its
+// first rotation writes back)
+const isAngle = (value) => value === null || (typeof value === 'number' && Number.isFinite(value));
+
+// The rotation field, for edits that carry one
+const rotationField = (data) => (data.rotation === undefined ? [] : ['rotation']);
+
+const pick = (source, fields) => {
+  const values = {};
+  fields.forEach((field) => {
+    values[field] = source[field];
+  });
+  return values;
+};
+
+// Overwrite some fields and return the edit that puts them back. Fields the
+// entity didn't have come back as null, since JSON drops undefined.
+const overwrite = (entity, event, fields, data) => {
+  const previous = { id: entity.id };
+  fields.forEach((field) => {
+    previous[field] = entity[field] === undefined ? null : entity[field];
+  });
+  mergeFields(entity, pick(data, fields), data.stamp);
+  return { event, data: previous };
+};
+
+// Create an entity, or bring a tombstone back to life (e.g. undoing a delete)
+const createIn = (list, data) => {
+  if (!data.id) return rejected('invalid-id');
+
+  const existing = list.find(entity => entity.id === data.id);
+  if (existing && !existing.deleted) return rejected('invalid-id');
+
+  const entity = existing || { id: data.id, versions: {} };
+  if (!existing) list.push(entity);
+  mergeFields(entity, { ...fieldsOf(data), deleted: false }, data.stamp);
+  return null;
+};
+
+const createObject = (room, data) => {
+  const failure = createIn(room.canvasState, data);
+  if (failure) return failure;
+  // socketId only identifies the sender's live stroke; it isn't scene state
+  const { socketId, ...broadcast } = data;
+  return applied(broadcast, { event: 'delete', data: { id: data.id } });
+};
+
+// Each create event makes only its own kinds of object; images and groups
+// have their own events, which check what those need
+const createOfType = (types) => (room, data) => {
+  if (!types.includes(data.type)) return rejected('wrong-type');
+  return createObject(room, data);
+};
+
+const createGroup = (room, data) => {
+  const { children } = data;
+  if (data.type !== 'group' || !Array.isArray(children) || children.length === 0 ||
+      !children.every(id => typeof id === 'string')) {
+    return rejected('invalid-group');
+  }
+  return createObject(room, data);
+};
+
+const isSize = (value) => typeof value === 'number' && Number.isFinite(value) && value > 0;
+
+// Image data belongs in storage; inlined data URLs would bloat every save,
+// and blob URLs only work in the tab that made them
+const isStoredImageUrl = (src) => typeof src === 'string' && src !== '' &&
+  !src.startsWith('data:') && !src.startsWith('blob:');
+
+const createImage = (room, data) => {
+  if (data.type !== 'image' || !isStoredImageUrl(data.src) || !isSize(data.width) || !isSize(data.height)) {
+    return rejected('invalid-image');
+  }
+  return createObject(room, data);
+};
+
+const deleteObject = (room, data) => {
+  const obj = findObject(room, data.id);
+  if (!obj) return rejected('unknown-id');
+
+  const snapshot = withoutVersions(obj);
+  mergeFields(obj, { deleted: true }, data.stamp);
+  return applied(data, { event: createEventFor(snapshot), data: snapshot });
+};
+
+const moveObject = (room, data) => {
+  const obj = findObject(room, data.id);
+  if (!obj) return rejected('unknown-id');
+
+  const fields = geometryFields(obj);
+  if (fields.some(field => data[field] === undefined)) return rejected('wrong-type');
+  if (data.rotation !== undefined && (!ROTATABLE_TYPES.includes(obj.type) || !isAngle(data.rotation))) {
+    return rejected('invalid-rotation');
+  }
+
+  return applied(data, overwrite(obj, 'move', [...fields, ...rotationField(data)], data));
+};
+
+// Build a handler that overwrites some fields of one object type. Handlers
+// for rotatable types also take the rotation an edit carries.
+const setObjectFields = (event, types, fields, { rotatable = false } = {}) => (room, data) => {
+  const obj = findObject(room, data.id);
+  if (!obj) return rejected('unknown-id');
+  if (!types.includes(obj.type)) return rejected('wrong-type');
+  if (data.rotation !== undefined && (!rotatable || !isAngle(data.rotation))) return rejected('invalid-rotation');
+
+  return applied(data, overwrite(obj, event, [...fields, ...rotationField(data)], data));
+};
+
+const rotateObject = (room, data) => {
+  if (data.rotation === undefined) return rejected('invalid-rotation');
+  return setObjectFields('rotate', ROTATABLE_TYPES, [], { rotatable: true })(room, data);
+};
+
+// A connector end is free (null) or bound to an anchor of a target
+const isBinding = (value) => value === null ||
+  Boolean(value && typeof value.id === 'string' && ANCHORS.includes(value.anchor));
+
+const setBindings = (room, data) => {
+  if (!isBinding(data.start) || !isBinding(data.end)) return rejected('invalid-binding');
+  return setObjectFields('setBindings', LINE_TYPES, ['start', 'end'])(room, data);
+};
+
+const setRouting = (room, data) => {
+  if (!ROUTINGS.includes(data.routing)) return rejected('invalid-routing');
+  return setObjectFields('setRouting', LINE_TYPES, ['routing'])(room, data);
+};
+
+// Style values; null is each field's default
+const isColor = (value) => typeof value === 'string' && value !== '';
+
+const STYLE_CHECKS = {
+  color: isColor,
+  fill: isColor,
+  size: isSize,
+  dash: value => DASH_STYLES.includes(value),
+  opacity: value => typeof value === 'number' && value >= 0 && value <= 1,
+  cornerRadius: value => typeof value === 'number' && Number.isFinite(value) && value >= 0,
+};
+
+// Overwrite just the style fields an edit carries
+const restyleObject = (room, data) => {
+  const obj = findObject(room, data.id);
+  if (!obj) return rejected('unknown-id');
+
+  const fields = Object.keys(STYLE_TYPES).filter(field => data[field] !== undefined);
+  if (fields.length === 0 || fields.some(field => data[field] !== null && !STYLE_CHECKS[field](data[field]))) {
+    return rejected('invalid-style');
+  }
+  if (fields.some(field => !STYLE_TYPES[field].includes(obj.type))) return rejected('wrong-type');
+
+  return applied(data, overwrite(obj, 'restyle', fields, data));
+};
+
+const createStickyNote = (room, data) => {
+  const failure = createIn(room.stickyNotes, data);
+  if (failure) return failure;
+  return applied(data, { event: 'stickyNote:delete', data: { id: data.id } });
+};
+
+const deleteStickyNote = (room, data) => {
+  const note = findStickyNote(room, data.id);
+  if (!note) return rejected('unknown-id');
+
+  const snapshot = withoutVersions(note);
+  mergeFields(note, { deleted: true }, data.stamp);
+  return applied(data, { event: 'stickyNote:create', data: snapshot });
+};
+
+const setStickyNoteFields = (event, fields, { rotatable = false } = {}) => (room, data) => {
+  const note = findStickyNote(room, data.id);
+  if (!note) return rejected('unknown-id');
+  if (data.rotation !== undefined && (!rotatable || !isAngle(data.rotation))) return rejected('invalid-rotation');
+
+  return applied(data, overwrite(note, event, [...fields, ...rotationField(data)], data));
+};
+
+const rotateStickyNote = (room, data) => {
+  if (data.rotation === undefined) return rejected('invalid-rotation');
+  return setStickyNoteFields('stickyNote:rotate', [], { rotatable: true })(room, data);
+};
+
+const createLayer = (room, data) => {
+  const failure = createIn(room.layers, data);
+  if (failure) return failure;
+  return applied(data, { event: 'layer:delete', data: { id: data.id } });
+};
+
+const deleteLayer = (room, data) => {
+  const layer = findLayer(room, data.id);
+  if (!layer) return rejected('unknown-id');
+  if (room.layers.filter(other => !other.deleted).length === 1) return rejected('last-layer');
+
+  const snapshot = withoutVersions(layer);
+  mergeFields(layer, { deleted: true }, data.stamp);
+  return applied(data, { event: 'layer:create', data: snapshot });
+};
+
+const setLayerFields = (event, fields) => (room, data) => {
+  const layer = findLayer(room, data.id);
+  if (!layer) return rejected('unknown-id');
+
+  return applied(data, overwrite(layer, event, fields, data));
+};
+
+const operations = {
+  text: createOfType(['text']),
+  stroke: createOfType(['stroke']),
+  shape: createOfType([...SHAPE_TYPES, ...LINE_TYPES]),
+  image: createImage,
+  group: createGroup,
+  delete: deleteObject,
+  move: moveObject,
+  resize: setObjectFields('resize', ['text'], ['fontSize'], { rotatable: true }),
+  resizeStroke: setObjectFields('resizeStroke', ['stroke'], ['points'], { rotatable: true }),
+  resizeShape: setObjectFields('resizeShape', [...SHAPE_TYPES, 'image'], ['x', 'y', 'width', 'height'], { rotatable: true }),
+  crop: setObjectFields('crop', ['image'], ['x', 'y', 'width', 'height', 'crop'], { rotatable: true }),
+  resizeLine: setObjectFields('resizeLine', LINE_TYPES, ['x1', 'y1', 'x2', 'y2']),
+  setBindings,
+  setRouting,
+  recolor: setObjectFields('recolor', OBJECT_TYPES, ['color']),
+  restyle: restyleObject,
+  // Stacking order; see src/utils/zOrder.js
+  reorder: setObjectFields('reorder', OBJECT_TYPES, ['z']),
+  setLayer: setObjectFields('setLayer', [...OBJECT_TYPES, 'group'], ['layer']),
+  rotate: rotateObject,
+  'stickyNote:create': createStickyNote,
+  'stickyNote:delete': deleteStickyNote,
+  'stickyNote:update': setStickyNoteFields('stickyNote:update', ['text']),
+  'stickyNote:move': setStickyNoteFields('stickyNote:move', ['x', 'y'], { rotatable: true }),
+  'stickyNote:resize': setStickyNoteFields('stickyNote:resize', ['x', 'y', 'width', 'height'], { rotatable: true }),
+  'stickyNote:recolor': setStickyNoteFields('stickyNote:recolor', ['color']),
+  'stickyNote:reorder': setStickyNoteFields('stickyNote:reorder', ['zIndex']),
+  'stickyNote:rotate': rotateStickyNote,
+  'layer:create': createLayer,
+  'layer:delete': deleteLayer,
+  'layer:rename': setLayerFields('layer:rename', ['name']),
+  'layer:visibility': setLayerFields('layer:visibility', ['hidden']),
+  'layer:lock': setLayerFields('layer:lock', ['locked']),
+  'layer:reorder': setLayerFields('layer:reorder', ['order']),
+};
+
+// Apply every event of a batch with the batch's stamp. Events that can't be
+// applied (e.g. someone deleted one of the objects) are skipped and reported;
+// the batch fails only if none applies.
+const applyBatch = (room, data) => {
+  if (!Array.isArray(data.ops)) return rejected('invalid-batch');
+
+  const ops = [];
+  const inverses = [];
+  const skipped = [];
+  data.ops.forEach((op) => {
+    // Batches don't nest
+    const operation = op && op.event !== 'batch' && operations[op.event];
+    if (!operation) {
+      skipped.push({ event: op && op.event, id: op && op.data && op.data.id, reason: 'unknown-event' });
+      return;
+    }
+    const result = operation(room, { ...op.data, stamp: data.stamp });
+    if (result.ok) {
+      ops.push({ event: op.event, data: result.data });
+      inverses.unshift(result.inverse);
+    } else {
+      skipped.push({ event: op.event, id: op.data && op.data.id, reason: result.reason });
+    }
+  });
+
+  if (ops.length === 0) return { ...rejected('empty-batch'), skipped };
+  return {
+    ...applied({ ...data, ops }, { event: 'batch', data: { ops: inverses } }),
+    skipped,
+  };
+};
+
+operations.batch = applyBatch;
+
+// Socket events that mutate the scene
+const OPERATION_EVENTS = Object.keys(operations);
+
+// Next stamp for an edit made by the server itself
+const nextStamp = (room) => [room.clock + 1, 'server'];
+
+// Apply one protocol event to a room. Edits without a stamp get one from
+// the room. Returns { ok: true, data, inverse } or { ok: false, reason };
+// data carries the stamp so every client merges it the same way. Batches
+// also list the events they skipped.
+const applyOperation = (room, event, data) => {
+  const operation = operations[event];
+  if (!operation) return rejected('unknown-event');
+
+  const stamp = isStamp(data && data.stamp) ? data.stamp : nextStamp(room);
+  const result = operation(room, { ...data, stamp });
+  if (result.ok) {
+    // Keep the room's Lamport clock ahead of every stamp it has seen
+    room.clock = Math.max(room.clock, stamp[0]);
+  }
+  return result;
+};
+
+// Delete every object in the room as one server-stamped edit.
+// Objects created concurrently with a newer stamp survive on every replica.
+const clearObjects = (room) => {
+  const stamp = nextStamp(room);
+  room.canvasState.forEach(obj => mergeFields(obj, { deleted: true }, stamp));
+  room.clock = stamp[0];
+  return stamp;
+};
+
+module.exports = {
+  OPERATION_EVENTS,
+  createDefaultLayer,
+  findEntity,
+  applyOperation,
+  clearObjects,
+};
@@ -0,0 +1,553 @@
+/**
+ * Scene Operation Tests
+ *
+ * Verifies that protocol events update room state and report their inverse.
+ * Run with: cd server && npm test
+ */
+
+const { OPERATION_EVENTS, findEntity, applyOperation, clearObjects } = require('./sceneOps');
+
+const createRoom = () => ({
+  canvasState: [
+    { id: 'rect-1', type: 'rectangle', x: 10, y: 10, width: 50, height: 40, color: '#000', size: 2 },
+    { id: 'line-1', type: 'line', x1: 0, y1: 0, x2: 100, y2: 100, color: '#000', size: 2 },
+    { id: 'stroke-1', type: 'stroke', points: [{ x: 1, y: 1 }, { x: 2, y: 2 }], color: '#000', size: 2, tool: 'pen' },
+    { id: 'text-1', type: 'text', text: 'Hi', x: 5, y: 5, color: '#000', fontSize: 20 },
+  ],
+  stickyNotes: [
+    { id: 'note-1', x: 0, y: 0, width: 200, height: 200, text: 'Note', color: '#ffd700', zIndex: 0 },
+  ],
+  clock: 0,
+  users: {},
+  history: {},
+});
+
+describe('applyOperation', () => {
+  let room;
+
+  beforeEach(() => {
+    room = createRoom();
+  });
+
+  test('exposes every mutating socket event', () => {
+    expect(OPERATION_EVENTS).toEqual(expect.arrayContaining([
+      'text', 'stroke', 'shape', 'delete', 'move', 'resize', 'resizeStroke', 'resizeShape', 'resizeLine',
+      'stickyNote:create', 'stickyNote:update', 'stickyNote:move', 'stickyNote:resize', 'stickyNote:delete',
+    ]));
+  });
+
+  test('rejects unknown events', () => {
+    expect(applyOperation(room, 'explode', {})).toEqual({ ok: false, reason: 'unknown-event' });
+  });
+
+  describe('stamps', () => {
+    test('keeps the sender\'s stamp and advances the room clock', () => {
+      const result = applyOperation(room, 'move', { id: 'rect-1', x: 0, y: 0, stamp: [7, 'alice'] });
+
+      expect(result.data.stamp).toEqual([7, 'alice']);
+      expect(room.clock).toBe(7);
+      expect(room.canvasState[0].versions).toEqual({ x: [7, 'alice'], y: [7, 'alice'] });
+    });
+
+    test('stamps unstamped edits from the room clock', () => {
+      room.clock = 3;
+      const result = applyOperation(room, 'move', { id: 'rect-1', x: 0, y: 0 });
+
+      expect(result.data.stamp).toEqual([4, 'server']);
+      expect(room.clock).toBe(4);
+    });
+
+    test('an older edit does not overwrite a newer one', () => {
+      applyOperation(room, 'move', { id: 'rect-1', x: 100, y: 100, stamp: [5, 'bob'] });
+      applyOperation(room, 'move', { id: 'rect-1', x: 1, y: 1, stamp: [4, 'alice'] });
+
+      expect(room.canvasState[0]).toMatchObject({ x: 100, y: 100 });
+    });
+
+    test('ties are broken by actor so every replica picks the same winner', () => {
+      applyOperation(room, 'resizeShape', { id: 'rect-1', x: 0, y: 0, width: 1, height: 1, stamp: [5, 'bob'] });
+      applyOperation(room, 'resizeShape', { id: 'rect-1', x: 0, y: 0, width: 2, height: 2, stamp: [5, 'alice'] });
+
+      expect(room.canvasState[0].width).toBe(1);
+    });
+  });
+
+  describe('create and delete', () => {
+    test('creates a shape and reports a delete as its inverse', () => {
+      const shape = { id: 'ellipse-1', type: 'ellipse', x: 0, y: 0, width: 10, height: 10 };
+      const result = applyOperation(room, 'shape', shape);
+
+      expect(result.ok).toBe(true);
+      expect(room.canvasState[room.canvasState.length - 1]).toMatchObject({ ...shape, deleted: false });
+      expect(result.inverse).toEqual({ event: 'delete', data: { id: 'ellipse-1' } });
+    });
+
+    test('does not store the sender socketId on strokes', () => {
+      applyOperation(room, 'stroke', { id: 'stroke-2', type: 'stroke', points: [], socketId: 'abc' });
+      expect(room.canvasState[room.canvasState.length - 1].socketId).toBeUndefined();
+    });
+
+    test('rejects creates without an id or with an id already in use', () => {
+      expect(applyOperation(room, 'shape', { type: 'rectangle' }).reason).toBe('invalid-id');
+      expect(applyOperation(room, 'shape', { id: 'rect-1', type: 'rectangle' }).reason).toBe('invalid-id');
+    });
+
+    test('creates every shape and line type but rejects unknown types', () => {
+      ['triangle', 'parallelogram', 'hexagon', 'star', 'cylinder', 'cloud', 'callout', 'arrow'].forEach((type) => {
+        expect(applyOperation(room, 'shape', { id: `${type}-1`, type, x: 0, y: 0, width: 10, height: 10 }).ok).toBe(true);
+      });
+
+      expect(applyOperation(room, 'shape', { id: 'bogus-1', type: 'bogus', x: 0, y: 0 }))
+        .toEqual({ ok: false, reason: 'wrong-type' });
+      expect(applyOperation(room, 'shape', { id: 'stroke-2', type: 'stroke', points: [] }).reason).toBe('wrong-type');
+      expect(applyOperation(room, 'text', { id: 'text-2', type: 'rectangle', x: 0, y: 0 }).reason).toBe('wrong-type');
+      expect(applyOperation(room, 'stroke', { id: 'stroke-3', type: 'text', text: 'Hi' }).reason).toBe('wrong-type');
+      expect(room.canvasState.map(obj => obj.type)).not.toContain('bogus');
+    });
+
+    test('deleting leaves a tombstone and its inverse restores it in place', () => {
+      const result = applyOperation(room, 'delete', { id: 'line-1' });
+
+      expect(result.ok).toBe(true);
+      expect(room.canvasState[1].deleted).toBe(true);
+      expect(result.inverse.event).toBe('shape');
+      expect(result.inverse.data.versions).toBeUndefined();
+
+      const restored = applyOperation(room, result.inverse.event, result.inverse.data);
+      expect(restored.ok).toBe(true);
+      expect(room.canvasState[1]).toMatchObject({ id: 'line-1', deleted: false });
+      expect(room.canvasState).toHaveLength(4);
+    });
+
+    test('restores text and strokes through their own events', () => {
+      expect(applyOperation(room, 'delete', { id: 'text-1' }).inverse.event).toBe('text');
+      expect(applyOperation(room, 'delete', { id: 'stroke-1' }).inverse.event).toBe('stroke');
+    });
+  });
+
+  describe('edits', () => {
+    test('moves write the new geometry for each object type', () => {
+      applyOperation(room, 'move', { id: 'rect-1', x: 15, y: 5 });
+      applyOperation(room, 'move', { id: 'line-1', x1: 1, y1: 1, x2: 101, y2: 101 });
+      applyOperation(room, 'move', { id: 'stroke-1', points: [{ x: 2, y: 2 }, { x: 3, y: 3 }] });
+
+      expect(room.canvasState[0]).toMatchObject({ x: 15, y: 5 });
+      expect(room.canvasState[1]).toMatchObject({ x1: 1, y1: 1, x2: 101, y2: 101 });
+      expect(room.canvasState[2].points).toEqual([{ x: 2, y: 2 }, { x: 3, y: 3 }]);
+    });
+
+    test('the inverse of a move is the previous geometry', () => {
+      const result = applyOperation(room, 'move', { id: 'rect-1', x: 15, y: 5 });
+      expect(result.inverse).toEqual({ event: 'move', data: { id: 'rect-1', x: 10, y: 10 } });
+    });
+
+    test('rejects moves without the geometry of the object type', () => {
+      expect(applyOperation(room, 'move', { id: 'line-1', x: 1, y: 1 }).reason).toBe('wrong-type');
+    });
+
+    test('resizes report the previous geometry as their inverse', () => {
+      const result = applyOperation(room, 'resizeShape', { id: 'rect-1', x: 0, y: 0, width: 100, height: 80 });
+
+      expect(room.canvasState[0]).toMatchObject({ x: 0, y: 0, width: 100, height: 80 });
+      expect(result.inverse).toEqual({
+        event: 'resizeShape',
+        data: { id: 'rect-1', x: 10, y: 10, width: 50, height: 40 },
+      });
+    });
+
+    test('creates, moves and resizes diagram shapes like other shapes', () => {
+      const diamond = { id: 'diamond-1', type: 'diamond', x: 0, y: 0, width: 80, height: 60, color: '#000', size: 2 };
+      expect(applyOperation(room, 'shape', diamond).ok).toBe(true);
+      expect(applyOperation(room, 'move', { id: 'diamond-1', x: 5, y: 5 }).ok).toBe(true);
+      expect(applyOperation(room, 'resizeShape', { id: 'diamond-1', x: 5, y: 5, width: 120, height: 90 }).ok).toBe(true);
+      expect(applyOperation(room, 'restyle', { id: 'diamond-1', fill: '#ff0' }).ok).toBe(true);
+
+      expect(room.canvasState[4]).toMatchObject({ x: 5, y: 5, width: 120, height: 90, fill: '#ff0' });
+    });
+
+    test('rejects resizes aimed at the wrong object type', () => {
+      expect(applyOperation(room, 'resizeLine', { id: 'rect-1', x1: 0, y1: 0, x2: 1, y2: 1 }).reason).toBe('wrong-type');
+    });
+
+    test('rejects edits to unknown or deleted objects', () => {
+      expect(applyOperation(room, 'move', { id: 'missing', x: 1, y: 1 }).reason).toBe('unknown-id');
+
+      applyOperation(room, 'delete', { id: 'rect-1' });
+      expect(applyOperation(room, 'move', { id: 'rect-1', x: 1, y: 1 }).reason).toBe('unknown-id');
+    });
+  });
+
+  describe('sticky notes', () => {
+    test('updates text and reports the old text as the inverse', () => {
+      const result = applyOperation(room, 'stickyNote:update', { id: 'note-1', text: 'Changed' });
+
+      expect(room.stickyNotes[0].text).toBe('Changed');
+      expect(result.inverse).toEqual({ event: 'stickyNote:update', data: { id: 'note-1', text: 'Note' } });
+    });
+
+    test('delete and create are inverses of each other', () => {
+      const result = applyOperation(room, 'stickyNote:delete', { id: 'note-1' });
+      expect(room.stickyNotes[0].deleted).toBe(true);
+
+      applyOperation(room, result.inverse.event, result.inverse.data);
+      expect(room.stickyNotes[0]).toMatchObject({ id: 'note-1', text: 'Note', deleted: false });
+    });
+
+    test('rejects unknown or deleted sticky note ids', () => {
+      expect(applyOperation(room, 'stickyNote:move', { id: 'nope', x: 0, y: 0 }).reason).toBe('unknown-id');
+
+      applyOperation(room, 'stickyNote:delete', { id: 'note-1' });
+      expect(applyOperation(room, 'stickyNote:move', { id: 'note-1', x: 0, y: 0 }).reason).toBe('unknown-id');
+    });
+  });
+});
+
+describe('recolor', () => {
+  test('recolors any object type and sticky notes', () => {
+    const room = createRoom();
+    const result = applyOperation(room, 'recolor', { id: 'stroke-1', color: '#f00' });
+
+    expect(room.canvasState[2].color).toBe('#f00');
+    expect(result.inverse).toEqual({ event: 'recolor', data: { id: 'stroke-1', color: '#000' } });
+
+    applyOperation(room, 'stickyNote:recolor', { id: 'note-1', color: '#0f0' });
+    expect(room.stickyNotes[0].color).toBe('#0f0');
+  });
+});
+
+describe('restyle', () => {
+  test('writes only the style fields an edit carries and undo puts them back', () => {
+    const room = createRoom();
+    const result = applyOperation(room, 'restyle', { id: 'rect-1', fill: '#ff0', dash: 'dashed', cornerRadius: 8 });
+
+    expect(result.ok).toBe(true);
+    expect(room.canvasState[0]).toMatchObject({ fill: '#ff0', dash: 'dashed', cornerRadius: 8, color: '#000', size: 2 });
+    expect(result.inverse).toEqual({
+      event: 'restyle',
+      data: { id: 'rect-1', fill: null, dash: null, cornerRadius: null },
+    });
+
+    applyOperation(room, 'restyle', { id: 'rect-1', opacity: 0.5 });
+    expect(room.canvasState[0]).toMatchObject({ fill: '#ff0', opacity: 0.5 });
+
+    applyOperation(room, result.inverse.event, result.inverse.data);
+    expect(room.canvasState[0]).toMatchObject({ fill: null, dash: null, cornerRadius: null, opacity: 0.5 });
+  });
+
+  test('refuses bad values and fields an object type lacks', () => {
+    const room = createRoom();
+
+    expect(applyOperation(room, 'restyle', { id: 'rect-1' }).reason).toBe('invalid-style');
+    expect(applyOperation(room, 'restyle', { id: 'rect-1', opacity: 2 }).reason).toBe('invalid-style');
+    expect(applyOperation(room, 'restyle', { id: 'rect-1', dash: 'wavy' }).reason).toBe('invalid-style');
+    expect(applyOperation(room, 'restyle', { id: 'rect-1', size: -1 }).reason).toBe('invalid-style');
+    expect(applyOperation(room, 'restyle', { id: 'line-1', fill: '#ff0' }).reason).toBe('wrong-type');
+    expect(applyOperation(room, 'restyle', { id: 'text-1', size: 4 }).reason).toBe('wrong-type');
+    expect(applyOperation(room, 'restyle', { id: 'gone', color: '#f00' }).reason).toBe('unknown-id');
+  });
+});
+
+describe('reorder', () => {
+  test('rewrites the stacking key of objects and sticky notes', () => {
+    const room = createRoom();
+    const result = applyOperation(room, 'reorder', { id: 'rect-1', z: 7.5 });
+
+    expect(room.canvasState[0].z).toBe(7.5);
+    expect(result.inverse).toEqual({ event: 'reorder', data: { id: 'rect-1', z: null } });
+
+    applyOperation(room, 'stickyNote:reorder', { id: 'note-1', zIndex: -1 });
+    expect(room.stickyNotes[0].zIndex).toBe(-1);
+  });
+});
+
+describe('rotate', () => {
+  test('rotates shapes, text, strokes and sticky notes but not lines', () => {
+    const room = createRoom();
+    const result = applyOperation(room, 'rotate', { id: 'text-1', rotation: Math.PI / 4 });
+
+    expect(room.canvasState[3].rotation).toBe(Math.PI / 4);
+    expect(result.inverse).toEqual({ event: 'rotate', data: { id: 'text-1', rotation: null } });
+    expect(applyOperation(room, 'rotate', result.inverse.data).ok).toBe(true);
+    expect(room.canvasState[3].rotation).toBeNull();
+
+    applyOperation(room, 'stickyNote:rotate', { id: 'note-1', rotation: -0.5 });
+    expect(room.stickyNotes[0].rotation).toBe(-0.5);
+
+    expect(applyOperation(room, 'rotate', { id: 'line-1', rotation: 1 })).toEqual({ ok: false, reason: 'wrong-type' });
+    expect(applyOperation(room, 'rotate', { id: 'rect-1', rotation: 'left' })).toEqual({ ok: false, reason: 'invalid-rotation' });
+    expect(applyOperation(room, 'rotate', { id: 'rect-1' })).toEqual({ ok: false, reason: 'invalid-rotation' });
+  });
+
+  test('moves and resizes write the angle they carry and undo restores it', () => {
+    const room = createRoom();
+    applyOperation(room, 'rotate', { id: 'rect-1', rotation: 0.5 });
+
+    const resize = applyOperation(room, 'resizeShape', { id: 'rect-1', x: 12, y: 8, width: 60, height: 40, rotation: 0.6 });
+    expect(room.canvasState[0]).toMatchObject({ x: 12, y: 8, width: 60, rotation: 0.6 });
+    expect(resize.inverse).toEqual({
+      event: 'resizeShape',
+      data: { id: 'rect-1', x: 10, y: 10, width: 50, height: 40, rotation: 0.5 },
+    });
+
+    const move = applyOperation(room, 'move', { id: 'text-1', x: 0, y: 0, rotation: 1 });
+    expect(move.inverse.data).toEqual({ id: 'text-1', x: 5, y: 5, rotation: null });
+
+    applyOperation(room, 'stickyNote:resize', { id: 'note-1', x: 5, y: 5, width: 150, height: 150, rotation: 0.2 });
+    expect(room.stickyNotes[0].rotation).toBe(0.2);
+  });
+
+  test('leaves the angle alone when an edit carries none, and refuses it on lines', () => {
+    const room = createRoom();
+    applyOperation(room, 'rotate', { id: 'rect-1', rotation: 0.5 });
+    applyOperation(room, 'move', { id: 'rect-1', x: 0, y: 0 });
+
+    expect(room.canvasState[0].rotation).toBe(0.5);
+    expect(applyOperation(room, 'move', { id: 'line-1', x1: 0, y1: 0, x2: 1, y2: 1, rotation: 1 }))
+      .toEqual({ ok: false, reason: 'invalid-rotation' });
+    expect(applyOperation(room, 'resizeLine', { id: 'line-1', x1: 0, y1: 0, x2: 1, y2: 1, rotation: 1 }))
+      .toEqual({ ok: false, reason: 'invalid-rotation' });
+  });
+});
+
+describe('connectors', () => {
+  test('binds the ends of lines and undo lets go again', () => {
+    const room = createRoom();
+    const start = { id: 'rect-1', anchor: 'right' };
+    const result = applyOperation(room, 'setBindings', { id: 'line-1', start, end: null });
+
+    expect(room.canvasState[1]).toMatchObject({ start, end: null });
+    expect(result.inverse).toEqual({ event: 'setBindings', data: { id: 'line-1', start: null, end: null } });
+    expect(applyOperation(room, 'setBindings', { id: 'line-1', start: { id: 'note-1', anchor: 'top' }, end: start }).ok)
+      .toBe(true);
+  });
+
+  test('refuses malformed bindings and bindings on other types', () => {
+    const room = createRoom();
+
+    expect(applyOperation(room, 'setBindings', { id: 'line-1', start: { id: 'rect-1', anchor: 'middle' }, end: null }))
+      .toEqual({ ok: false, reason: 'invalid-binding' });
+    expect(applyOperation(room, 'setBindings', { id: 'line-1', start: null }))
+      .toEqual({ ok: false, reason: 'invalid-binding' });
+    expect(applyOperation(room, 'setBindings', { id: 'rect-1', start: null, end: null }))
+      .toEqual({ ok: false, reason: 'wrong-type' });
+  });
+
+  test('switches lines between straight and elbow routing', () => {
+    const room = createRoom();
+    const result = applyOperation(room, 'setRouting', { id: 'line-1', routing: 'elbow' });
+
+    expect(room.canvasState[1].routing).toBe('elbow');
+    expect(result.inverse).toEqual({ event: 'setRouting', data: { id: 'line-1', routing: null } });
+    expect(applyOperation(room, 'setRouting', { id: 'line-1', routing: 'curved' }))
+      .toEqual({ ok: false, reason: 'invalid-routing' });
+  });
+});
+
+describe('image', () => {
+  const image = {
+    id: 'image-1', type: 'image', src: 'https://storage.example/board/cat.png', x: 0, y: 0, width: 200, height: 100,
+    naturalWidth: 400, naturalHeight: 200, crop: { x: 0, y: 0, width: 400, height: 200 },
+  };
+
+  test('creates an image that undo deletes and deleting restores', () => {
+    const room = createRoom();
+    const created = applyOperation(room, 'image', image);
+    expect(created.inverse).toEqual({ event: 'delete', data: { id: 'image-1' } });
+
+    const deleted = applyOperation(room, 'delete', { id: 'image-1' });
+    expect(deleted.inverse.event).toBe('image');
+    expect(deleted.inverse.data).toMatchObject({ src: image.src, crop: image.crop });
+  });
+
+  test('refuses inlined or tab-only image data and images without a size', () => {
+    const room = createRoom();
+    expect(applyOperation(room, 'image', { ...image, src: 'data:image/png;base64,AAAA' }))
+      .toEqual({ ok: false, reason: 'invalid-image' });
+    expect(applyOperation(room, 'image', { ...image, src: 'blob:http://localhost:3000/3f2a' }))
+      .toEqual({ ok: false, reason: 'invalid-image' });
+    expect(applyOperation(room, 'image', { ...image, width: 0 })).toEqual({ ok: false, reason: 'invalid-image' });
+    expect(applyOperation(room, 'image', { ...image, type: 'rectangle' })).toEqual({ ok: false, reason: 'invalid-image' });
+  });
+
+  test('creates images only through the image event', () => {
+    const room = createRoom();
+    const inlined = { ...image, src: 'data:image/png;base64,AAAA' };
+    ['shape', 'text', 'stroke'].forEach((event) => {
+      expect(applyOperation(room, event, inlined)).toEqual({ ok: false, reason: 'wrong-type' });
+      expect(applyOperation(room, event, image)).toEqual({ ok: false, reason: 'wrong-type' });
+    });
+    expect(room.canvasState).toHaveLength(4);
+  });
+
+  test('resizes, rotates and crops images', () => {
+    const room = createRoom();
+    applyOperation(room, 'image', image);
+    applyOperation(room, 'resizeShape', { id: 'image-1', x: 0, y: 0, width: 100, height: 50 });
+    applyOperation(room, 'rotate', { id: 'image-1', rotation: 0.3 });
+
+    const crop = { x: 100, y: 0, width: 300, height: 200 };
+    const cropped = applyOperation(room, 'crop', { id: 'image-1', x: 25, y: 0, width: 75, height: 50, crop });
+    expect(room.canvasState[4]).toMatchObject({ x: 25, width: 75, crop, rotation: 0.3 });
+    expect(cropped.inverse).toEqual({
+      event: 'crop',
+      data: { id: 'image-1', x: 0, y: 0, width: 100, height: 50, crop: image.crop },
+    });
+
+    expect(applyOperation(room, 'crop', { id: 'rect-1', x: 0, y: 0, width: 1, height: 1, crop }))
+      .toEqual({ ok: false, reason: 'wrong-type' });
+  });
+});
+
+describe('layers', () => {
+  const withLayers = () => ({
+    ...createRoom(),
+    layers: [{ id: 'default', name: 'Layer 1', hidden: false, locked: false, order: 0 }],
+  });
+
+  test('creates, renames, hides, locks and reorders layers', () => {
+    const room = withLayers();
+    const created = applyOperation(room, 'layer:create', { id: 'notes', name: 'Notes', hidden: false, locked: false, order: 1 });
+    expect(created.inverse).toEqual({ event: 'layer:delete', data: { id: 'notes' } });
+
+    applyOperation(room, 'layer:rename', { id: 'notes', name: 'Annotations' });
+    applyOperation(room, 'layer:visibility', { id: 'notes', hidden: true });
+    const locked = applyOperation(room, 'layer:lock', { id: 'notes', locked: true });
+    applyOperation(room, 'layer:reorder', { id: 'notes', order: -1 });
+
+    expect(room.layers[1]).toMatchObject({ name: 'Annotations', hidden: true, locked: true, order: -1 });
+    expect(locked.inverse).toEqual({ event: 'layer:lock', data: { id: 'notes', locked: false } });
+  });
+
+  test('moves objects between layers', () => {
+    const room = withLayers();
+    const result = applyOperation(room, 'setLayer', { id: 'rect-1', layer: 'default' });
+
+    expect(room.canvasState[0].layer).toBe('default');
+    expect(result.inverse).toEqual({ event: 'setLayer', data: { id: 'rect-1', layer: null } });
+  });
+
+  test('keeps the last layer', () => {
+    const room = withLayers();
+    expect(applyOperation(room, 'layer:delete', { id: 'default' })).toEqual({ ok: false, reason: 'last-layer' });
+
+    applyOperation(room, 'layer:create', { id: 'second', name: 'Layer 2', order: 1 });
+    const deleted = applyOperation(room, 'layer:delete', { id: 'default' });
+    expect(deleted.ok).toBe(true);
+    expect(deleted.inverse.event).toBe('layer:create');
+  });
+});
+
+describe('group', () => {
+  test('creates a group that ungrouping deletes and undo restores', () => {
+    const room = createRoom();
+    const group = { id: 'group-1', type: 'group', children: ['rect-1', 'line-1'] };
+    const created = applyOperation(room, 'group', group);
+
+    expect(created.ok).toBe(true);
+    expect(created.inverse).toEqual({ event: 'delete', data: { id: 'group-1' } });
+
+    const ungrouped = applyOperation(room, 'delete', { id: 'group-1' });
+    expect(ungrouped.inverse).toMatchObject({ event: 'group', data: group });
+    expect(room.canvasState.filter(obj => !obj.deleted)).toHaveLength(4);
+
+    expect(applyOperation(room, ungrouped.inverse.event, ungrouped.inverse.data).ok).toBe(true);
+    expect(room.canvasState.find(obj => obj.id === 'group-1').deleted).toBe(false);
+  });
+
+  test('rejects groups without a list of child ids', () => {
+    const room = createRoom();
+    expect(applyOperation(room, 'group', { id: 'g', type: 'group', children: [] }))
+      .toEqual({ ok: false, reason: 'invalid-group' });
+    expect(applyOperation(room, 'group', { id: 'g', type: 'rectangle', children: ['rect-1'] }))
+      .toEqual({ ok: false, reason: 'invalid-group' });
+  });
+});
+
+describe('batch', () => {
+  let room;
+
+  beforeEach(() => {
+    room = createRoom();
+  });
+
+  const moveBoth = {
+    ops: [
+      { event: 'move', data: { id: 'rect-1', x: 20, y: 20 } },
+      { event: 'stickyNote:move', data: { id: 'note-1', x: 10, y: 10 } },
+    ],
+    stamp: [4, 'alice'],
+  };
+
+  test('applies every event with the batch stamp', () => {
+    const result = applyOperation(room, 'batch', moveBoth);
+
+    expect(result.ok).toBe(true);
+    expect(room.canvasState[0]).toMatchObject({ x: 20, y: 20 });
+    expect(room.stickyNotes[0]).toMatchObject({ x: 10, y: 10 });
+    expect(room.stickyNotes[0].versions.x).toEqual([4, 'alice']);
+    expect(result.data.ops.map(op => op.data.stamp)).toEqual([[4, 'alice'], [4, 'alice']]);
+  });
+
+  test('its inverse is one batch undoing the events in reverse order', () => {
+    const { inverse } = applyOperation(room, 'batch', moveBoth);
+
+    expect(inverse).toEqual({
+      event: 'batch',
+      data: {
+        ops: [
+          { event: 'stickyNote:move', data: { id: 'note-1', x: 0, y: 0 } },
+          { event: 'move', data: { id: 'rect-1', x: 10, y: 10 } },
+        ],
+      },
+    });
+
+    applyOperation(room, inverse.event, inverse.data);
+    expect(room.canvasState[0]).toMatchObject({ x: 10, y: 10 });
+    expect(room.stickyNotes[0]).toMatchObject({ x: 0, y: 0 });
+  });
+
+  test('skips events that cannot be applied', () => {
+    const result = applyOperation(room, 'batch', {
+      ops: [
+        { event: 'delete', data: { id: 'missing' } },
+        { event: 'delete', data: { id: 'text-1' } },
+        { event: 'batch', data: { ops: [] } },
+      ],
+    });
+
+    expect(result.ok).toBe(true);
+    expect(result.data.ops).toHaveLength(1);
+    expect(result.skipped).toEqual([
+      { event: 'delete', id: 'missing', reason: 'unknown-id' },
+      { event: 'batch', id: undefined, reason: 'unknown-event' },
+    ]);
+  });
+
+  test('fails when nothing applies', () => {
+    expect(applyOperation(room, 'batch', { ops: [] }).reason).toBe('empty-batch');
+    expect(applyOperation(room, 'batch', {}).reason).toBe('invalid-batch');
+  });
+});
+
+describe('clearObjects', () => {
+  test('deletes every object with one stamp', () => {
+    const room = createRoom();
+    room.clock = 2;
+
+    expect(clearObjects(room)).toEqual([3, 'server']);
+    expect(room.canvasState.every(obj => obj.deleted)).toBe(true);
+    expect(room.clock).toBe(3);
+  });
+});
+
+describe('findEntity', () => {
+  test('finds objects, sticky notes and layers, including tombstones', () => {
+    const room = { ...createRoom(), layers: [{ id: 'layer-1', name: 'Layer 1', order: 0 }] };
+    applyOperation(room, 'delete', { id: 'rect-1' });
+
+    expect(findEntity(room, 'rect-1')).toMatchObject({ id: 'rect-1', deleted: true });
+    expect(findEntity(room, 'note-1')).toMatchObject({ id: 'note-1' });
+    expect(findEntity(room, 'layer-1')).toMatchObject({ name: 'Layer 1' });
+    expect(findEntity(room, 'missing')).toBeNull();
+  });
+});
@@ -76,7 +76,8 @@ describe('Socket.IO Server', () => {
       const roomId = 'test-room-456';
       
       clientSocket.on('init', (data) => {
-        expect(Array.isArray(data)).toBe(true);
+        expect(Array.isArray(data.objects)).toBe(true);
+        expect(Array.isArray(data.stickyNotes)).toBe(true);
         done();
       });
       
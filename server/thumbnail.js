@@ -0,0 +1,463 @@
+/**
+ * Board thumbnails
+ *
+ * Renders a saved scene (see serializeRoom in persistence.js) to a small PNG
+ * for the Dashboard's board cards. There's no canvas on the server, so this
+ * rasterizes the few primitives boards are made of itself: filled polygons and
+ * thick line segments, drawn at twice the size and averaged down to smooth
+ * the edges. It's a preview, not an export: images show as placeholder boxes
+ * and text as bars in its colour, the way a line of text reads when shrunk.
+ * Outlines are drawn solid whatever their dash, and faded objects are mixed
+ * with the background rather than with what lies under them.
+ */
+
+const zlib = require('zlib');
+
+const THUMBNAIL_WIDTH = 320;
+const THUMBNAIL_HEIGHT = 200;
+
+// Blank border around the content, in thumbnail pixels
+const PADDING = 12;
+
+// Drawing happens at this multiple of the final size
+const SUPERSAMPLE = 2;
+
+// Segments in the outline of an ellipse
+const ELLIPSE_STEPS = 48;
+
+// Segments in each rounded corner of a rectangle
+const CORNER_STEPS = 6;
+
+const BACKGROUND = [255, 255, 255];
+
+const NAMED_COLORS = {
+  black: [0, 0, 0],
+  white: [255, 255, 255],
+  red: [255, 0, 0],
+  green: [0, 128, 0],
+  blue: [0, 0, 255],
+  yellow: [255, 255, 0],
+  orange: [255, 165, 0],
+  purple: [128, 0, 128],
+  gray: [128, 128, 128],
+  grey: [128, 128, 128],
+};
+
+// [r, g, b] for a CSS colour, or null for ones we don't read (and 'none')
+const parseColor = (value) => {
+  if (typeof value !== 'string') return null;
+  const color = value.trim().toLowerCase();
+  if (NAMED_COLORS[color]) return NAMED_COLORS[color];
+  let match = color.match(/^#([0-9a-f]{3})$/);
+  if (match) return match[1].split('').map(digit => parseInt(digit + digit, 16));
+  match = color.match(/^#([0-9a-f]{6})([0-9a-f]{2})?$/);
+  if (match) return [0, 2, 4].map(i => parseInt(match[1].slice(i, i + 2), 16));
+  match = color.match(/^rgba?\(\s*(\d+)[\s,]+(\d+)[\s,]+(\d+)/);
+  if (match) return match.slice(1, 4).map(n => Math.min(255, Number(n)));
+  return null;
+};
+
+// A colour seen through an object's opacity, over the background
+const fade = (color, opacity) => {
+  if (typeof opacity !== 'number' || opacity >= 1) return color;
+  const alpha = Math.max(opacity, 0);
+  return color.map((channel, i) => Math.round(channel * alpha + BACKGROUND[i] * (1 - alpha)));
+};
+
+const createRaster = (width, height) => {
+  const pixels = Buffer.alloc(width * height * 3);
+  for (let i = 0; i < pixels.length; i += 3) {
+    [pixels[i], pixels[i + 1], pixels[i + 2]] = BACKGROUND;
+  }
+  return { width, height, pixels };
+};
+
+const setPixel = (raster, x, y, color) => {
+  if (x < 0 || y < 0 || x >= raster.width || y >= raster.height) return;
+  const i = (y * raster.width + x) * 3;
+  [raster.pixels[i], raster.pixels[i + 1], raster.pixels[i + 2]] = color;
+};
+
+// Scanline fill with the even-odd rule, sampling pixel centres
+const fillPolygon = (raster, points, color) => {
+  if (points.length < 3) return;
+  const ys = points.map(p => p.y);
+  const top = Math.max(0, Math.floor(Math.min(...ys)));
+  const bottom = Math.min(raster.height - 1, Math.ceil(Math.max(...ys)));
+  for (let y = top; y <= bottom; y += 1) {
+    const scan = y + 0.5;
+    const crossings = [];
+    points.forEach((a, i) => {
+      const b = points[(i + 1) % points.length];
+      if ((a.y <= scan && b.y > scan) || (b.y <= scan && a.y > scan)) {
+        crossings.push(a.x + ((scan - a.y) / (b.y - a.y)) * (b.x - a.x));
+      }
+    });
+    crossings.sort((a, b) => a - b);
+    for (let i = 0; i + 1 < crossings.length; i += 2) {
+      const from = Math.max(0, Math.ceil(crossings[i] - 0.5));
+      const to = Math.min(raster.width - 1, Math.floor(crossings[i + 1] - 0.5));
+      for (let x = from; x <= to; x += 1) setPixel(raster, x, y, color);
+    }
+  }
+};
+
+const fillDisc = (raster, center, radius, color) => {
+  const r2 = radius * radius;
+  for (let y = Math.floor(center.y - radius); y <= Math.ceil(center.y + radius); y += 1) {
+    for (let x = Math.floor(center.x - radius); x <= Math.ceil(center.x + radius); x += 1) {
+      const dx = x + 0.5 - center.x;
+      const dy = y + 0.5 - center.y;
+      if (dx * dx + dy * dy <= r2) setPixel(raster, x, y, color);
+    }
+  }
+};
+
+// A polyline of the given width with round joins, like a canvas stroke
+const strokePolyline = (raster, points, width, color) => {
+  const half = Math.max(width, 1) / 2;
+  points.forEach((a, i) => {
+    if (half > 1) fillDisc(raster, a, half, color);
+    const b = points[i + 1];
+    if (!b) return;
+    const length = Math.hypot(b.x - a.x, b.y - a.y);
+    if (length === 0) return;
+    const nx = (-(b.y - a.y) / length) * half;
+    const ny = ((b.x - a.x) / length) * half;
+    fillPolygon(raster, [
+      { x: a.x + nx, y: a.y + ny }, { x: b.x + nx, y: b.y + ny },
+      { x: b.x - nx, y: b.y - ny }, { x: a.x - nx, y: a.y - ny },
+    ], color);
+  });
+};
+
+// Average each SUPERSAMPLE x SUPERSAMPLE block into one pixel
+const downsample = (raster) => {
+  const width = Math.floor(raster.width / SUPERSAMPLE);
+  const height = Math.floor(raster.height / SUPERSAMPLE);
+  const pixels = Buffer.alloc(width * height * 3);
+  const area = SUPERSAMPLE * SUPERSAMPLE;
+  for (let y = 0; y < height; y += 1) {
+    for (let x = 0; x < width; x += 1) {
+      for (let c = 0; c < 3; c += 1) {
+        let sum = 0;
+        for (let sy = 0; sy < SUPERSAMPLE; sy += 1) {
+          for (let sx = 0; sx < SUPERSAMPLE; sx += 1) {
+            sum += raster.pixels[((y * SUPERSAMPLE + sy) * raster.width + x * SUPERSAMPLE + sx) * 3 + c];
+          }
+        }
+        pixels[(y * width + x) * 3 + c] = Math.round(sum / area);
+      }
+    }
+  }
+  return { width, height, pixels };
+};
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k += 1) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+const crc32 = (buffer) => {
+  let crc = 0xffffffff;
+  for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+const pngChunk = (type, data) => {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+};
+
+// An 8-bit RGB PNG, every row unfiltered
+const encodePng = ({ width, height, pixels }) => {
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8; // bit depth
+  header[9] = 2; // colour type: RGB
+  const rows = Buffer.alloc(height * (width * 3 + 1));
+  for (let y = 0; y < height; y += 1) {
+    pixels.copy(rows, y * (width * 3 + 1) + 1, y * width * 3, (y + 1) * width * 3);
+  }
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    pngChunk('IHDR', header),
+    pngChunk('IDAT', zlib.deflateSync(rows)),
+    pngChunk('IEND', Buffer.alloc(0)),
+  ]);
+};
+
+// Rough width of a line of text in Arial
+const textWidth = obj => String(obj.text || '').length * (obj.fontSize || 20) * 0.55;
+
+const rotateAbout = (point, center, angle) => {
+  if (!angle) return point;
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+  const dx = point.x - center.x;
+  const dy = point.y - center.y;
+  return { x: center.x + dx * cos - dy * sin, y: center.y + dx * sin + dy * cos };
+};
+
+const boxCenter = box => ({ x: box.x + box.width / 2, y: box.y + box.height / 2 });
+
+const boxCorners = box => [
+  { x: box.x, y: box.y }, { x: box.x + box.width, y: box.y },
+  { x: box.x + box.width, y: box.y + box.height }, { x: box.x, y: box.y + box.height },
+];
+
+// A rectangle's outline with its corners rounded (see cornerRadiusOf in
+// src/utils/styles.js)
+const roundedCorners = (box) => {
+  const radius = Math.max(0, Math.min(box.cornerRadius || 0, Math.abs(box.width) / 2, Math.abs(box.height) / 2));
+  if (radius === 0) return boxCorners(box);
+  const centers = [
+    { x: box.x + box.width - radius, y: box.y + radius },
+    { x: box.x + box.width - radius, y: box.y + box.height - radius },
+    { x: box.x + radius, y: box.y + box.height - radius },
+    { x: box.x + radius, y: box.y + radius },
+  ];
+  // Each corner sweeps a quarter turn, starting from the top right
+  return centers.flatMap((center, corner) => Array.from({ length: CORNER_STEPS + 1 }, (_, i) => {
+    const angle = ((corner - 1) + i / CORNER_STEPS) * (Math.PI / 2);
+    return { x: center.x + radius * Math.cos(angle), y: center.y + radius * Math.sin(angle) };
+  }));
+};
+
+// Diagram shape outlines as fractions of their box, as in src/utils/shapes.js
+const arc = (cx, cy, rx, ry, from, to, steps) => Array.from({ length: steps + 1 }, (_, i) => {
+  const angle = from + (to - from) * (i / steps);
+  return { u: cx + rx * Math.cos(angle), v: cy + ry * Math.sin(angle) };
+});
+
+const fillBox = (points) => {
+  const us = points.map(p => p.u);
+  const vs = points.map(p => p.v);
+  const [minU, maxU, minV, maxV] = [Math.min(...us), Math.max(...us), Math.min(...vs), Math.max(...vs)];
+  return points.map(p => ({ u: (p.u - minU) / (maxU - minU), v: (p.v - minV) / (maxV - minV) }));
+};
+
+const CYLINDER_RIM = 0.2;
+
+const SHAPE_OUTLINES = {
+  diamond: [{ u: 0.5, v: 0 }, { u: 1, v: 0.5 }, { u: 0.5, v: 1 }, { u: 0, v: 0.5 }],
+  parallelogram: [{ u: 0.25, v: 0 }, { u: 1, v: 0 }, { u: 0.75, v: 1 }, { u: 0, v: 1 }],
+  hexagon: [
+    { u: 0.25, v: 0 }, { u: 0.75, v: 0 }, { u: 1, v: 0.5 },
+    { u: 0.75, v: 1 }, { u: 0.25, v: 1 }, { u: 0, v: 0.5 },
+  ],
+  star: fillBox(Array.from({ length: 10 }, (_, i) => {
+    const angle = -Math.PI / 2 + (i * Math.PI) / 5;
+    const radius = i % 2 === 0 ? 0.5 : 0.19;
+    return { u: 0.5 + radius * Math.cos(angle), v: 0.5 + radius * Math.sin(angle) };
+  })),
+  cylinder: [
+    ...arc(0.5, CYLINDER_RIM / 2, 0.5, CYLINDER_RIM / 2, Math.PI, 2 * Math.PI, 16),
+    ...arc(0.5, 1 - CYLINDER_RIM / 2, 0.5, CYLINDER_RIM / 2, 0, Math.PI, 16),
+  ],
+  cloud: fillBox(Array.from({ length: 96 }, (_, i) => {
+    const angle = (i / 96) * 2 * Math.PI;
+    const radius = 0.42 + 0.08 * Math.abs(Math.sin(4 * angle));
+    return { u: 0.5 + radius * Math.cos(angle), v: 0.5 + radius * Math.sin(angle) };
+  })),
+  callout: [
+    { u: 0, v: 0 }, { u: 1, v: 0 }, { u: 1, v: 0.8 }, { u: 0.4, v: 0.8 },
+    { u: 0.15, v: 1 }, { u: 0.2, v: 0.8 }, { u: 0, v: 0.8 },
+  ],
+};
+
+// How far an elbow connector runs out of its side before turning
+const ELBOW_STUB = 20;
+
+const SIDE_DIRECTIONS = {
+  top: { x: 0, y: -1 },
+  right: { x: 1, y: 0 },
+  bottom: { x: 0, y: 1 },
+  left: { x: -1, y: 0 },
+};
+
+// The corners of an elbow connector, as elbowPoints in
+// src/utils/connectors.js works them out: out of each bound end square to its
+// side, free ends along the axis the connector spans further
+const elbowPoints = (obj) => {
+  const from = { x: obj.x1, y: obj.y1 };
+  const to = { x: obj.x2, y: obj.y2 };
+  const direction = (binding, dx, dy) => {
+    if (binding && SIDE_DIRECTIONS[binding.anchor]) return SIDE_DIRECTIONS[binding.anchor];
+    return Math.abs(dx) >= Math.abs(dy) ? { x: Math.sign(dx) || 1, y: 0, free: true } : { x: 0, y: Math.sign(dy), free: true };
+  };
+  const out = direction(obj.start, to.x - from.x, to.y - from.y);
+  const into = direction(obj.end, from.x - to.x, from.y - to.y);
+  const stub = (point, dir) => (dir.free ? point : { x: point.x + dir.x * ELBOW_STUB, y: point.y + dir.y * ELBOW_STUB });
+  const a = stub(from, out);
+  const b = stub(to, into);
+  let corners;
+  if (out.x !== 0 && into.x !== 0) {
+    corners = [{ x: (a.x + b.x) / 2, y: a.y }, { x: (a.x + b.x) / 2, y: b.y }];
+  } else if (out.y !== 0 && into.y !== 0) {
+    corners = [{ x: a.x, y: (a.y + b.y) / 2 }, { x: b.x, y: (a.y + b.y) / 2 }];
+  } else {
+    corners = [out.x !== 0 ? { x: b.x, y: a.y } : { x: a.x, y: b.y }];
+  }
+  return [from, a, ...corners, b, to];
+};
+
+// The outline an object is drawn along, in board coordinates, with whether
+// it closes on itself
+const outlineOf = (obj) => {
+  if (obj.type === 'stroke') {
+    const xs = obj.points.map(p => p.x);
+    const ys = obj.points.map(p => p.y);
+    const center = { x: (Math.min(...xs) + Math.max(...xs)) / 2, y: (Math.min(...ys) + Math.max(...ys)) / 2 };
+    return { points: obj.points.map(p => rotateAbout(p, center, obj.rotation)), closed: false };
+  }
+  if (obj.type === 'line' || obj.type === 'arrow') {
+    if (obj.routing === 'elbow') return { points: elbowPoints(obj), closed: false };
+    return { points: [{ x: obj.x1, y: obj.y1 }, { x: obj.x2, y: obj.y2 }], closed: false };
+  }
+  if (obj.type === 'text') {
+    // A bar through the middle of the lowercase letters
+    const y = obj.y - (obj.fontSize || 20) * 0.35;
+    const center = { x: obj.x + textWidth(obj) / 2, y: obj.y - ((obj.fontSize || 20) * 1.2) / 2 };
+    return {
+      points: [{ x: obj.x, y }, { x: obj.x + textWidth(obj), y }].map(p => rotateAbout(p, center, obj.rotation)),
+      closed: false,
+    };
+  }
+  let points;
+  if (obj.type === 'ellipse') {
+    const center = boxCenter(obj);
+    points = Array.from({ length: ELLIPSE_STEPS }, (_, i) => {
+      const angle = (i / ELLIPSE_STEPS) * 2 * Math.PI;
+      return { x: center.x + (obj.width / 2) * Math.cos(angle), y: center.y + (obj.height / 2) * Math.sin(angle) };
+    });
+  } else if (obj.type === 'triangle') {
+    points = [
+      { x: obj.x + obj.width / 2, y: obj.y },
+      { x: obj.x, y: obj.y + obj.height },
+      { x: obj.x + obj.width, y: obj.y + obj.height },
+    ];
+  } else if (SHAPE_OUTLINES[obj.type]) {
+    points = SHAPE_OUTLINES[obj.type].map(({ u, v }) => ({ x: obj.x + u * obj.width, y: obj.y + v * obj.height }));
+  } else if (obj.type === 'rectangle') {
+    points = roundedCorners(obj);
+  } else {
+    points = boxCorners(obj);
+  }
+  const center = boxCenter(obj);
+  return { points: points.map(p => rotateAbout(p, center, obj.rotation)), closed: true };
+};
+
+const DRAWABLE_TYPES = ['stroke', 'line', 'arrow', 'text', 'rectangle', 'ellipse', 'triangle', 'image', ...Object.keys(SHAPE_OUTLINES)];
+
+const isDrawable = obj => DRAWABLE_TYPES.includes(obj.type) &&
+  (obj.type !== 'stroke' || (Array.isArray(obj.points) && obj.points.length > 0));
+
+// Live, visible objects bottom to top: by layer, then by their place in the
+// saved list (which is their stacking order)
+const visibleObjects = (scene) => {
+  const layers = (scene.layers || []).filter(layer => !layer.deleted).sort((a, b) => a.order - b.order);
+  const layerIndex = new Map(layers.map((layer, index) => [layer.id, index]));
+  // Objects on a layer that doesn't exist belong to the bottom one
+  const layerOf = obj => (layerIndex.has(obj.layer) ? layerIndex.get(obj.layer) : 0);
+  return scene.objects
+    .map((obj, index) => ({ obj, index, layer: layerOf(obj) }))
+    .filter(({ obj, layer }) => !obj.deleted && isDrawable(obj) && !(layers[layer] && layers[layer].hidden))
+    .sort((a, b) => a.layer - b.layer || a.index - b.index)
+    .map(entry => entry.obj);
+};
+
+const noteOutline = note => ({
+  points: boxCorners(note).map(p => rotateAbout(p, boxCenter(note), note.rotation)),
+  closed: true,
+});
+
+// Board-space box around everything that gets drawn, erasing included
+const sceneBounds = (objects, notes) => {
+  const points = [
+    ...objects.flatMap(obj => outlineOf(obj).points),
+    ...notes.flatMap(note => noteOutline(note).points),
+  ];
+  if (points.length === 0) return null;
+  const xs = points.map(p => p.x);
+  const ys = points.map(p => p.y);
+  return { minX: Math.min(...xs), minY: Math.min(...ys), maxX: Math.max(...xs), maxY: Math.max(...ys) };
+};
+
+// Pointing along the last leg of the arrow's path
+const arrowhead = (obj) => {
+  const from = obj.routing === 'elbow'
+    ? elbowPoints(obj).filter(p => p.x !== obj.x2 || p.y !== obj.y2).pop() || { x: obj.x1, y: obj.y1 }
+    : { x: obj.x1, y: obj.y1 };
+  const angle = Math.atan2(obj.y2 - from.y, obj.x2 - from.x);
+  const length = 15 + (obj.size || 1) * 2;
+  return [
+    { x: obj.x2, y: obj.y2 },
+    { x: obj.x2 - length * Math.cos(angle - Math.PI / 6), y: obj.y2 - length * Math.sin(angle - Math.PI / 6) },
+    { x: obj.x2 - length * Math.cos(angle + Math.PI / 6), y: obj.y2 - length * Math.sin(angle + Math.PI / 6) },
+  ];
+};
+
+// PNG of a scene's live content, scaled to fit and centred. An empty scene
+// gives a blank image.
+const renderThumbnail = (scene, { width = THUMBNAIL_WIDTH, height = THUMBNAIL_HEIGHT } = {}) => {
+  const raster = createRaster(width * SUPERSAMPLE, height * SUPERSAMPLE);
+  const objects = visibleObjects(scene);
+  const notes = (scene.stickyNotes || [])
+    .filter(note => !note.deleted)
+    .sort((a, b) => (a.zIndex || 0) - (b.zIndex || 0));
+  const bounds = sceneBounds(objects.filter(obj => obj.tool !== 'erase'), notes);
+
+  if (bounds) {
+    const contentWidth = Math.max(bounds.maxX - bounds.minX, 1);
+    const contentHeight = Math.max(bounds.maxY - bounds.minY, 1);
+    // Small boards aren't blown up past their real size
+    const scale = Math.min((width - PADDING * 2) / contentWidth, (height - PADDING * 2) / contentHeight, 1) * SUPERSAMPLE;
+    const offsetX = (width * SUPERSAMPLE - contentWidth * scale) / 2 - bounds.minX * scale;
+    const offsetY = (height * SUPERSAMPLE - contentHeight * scale) / 2 - bounds.minY * scale;
+    const toRaster = p => ({ x: p.x * scale + offsetX, y: p.y * scale + offsetY });
+    const lineWidth = size => Math.max((size || 1) * scale, 1);
+
+    objects.forEach((obj) => {
+      const { points, closed } = outlineOf(obj);
+      const path = points.map(toRaster);
+      const color = obj.tool === 'erase' ? BACKGROUND : fade(parseColor(obj.color) || [0, 0, 0], obj.opacity);
+      if (obj.type === 'image') {
+        fillPolygon(raster, path, fade([241, 243, 245], obj.opacity));
+        strokePolyline(raster, [...path, path[0]], SUPERSAMPLE, fade([173, 181, 189], obj.opacity));
+      } else if (obj.type === 'text') {
+        strokePolyline(raster, path, lineWidth((obj.fontSize || 20) * 0.5), color);
+      } else if (closed) {
+        const fill = parseColor(obj.fill);
+        if (fill) fillPolygon(raster, path, fade(fill, obj.opacity));
+        strokePolyline(raster, [...path, path[0]], lineWidth(obj.size), color);
+      } else {
+        const size = obj.tool === 'erase' ? obj.size * 4 : obj.size;
+        strokePolyline(raster, path, lineWidth(size), color);
+        if (obj.type === 'arrow') fillPolygon(raster, arrowhead(obj).map(toRaster), color);
+      }
+    });
+
+    notes.forEach((note) => {
+      const path = noteOutline(note).points.map(toRaster);
+      fillPolygon(raster, path, parseColor(note.color) || [255, 215, 0]);
+      strokePolyline(raster, [...path, path[0]], SUPERSAMPLE, [204, 204, 204]);
+    });
+  }
+
+  return encodePng(downsample(raster));
+};
+
+module.exports = {
+  THUMBNAIL_WIDTH,
+  THUMBNAIL_HEIGHT,
+  parseColor,
+  encodePng,
+  renderThumbnail,
+};
@@ -0,0 +1,132 @@
+/**
+ * Board Thumbnail Tests
+ *
+ * Decodes the rendered PNGs to check what ends up where.
+ * Run with: cd server && npm test
+ */
+
+const zlib = require('zlib');
+const { THUMBNAIL_WIDTH, THUMBNAIL_HEIGHT, parseColor, encodePng, renderThumbnail } = require('./thumbnail');
+
+// Pixels of an unfiltered 8-bit RGB PNG, as encodePng writes them
+const decodePng = (png) => {
+  const width = png.readUInt32BE(16);
+  const height = png.readUInt32BE(20);
+  const chunks = [];
+  let offset = 8;
+  while (offset < png.length) {
+    const length = png.readUInt32BE(offset);
+    const type = png.toString('ascii', offset + 4, offset + 8);
+    if (type === 'IDAT') chunks.push(png.subarray(offset + 8, offset + 8 + length));
+    offset += length + 12;
+  }
+  const rows = zlib.inflateSync(Buffer.concat(chunks));
+  const pixel = (x, y) => {
+    const i = y * (width * 3 + 1) + 1 + x * 3;
+    return [rows[i], rows[i + 1], rows[i + 2]];
+  };
+  return { width, height, pixel };
+};
+
+const center = image => image.pixel(Math.floor(image.width / 2), Math.floor(image.height / 2));
+
+describe('parseColor', () => {
+  test('reads hex, rgb() and common names', () => {
+    expect(parseColor('#f00')).toEqual([255, 0, 0]);
+    expect(parseColor('#00ff0080')).toEqual([0, 255, 0]);
+    expect(parseColor('rgb(1, 2, 3)')).toEqual([1, 2, 3]);
+    expect(parseColor('Blue')).toEqual([0, 0, 255]);
+    expect(parseColor('none')).toBeNull();
+  });
+});
+
+describe('encodePng', () => {
+  test('writes a PNG signature, size and pixels', () => {
+    const png = encodePng({ width: 2, height: 1, pixels: Buffer.from([255, 0, 0, 0, 0, 255]) });
+    const image = decodePng(png);
+
+    expect(png.subarray(0, 8)).toEqual(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]));
+    expect([image.width, image.height]).toEqual([2, 1]);
+    expect(image.pixel(0, 0)).toEqual([255, 0, 0]);
+    expect(image.pixel(1, 0)).toEqual([0, 0, 255]);
+  });
+});
+
+describe('renderThumbnail', () => {
+  const filledRect = { id: 'r', type: 'rectangle', x: 0, y: 0, width: 400, height: 250, color: '#000000', size: 2, fill: '#ff0000' };
+
+  test('draws a blank image for an empty scene', () => {
+    const image = decodePng(renderThumbnail({ objects: [], stickyNotes: [] }));
+
+    expect([image.width, image.height]).toEqual([THUMBNAIL_WIDTH, THUMBNAIL_HEIGHT]);
+    expect(center(image)).toEqual([255, 255, 255]);
+  });
+
+  test('fits the content into the thumbnail', () => {
+    const image = decodePng(renderThumbnail({ objects: [{ ...filledRect, x: 5000, y: -3000 }], stickyNotes: [] }));
+
+    expect(center(image)).toEqual([255, 0, 0]);
+    expect(image.pixel(2, 2)).toEqual([255, 255, 255]);
+  });
+
+  test('stacks sticky notes above objects', () => {
+    const note = { id: 'n', x: 100, y: 50, width: 200, height: 150, color: '#00ff00', text: '' };
+    const image = decodePng(renderThumbnail({ objects: [filledRect], stickyNotes: [note] }));
+
+    expect(center(image)).toEqual([0, 255, 0]);
+  });
+
+  test('leaves out deleted objects and hidden layers', () => {
+    const layers = [{ id: 'base', name: 'Layer 1', order: 0, hidden: false }, { id: 'top', name: 'Layer 2', order: 1, hidden: true }];
+    const scene = {
+      objects: [
+        { ...filledRect, fill: '#0000ff', layer: 'base' },
+        { ...filledRect, id: 'hidden', layer: 'top' },
+        { ...filledRect, id: 'gone', deleted: true },
+      ],
+      stickyNotes: [],
+      layers,
+    };
+
+    expect(center(decodePng(renderThumbnail(scene)))).toEqual([0, 0, 255]);
+  });
+
+  test('draws strokes in their colour and erases with the background', () => {
+    const stroke = { id: 's', type: 'stroke', points: [{ x: 0, y: 100 }, { x: 200, y: 100 }], color: '#0000ff', size: 20, tool: 'pen' };
+    const eraser = { ...stroke, id: 'e', points: [{ x: 100, y: 90 }, { x: 100, y: 110 }], tool: 'erase', size: 5 };
+
+    expect(center(decodePng(renderThumbnail({ objects: [stroke], stickyNotes: [] })))).toEqual([0, 0, 255]);
+    expect(center(decodePng(renderThumbnail({ objects: [stroke, eraser], stickyNotes: [] })))).toEqual([255, 255, 255]);
+  });
+
+  test('fades objects and rounds the corners of rectangles', () => {
+    const rect = { id: 'r', type: 'rectangle', x: 0, y: 0, width: 200, height: 100, color: '#0000ff', fill: '#0000ff', size: 2 };
+    // (3, 3) on the board, inside a square corner but outside a rounded one
+    const corner = image => image.pixel(image.width / 2 - 97, image.height / 2 - 47);
+
+    expect(center(decodePng(renderThumbnail({ objects: [{ ...rect, opacity: 0.5 }], stickyNotes: [] }))))
+      .toEqual([128, 128, 255]);
+    expect(corner(decodePng(renderThumbnail({ objects: [rect], stickyNotes: [] })))).toEqual([0, 0, 255]);
+    expect(corner(decodePng(renderThumbnail({ objects: [{ ...rect, cornerRadius: 40 }], stickyNotes: [] }))))
+      .toEqual([255, 255, 255]);
+  });
+
+  test('draws diagram shapes along their outline', () => {
+    const shape = { id: 'd', type: 'diamond', x: 0, y: 0, width: 200, height: 100, color: '#0000ff', fill: '#0000ff', size: 2 };
+    const corner = image => image.pixel(image.width / 2 - 90, image.height / 2 - 45);
+    const diamond = decodePng(renderThumbnail({ objects: [shape], stickyNotes: [] }));
+
+    expect(center(diamond)).toEqual([0, 0, 255]);
+    expect(corner(diamond)).toEqual([255, 255, 255]);
+  });
+
+  test('draws elbow connectors along their legs', () => {
+    const line = { id: 'l', type: 'line', x1: 0, y1: 0, x2: 200, y2: 100, color: '#0000ff', size: 10 };
+    // (50, 0) on the board; content this small is centred at its own size
+    const firstLeg = image => image.pixel(image.width / 2 - 50, image.height / 2 - 50);
+
+    expect(firstLeg(decodePng(renderThumbnail({ objects: [line], stickyNotes: [] })))).toEqual([255, 255, 255]);
+    expect(firstLeg(decodePng(renderThumbnail({ objects: [{ ...line, routing: 'elbow' }], stickyNotes: [] }))))
+      .toEqual([0, 0, 255]);
+  });
+});
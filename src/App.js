@@ -1,6 +1,10 @@
 import io from 'socket.io-client';
 import Whiteboard from './components/Whiteboard';
 import Toolbar from './components/Toolbar';
+import LayersPanel from './components/LayersPanel';
+import ExportMenu from './components/ExportMenu';
+import GridMenu from './components/GridMenu';
+import PropertiesPanel from './components/PropertiesPanel';
 import { useState, useRef, useEffect, useCallback } from 'react';
 import { BrowserRouter, Routes, Route, useParams, useNavigate, Navigate } from 'react-router-dom';
 
@@ -10,8 +14,17 @@ import Signup from './components/Auth/Signup';
 import Dashboard from './components/Dashboard/Dashboard';
 import UserProfile from './components/UserProfile/UserProfile';
 import { AcceptInvite } from './components/Collaboration';
-import { getBoard, saveBoardScene } from './supabase';
+import { getBoard, uploadBoardImage } from './supabase';
+import {
+  cacheBoard,
+  getCachedBoard,
+  cacheScene,
+  getPendingOps,
+  savePendingOps,
+} from './utils/offlineStore';
 import { usePresence } from './hooks/usePresence';
+import { downloadBlob } from './utils/exportScene';
+import { DEFAULT_GRID_SETTINGS, normalizeGridSettings } from './utils/snapping';
 
 import './App.css';
 
@@ -69,6 +82,22 @@ function PublicRoute({ children }) {
   return children;
 }
 
+// Whether this device's edits have reached everyone else yet
+function SyncStatus({ joined, pending }) {
+  if (!joined) {
+    return (
+      <div className="sync-status offline" role="status">
+        {pending ? '⚠ Offline · changes saved on this device' : 'Connecting…'}
+      </div>
+    );
+  }
+  return (
+    <div className={`sync-status ${pending ? 'pending' : 'synced'}`} role="status">
+      {pending ? '⟳ Syncing changes…' : '✓ All changes synced'}
+    </div>
+  );
+}
+
 function Board() {
   const { boardId } = useParams();
   const { user, accessToken, getDisplayName, getAvatarUrl } = useAuth();
@@ -76,11 +105,17 @@ function Board() {
   const [size, setSize] = useState(4);
   const [tool, setTool] = useState('pen');
   const [zoom, setZoom] = useState(1);
+  const [layerState, setLayerState] = useState(null); // { layers, activeLayerId } reported by the Whiteboard
+  const [selectionStyle, setSelectionStyle] = useState(null); // style of the selected objects, reported by the Whiteboard
   const [socket, setSocket] = useState(null);
   const [boardData, setBoardData] = useState(null);
   const [loading, setLoading] = useState(true);
-  const [saveStatus, setSaveStatus] = useState(null); // null, 'saving', 'saved', 'error'
-  const saveStatusTimeoutRef = useRef(null);
+  const [role, setRole] = useState(null); // 'viewer', 'editor' or 'admin', sent by the server on join
+  const [gridSettings, setGridSettings] = useState(DEFAULT_GRID_SETTINGS);
+  // Offline support: edits not yet sent to the server
+  const [initialPendingOps, setInitialPendingOps] = useState([]);
+  const [syncState, setSyncState] = useState({ joined: false, pendingCount: 0 });
+  const [imageError, setImageError] = useState(null); // why the last image could not be added
   const navigate = useNavigate();
 
   const whiteboardRef = useRef(null);
@@ -96,12 +131,29 @@ function Board() {
   // Load board data
   useEffect(() => {
     const loadBoard = async () => {
-      const { data, error } = await getBoard(boardId);
-      if (error || !data) {
+      const [{ data, error }, { data: pendingOps }] = await Promise.all([
+        getBoard(boardId),
+        getPendingOps(boardId),
+      ]);
+
+      let board = data;
+      if (board) {
+        cacheBoard(board);
+      } else if (error && error.code !== 'PGRST116') {
+        // Supabase is unreachable rather than the board missing (PGRST116),
+        // so open the copy saved on this device
+        const { data: cached } = await getCachedBoard(boardId);
+        board = cached?.board;
+      }
+
+      if (!board) {
         navigate('/dashboard');
         return;
       }
-      setBoardData(data);
+      setInitialPendingOps(pendingOps);
+      setSyncState(prev => ({ ...prev, pendingCount: pendingOps.length }));
+      setBoardData(board);
+      setGridSettings(normalizeGridSettings(board.grid_settings));
       setLoading(false);
     };
     
@@ -120,37 +172,56 @@ function Board() {
     };
   }, [accessToken]);
 
-  // Join room when socket and board are ready
+  // The server tells us our role on the board, or turns us away
   useEffect(() => {
-    if (socket && boardData) {
-      socket.emit("join-room", boardId);
+    if (!socket) return;
+
+    socket.on("room:role", ({ role }) => {
+      setRole(role);
+    });
+
+    socket.on("room:rejected", ({ reason }) => {
+      console.error('Not allowed to join board:', reason);
+      navigate('/dashboard');
+    });
+
+    // The room's grid settings: on joining, when someone changes them, and
+    // in place of a change of ours the server refused
+    socket.on("grid:update", (settings) => {
+      setGridSettings(normalizeGridSettings(settings));
+    });
+
+    return () => {
+      socket.off("room:role");
+      socket.off("room:rejected");
+      socket.off("grid:update");
+    };
+  }, [socket, navigate]);
+
+  const readOnly = role === 'viewer';
+
+  // Viewers can only look around
+  useEffect(() => {
+    if (readOnly) {
+      setTool('pan');
     }
-  }, [socket, boardData, boardId]);
+  }, [readOnly]);
 
-  // Auto-save board scene
-  const handleSceneChange = async (sceneData) => {
+  // The server saves the board; we only keep a copy of the latest scene on
+  // this device so the board can be reopened offline
+  const handleSceneChange = (sceneData) => {
     if (boardData) {
-      // Clear any existing timeout
-      if (saveStatusTimeoutRef.current) {
-        clearTimeout(saveStatusTimeoutRef.current);
-      }
-      
-      setSaveStatus('saving');
-      const { error } = await saveBoardScene(boardId, sceneData);
-      if (error) {
-        console.error('Failed to save board:', error);
-        setSaveStatus('error');
-        // Hide error after 3 seconds
-        saveStatusTimeoutRef.current = setTimeout(() => setSaveStatus(null), 3000);
-      } else {
-        console.log('Board saved successfully');
-        setSaveStatus('saved');
-        // Hide saved status after 2 seconds
-        saveStatusTimeoutRef.current = setTimeout(() => setSaveStatus(null), 2000);
-      }
+      cacheScene(boardData, sceneData);
     }
   };
 
+  // Whiteboard reports whether it's in the room and which edits are waiting;
+  // the waiting edits are kept on this device in case the page is closed
+  const handleSyncChange = ({ joined, pendingOps }) => {
+    setSyncState({ joined, pendingCount: pendingOps.length });
+    savePendingOps(boardId, pendingOps);
+  };
+
   const handleUndo = () => {
     if (whiteboardRef.current) {
       whiteboardRef.current.undo();
@@ -163,12 +234,64 @@ function Board() {
     }
   };
 
+  // Picking a colour also recolours whatever is selected
+  const handleColorChange = (newColor) => {
+    setColor(newColor);
+    if (whiteboardRef.current) {
+      whiteboardRef.current.recolorSelection(newColor);
+    }
+  };
+
   const handleDelete = () => {
     if (whiteboardRef.current) {
       whiteboardRef.current.deleteSelectedObject();
     }
   };
 
+  const handleUploadImage = (files) => {
+    if (whiteboardRef.current) {
+      whiteboardRef.current.addImages(files);
+    }
+  };
+
+  // Images go to Storage. If that fails the image isn't added: a URL that only
+  // works in this tab would leave everyone else with a broken image.
+  const uploadImage = async (file) => {
+    const { data, error } = await uploadBoardImage(boardId, file);
+    if (error) throw error;
+    return data.url;
+  };
+
+  const handleImageError = (file, error) => {
+    setImageError(`Couldn't add ${file.name}: ${error.message}`);
+  };
+
+  // Download the board, or its selection, named after the board
+  const handleExport = async (format, options) => {
+    if (!whiteboardRef.current) return false;
+    const blob = await whiteboardRef.current.exportBoard(format, options);
+    if (!blob) return false;
+    const name = (boardData?.title || 'board').replace(/[\\/:*?"<>|]+/g, '-');
+    downloadBlob(blob, `${name}.${format}`);
+    return true;
+  };
+
+  // Grid settings are kept by the server, which saves them with the board
+  // and passes changes on to everyone in it. Viewers can change them too,
+  // but only for themselves.
+  const handleGridChange = (changes) => {
+    setGridSettings(prev => ({ ...prev, ...changes }));
+    if (readOnly || !socket) return;
+    socket.emit("grid:update", { roomId: boardId, ...changes });
+  };
+
+  // Layers and properties panel actions are carried out by the Whiteboard
+  const panelAction = (name) => (...args) => {
+    if (whiteboardRef.current) {
+      whiteboardRef.current[name](...args);
+    }
+  };
+
   if (loading) {
     return (
       <div className="home-container">
@@ -190,43 +313,59 @@ function Board() {
   return (
     <>
       <Toolbar
-        setColor={setColor}
+        setColor={handleColorChange}
         setSize={setSize}
         setTool={setTool}
         onUndo={handleUndo}
         onRedo={handleRedo}
         onDelete={handleDelete}
+        onUploadImage={handleUploadImage}
         zoom={zoom}
         activeTool={tool}
+        readOnly={readOnly}
+      />
+
+      <LayersPanel
+        layers={layerState?.layers}
+        activeLayerId={layerState?.activeLayerId}
+        onSelect={panelAction('setActiveLayer')}
+        onAdd={panelAction('addLayer')}
+        onRename={panelAction('renameLayer')}
+        onToggleHidden={panelAction('setLayerHidden')}
+        onToggleLocked={panelAction('setLayerLocked')}
+        onMove={panelAction('moveLayer')}
+        onDelete={panelAction('deleteLayer')}
+        onMoveSelection={panelAction('moveSelectionToLayer')}
+        readOnly={readOnly}
       />
       
+      <PropertiesPanel
+        style={selectionStyle}
+        onChange={panelAction('restyleSelection')}
+        onEditStart={panelAction('beginStyleEdit')}
+        onEditEnd={panelAction('endStyleEdit')}
+        readOnly={readOnly}
+      />
+
+      <ExportMenu onExport={handleExport} />
+      <GridMenu settings={gridSettings} onChange={handleGridChange} />
+
       <div className="user-profile-container">
         <UserProfile />
       </div>
-      {/* Save Status Indicator */}
-      {saveStatus && (
-        <div className="save-status" style={{
-          position: 'fixed',
-          top: '12px',
-          left: '50%',
-          transform: 'translateX(-50%)',
-          padding: '6px 16px',
-          borderRadius: '20px',
-          fontSize: '13px',
-          fontWeight: '500',
-          zIndex: 1000,
-          background: saveStatus === 'saving' ? '#fef3c7' : 
-                     saveStatus === 'error' ? '#fee2e2' : '#d1fae5',
-          color: saveStatus === 'saving' ? '#92400e' : 
-                 saveStatus === 'error' ? '#dc2626' : '#065f46',
-          animation: 'fadeIn 0.2s ease',
-        }}>
-          {saveStatus === 'saving' && '💾 Saving...'}
-          {saveStatus === 'saved' && '✓ Saved'}
-          {saveStatus === 'error' && '⚠ Save failed'}
+      {imageError && (
+        <div className="board-error" role="alert">
+          {imageError}
+          <button onClick={() => setImageError(null)} title="Dismiss">×</button>
         </div>
       )}
-      
+
+      {/* Offline Sync Indicator */}
+      <SyncStatus
+        joined={syncState.joined}
+        pending={syncState.pendingCount > 0}
+      />
+
       {/* Online Users Indicator */}
       {Object.keys(onlineUsers).length > 0 && (
         <div style={{
@@ -306,8 +445,16 @@ function Board() {
         size={size}
         tool={tool}
         onZoomChange={setZoom}
+        onLayersChange={setLayerState}
+        onSelectionStyleChange={setSelectionStyle}
         initialScene={boardData?.scene_json ? JSON.parse(boardData.scene_json) : null}
         onSceneChange={handleSceneChange}
+        readOnly={readOnly}
+        initialPendingOps={initialPendingOps}
+        onSyncChange={handleSyncChange}
+        uploadImage={uploadImage}
+        onImageError={handleImageError}
+        grid={gridSettings}
         userName={getDisplayName()}
         // Supabase Presence props
         remoteCursors={remoteCursors}
@@ -1,12 +1,30 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useRef } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { useAuth } from '../../contexts/AuthContext';
-import { getBoards, createBoard, deleteBoard, logActivity } from '../../supabase';
-import { Plus, Trash2, Clock, Users, LogOut, Share2 } from 'lucide-react';
+import {
+  getBoards, getBoard, createBoard, deleteBoard, saveBoardScene, uploadBoardImage, logActivity,
+} from '../../supabase';
+import { Plus, Trash2, Clock, Users, LogOut, Share2, Download, Upload } from 'lucide-react';
 import { signOut } from '../../supabase';
 import { ShareBoard, PendingInvites } from '../Collaboration';
+import {
+  BOARD_FILE_EXTENSION,
+  createBoardFile,
+  remapSceneIds,
+  resolveAssets,
+  assetToBlob,
+} from '../../utils/boardFile';
+import { IMPORT_ACCEPT, readImportFile, summarizeUnsupported } from '../../utils/importers';
+import { downloadBlob } from '../../utils/exportScene';
 import './Dashboard.css';
 
+// Same shape as the ids the whiteboard gives new objects
+const createId = () => Date.now().toString(36) + Math.random().toString(36).slice(2);
+
+const describeUnsupported = labels => summarizeUnsupported(labels)
+  .map(({ label, count }) => (count > 1 ? `${label} ×${count}` : label))
+  .join(', ');
+
 export default function Dashboard() {
   const { user, getDisplayName, getAvatarUrl } = useAuth();
   const [boards, setBoards] = useState([]);
@@ -15,6 +33,10 @@ export default function Dashboard() {
   const [showNewBoardModal, setShowNewBoardModal] = useState(false);
   const [newBoardTitle, setNewBoardTitle] = useState('');
   const [shareBoard, setShareBoard] = useState(null);
+  const [importing, setImporting] = useState(false);
+  const [transferError, setTransferError] = useState(null);
+  const [importReport, setImportReport] = useState(null);
+  const importInputRef = useRef(null);
   const navigate = useNavigate();
 
   useEffect(() => {
@@ -64,6 +86,105 @@ export default function Dashboard() {
     }
   };
 
+  const handleExportBoard = async (board, e) => {
+    e.stopPropagation();
+    setTransferError(null);
+    try {
+      // The list may be stale, so export what is saved now
+      const { data, error } = await getBoard(board.id);
+      if (error || !data) throw error || new Error('Board not found');
+      const scene = data.scene_json ? JSON.parse(data.scene_json) : { objects: [], stickyNotes: [] };
+      const fetchAsset = async (src) => {
+        const response = await fetch(src);
+        if (!response.ok) throw new Error(`Could not download ${src}`);
+        return response.blob();
+      };
+      const file = await createBoardFile({ title: data.title, scene }, fetchAsset);
+      const name = data.title.replace(/[^\w\- ]+/g, '').trim() || 'board';
+      downloadBlob(new Blob([file], { type: 'application/json' }), `${name}${BOARD_FILE_EXTENSION}`);
+    } catch (error) {
+      console.error('Failed to export board:', error);
+      setTransferError(`Could not export "${board.title}"`);
+    }
+  };
+
+  const handleImportBoard = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    setTransferError(null);
+    let parsed;
+    try {
+      parsed = readImportFile(file.name, await file.text());
+    } catch (readError) {
+      setTransferError(`Could not read ${file.name}: ${readError.message}`);
+      return;
+    }
+    const { board, unsupported, error: parseError } = parsed;
+    if (parseError) {
+      const skipped = unsupported && unsupported.length > 0 ? ` (skipped: ${describeUnsupported(unsupported)})` : '';
+      setTransferError(`Could not import ${file.name}: ${parseError}${skipped}`);
+      return;
+    }
+
+    setImporting(true);
+    const scene = remapSceneIds(board.scene, createId);
+    const { data, error } = await createBoard(board.title, user.id, scene);
+    if (error || !data) {
+      console.error('Failed to import board:', error);
+      setTransferError(`Could not import ${file.name}`);
+      setImporting(false);
+      return;
+    }
+
+    // Images are stored under the new board, so they go up once it exists.
+    // Images whose file couldn't be stored are left out of the board.
+    const assetIds = Object.keys(board.assets);
+    const failedAssets = [];
+    if (assetIds.length > 0) {
+      const urls = {};
+      for (const id of assetIds) {
+        try {
+          const { data: upload, error: uploadError } = await uploadBoardImage(data.id, assetToBlob(board.assets[id]));
+          if (uploadError) throw uploadError;
+          urls[id] = upload.url;
+        } catch (uploadError) {
+          failedAssets.push({ id, reason: uploadError.message });
+        }
+      }
+      // Until this is saved the board's images point at the file's assets,
+      // which nothing can show, so don't open it
+      const { error: saveError } = await saveBoardScene(data.id, resolveAssets(scene, urls));
+      if (saveError) {
+        console.error('Failed to save imported images:', saveError);
+        setTransferError(`Imported ${file.name}, but could not save its images: ${saveError.message}`);
+        setImporting(false);
+        loadBoards();
+        return;
+      }
+    }
+
+    // The activity log is a nicety; it mustn't hold up the import
+    try {
+      await logActivity(data.id, user.id, 'created', { title: board.title, imported: true });
+    } catch (logError) {
+      console.error('Failed to log import:', logError);
+    }
+    setImporting(false);
+    // Say what was left behind before opening the board
+    if (unsupported.length > 0 || failedAssets.length > 0) {
+      setImportReport({
+        boardId: data.id,
+        fileName: file.name,
+        skipped: summarizeUnsupported(unsupported),
+        failedAssets,
+      });
+    } else {
+      navigate(`/board/${data.id}`);
+    }
+  };
+
   const handleShareBoard = (board, e) => {
     e.stopPropagation();
     setShareBoard(board);
@@ -122,12 +243,37 @@ export default function Dashboard() {
       <main className="dashboard-main">
         <header className="dashboard-header">
           <h2>My Boards</h2>
-          <button className="new-board-btn" onClick={() => setShowNewBoardModal(true)}>
-            <Plus size={20} />
-            New Board
-          </button>
+          <div className="dashboard-header-actions">
+            <button
+              className="import-board-btn"
+              onClick={() => importInputRef.current.click()}
+              disabled={importing}
+            >
+              <Upload size={18} />
+              {importing ? 'Importing...' : 'Import board'}
+            </button>
+            <input
+              ref={importInputRef}
+              type="file"
+              accept={IMPORT_ACCEPT}
+              onChange={handleImportBoard}
+              hidden
+              data-testid="import-board-input"
+            />
+            <button className="new-board-btn" onClick={() => setShowNewBoardModal(true)}>
+              <Plus size={20} />
+              New Board
+            </button>
+          </div>
         </header>
 
+        {transferError && (
+          <div className="dashboard-error" role="alert">
+            {transferError}
+            <button onClick={() => setTransferError(null)} title="Dismiss">×</button>
+          </div>
+        )}
+
         {/* Pending Invites */}
         <PendingInvites />
 
@@ -160,7 +306,11 @@ export default function Dashboard() {
                 onClick={() => navigate(`/board/${board.id}`)}
               >
                 <div className="board-preview">
-                  <div className="board-preview-content" />
+                  {board.thumbnail_url ? (
+                    <img className="board-thumbnail" src={board.thumbnail_url} alt="" loading="lazy" />
+                  ) : (
+                    <div className="board-preview-content" />
+                  )}
                 </div>
                 <div className="board-info">
                   <h3 className="board-title">{board.title}</h3>
@@ -187,6 +337,13 @@ export default function Dashboard() {
                       <Share2 size={16} />
                     </button>
                   )}
+                  <button
+                    className="board-export"
+                    onClick={(e) => handleExportBoard(board, e)}
+                    title="Export board"
+                  >
+                    <Download size={16} />
+                  </button>
                   <button
                     className="board-delete"
                     onClick={(e) => handleDeleteBoard(board.id, e)}
@@ -235,6 +392,54 @@ export default function Dashboard() {
         </div>
       )}
 
+      {/* Import Report Modal */}
+      {importReport && (
+        <div className="modal-overlay">
+          <div className="modal" role="dialog" aria-label="Import report">
+            <h3>Imported with omissions</h3>
+            {importReport.skipped.length > 0 && (
+              <>
+                <p className="import-report-intro">
+                  Some of {importReport.fileName} has no counterpart on Collabo boards and was left out:
+                </p>
+                <ul className="import-report-list">
+                  {importReport.skipped.map(({ label, count }) => (
+                    <li key={label}>
+                      <span>{label}</span>
+                      <span className="import-report-count">{count}</span>
+                    </li>
+                  ))}
+                </ul>
+              </>
+            )}
+            {importReport.failedAssets.length > 0 && (
+              <>
+                <p className="import-report-intro">
+                  These images couldn't be stored, so the images using them were left out:
+                </p>
+                <ul className="import-report-list">
+                  {importReport.failedAssets.map(({ id, reason }) => (
+                    <li key={id}>
+                      <span>{id}</span>
+                      <span className="import-report-reason">{reason}</span>
+                    </li>
+                  ))}
+                </ul>
+              </>
+            )}
+            <div className="modal-actions">
+              <button
+                type="button"
+                className="modal-btn primary"
+                onClick={() => navigate(`/board/${importReport.boardId}`)}
+              >
+                Open board
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
       {/* Share Board Modal */}
       {shareBoard && (
         <ShareBoard
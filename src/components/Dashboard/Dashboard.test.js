@@ -25,8 +25,13 @@ jest.mock('../../supabase', () => ({
     }),
   },
   getBoards: jest.fn(),
+  getBoard: jest.fn(),
   createBoard: jest.fn(),
   deleteBoard: jest.fn(),
+  saveBoardScene: jest.fn(),
+  uploadBoardImage: jest.fn(),
+  logActivity: jest.fn(),
+  getMyPendingInvites: jest.fn(),
   getUserProfile: jest.fn().mockResolvedValue({ data: null, error: null }),
 }));
 
@@ -43,8 +48,16 @@ jest.mock('../../contexts/AuthContext', () => ({
   }),
 }));
 
+jest.mock('../../utils/exportScene', () => ({
+  downloadBlob: jest.fn(),
+}));
+
 import Dashboard from './Dashboard';
-import { getBoards, createBoard, deleteBoard } from '../../supabase';
+import {
+  getBoards, getBoard, createBoard, deleteBoard, saveBoardScene, uploadBoardImage, logActivity, getMyPendingInvites,
+} from '../../supabase';
+import { downloadBlob } from '../../utils/exportScene';
+import { BOARD_FILE_TYPE } from '../../utils/boardFile';
 
 const renderDashboard = () => {
   return render(<Dashboard />);
@@ -54,6 +67,8 @@ describe('Dashboard Component', () => {
   beforeEach(() => {
     jest.clearAllMocks();
     getBoards.mockResolvedValue({ data: [], error: null });
+    getMyPendingInvites.mockResolvedValue({ data: [], error: null });
+    logActivity.mockResolvedValue({ data: null, error: null });
   });
 
   describe('Rendering', () => {
@@ -187,4 +202,153 @@ describe('Dashboard Component', () => {
       });
     });
   });
+
+  describe('Board Files', () => {
+    const boardFile = (changes = {}) => JSON.stringify({
+      type: BOARD_FILE_TYPE,
+      version: 1,
+      board: { title: 'Roadmap' },
+      scene: {
+        objects: [
+          { id: 'r', type: 'rectangle', x: 0, y: 0, width: 10, height: 10 },
+          {
+            id: 'i', type: 'image', src: 'asset:asset-1', x: 0, y: 0, width: 4, height: 2,
+            naturalWidth: 4, naturalHeight: 2,
+          },
+        ],
+        stickyNotes: [],
+      },
+      assets: { 'asset-1': { mimeType: 'image/png', data: btoa('png') } },
+      ...changes,
+    });
+
+    const chooseFile = (text) => {
+      const file = { name: 'roadmap.collabo.json', text: () => Promise.resolve(text) };
+      fireEvent.change(screen.getByTestId('import-board-input'), { target: { files: [file] } });
+    };
+
+    test('imports a board file as a new board', async () => {
+      createBoard.mockResolvedValue({ data: { id: 'imported', title: 'Roadmap' }, error: null });
+      uploadBoardImage.mockResolvedValue({ data: { url: 'https://storage.example/copy.png' }, error: null });
+      saveBoardScene.mockResolvedValue({ data: null, error: null });
+
+      renderDashboard();
+      await waitFor(() => expect(getBoards).toHaveBeenCalled());
+      chooseFile(boardFile());
+
+      await waitFor(() => expect(saveBoardScene).toHaveBeenCalled());
+      const [title, userId, scene] = createBoard.mock.calls[0];
+      expect(title).toBe('Roadmap');
+      expect(userId).toBe('user-123');
+      expect(scene.objects.map(obj => obj.id)).not.toContain('r');
+      expect(uploadBoardImage).toHaveBeenCalledWith('imported', expect.any(Blob));
+      const [boardId, saved] = saveBoardScene.mock.calls[0];
+      expect(boardId).toBe('imported');
+      expect(saved.objects[1].src).toBe('https://storage.example/copy.png');
+    });
+
+    test('lists the images that could not be stored and leaves them out', async () => {
+      createBoard.mockResolvedValue({ data: { id: 'imported', title: 'Roadmap' }, error: null });
+      uploadBoardImage.mockResolvedValue({ data: null, error: new Error('Bucket not found') });
+      saveBoardScene.mockResolvedValue({ data: null, error: null });
+
+      renderDashboard();
+      await waitFor(() => expect(getBoards).toHaveBeenCalled());
+      chooseFile(boardFile());
+
+      const report = await screen.findByRole('dialog', { name: 'Import report' });
+      expect(report).toHaveTextContent('asset-1');
+      expect(report).toHaveTextContent('Bucket not found');
+      const [, saved] = saveBoardScene.mock.calls[0];
+      expect(saved.objects.map(obj => obj.type)).toEqual(['rectangle']);
+    });
+
+    test('reports a board whose images could not be saved instead of opening it', async () => {
+      createBoard.mockResolvedValue({ data: { id: 'imported', title: 'Roadmap' }, error: null });
+      uploadBoardImage.mockResolvedValue({ data: { url: 'https://storage.example/copy.png' }, error: null });
+      saveBoardScene.mockResolvedValue({ data: null, error: new Error('Network error') });
+
+      renderDashboard();
+      await waitFor(() => expect(getBoards).toHaveBeenCalled());
+      chooseFile(boardFile());
+
+      expect(await screen.findByRole('alert')).toHaveTextContent('could not save its images: Network error');
+      expect(logActivity).not.toHaveBeenCalled();
+      expect(screen.queryByRole('dialog', { name: 'Import report' })).not.toBeInTheDocument();
+    });
+
+    test('finishes importing when the activity log fails', async () => {
+      createBoard.mockResolvedValue({ data: { id: 'imported', title: 'Roadmap' }, error: null });
+      uploadBoardImage.mockResolvedValue({ data: { url: 'https://storage.example/copy.png' }, error: null });
+      saveBoardScene.mockResolvedValue({ data: null, error: null });
+      logActivity.mockRejectedValue(new Error('Network error'));
+
+      renderDashboard();
+      await waitFor(() => expect(getBoards).toHaveBeenCalled());
+      chooseFile(boardFile());
+
+      await waitFor(() => expect(logActivity).toHaveBeenCalled());
+      expect(await screen.findByText('Import board')).toBeInTheDocument();
+    });
+
+    test('explains why a file cannot be read', async () => {
+      renderDashboard();
+      await waitFor(() => expect(getBoards).toHaveBeenCalled());
+      const file = { name: 'roadmap.collabo.json', text: () => Promise.reject(new Error('Permission denied')) };
+      fireEvent.change(screen.getByTestId('import-board-input'), { target: { files: [file] } });
+
+      expect(await screen.findByRole('alert')).toHaveTextContent('Could not read roadmap.collabo.json: Permission denied');
+      expect(createBoard).not.toHaveBeenCalled();
+    });
+
+    test('explains why a file cannot be imported', async () => {
+      renderDashboard();
+      await waitFor(() => expect(getBoards).toHaveBeenCalled());
+      chooseFile(boardFile({ version: 2 }));
+
+      expect(await screen.findByRole('alert')).toHaveTextContent(/version 2/);
+      expect(createBoard).not.toHaveBeenCalled();
+    });
+
+    test('lists what an Excalidraw import left out before opening the board', async () => {
+      createBoard.mockResolvedValue({ data: { id: 'sketch', title: 'sketch' }, error: null });
+      const scene = JSON.stringify({
+        type: 'excalidraw',
+        elements: [
+          { id: 'r', type: 'rectangle', x: 0, y: 0, width: 10, height: 10 },
+          { id: 'f1', type: 'frame', x: 0, y: 0, width: 10, height: 10 },
+          { id: 'f2', type: 'frame', x: 0, y: 0, width: 10, height: 10 },
+        ],
+      });
+
+      renderDashboard();
+      await waitFor(() => expect(getBoards).toHaveBeenCalled());
+      fireEvent.change(screen.getByTestId('import-board-input'), {
+        target: { files: [{ name: 'sketch.excalidraw', text: () => Promise.resolve(scene) }] },
+      });
+
+      const report = await screen.findByRole('dialog', { name: 'Import report' });
+      expect(report).toHaveTextContent('frame');
+      expect(report).toHaveTextContent('2');
+      expect(createBoard.mock.calls[0][0]).toBe('sketch');
+    });
+
+    test('exports a board as a board file', async () => {
+      getBoards.mockResolvedValue({ data: [{ id: 'board-1', title: 'Road/map', owner_id: 'user-123' }], error: null });
+      getBoard.mockResolvedValue({
+        data: {
+          id: 'board-1',
+          title: 'Road/map',
+          scene_json: JSON.stringify({ objects: [{ id: 'r', type: 'rectangle', x: 0, y: 0, width: 1, height: 1 }], stickyNotes: [] }),
+        },
+        error: null,
+      });
+
+      renderDashboard();
+      fireEvent.click(await screen.findByTitle('Export board'));
+
+      await waitFor(() => expect(downloadBlob).toHaveBeenCalled());
+      expect(downloadBlob.mock.calls[0][1]).toBe('Roadmap.collabo.json');
+    });
+  });
 });
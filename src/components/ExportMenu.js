@@ -0,0 +1,87 @@
+import { useState } from 'react';
+import { Download } from 'lucide-react';
+import { PNG_SCALES } from '../utils/exportScene';
+
+const FORMATS = [
+  { format: 'png', label: 'PNG image' },
+  { format: 'svg', label: 'SVG vector' },
+  { format: 'pdf', label: 'PDF document' },
+];
+
+// Menu for downloading the board, or only the selection, as an image or
+// document. onExport(format, { selectionOnly, scale }) resolves to whether
+// there was anything to export.
+export default function ExportMenu({ onExport }) {
+  const [isOpen, setIsOpen] = useState(false);
+  const [selectionOnly, setSelectionOnly] = useState(false);
+  const [scale, setScale] = useState(PNG_SCALES[1]);
+  const [status, setStatus] = useState(null); // 'exporting' | 'empty' | 'error'
+
+  const runExport = async (format) => {
+    setStatus('exporting');
+    try {
+      const exported = await onExport(format, { selectionOnly, scale });
+      if (exported) {
+        setStatus(null);
+        setIsOpen(false);
+      } else {
+        setStatus('empty');
+      }
+    } catch (error) {
+      console.error('Export failed:', error);
+      setStatus('error');
+    }
+  };
+
+  return (
+    <div className="export-menu">
+      <button
+        className="export-menu-toggle"
+        onClick={() => {
+          setIsOpen(!isOpen);
+          setStatus(null);
+        }}
+        title="Export"
+        aria-expanded={isOpen}
+      >
+        <Download size={16} />
+        <span>Export</span>
+      </button>
+
+      {isOpen && (
+        <div className="export-menu-body">
+          <label className="export-option">
+            <input
+              type="checkbox"
+              checked={selectionOnly}
+              onChange={(e) => setSelectionOnly(e.target.checked)}
+            />
+            Selection only
+          </label>
+          <label className="export-option">
+            PNG scale
+            <select value={scale} onChange={(e) => setScale(Number(e.target.value))}>
+              {PNG_SCALES.map(option => (
+                <option key={option} value={option}>{option}x</option>
+              ))}
+            </select>
+          </label>
+          {FORMATS.map(({ format, label }) => (
+            <button
+              key={format}
+              className="export-format-btn"
+              onClick={() => runExport(format)}
+              disabled={status === 'exporting'}
+            >
+              {label}
+            </button>
+          ))}
+          {status === 'empty' && (
+            <p className="export-status">{selectionOnly ? 'Nothing is selected' : 'The board is empty'}</p>
+          )}
+          {status === 'error' && <p className="export-status">Export failed</p>}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,39 @@
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import ExportMenu from './ExportMenu';
+
+describe('ExportMenu Component', () => {
+  test('opens to offer each format', () => {
+    render(<ExportMenu onExport={jest.fn()} />);
+    expect(screen.queryByText('PNG image')).toBeNull();
+
+    fireEvent.click(screen.getByTitle('Export'));
+
+    expect(screen.getByText('PNG image')).toBeInTheDocument();
+    expect(screen.getByText('SVG vector')).toBeInTheDocument();
+    expect(screen.getByText('PDF document')).toBeInTheDocument();
+  });
+
+  test('exports with the chosen scope and scale, then closes', async () => {
+    const onExport = jest.fn().mockResolvedValue(true);
+    render(<ExportMenu onExport={onExport} />);
+    fireEvent.click(screen.getByTitle('Export'));
+
+    fireEvent.click(screen.getByLabelText('Selection only'));
+    fireEvent.change(screen.getByLabelText('PNG scale'), { target: { value: '3' } });
+    fireEvent.click(screen.getByText('PNG image'));
+
+    expect(onExport).toHaveBeenCalledWith('png', { selectionOnly: true, scale: 3 });
+    await waitFor(() => expect(screen.queryByText('PNG image')).toBeNull());
+  });
+
+  test('says so when there is nothing to export', async () => {
+    const onExport = jest.fn().mockResolvedValue(false);
+    render(<ExportMenu onExport={onExport} />);
+    fireEvent.click(screen.getByTitle('Export'));
+
+    fireEvent.click(screen.getByText('SVG vector'));
+
+    expect(await screen.findByText('The board is empty')).toBeInTheDocument();
+    expect(onExport).toHaveBeenCalledWith('svg', { selectionOnly: false, scale: 2 });
+  });
+});
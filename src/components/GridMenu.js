@@ -0,0 +1,51 @@
+import { useState } from 'react';
+import { Grid3x3 } from 'lucide-react';
+import { GRID_SIZES } from '../utils/snapping';
+
+// Menu for the board's grid: showing it, snapping to it, its size, and the
+// guides things snap to while dragged. onChange(changes) is called with the
+// settings that changed.
+export default function GridMenu({ settings, onChange }) {
+  const [isOpen, setIsOpen] = useState(false);
+
+  const checkbox = (key, label) => (
+    <label className="export-option">
+      <input
+        type="checkbox"
+        checked={settings[key]}
+        onChange={(e) => onChange({ [key]: e.target.checked })}
+      />
+      {label}
+    </label>
+  );
+
+  return (
+    <div className="export-menu grid-menu">
+      <button
+        className="export-menu-toggle"
+        onClick={() => setIsOpen(!isOpen)}
+        title="Grid and snapping"
+        aria-expanded={isOpen}
+      >
+        <Grid3x3 size={16} />
+        <span>Grid</span>
+      </button>
+
+      {isOpen && (
+        <div className="export-menu-body">
+          {checkbox('visible', 'Show grid')}
+          {checkbox('snap', 'Snap to grid')}
+          <label className="export-option">
+            Grid size
+            <select value={settings.size} onChange={(e) => onChange({ size: Number(e.target.value) })}>
+              {GRID_SIZES.map(option => (
+                <option key={option} value={option}>{option}px</option>
+              ))}
+            </select>
+          </label>
+          {checkbox('guides', 'Alignment guides')}
+        </div>
+      )}
+    </div>
+  );
+}
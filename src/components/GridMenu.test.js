@@ -0,0 +1,29 @@
+import { render, screen, fireEvent } from '@testing-library/react';
+import GridMenu from './GridMenu';
+import { DEFAULT_GRID_SETTINGS } from '../utils/snapping';
+
+describe('GridMenu Component', () => {
+  test('opens to show the current settings', () => {
+    render(<GridMenu settings={{ ...DEFAULT_GRID_SETTINGS, visible: true }} onChange={jest.fn()} />);
+    expect(screen.queryByLabelText('Show grid')).toBeNull();
+
+    fireEvent.click(screen.getByTitle('Grid and snapping'));
+
+    expect(screen.getByLabelText('Show grid')).toBeChecked();
+    expect(screen.getByLabelText('Snap to grid')).not.toBeChecked();
+    expect(screen.getByLabelText('Alignment guides')).toBeChecked();
+    expect(screen.getByLabelText('Grid size')).toHaveValue('20');
+  });
+
+  test('reports each change', () => {
+    const onChange = jest.fn();
+    render(<GridMenu settings={DEFAULT_GRID_SETTINGS} onChange={onChange} />);
+    fireEvent.click(screen.getByTitle('Grid and snapping'));
+
+    fireEvent.click(screen.getByLabelText('Snap to grid'));
+    fireEvent.change(screen.getByLabelText('Grid size'), { target: { value: '40' } });
+
+    expect(onChange).toHaveBeenNthCalledWith(1, { snap: true });
+    expect(onChange).toHaveBeenNthCalledWith(2, { size: 40 });
+  });
+});
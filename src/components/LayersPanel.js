@@ -0,0 +1,152 @@
+import { useState } from 'react';
+import {
+  Layers,
+  Eye,
+  EyeOff,
+  Lock,
+  Unlock,
+  Plus,
+  Trash2,
+  ChevronUp,
+  ChevronDown,
+  ArrowDownToLine
+} from 'lucide-react';
+
+// Side panel listing the board's layers, topmost first. Clicking a layer makes
+// it the one new objects are drawn on; double-clicking its name renames it.
+export default function LayersPanel({
+  layers,
+  activeLayerId,
+  onSelect,
+  onAdd,
+  onRename,
+  onToggleHidden,
+  onToggleLocked,
+  onMove,
+  onDelete,
+  onMoveSelection,
+  readOnly = false
+}) {
+  const [isOpen, setIsOpen] = useState(true);
+  const [renaming, setRenaming] = useState(null); // { id, name }
+
+  if (readOnly || !layers) return null;
+
+  const finishRename = () => {
+    if (renaming) {
+      onRename(renaming.id, renaming.name);
+      setRenaming(null);
+    }
+  };
+
+  const topFirst = [...layers].reverse();
+
+  return (
+    <div className="layers-panel">
+      <div className="layers-panel-header">
+        <button
+          className="layers-panel-toggle"
+          onClick={() => setIsOpen(!isOpen)}
+          title={isOpen ? 'Hide layers' : 'Show layers'}
+        >
+          <Layers size={16} />
+          <span>Layers</span>
+        </button>
+        {isOpen && (
+          <button className="layer-btn" onClick={onAdd} title="Add layer" aria-label="Add layer">
+            <Plus size={16} />
+          </button>
+        )}
+      </div>
+
+      {isOpen && (
+        <ul className="layers-list">
+          {topFirst.map((layer, index) => (
+            <li
+              key={layer.id}
+              className={`layer-row ${layer.id === activeLayerId ? 'active' : ''}`}
+              onClick={() => onSelect(layer.id)}
+            >
+              {renaming && renaming.id === layer.id ? (
+                <input
+                  className="layer-name-input"
+                  value={renaming.name}
+                  onChange={(e) => setRenaming({ ...renaming, name: e.target.value })}
+                  onBlur={finishRename}
+                  onKeyDown={(e) => {
+                    if (e.key === 'Enter') finishRename();
+                    if (e.key === 'Escape') setRenaming(null);
+                  }}
+                  onClick={(e) => e.stopPropagation()}
+                  aria-label="Layer name"
+                  autoFocus
+                />
+              ) : (
+                <span
+                  className={`layer-name ${layer.hidden ? 'hidden' : ''}`}
+                  onDoubleClick={() => setRenaming({ id: layer.id, name: layer.name })}
+                >
+                  {layer.name}
+                </span>
+              )}
+
+              <div className="layer-actions" onClick={(e) => e.stopPropagation()}>
+                <button
+                  className="layer-btn"
+                  onClick={() => onToggleHidden(layer.id, !layer.hidden)}
+                  title={layer.hidden ? `Show ${layer.name}` : `Hide ${layer.name}`}
+                  aria-label={layer.hidden ? `Show ${layer.name}` : `Hide ${layer.name}`}
+                >
+                  {layer.hidden ? <EyeOff size={14} /> : <Eye size={14} />}
+                </button>
+                <button
+                  className={`layer-btn ${layer.locked ? 'on' : ''}`}
+                  onClick={() => onToggleLocked(layer.id, !layer.locked)}
+                  title={layer.locked ? `Unlock ${layer.name}` : `Lock ${layer.name}`}
+                  aria-label={layer.locked ? `Unlock ${layer.name}` : `Lock ${layer.name}`}
+                >
+                  {layer.locked ? <Lock size={14} /> : <Unlock size={14} />}
+                </button>
+                <button
+                  className="layer-btn"
+                  onClick={() => onMoveSelection(layer.id)}
+                  title={`Move selection to ${layer.name}`}
+                  aria-label={`Move selection to ${layer.name}`}
+                >
+                  <ArrowDownToLine size={14} />
+                </button>
+                <button
+                  className="layer-btn"
+                  onClick={() => onMove(layer.id, 1)}
+                  disabled={index === 0}
+                  title="Move layer up"
+                  aria-label={`Move ${layer.name} up`}
+                >
+                  <ChevronUp size={14} />
+                </button>
+                <button
+                  className="layer-btn"
+                  onClick={() => onMove(layer.id, -1)}
+                  disabled={index === topFirst.length - 1}
+                  title="Move layer down"
+                  aria-label={`Move ${layer.name} down`}
+                >
+                  <ChevronDown size={14} />
+                </button>
+                <button
+                  className="layer-btn"
+                  onClick={() => onDelete(layer.id)}
+                  disabled={layers.length === 1}
+                  title="Delete layer"
+                  aria-label={`Delete ${layer.name}`}
+                >
+                  <Trash2 size={14} />
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
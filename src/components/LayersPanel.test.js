@@ -0,0 +1,80 @@
+import { render, screen, fireEvent } from '@testing-library/react';
+import LayersPanel from './LayersPanel';
+
+describe('LayersPanel Component', () => {
+  const layers = [
+    { id: 'bottom', name: 'Sketch', hidden: false, locked: false, order: 0 },
+    { id: 'top', name: 'Notes', hidden: true, locked: true, order: 1 },
+  ];
+
+  const defaultProps = {
+    layers,
+    activeLayerId: 'top',
+    onSelect: jest.fn(),
+    onAdd: jest.fn(),
+    onRename: jest.fn(),
+    onToggleHidden: jest.fn(),
+    onToggleLocked: jest.fn(),
+    onMove: jest.fn(),
+    onDelete: jest.fn(),
+    onMoveSelection: jest.fn(),
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('lists layers topmost first', () => {
+    render(<LayersPanel {...defaultProps} />);
+    const names = screen.getAllByRole('listitem').map(item => item.textContent);
+    expect(names[0]).toContain('Notes');
+    expect(names[1]).toContain('Sketch');
+  });
+
+  test('toggles visibility and lock', () => {
+    render(<LayersPanel {...defaultProps} />);
+
+    fireEvent.click(screen.getByLabelText('Show Notes'));
+    expect(defaultProps.onToggleHidden).toHaveBeenCalledWith('top', false);
+
+    fireEvent.click(screen.getByLabelText('Lock Sketch'));
+    expect(defaultProps.onToggleLocked).toHaveBeenCalledWith('bottom', true);
+    expect(defaultProps.onSelect).not.toHaveBeenCalled();
+  });
+
+  test('selects, adds, moves and deletes layers', () => {
+    render(<LayersPanel {...defaultProps} />);
+
+    fireEvent.click(screen.getByText('Sketch'));
+    expect(defaultProps.onSelect).toHaveBeenCalledWith('bottom');
+
+    fireEvent.click(screen.getByLabelText('Add layer'));
+    expect(defaultProps.onAdd).toHaveBeenCalled();
+
+    fireEvent.click(screen.getByLabelText('Move Sketch up'));
+    expect(defaultProps.onMove).toHaveBeenCalledWith('bottom', 1);
+    expect(screen.getByLabelText('Move Notes up')).toBeDisabled();
+
+    fireEvent.click(screen.getByLabelText('Move selection to Sketch'));
+    expect(defaultProps.onMoveSelection).toHaveBeenCalledWith('bottom');
+
+    fireEvent.click(screen.getByLabelText('Delete Notes'));
+    expect(defaultProps.onDelete).toHaveBeenCalledWith('top');
+  });
+
+  test('renames a layer on double-click', () => {
+    render(<LayersPanel {...defaultProps} />);
+
+    fireEvent.doubleClick(screen.getByText('Sketch'));
+    const input = screen.getByLabelText('Layer name');
+    fireEvent.change(input, { target: { value: 'Background' } });
+    fireEvent.keyDown(input, { key: 'Enter' });
+
+    expect(defaultProps.onRename).toHaveBeenCalledWith('bottom', 'Background');
+  });
+
+  test('renders nothing for viewers', () => {
+    const { container } = render(<LayersPanel {...defaultProps} readOnly />);
+    expect(container).toBeEmptyDOMElement();
+  });
+});
@@ -0,0 +1,110 @@
+import { SlidersHorizontal } from 'lucide-react';
+import { DASH_STYLES } from '../utils/styles';
+
+const DASH_LABELS = { solid: 'Solid', dashed: 'Dashed', dotted: 'Dotted' };
+
+// Colour inputs only take #rrggbb
+const toHex = (value, fallback) => (/^#[0-9a-f]{6}$/i.test(value || '') ? value : fallback);
+
+// Side panel for the style of the selected objects (see utils/styles.js).
+// `style` holds each field the selection can take, as selectionStyle gives
+// it; fields it lacks have no control. onChange(changes) is called with the
+// fields that changed. Focusing a control starts an edit (onEditStart) that
+// lasts until it loses focus (onEditEnd), so dragging a slider is one step.
+export default function PropertiesPanel({ style, onChange, onEditStart, onEditEnd, readOnly = false }) {
+  if (readOnly || !style || Object.keys(style).length === 0) return null;
+
+  const has = field => field in style;
+
+  return (
+    <div className="properties-panel" onFocus={onEditStart} onBlur={onEditEnd}>
+      <div className="properties-panel-header">
+        <SlidersHorizontal size={16} />
+        <span>Style</span>
+      </div>
+
+      <div className="properties-panel-body">
+        {has('color') && (
+          <label className="properties-option">
+            Stroke
+            <input
+              type="color"
+              value={toHex(style.color, '#000000')}
+              onChange={(e) => onChange({ color: e.target.value })}
+            />
+          </label>
+        )}
+
+        {has('fill') && (
+          <div className="properties-option">
+            <label className="properties-fill">
+              <input
+                type="checkbox"
+                checked={Boolean(style.fill)}
+                onChange={(e) => onChange({ fill: e.target.checked ? toHex(style.color, '#ffffff') : null })}
+              />
+              Fill
+            </label>
+            <input
+              type="color"
+              aria-label="Fill color"
+              value={toHex(style.fill, '#ffffff')}
+              disabled={!style.fill}
+              onChange={(e) => onChange({ fill: e.target.value })}
+            />
+          </div>
+        )}
+
+        {has('size') && (
+          <label className="properties-option">
+            Width
+            <input
+              type="range"
+              min="1"
+              max="20"
+              value={style.size || 1}
+              onChange={(e) => onChange({ size: Number(e.target.value) })}
+            />
+          </label>
+        )}
+
+        {has('dash') && (
+          <label className="properties-option">
+            Line
+            <select value={style.dash || 'solid'} onChange={(e) => onChange({ dash: e.target.value })}>
+              {DASH_STYLES.map(dash => (
+                <option key={dash} value={dash}>{DASH_LABELS[dash]}</option>
+              ))}
+            </select>
+          </label>
+        )}
+
+        {has('opacity') && (
+          <label className="properties-option">
+            Opacity
+            <input
+              type="range"
+              min="0"
+              max="100"
+              value={Math.round((style.opacity ?? 1) * 100)}
+              onChange={(e) => onChange({ opacity: Number(e.target.value) / 100 })}
+            />
+          </label>
+        )}
+
+        {has('cornerRadius') && (
+          <label className="properties-option">
+            Corners
+            <input
+              type="range"
+              min="0"
+              max="50"
+              value={style.cornerRadius || 0}
+              onChange={(e) => onChange({ cornerRadius: Number(e.target.value) })}
+            />
+          </label>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,51 @@
+import { render, screen, fireEvent } from '@testing-library/react';
+import PropertiesPanel from './PropertiesPanel';
+
+describe('PropertiesPanel Component', () => {
+  const rectangleStyle = { color: '#1e293b', fill: null, size: 2, dash: null, opacity: null, cornerRadius: null };
+
+  test('shows nothing without a stylable selection', () => {
+    const { container } = render(<PropertiesPanel style={{}} onChange={jest.fn()} />);
+    expect(container).toBeEmptyDOMElement();
+  });
+
+  test('only offers the fields the selection takes', () => {
+    render(<PropertiesPanel style={{ color: '#000000', size: 2, dash: 'dotted', opacity: 0.5 }} onChange={jest.fn()} />);
+
+    expect(screen.getByLabelText('Line')).toHaveValue('dotted');
+    expect(screen.getByLabelText('Opacity')).toHaveValue('50');
+    expect(screen.queryByLabelText('Fill')).toBeNull();
+    expect(screen.queryByLabelText('Corners')).toBeNull();
+  });
+
+  test('reports each change', () => {
+    const onChange = jest.fn();
+    render(<PropertiesPanel style={rectangleStyle} onChange={onChange} />);
+
+    fireEvent.click(screen.getByLabelText('Fill'));
+    fireEvent.change(screen.getByLabelText('Line'), { target: { value: 'dashed' } });
+    fireEvent.change(screen.getByLabelText('Opacity'), { target: { value: '25' } });
+    fireEvent.change(screen.getByLabelText('Corners'), { target: { value: '12' } });
+
+    expect(onChange).toHaveBeenNthCalledWith(1, { fill: '#1e293b' });
+    expect(onChange).toHaveBeenNthCalledWith(2, { dash: 'dashed' });
+    expect(onChange).toHaveBeenNthCalledWith(3, { opacity: 0.25 });
+    expect(onChange).toHaveBeenNthCalledWith(4, { cornerRadius: 12 });
+  });
+
+  test('brackets edits to a control with focus', () => {
+    const onEditStart = jest.fn();
+    const onEditEnd = jest.fn();
+    render(<PropertiesPanel style={rectangleStyle} onChange={jest.fn()} onEditStart={onEditStart} onEditEnd={onEditEnd} />);
+
+    fireEvent.focus(screen.getByLabelText('Width'));
+    expect(onEditStart).toHaveBeenCalledTimes(1);
+    fireEvent.blur(screen.getByLabelText('Width'));
+    expect(onEditEnd).toHaveBeenCalledTimes(1);
+  });
+
+  test('is hidden from viewers', () => {
+    const { container } = render(<PropertiesPanel style={rectangleStyle} onChange={jest.fn()} readOnly />);
+    expect(container).toBeEmptyDOMElement();
+  });
+});
@@ -1,4 +1,4 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useRef } from 'react';
 import {
   MousePointer2,
   Hand,
@@ -16,13 +16,60 @@ import {
   Triangle,
   ChevronDown,
   ChevronUp,
-  Menu
+  ImagePlus,
+  Menu,
+  Shapes,
+  Diamond,
+  Hexagon,
+  Star,
+  Cylinder,
+  Cloud,
+  MessageSquare
 } from 'lucide-react';
 
-export default function Toolbar({ setColor, setSize, setTool, onUndo, onRedo, onDelete, zoom, activeTool }) {
+// Lucide has no parallelogram, so this one is drawn in its style
+const Parallelogram = ({ size }) => (
+  <svg width={size} height={size} viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinejoin="round">
+    <path d="M7 5h15l-5 14H2z" />
+  </svg>
+);
+
+// Diagram shapes, offered in a dropdown beside the basic ones
+const LIBRARY_SHAPES = [
+  { tool: 'diamond', title: 'Diamond', Icon: Diamond },
+  { tool: 'parallelogram', title: 'Parallelogram', Icon: Parallelogram },
+  { tool: 'hexagon', title: 'Hexagon', Icon: Hexagon },
+  { tool: 'star', title: 'Star', Icon: Star },
+  { tool: 'cylinder', title: 'Cylinder', Icon: Cylinder },
+  { tool: 'cloud', title: 'Cloud', Icon: Cloud },
+  { tool: 'callout', title: 'Callout', Icon: MessageSquare },
+];
+
+const isLibraryShape = tool => LIBRARY_SHAPES.some(shape => shape.tool === tool);
+
+export default function Toolbar({ setColor, setSize, setTool, onUndo, onRedo, onDelete, onUploadImage, zoom, activeTool, readOnly = false }) {
   const [isMobile, setIsMobile] = useState(false);
   const [isCollapsed, setIsCollapsed] = useState(false);
   const [showShapes, setShowShapes] = useState(false);
+  const [showLibrary, setShowLibrary] = useState(false);
+  const imageInputRef = useRef(null);
+
+  // Hidden file picker behind the upload button
+  const imageInput = onUploadImage && (
+    <input
+      ref={imageInputRef}
+      type="file"
+      accept="image/*"
+      multiple
+      hidden
+      data-testid="image-upload-input"
+      onChange={(e) => {
+        if (e.target.files.length > 0) onUploadImage(Array.from(e.target.files));
+        // Let the same file be picked again
+        e.target.value = '';
+      }}
+    />
+  );
 
   // Detect mobile/tablet
   useEffect(() => {
@@ -34,6 +81,33 @@ export default function Toolbar({ setColor, setSize, setTool, onUndo, onRedo, on
     return () => window.removeEventListener('resize', checkMobile);
   }, []);
 
+  // Viewers can only pan and zoom, so they get a minimal toolbar
+  if (readOnly) {
+    return (
+      <div className={`toolbar-container ${isMobile ? 'toolbar-mobile' : ''}`}>
+        <div className={`toolbar-group ${isMobile ? 'mobile-group' : ''}`}>
+          <button
+            className={`tool-btn ${isMobile ? 'mobile-btn' : ''} ${activeTool === 'pan' ? 'active' : ''}`}
+            onClick={() => setTool('pan')}
+            title="Pan"
+            aria-label="Pan"
+          >
+            <Hand size={isMobile ? 24 : 20} />
+          </button>
+          <span className="view-only-badge">View only</span>
+        </div>
+
+        {zoom !== undefined && (
+          <div className={`toolbar-group ${isMobile ? 'mobile-group' : ''}`}>
+            <span className={`zoom-badge ${isMobile ? 'mobile-zoom' : ''}`}>
+              {Math.round(zoom * 100)}%
+            </span>
+          </div>
+        )}
+      </div>
+    );
+  }
+
   // Mobile-optimized toolbar
   if (isMobile) {
     return (
@@ -99,10 +173,20 @@ export default function Toolbar({ setColor, setSize, setTool, onUndo, onRedo, on
                 >
                   <StickyNote size={24} />
                 </button>
+                {onUploadImage && (
+                  <button
+                    className="tool-btn mobile-btn"
+                    onClick={() => imageInputRef.current.click()}
+                    aria-label="Upload Image"
+                  >
+                    <ImagePlus size={24} />
+                  </button>
+                )}
+                {imageInput}
                 {/* Shapes dropdown */}
                 <div className="shapes-dropdown-container">
                   <button 
-                    className={`tool-btn mobile-btn ${['rectangle', 'ellipse', 'triangle', 'line', 'arrow'].includes(activeTool) ? 'active' : ''}`}
+                    className={`tool-btn mobile-btn ${['rectangle', 'ellipse', 'triangle', 'line', 'arrow'].includes(activeTool) || isLibraryShape(activeTool) ? 'active' : ''}`}
                     onClick={() => setShowShapes(!showShapes)}
                     aria-label="Shapes"
                   >
@@ -125,6 +209,16 @@ export default function Toolbar({ setColor, setSize, setTool, onUndo, onRedo, on
                       <button className="tool-btn mobile-btn" onClick={() => { setTool('arrow'); setShowShapes(false); }}>
                         <ArrowRight size={24} />
                       </button>
+                      {LIBRARY_SHAPES.map(({ tool, title, Icon }) => (
+                        <button
+                          key={tool}
+                          className="tool-btn mobile-btn"
+                          onClick={() => { setTool(tool); setShowShapes(false); }}
+                          aria-label={title}
+                        >
+                          <Icon size={24} />
+                        </button>
+                      ))}
                     </div>
                   )}
                 </div>
@@ -201,6 +295,12 @@ export default function Toolbar({ setColor, setSize, setTool, onUndo, onRedo, on
         <button className={`tool-btn ${activeTool === 'stickyNote' ? 'active' : ''}`} onClick={() => setTool('stickyNote')} title="Sticky Note">
           <StickyNote size={20} />
         </button>
+        {onUploadImage && (
+          <button className="tool-btn" onClick={() => imageInputRef.current.click()} title="Upload Image">
+            <ImagePlus size={20} />
+          </button>
+        )}
+        {imageInput}
       </div>
 
       {/* Shapes Group */}
@@ -220,6 +320,30 @@ export default function Toolbar({ setColor, setSize, setTool, onUndo, onRedo, on
         <button className={`tool-btn ${activeTool === 'arrow' ? 'active' : ''}`} onClick={() => setTool('arrow')} title="Arrow">
           <ArrowRight size={20} />
         </button>
+        <div className="shapes-dropdown-container">
+          <button
+            className={`tool-btn ${isLibraryShape(activeTool) ? 'active' : ''}`}
+            onClick={() => setShowLibrary(!showLibrary)}
+            title="More shapes"
+            aria-expanded={showLibrary}
+          >
+            <Shapes size={20} />
+          </button>
+          {showLibrary && (
+            <div className="shapes-dropdown">
+              {LIBRARY_SHAPES.map(({ tool, title, Icon }) => (
+                <button
+                  key={tool}
+                  className={`tool-btn ${activeTool === tool ? 'active' : ''}`}
+                  onClick={() => { setTool(tool); setShowLibrary(false); }}
+                  title={title}
+                >
+                  <Icon size={20} />
+                </button>
+              ))}
+            </div>
+          )}
+        </div>
       </div>
 
       {/* Properties Group */}
@@ -141,6 +141,22 @@ describe('Toolbar Component', () => {
       
       expect(defaultProps.setTool).toHaveBeenCalledWith('triangle');
     });
+
+    test('offers diagram shapes under "More shapes"', () => {
+      render(<Toolbar {...defaultProps} />);
+      expect(getButtonByTitle('Cylinder')).toBeNull();
+
+      fireEvent.click(getButtonByTitle('More shapes'));
+      fireEvent.click(getButtonByTitle('Cylinder'));
+
+      expect(defaultProps.setTool).toHaveBeenCalledWith('cylinder');
+      expect(getButtonByTitle('Cylinder')).toBeNull();
+    });
+
+    test('highlights "More shapes" while a diagram shape is drawn', () => {
+      render(<Toolbar {...defaultProps} activeTool="star" />);
+      expect(getButtonByTitle('More shapes')).toHaveClass('active');
+    });
   });
 
   describe('Undo/Redo', () => {
@@ -175,6 +191,28 @@ describe('Toolbar Component', () => {
     });
   });
 
+  describe('Image Upload', () => {
+    test('passes the picked image files on', () => {
+      const onUploadImage = jest.fn();
+      render(<Toolbar {...defaultProps} onUploadImage={onUploadImage} />);
+
+      const input = screen.getByTestId('image-upload-input');
+      const click = jest.spyOn(input, 'click');
+      fireEvent.click(getButtonByTitle('Upload Image'));
+      expect(click).toHaveBeenCalled();
+
+      const file = new File(['png'], 'cat.png', { type: 'image/png' });
+      fireEvent.change(input, { target: { files: [file] } });
+      expect(onUploadImage).toHaveBeenCalledWith([file]);
+    });
+
+    test('has no upload button without a handler', () => {
+      render(<Toolbar {...defaultProps} />);
+
+      expect(getButtonByTitle('Upload Image')).toBeNull();
+    });
+  });
+
   describe('Color Picker', () => {
     test('renders color input', () => {
       render(<Toolbar {...defaultProps} />);
@@ -253,4 +291,23 @@ describe('Toolbar Component', () => {
       expect(selectButton).toHaveClass('active');
     });
   });
+
+  describe('Read-only Mode', () => {
+    test('hides editing tools and actions for viewers', () => {
+      render(<Toolbar {...defaultProps} activeTool="pan" readOnly />);
+
+      expect(getButtonByTitle('Pan')).toBeInTheDocument();
+      expect(getButtonByTitle('Pen')).toBeNull();
+      expect(getButtonByTitle('Eraser')).toBeNull();
+      expect(document.querySelector('button[title*="Undo"]')).toBeNull();
+      expect(document.querySelector('button[title*="Delete"]')).toBeNull();
+      expect(screen.getByText('View only')).toBeInTheDocument();
+    });
+
+    test('still shows the zoom level', () => {
+      render(<Toolbar {...defaultProps} zoom={1.5} readOnly />);
+
+      expect(screen.getByText('150%')).toBeInTheDocument();
+    });
+  });
 });
@@ -1,14 +1,172 @@
-import { useRef, useEffect, useState, forwardRef, useImperativeHandle, useCallback } from "react";
+import { useRef, useEffect, useState, useMemo, forwardRef, useImperativeHandle, useCallback } from "react";
+import {
+  OBJECT_EVENTS,
+  STICKY_NOTE_EVENTS,
+  LAYER_EVENTS,
+  applyOperation,
+  mergeFields,
+  maxCounter,
+  replaceEntity,
+} from "../utils/sceneCrdt";
+import { drawObject, drawStroke, drawShapePreview, paintMargin, rotationCenter } from "../utils/sceneRender";
+import { createSpatialIndex } from "../utils/spatialIndex";
+import {
+  EMPTY_SELECTION,
+  selectionSize,
+  toggleInSelection,
+  mergeSelections,
+  rectFromPoints,
+  containsRect,
+  unionBounds,
+  scaleForHandle,
+  scaleObject,
+  scaleNote,
+  moveObject,
+  resizeOperations,
+} from "../utils/selection";
+import {
+  ANCHOR_SNAP_DISTANCE,
+  isBound,
+  connectableTargets,
+  findAnchor,
+  anchorPoints,
+  routeConnectors,
+  connectorOperations,
+  connectorPath,
+} from "../utils/connectors";
+import {
+  DEFAULT_GRID_SETTINGS,
+  SNAP_DISTANCE,
+  MOVE_EDGES,
+  resizeEdges,
+  offsetBox,
+  resizedBox,
+  snapBox,
+  snapToGrid,
+  gridSpacing,
+} from "../utils/snapping";
+import { ALIGN_COMMANDS, DISTRIBUTE_COMMANDS, arrangeParts } from "../utils/align";
+import { restyleOperation, selectionStyle } from "../utils/styles";
+import { SHAPE_TYPES, isShape, shapeOutline, isPointInPolygon } from "../utils/shapes";
+import { isGroup, buildParentMap, topLevelId, descendantIds, expandGroups } from "../utils/groups";
+import { objectZ, nextObjectZ, nextNoteZ, sortByZ, reorder } from "../utils/zOrder";
+import { sortLayers, withDefaultLayer, layerIdOf, nextLayerName } from "../utils/layers";
+import { PASTE_OFFSET, serializeClipboard, parseClipboard, cloneClipboard, createEventFor } from "../utils/clipboard";
+import {
+  ROTATION_HANDLE_OFFSET,
+  isRotatable,
+  rotatePoint,
+  angleToPoint,
+  snapAngle,
+  rotatedBounds,
+  boxCenter,
+  handlePoint,
+  oppositeHandle,
+} from "../utils/rotation";
+import {
+  isImageFile,
+  fitImageSize,
+  resizeImage,
+  cropImage,
+  uncroppedFrame,
+  readImageSize,
+  getLoadedImage,
+} from "../utils/images";
+import { padBounds, exportPng, exportSvg, exportPdf } from "../utils/exportScene";
+
+// Entries of the stacking-order context menu, with their shortcuts
+const Z_MENU_ITEMS = [
+  { command: 'bringToFront', label: 'Bring to front', shortcut: 'Ctrl+Shift+]' },
+  { command: 'bringForward', label: 'Bring forward', shortcut: 'Ctrl+]' },
+  { command: 'sendBackward', label: 'Send backward', shortcut: 'Ctrl+[' },
+  { command: 'sendToBack', label: 'Send to back', shortcut: 'Ctrl+Shift+[' },
+];
+
+// Entries of the align and distribute context menu, by command
+const ARRANGE_LABELS = {
+  left: 'Align left',
+  center: 'Align center',
+  right: 'Align right',
+  top: 'Align top',
+  middle: 'Align middle',
+  bottom: 'Align bottom',
+  horizontal: 'Distribute horizontally',
+  vertical: 'Distribute vertically',
+};
+
+// Furthest a click can land from an object and still hit it (touch threshold)
+const HIT_SLOP = 20;
+
+// How far selection frames stand off the objects they surround
+const SELECTION_PADDING = 5;
+
+// Objects resized by dragging the edges of their box
+const BOX_TYPES = [...SHAPE_TYPES, 'image'];
+
+// Every canvas object carries a stable id so edits target the same object on
+// every client, regardless of array order
+const createObjectId = () => Date.now().toString(36) + Math.random().toString(36).slice(2);
+
+// Scenes saved before objects carried ids get one assigned on load
+const withObjectIds = (objects) => objects.map(obj => (obj.id ? obj : { ...obj, id: createObjectId() }));
+
+// Clipboard shortcuts typed into a text field or a note being edited belong to it
+const isEditingText = (target) => Boolean(target && (
+  target.isContentEditable || target.tagName === 'INPUT' || target.tagName === 'TEXTAREA'
+));
+
+// The fields that place an object on the canvas, which is what a move sends
+const getGeometry = (obj) => {
+  if (obj.type === 'stroke') return { points: obj.points };
+  if (obj.type === 'line' || obj.type === 'arrow') {
+    return { x1: obj.x1, y1: obj.y1, x2: obj.x2, y2: obj.y2 };
+  }
+  return { x: obj.x, y: obj.y };
+};
+
+// Extent of a stroke's points
+const getStrokeBounds = (points) => {
+  if (points.length === 0) return { minX: 0, minY: 0, maxX: 0, maxY: 0, width: 0, height: 0 };
+  const xs = points.map(p => p.x);
+  const ys = points.map(p => p.y);
+  const minX = Math.min(...xs);
+  const maxX = Math.max(...xs);
+  const minY = Math.min(...ys);
+  const maxY = Math.max(...ys);
+  return {
+    minX,
+    maxX,
+    minY,
+    maxY,
+    width: maxX - minX,
+    height: maxY - minY
+  };
+};
 
 const Whiteboard = forwardRef(({ 
   socket, 
   roomId, 
   color, 
   size, 
-  tool, 
+  tool: requestedTool, 
   onZoomChange, 
   initialScene, 
+  onLayersChange,
+  // Called with the style of the selected objects (see utils/styles.js)
+  onSelectionStyleChange,
   onSceneChange,
+  // Viewers can pan and zoom but not change the board
+  readOnly = false,
+  // Edits saved on this device that never reached the server
+  initialPendingOps,
+  // Called with { joined, pendingOps } whenever either changes
+  onSyncChange,
+  // Stores an image file and resolves to the URL image objects show it from
+  uploadImage,
+  // Called with (file, error) for each image that couldn't be added
+  onImageError,
+  // The board's grid: whether it is shown, snapped to, and its alignment guides
+  grid = DEFAULT_GRID_SETTINGS,
   // Supabase Presence props (optional - falls back to socket if not provided)
   remoteCursors: presenceRemoteCursors,
   onlineUsers,
@@ -18,29 +176,89 @@ const Whiteboard = forwardRef(({
   const canvasRef = useRef(null);
   const ctxRef = useRef(null);
 
+  // Every editing tool is off in read-only mode
+  const tool = readOnly ? 'pan' : requestedTool;
+  // Read by the keyboard handler, which is only registered once per socket
+  const readOnlyRef = useRef(readOnly);
+  readOnlyRef.current = readOnly;
+  const onSyncChangeRef = useRef(onSyncChange);
+  onSyncChangeRef.current = onSyncChange;
+
   const [isDrawing, setIsDrawing] = useState(false);
   const [texts, setTexts] = useState([]);
   const [textInput, setTextInput] = useState(null);
   const [inputValue, setInputValue] = useState("");
 
   // Selection and movement state
-  const [objects, setObjects] = useState([]);
-  const [selectedObject, setSelectedObject] = useState(null);
+  const [sceneObjects, setObjects] = useState([]);
+  // Sticky notes state
+  const [stickyNotes, setStickyNotes] = useState([]);
+  // What is drawn and edited: the scene with every connector on the anchors
+  // it is bound to, which the edits that move them also write
+  const objects = useMemo(() => routeConnectors(sceneObjects, stickyNotes), [sceneObjects, stickyNotes]);
+  // Layers from bottom to top, and the one new objects go on
+  const [layers, setLayers] = useState(() => withDefaultLayer([]));
+  const stackedLayers = useMemo(() => sortLayers(layers), [layers]);
+  const [activeLayerId, setActiveLayerId] = useState(null);
+  const activeLayer = stackedLayers.find(layer => layer.id === activeLayerId) || stackedLayers[stackedLayers.length - 1];
+  const layerRank = useMemo(() => new Map(stackedLayers.map((layer, rank) => [layer.id, rank])), [stackedLayers]);
+  // Objects from bottom to top (by layer, then z), and each one's position
+  // in that order so hit-testing can pick the topmost candidate
+  const stackedObjects = useMemo(() => (
+    sortByZ(objects).sort((a, b) => layerRank.get(layerIdOf(a, stackedLayers)) - layerRank.get(layerIdOf(b, stackedLayers)))
+  ), [objects, stackedLayers, layerRank]);
+  const objectOrder = useMemo(() => new Map(stackedObjects.map((obj, index) => [obj.id, index])), [stackedObjects]);
+  const objectZKeys = useMemo(() => new Map(objects.map((obj, index) => [obj.id, objectZ(obj, index)])), [objects]);
+  const objectsById = useMemo(() => new Map(objects.map(obj => [obj.id, obj])), [objects]);
+  // Which group each grouped object belongs to
+  const parentMap = useMemo(() => buildParentMap(objects), [objects]);
+  // Selected objects and sticky notes, by id. A single selected object or
+  // note gets its own handles; larger selections and groups are transformed
+  // as a group.
+  const [selection, setSelection] = useState(EMPTY_SELECTION);
+  const selectedObject = selection.objectIds.length === 1 && selection.noteIds.length === 0 &&
+    !(objectsById.has(selection.objectIds[0]) && isGroup(objectsById.get(selection.objectIds[0])))
+    ? selection.objectIds[0] : null;
+  const selectedStickyNote = selection.noteIds.length === 1 && selection.objectIds.length === 0
+    ? selection.noteIds[0] : null;
+  const isGroupSelection = selectionSize(selection) > 1 || (selection.objectIds.length === 1 && selectedObject === null);
+  const [marquee, setMarquee] = useState(null); // { start, end, additive } in canvas coordinates
+  // Alignment guides shown while something is dragged or resized (see utils/snapping)
+  const [guides, setGuides] = useState([]);
+  // Originals and start point of a group move or resize in progress
+  const groupTransformRef = useRef(null);
+  // Rotation handle being dragged: { objectId, center }
+  const rotateGestureRef = useRef(null);
+  // Where the pointer last was over the canvas, in canvas coordinates, which
+  // is where pastes land
+  const pointerRef = useRef(null);
+  // The clipboard text pasted last and how many times in a row, so repeated
+  // pastes away from the pointer fan out instead of piling up
+  const lastPasteRef = useRef({ text: null, count: 0 });
+  // The image whose crop is being edited instead of its size
+  const [croppingId, setCroppingId] = useState(null);
+  // Bumped whenever an image finishes loading, so the scene is drawn again
+  const [loadedImageCount, setLoadedImageCount] = useState(0);
   const [isDragging, setIsDragging] = useState(false);
-  const [dragOffset, setDragOffset] = useState({ x: 0, y: 0 });
+  // Where a drag of a single object started, and the object as it was then
+  const [dragStart, setDragStart] = useState(null); // { x, y, object }
   const [isResizing, setIsResizing] = useState(false);
   const [resizeHandle, setResizeHandle] = useState(null);
   const [resizeStartData, setResizeStartData] = useState(null);
   const [cursorStyle, setCursorStyle] = useState('default');
 
-  // Sticky notes state
-  const [stickyNotes, setStickyNotes] = useState([]);
+  // Live notes from bottom to top; reordering can leave fractional zIndex
+  // keys, so notes are layered by their rank instead
+  const stackedNotes = useMemo(() => (
+    stickyNotes.filter(note => !note.deleted).sort((a, b) => (a.zIndex || 0) - (b.zIndex || 0))
+  ), [stickyNotes]);
+  const [contextMenu, setContextMenu] = useState(null); // { x, y } on screen
   const [draggingStickyNote, setDraggingStickyNote] = useState(null);
   const [stickyNoteDragOffset, setStickyNoteDragOffset] = useState({ x: 0, y: 0 });
-  const [selectedStickyNote, setSelectedStickyNote] = useState(null);
   const [resizingStickyNote, setResizingStickyNote] = useState(null);
   const [stickyNoteResizeHandle, setStickyNoteResizeHandle] = useState(null);
   const [stickyNoteResizeStart, setStickyNoteResizeStart] = useState(null);
+  const [rotatingStickyNote, setRotatingStickyNote] = useState(null); // { id, center } on screen
 
   // Zoom and Pan state (Figma-like)
   const [viewportTransform, setViewportTransform] = useState({
@@ -74,16 +292,38 @@ const Whiteboard = forwardRef(({
   const remoteCursors = presenceRemoteCursors || socketRemoteCursors;
   const cursorThrottleRef = useRef(null);
 
-  const undoStack = useRef([]);
-  const redoStack = useRef([]);
+  // Groups the move events of one drag so the server undoes them as one step
+  const dragGestureRef = useRef(null);
+  // Lamport clock and replica id used to stamp our edits (see utils/sceneCrdt)
+  const clockRef = useRef(0);
+  const actorRef = useRef(createObjectId());
+
+  // Keep our clock ahead of every edit we have seen
+  const observeCounter = useCallback((counter) => {
+    clockRef.current = Math.max(clockRef.current, counter);
+  }, []);
+
+  // Position in the room's op sequence, so a reconnect only fetches what we missed
+  const epochRef = useRef(null);
+  const lastSeqRef = useRef(0);
+  // Edits made while we're not in the room yet are held back until we are
+  const joinedRef = useRef(false);
+  const pendingOpsRef = useRef(initialPendingOps || []);
+  // Rendering: object bounds by grid cell, and the cached layer of committed objects
+  const spatialIndexRef = useRef(null);
+  if (!spatialIndexRef.current) {
+    spatialIndexRef.current = createSpatialIndex();
+  }
+  const sceneLayerRef = useRef(null);
   const isInitialized = useRef(false);
   const initialSceneLoaded = useRef(false);
   const autoSaveTimeoutRef = useRef(null);
   const lastSavedSceneRef = useRef(null);
 
-  // Auto-save function with debounce and change detection
+  // Report the scene to the parent (which keeps a copy on this device; the
+  // server saves the board), debounced and only when it changed
   const triggerAutoSave = useCallback(() => {
-    if (!onSceneChange) return;
+    if (!onSceneChange || readOnly) return;
     
     // Clear existing timeout
     if (autoSaveTimeoutRef.current) {
@@ -92,23 +332,22 @@ const Whiteboard = forwardRef(({
     
     // Debounce: save after 1 second of no changes
     autoSaveTimeoutRef.current = setTimeout(() => {
+      // Objects are saved bottom to top, which is how they stack when loaded,
+      // so their z keys aren't needed
       const sceneData = {
-        objects: objects.filter(obj => !obj.deleted),
-        stickyNotes: stickyNotes,
+        objects: stackedObjects.filter(obj => !obj.deleted).map(({ z, ...obj }) => obj),
+        stickyNotes: stickyNotes.filter(note => !note.deleted),
+        layers: stackedLayers,
       };
       
       // Check if scene has actually changed
       const currentSceneJson = JSON.stringify(sceneData);
-      if (currentSceneJson === lastSavedSceneRef.current) {
-        console.log('No changes detected, skipping save');
-        return;
-      }
-      
-      console.log('Changes detected, auto-saving scene...');
+      if (currentSceneJson === lastSavedSceneRef.current) return;
+
       lastSavedSceneRef.current = currentSceneJson;
       onSceneChange(sceneData);
     }, 1000);
-  }, [onSceneChange, objects, stickyNotes]);
+  }, [onSceneChange, readOnly, stackedObjects, stickyNotes, stackedLayers]);
 
   // Trigger auto-save when objects or sticky notes change
   useEffect(() => {
@@ -122,19 +361,24 @@ const Whiteboard = forwardRef(({
     if (initialScene && !initialSceneLoaded.current) {
       console.log('Loading initial scene:', initialScene);
       if (initialScene.objects && Array.isArray(initialScene.objects)) {
-        setObjects(initialScene.objects);
+        setObjects(withObjectIds(initialScene.objects));
+        observeCounter(maxCounter(initialScene.objects));
       }
       if (initialScene.stickyNotes && Array.isArray(initialScene.stickyNotes)) {
         setStickyNotes(initialScene.stickyNotes);
+        observeCounter(maxCounter(initialScene.stickyNotes));
       }
+      setLayers(withDefaultLayer(initialScene.layers));
+      observeCounter(maxCounter(initialScene.layers || []));
       // Store initial scene as last saved state
       lastSavedSceneRef.current = JSON.stringify({
         objects: initialScene.objects || [],
         stickyNotes: initialScene.stickyNotes || [],
+        layers: withDefaultLayer(initialScene.layers),
       });
       initialSceneLoaded.current = true;
     }
-  }, [initialScene]);
+  }, [initialScene, observeCounter]);
 
   // Cleanup auto-save timeout on unmount
   useEffect(() => {
@@ -161,20 +405,8 @@ const Whiteboard = forwardRef(({
     ctx.strokeStyle = color;
     ctx.lineWidth = size;
     ctxRef.current = ctx;
-
-    // Only save initial blank state on first mount
-    if (undoStack.current.length === 0) {
-      saveState();
-    }
   }, [color, size]);
 
-  const saveState = () => {
-    const canvas = canvasRef.current;
-    const imageData = canvas.toDataURL();
-    undoStack.current.push(imageData);
-    redoStack.current = []; // Clear redo stack when new action is made
-  };
-
   // Convert screen coordinates to canvas coordinates
   const screenToCanvas = (screenX, screenY) => {
     const { scale, translateX, translateY } = viewportTransform;
@@ -193,293 +425,627 @@ const Whiteboard = forwardRef(({
     };
   };
 
+  // The anchor of a shape or sticky note near a point, which a connector end
+  // left there binds to. Shapes on hidden or locked layers are left out.
+  const findConnectorAnchor = (point) => {
+    const targets = [...connectableTargets(objects, stickyNotes).values()]
+      .filter(target => !target.type || isPickable(target));
+    return findAnchor(targets, point, ANCHOR_SNAP_DISTANCE / viewportTransform.scale);
+  };
+
+  const toBinding = (anchor) => (anchor ? { id: anchor.id, anchor: anchor.anchor } : null);
+
+  // Apply an update to a single object, looked up by id
+  const updateObjectById = (id, updater) => {
+    setObjects(prev => prev.map(obj => (obj.id === id ? updater(obj) : obj)));
+  };
+
+  const getObjectLayer = useCallback(
+    (obj) => stackedLayers[layerRank.get(layerIdOf(obj, stackedLayers))],
+    [stackedLayers, layerRank]
+  );
+
+  // Objects on hidden layers aren't drawn, and ones on hidden or locked
+  // layers can't be picked, moved or deleted
+  const isOnVisibleLayer = (obj) => !getObjectLayer(obj).hidden;
+
+  const isPickable = useCallback((obj) => {
+    const layer = getObjectLayer(obj);
+    return !layer.hidden && !layer.locked;
+  }, [getObjectLayer]);
+
+  // The selected object, or null if it no longer exists or can't be edited
+  const getSelectedObject = () => {
+    if (selectedObject === null) return null;
+    const obj = objectsById.get(selectedObject);
+    return obj && !obj.deleted && isPickable(obj) ? obj : null;
+  };
+
+  // The objects drawn for a selection, with groups expanded into their members
+  const getSelectedObjects = useCallback(
+    (target = selection) => expandGroups(target.objectIds, objectsById).filter(isPickable),
+    [selection, objectsById, isPickable]
+  );
+
+  const getSelectedNotes = (target = selection) => (
+    stickyNotes.filter(note => !note.deleted && target.noteIds.includes(note.id))
+  );
+
+  // Box around a sticky note as drawn; notes turn about their middle
+  const getNoteBounds = (note) => {
+    const box = { x: note.x, y: note.y, width: note.width, height: note.height };
+    return rotatedBounds(box, boxCenter(box), note.rotation);
+  };
+
+  const getMembersBounds = (members, notes) => unionBounds([
+    ...members.map(getObjectBounds).filter(Boolean),
+    ...notes.map(getNoteBounds),
+  ]);
+
+  // Box around everything in a group selection
+  const getSelectionBounds = () => {
+    if (!isGroupSelection) return null;
+    return getMembersBounds(getSelectedObjects(), getSelectedNotes());
+  };
+
+  // What an object lines up by: its box without the selection frame's padding
+  const getSnapBounds = (obj) => {
+    const bounds = getObjectBounds(obj);
+    return bounds && padBounds(bounds, -SELECTION_PADDING);
+  };
+
+  // What things being dragged or resized can line up with: every other
+  // object on screen and every other note. Connectors that follow them along
+  // are left out.
+  const getSnapTargets = (movingIds) => [
+    ...getVisibleObjects()
+      .filter(obj => !movingIds.has(obj.id) && ![obj.start, obj.end].some(end => end && movingIds.has(end.id)))
+      .map(getSnapBounds)
+      .filter(Boolean),
+    ...stackedNotes.filter(note => !movingIds.has(note.id)).map(getNoteBounds),
+  ];
+
+  // A drag (no handle) or resize of a box by some delta, snapped to the
+  // things around it and to the grid. Shows the guides for it and returns
+  // the delta to use instead.
+  const snapDelta = (box, handle, deltaX, deltaY, movingIds) => {
+    const moved = handle ? resizedBox(box, handle, deltaX, deltaY) : offsetBox(box, deltaX, deltaY);
+    const { dx, dy, guides: found } = snapBox(moved, handle ? resizeEdges(handle) : MOVE_EDGES, {
+      targets: grid.guides ? getSnapTargets(movingIds) : [],
+      threshold: SNAP_DISTANCE / viewportTransform.scale,
+      gridSize: grid.snap ? grid.size : null,
+    });
+    setGuides(found);
+    return { x: deltaX + dx, y: deltaY + dy };
+  };
+
+  // A point snapped to the grid, when the board snaps to it
+  const snapPoint = (x, y) => (grid.snap ? { x: snapToGrid(x, grid.size), y: snapToGrid(y, grid.size) } : { x, y });
+
+  // Start moving or resizing a group selection. Members are transformed from
+  // where they were when the gesture started.
+  const startGroupTransform = (mode, x, y, handle = null, target = selection) => {
+    const members = getSelectedObjects(target);
+    const notes = getSelectedNotes(target);
+    groupTransformRef.current = {
+      mode,
+      handle,
+      start: { x, y },
+      bounds: getMembersBounds(members, notes),
+      snapBounds: unionBounds([...members.map(getSnapBounds).filter(Boolean), ...notes.map(getNoteBounds)]),
+      objects: members,
+      notes,
+      movingIds: new Set([...target.objectIds, ...members.map(obj => obj.id), ...target.noteIds]),
+      gestureId: createObjectId(),
+    };
+  };
+
+  // Moves go out as they happen, one batch per step folded into a single
+  // undo step; resizes are previewed locally and sent when released
+  const transformGroup = (x, y) => {
+    const transform = groupTransformRef.current;
+    const { x: deltaX, y: deltaY } = transform.snapBounds
+      ? snapDelta(transform.snapBounds, transform.handle, x - transform.start.x, y - transform.start.y, transform.movingIds)
+      : { x: x - transform.start.x, y: y - transform.start.y };
+
+    if (transform.mode === 'move') {
+      sendBatch([
+        ...transform.objects.map(obj => ({
+          event: "move",
+          data: { id: obj.id, ...getGeometry(moveObject(obj, deltaX, deltaY)) },
+        })),
+        ...transform.notes.map(note => ({
+          event: "stickyNote:move",
+          data: { id: note.id, x: note.x + deltaX, y: note.y + deltaY },
+        })),
+      ], { gestureId: transform.gestureId });
+      return;
+    }
+
+    const { anchor, scaleX, scaleY } = scaleForHandle(transform.handle, transform.bounds, deltaX, deltaY);
+    const scaledObjects = new Map(transform.objects.map(obj => [obj.id, scaleObject(obj, anchor, scaleX, scaleY)]));
+    const scaledNotes = new Map(transform.notes.map(note => [note.id, scaleNote(note, anchor, scaleX, scaleY)]));
+    transform.result = { objects: [...scaledObjects.values()], notes: [...scaledNotes.values()] };
+    // Only the fields a resize writes change; the rest stay as they are now
+    const resizedFields = (obj) => Object.assign({}, ...resizeOperations(obj).map(op => op.data));
+    setObjects(prev => prev.map(obj => (scaledObjects.has(obj.id) ? { ...obj, ...resizedFields(scaledObjects.get(obj.id)) } : obj)));
+    setStickyNotes(prev => prev.map(note => {
+      const scaled = scaledNotes.get(note.id);
+      return scaled ? { ...note, x: scaled.x, y: scaled.y, width: scaled.width, height: scaled.height } : note;
+    }));
+  };
+
+  const finishGroupTransform = () => {
+    const transform = groupTransformRef.current;
+    groupTransformRef.current = null;
+    setGuides([]);
+    if (transform.mode !== 'resize' || !transform.result) return;
+
+    sendBatch([
+      ...transform.result.objects.flatMap(resizeOperations),
+      ...transform.result.notes.map(note => ({
+        event: "stickyNote:resize",
+        data: { id: note.id, x: note.x, y: note.y, width: note.width, height: note.height },
+      })),
+    ]);
+  };
+
+  // Select everything lying wholly inside the marquee, in stacking order.
+  // A group is picked up once all of its members are inside.
+  const finishMarquee = () => {
+    const rect = rectFromPoints(marquee.start, marquee.end);
+    const pickableIds = [...spatialIndexRef.current.search(rect)].filter(id => isPickable(objectsById.get(id)));
+    const topLevelIds = new Set(pickableIds.map(id => topLevelId(id, parentMap)));
+    const hits = [...topLevelIds]
+      .map(id => objectsById.get(id))
+      .filter(obj => obj && !obj.deleted &&
+        containsRect(rect, getMembersBounds(expandGroups([obj.id], objectsById).filter(isPickable), [])))
+      .sort((a, b) => objectOrder.get(a.id) - objectOrder.get(b.id));
+    const notes = stickyNotes.filter(note => !note.deleted && containsRect(rect, getNoteBounds(note)));
+    const found = { objectIds: hits.map(obj => obj.id), noteIds: notes.map(note => note.id) };
+
+    setSelection(prev => (marquee.additive ? mergeSelections(prev, found) : found));
+    setMarquee(null);
+  };
+
+  // Canvas-space rectangle currently on screen
+  const getViewportRect = () => {
+    const canvas = canvasRef.current;
+    const { scale, translateX, translateY } = viewportTransform;
+    return {
+      x: -translateX / scale,
+      y: -translateY / scale,
+      width: canvas.width / scale,
+      height: canvas.height / scale,
+    };
+  };
+
+  // Objects that reach into the viewport, in drawing order
+  const getVisibleObjects = () => {
+    const visibleIds = spatialIndexRef.current.search(getViewportRect());
+    return stackedObjects.filter(obj => !obj.deleted && visibleIds.has(obj.id) && isOnVisibleLayer(obj));
+  };
+
+  const handleImageLoaded = useCallback(() => setLoadedImageCount(count => count + 1), []);
+  const getImage = (src) => getLoadedImage(src, handleImageLoaded);
+
+  // The committed objects are drawn onto an offscreen layer that is only
+  // redrawn when they or the viewport change. Live strokes, shape previews
+  // and selection handles are drawn over it on every frame.
+  const renderSceneLayer = () => {
+    const canvas = canvasRef.current;
+    const cached = sceneLayerRef.current;
+    if (cached && cached.objects === stackedObjects && cached.layers === stackedLayers &&
+        cached.viewport === viewportTransform && cached.loadedImageCount === loadedImageCount &&
+        cached.canvas.width === canvas.width && cached.canvas.height === canvas.height) {
+      return cached.canvas;
+    }
+
+    const layer = cached ? cached.canvas : document.createElement('canvas');
+    layer.width = canvas.width;
+    layer.height = canvas.height;
+    const ctx = layer.getContext('2d');
+    ctx.save();
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.clearRect(0, 0, layer.width, layer.height);
+    ctx.translate(viewportTransform.translateX, viewportTransform.translateY);
+    ctx.scale(viewportTransform.scale, viewportTransform.scale);
+    ctx.lineJoin = 'round';
+    ctx.lineCap = 'round';
+    getVisibleObjects().forEach(obj => drawObject(ctx, obj, getImage));
+    ctx.restore();
+
+    sceneLayerRef.current = {
+      canvas: layer, objects: stackedObjects, layers: stackedLayers, viewport: viewportTransform, loadedImageCount,
+    };
+    return layer;
+  };
+
   const redrawCanvas = () => {
     const canvas = canvasRef.current;
     const ctx = ctxRef.current;
+    const sceneLayer = renderSceneLayer();
 
     // Save current context state
     ctx.save();
 
-    // Clear entire canvas (reset transform first)
+    // Clear entire canvas (reset transform first) and lay down the scene,
+    // over the grid if it is shown
     ctx.setTransform(1, 0, 0, 1, 0, 0);
     ctx.clearRect(0, 0, canvas.width, canvas.height);
+    ctx.globalCompositeOperation = 'source-over';
+    if (grid.visible) {
+      drawGrid(ctx);
+    }
+    ctx.drawImage(sceneLayer, 0, 0);
 
     // Apply viewport transformation
     ctx.translate(viewportTransform.translateX, viewportTransform.translateY);
     ctx.scale(viewportTransform.scale, viewportTransform.scale);
 
-    // Redraw all objects
-    objects.forEach((obj) => {
-      if (obj.deleted) return;
-      if (obj.type === 'stroke') {
-        ctx.globalCompositeOperation = obj.tool === 'erase' ? 'destination-out' : 'source-over';
-        ctx.strokeStyle = obj.color;
-        ctx.lineWidth = obj.tool === 'erase' ? obj.size * 4 : obj.size;
-        ctx.beginPath();
-        obj.points.forEach((point, index) => {
-          if (index === 0) {
-            ctx.moveTo(point.x, point.y);
-          } else {
-            ctx.lineTo(point.x, point.y);
-          }
-        });
-        ctx.stroke();
-      } else if (obj.type === 'text') {
-        ctx.globalCompositeOperation = 'source-over';
-        ctx.fillStyle = obj.color;
-        const fontSize = obj.fontSize || 20;
-        ctx.font = `${fontSize}px Arial`;
-        ctx.fillText(obj.text, obj.x, obj.y);
-      } else if (obj.type === 'rectangle') {
-        ctx.globalCompositeOperation = 'source-over';
-        ctx.strokeStyle = obj.color;
-        ctx.lineWidth = obj.size;
-        ctx.beginPath();
-        ctx.rect(obj.x, obj.y, obj.width, obj.height);
-        ctx.stroke();
-        if (obj.fill) {
-          ctx.fillStyle = obj.fill;
-          ctx.fill();
-        }
-      } else if (obj.type === 'ellipse') {
-        ctx.globalCompositeOperation = 'source-over';
-        ctx.strokeStyle = obj.color;
-        ctx.lineWidth = obj.size;
-        ctx.beginPath();
-        const centerX = obj.x + obj.width / 2;
-        const centerY = obj.y + obj.height / 2;
-        ctx.ellipse(centerX, centerY, Math.abs(obj.width / 2), Math.abs(obj.height / 2), 0, 0, 2 * Math.PI);
-        ctx.stroke();
-        if (obj.fill) {
-          ctx.fillStyle = obj.fill;
-          ctx.fill();
-        }
-      } else if (obj.type === 'triangle') {
-        ctx.globalCompositeOperation = 'source-over';
-        ctx.strokeStyle = obj.color;
-        ctx.lineWidth = obj.size;
-        ctx.beginPath();
-        // Triangle points: top center, bottom left, bottom right
-        ctx.moveTo(obj.x + obj.width / 2, obj.y);
-        ctx.lineTo(obj.x, obj.y + obj.height);
-        ctx.lineTo(obj.x + obj.width, obj.y + obj.height);
-        ctx.closePath();
-        ctx.stroke();
-        if (obj.fill) {
-          ctx.fillStyle = obj.fill;
-          ctx.fill();
-        }
-      } else if (obj.type === 'line') {
-        ctx.globalCompositeOperation = 'source-over';
-        ctx.strokeStyle = obj.color;
-        ctx.lineWidth = obj.size;
-        ctx.beginPath();
-        ctx.moveTo(obj.x1, obj.y1);
-        ctx.lineTo(obj.x2, obj.y2);
-        ctx.stroke();
-      } else if (obj.type === 'arrow') {
-        ctx.globalCompositeOperation = 'source-over';
-        ctx.strokeStyle = obj.color;
-        ctx.fillStyle = obj.color;
-        ctx.lineWidth = obj.size;
-        
-        // Draw line
-        ctx.beginPath();
-        ctx.moveTo(obj.x1, obj.y1);
-        ctx.lineTo(obj.x2, obj.y2);
-        ctx.stroke();
-        
-        // Draw arrowhead
-        const angle = Math.atan2(obj.y2 - obj.y1, obj.x2 - obj.x1);
-        const headLength = 15 + obj.size * 2;
-        ctx.beginPath();
-        ctx.moveTo(obj.x2, obj.y2);
-        ctx.lineTo(
-          obj.x2 - headLength * Math.cos(angle - Math.PI / 6),
-          obj.y2 - headLength * Math.sin(angle - Math.PI / 6)
-        );
-        ctx.lineTo(
-          obj.x2 - headLength * Math.cos(angle + Math.PI / 6),
-          obj.y2 - headLength * Math.sin(angle + Math.PI / 6)
-        );
-        ctx.closePath();
-        ctx.fill();
+    // Live overlay: shape preview, our stroke and remote users' strokes
+    if (liveShape) {
+      drawShapePreview(ctx, liveShape, viewportTransform.scale);
+      drawAnchorMarkers(ctx, [liveShape.start, liveShape.end]);
+    }
+    if (liveStroke && liveStroke.points.length > 0) {
+      drawStroke(ctx, liveStroke);
+    }
+    Object.values(remoteStrokes.current).forEach(stroke => {
+      if (stroke && stroke.points.length > 0) {
+        drawStroke(ctx, stroke);
       }
     });
 
-    // Draw live shape preview
-    if (liveShape) {
-      ctx.globalCompositeOperation = 'source-over';
-      ctx.strokeStyle = liveShape.color;
-      ctx.lineWidth = liveShape.size;
-      ctx.setLineDash([5 / viewportTransform.scale, 5 / viewportTransform.scale]);
-      
-      if (liveShape.type === 'rectangle') {
-        ctx.beginPath();
-        ctx.rect(liveShape.x, liveShape.y, liveShape.width, liveShape.height);
-        ctx.stroke();
-      } else if (liveShape.type === 'ellipse') {
-        ctx.beginPath();
-        const centerX = liveShape.x + liveShape.width / 2;
-        const centerY = liveShape.y + liveShape.height / 2;
-        ctx.ellipse(centerX, centerY, Math.abs(liveShape.width / 2), Math.abs(liveShape.height / 2), 0, 0, 2 * Math.PI);
-        ctx.stroke();
-      } else if (liveShape.type === 'triangle') {
-        ctx.beginPath();
-        ctx.moveTo(liveShape.x + liveShape.width / 2, liveShape.y);
-        ctx.lineTo(liveShape.x, liveShape.y + liveShape.height);
-        ctx.lineTo(liveShape.x + liveShape.width, liveShape.y + liveShape.height);
-        ctx.closePath();
-        ctx.stroke();
-      } else if (liveShape.type === 'line') {
-        ctx.beginPath();
-        ctx.moveTo(liveShape.x1, liveShape.y1);
-        ctx.lineTo(liveShape.x2, liveShape.y2);
-        ctx.stroke();
-      } else if (liveShape.type === 'arrow') {
-        ctx.beginPath();
-        ctx.moveTo(liveShape.x1, liveShape.y1);
-        ctx.lineTo(liveShape.x2, liveShape.y2);
-        ctx.stroke();
-        
-        // Draw arrowhead preview
-        const angle = Math.atan2(liveShape.y2 - liveShape.y1, liveShape.x2 - liveShape.x1);
-        const headLength = 15 + liveShape.size * 2;
-        ctx.setLineDash([]);
-        ctx.fillStyle = liveShape.color;
+    // Selection overlay
+    ctx.globalCompositeOperation = 'source-over';
+    const obj = getSelectedObject();
+    if (obj) {
+      drawObjectSelection(ctx, obj);
+    } else if (isGroupSelection) {
+      // Outline each member, then handles around the whole group
+      ctx.strokeStyle = 'rgba(0, 102, 255, 0.5)';
+      ctx.lineWidth = 1 / viewportTransform.scale;
+      getSelectedObjects().forEach((member) => {
+        const bounds = getObjectBounds(member);
+        if (bounds) ctx.strokeRect(bounds.x, bounds.y, bounds.width, bounds.height);
+      });
+      drawSelectionBox(ctx, getSelectionBounds());
+    }
+
+    // Alignment guides of whatever is being dragged or resized
+    if (guides.length > 0) {
+      drawGuides(ctx);
+    }
+
+    // Marquee being dragged out
+    if (marquee) {
+      const rect = rectFromPoints(marquee.start, marquee.end);
+      ctx.fillStyle = 'rgba(0, 102, 255, 0.08)';
+      ctx.strokeStyle = '#0066ff';
+      ctx.lineWidth = 1 / viewportTransform.scale;
+      ctx.fillRect(rect.x, rect.y, rect.width, rect.height);
+      ctx.strokeRect(rect.x, rect.y, rect.width, rect.height);
+    }
+
+    // Restore context state
+    ctx.restore();
+  };
+
+  // Grid lines across the viewport, drawn in screen space so they stay one
+  // pixel wide at any zoom
+  const drawGrid = (ctx) => {
+    const canvas = canvasRef.current;
+    const { scale, translateX, translateY } = viewportTransform;
+    const spacing = gridSpacing(grid.size, scale) * scale;
+    const firstX = ((translateX % spacing) + spacing) % spacing;
+    const firstY = ((translateY % spacing) + spacing) % spacing;
+
+    ctx.strokeStyle = 'rgba(0, 0, 0, 0.08)';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    for (let x = firstX; x < canvas.width; x += spacing) {
+      ctx.moveTo(Math.round(x) + 0.5, 0);
+      ctx.lineTo(Math.round(x) + 0.5, canvas.height);
+    }
+    for (let y = firstY; y < canvas.height; y += spacing) {
+      ctx.moveTo(0, Math.round(y) + 0.5);
+      ctx.lineTo(canvas.width, Math.round(y) + 0.5);
+    }
+    ctx.stroke();
+  };
+
+  const drawGuides = (ctx) => {
+    ctx.strokeStyle = '#ff3d7f';
+    ctx.lineWidth = 1 / viewportTransform.scale;
+    ctx.beginPath();
+    guides.forEach(({ axis, position, start, end }) => {
+      if (axis === 'x') {
+        ctx.moveTo(position, start);
+        ctx.lineTo(position, end);
+      } else {
+        ctx.moveTo(start, position);
+        ctx.lineTo(end, position);
+      }
+    });
+    ctx.stroke();
+  };
+
+  // The anchors of the targets a connector being drawn is bound to, with the
+  // ones it is bound to filled in
+  const drawAnchorMarkers = (ctx, bindings) => {
+    const targets = connectableTargets(objects, stickyNotes);
+    ctx.strokeStyle = '#0066ff';
+    ctx.lineWidth = 1.5 / viewportTransform.scale;
+    bindings.filter(Boolean).forEach((binding) => {
+      const target = targets.get(binding.id);
+      if (!target) return;
+      anchorPoints(target).forEach(({ anchor, x, y }) => {
         ctx.beginPath();
-        ctx.moveTo(liveShape.x2, liveShape.y2);
-        ctx.lineTo(
-          liveShape.x2 - headLength * Math.cos(angle - Math.PI / 6),
-          liveShape.y2 - headLength * Math.sin(angle - Math.PI / 6)
-        );
-        ctx.lineTo(
-          liveShape.x2 - headLength * Math.cos(angle + Math.PI / 6),
-          liveShape.y2 - headLength * Math.sin(angle + Math.PI / 6)
-        );
-        ctx.closePath();
+        ctx.arc(x, y, 4 / viewportTransform.scale, 0, Math.PI * 2);
+        ctx.fillStyle = anchor === binding.anchor ? '#0066ff' : '#ffffff';
         ctx.fill();
+        ctx.stroke();
+      });
+    });
+  };
+
+  // Selection frame of a single object, turned with it, and the handle that
+  // rotates it. An image being cropped shows the rest of its picture faintly
+  // instead of the rotation handle.
+  const drawObjectSelection = (ctx, obj) => {
+    const frame = getObjectFrame(obj);
+    if (!frame) return;
+
+    ctx.save();
+    if (obj.rotation) {
+      const center = rotationCenter(ctx, obj);
+      ctx.translate(center.x, center.y);
+      ctx.rotate(obj.rotation);
+      ctx.translate(-center.x, -center.y);
+    }
+    const cropping = obj.id === croppingId;
+    if (cropping) {
+      const whole = uncroppedFrame(obj);
+      const image = getImage(obj.src);
+      if (image) {
+        ctx.globalAlpha = 0.3;
+        ctx.drawImage(image, whole.x, whole.y, whole.width, whole.height);
+        ctx.globalAlpha = 1;
       }
-      ctx.setLineDash([]);
+      ctx.strokeStyle = 'rgba(0, 102, 255, 0.5)';
+      ctx.lineWidth = 1 / viewportTransform.scale;
+      ctx.strokeRect(whole.x, whole.y, whole.width, whole.height);
     }
+    drawSelectionBox(ctx, frame);
 
-    // Draw current user's live stroke
-    if (liveStroke && liveStroke.points.length > 0) {
-      ctx.globalCompositeOperation = liveStroke.tool === 'erase' ? 'destination-out' : 'source-over';
-      ctx.strokeStyle = liveStroke.color;
-      ctx.lineWidth = liveStroke.tool === 'erase' ? liveStroke.size * 4 : liveStroke.size;
+    if (isRotatable(obj) && !cropping) {
+      const topX = frame.x + frame.width / 2;
+      const handleY = frame.y - ROTATION_HANDLE_OFFSET / viewportTransform.scale;
       ctx.beginPath();
-      liveStroke.points.forEach((point, index) => {
-        if (index === 0) {
-          ctx.moveTo(point.x, point.y);
-        } else {
-          ctx.lineTo(point.x, point.y);
-        }
-      });
+      ctx.moveTo(topX, frame.y);
+      ctx.lineTo(topX, handleY);
+      ctx.stroke();
+      ctx.beginPath();
+      ctx.arc(topX, handleY, 5 / viewportTransform.scale, 0, Math.PI * 2);
+      ctx.fill();
       ctx.stroke();
     }
+    ctx.restore();
+  };
 
-    // Draw remote users' live strokes
-    Object.values(remoteStrokes.current).forEach(stroke => {
-      if (stroke && stroke.points.length > 0) {
-        ctx.globalCompositeOperation = stroke.tool === 'erase' ? 'destination-out' : 'source-over';
-        ctx.strokeStyle = stroke.color;
-        ctx.lineWidth = stroke.tool === 'erase' ? stroke.size * 4 : stroke.size;
+  // Dashed bounding box with resize handles
+  const drawSelectionBox = (ctx, bounds) => {
+    if (!bounds) return;
+
+    ctx.strokeStyle = '#0066ff';
+    ctx.lineWidth = 2 / viewportTransform.scale;
+    ctx.setLineDash([5 / viewportTransform.scale, 5 / viewportTransform.scale]);
+
+    // Draw bounding box
+    ctx.strokeRect(bounds.x, bounds.y, bounds.width, bounds.height);
+    ctx.setLineDash([]);
+
+    // Draw resize handles (8 handles: corners + edges)
+    // Use larger handles for touch devices
+    const handles = getBoundsHandles(bounds);
+    const isTouchDevice = 'ontouchstart' in window || isTouching;
+    const handleSize = (isTouchDevice ? 16 : 8) / viewportTransform.scale;
+
+    ctx.fillStyle = '#ffffff';
+    ctx.strokeStyle = '#0066ff';
+    ctx.lineWidth = (isTouchDevice ? 2 : 1.5) / viewportTransform.scale;
+
+    Object.values(handles).forEach((pos) => {
+      // Draw circular handles for touch devices, square for desktop
+      if (isTouchDevice) {
         ctx.beginPath();
-        stroke.points.forEach((point, index) => {
-          if (index === 0) {
-            ctx.moveTo(point.x, point.y);
-          } else {
-            ctx.lineTo(point.x, point.y);
-          }
-        });
+        ctx.arc(pos.x, pos.y, handleSize / 2, 0, Math.PI * 2);
+        ctx.fill();
         ctx.stroke();
+      } else {
+        ctx.fillRect(pos.x - handleSize / 2, pos.y - handleSize / 2, handleSize, handleSize);
+        ctx.strokeRect(pos.x - handleSize / 2, pos.y - handleSize / 2, handleSize, handleSize);
       }
     });
+  };
 
-    // Highlight selected object
-    if (selectedObject !== null && objects[selectedObject] && !objects[selectedObject].deleted) {
-      const obj = objects[selectedObject];
-      const bounds = getObjectBounds(obj);
-      
-      if (bounds) {
-        ctx.strokeStyle = '#0066ff';
-        ctx.lineWidth = 2 / viewportTransform.scale;
-        ctx.setLineDash([5 / viewportTransform.scale, 5 / viewportTransform.scale]);
-        
-        // Draw bounding box
-        ctx.strokeRect(bounds.x, bounds.y, bounds.width, bounds.height);
-        ctx.setLineDash([]);
-        
-        // Draw resize handles (8 handles: corners + edges)
-        // Use larger handles for touch devices
-        const handles = getResizeHandles(obj);
-        const isTouchDevice = 'ontouchstart' in window || isTouching;
-        const handleSize = (isTouchDevice ? 16 : 8) / viewportTransform.scale;
-        
-        ctx.fillStyle = '#ffffff';
-        ctx.strokeStyle = '#0066ff';
-        ctx.lineWidth = (isTouchDevice ? 2 : 1.5) / viewportTransform.scale;
-        
-        for (let [handle, pos] of Object.entries(handles)) {
-          // Draw circular handles for touch devices, square for desktop
-          if (isTouchDevice) {
-            ctx.beginPath();
-            ctx.arc(pos.x, pos.y, handleSize / 2, 0, Math.PI * 2);
-            ctx.fill();
-            ctx.stroke();
-          } else {
-            ctx.fillRect(pos.x - handleSize / 2, pos.y - handleSize / 2, handleSize, handleSize);
-            ctx.strokeRect(pos.x - handleSize / 2, pos.y - handleSize / 2, handleSize, handleSize);
-          }
-        }
+  // Undo history lives on the server, per user. It applies the inverse
+  // operation and broadcasts it to everyone, including us. Offline there is
+  // nothing to undo against, so these aren't queued like edits.
+  const undo = () => {
+    if (joinedRef.current) socket.emit("undo", { roomId });
+  };
+
+  const redo = () => {
+    if (joinedRef.current) socket.emit("redo", { roomId });
+  };
+
+  // Merge an object or sticky-note event into our copy of the scene. The
+  // events of a batch all carry the batch's stamp.
+  const mergeOperation = useCallback((event, data) => {
+    const ops = event === "batch"
+      ? data.ops.map(op => ({ event: op.event, data: { ...op.data, stamp: op.data.stamp || data.stamp } }))
+      : [{ event, data }];
+    ops.forEach(({ event: opEvent, data: opData }) => {
+      if (OBJECT_EVENTS.includes(opEvent)) {
+        setObjects(prev => applyOperation(prev, opEvent, opData));
+      } else if (LAYER_EVENTS.includes(opEvent)) {
+        setLayers(prev => applyOperation(prev, opEvent, opData));
+      } else {
+        setStickyNotes(prev => applyOperation(prev, opEvent, opData));
       }
-    }
+    });
+  }, []);
 
-    // Restore context state
-    ctx.restore();
+  // Show edits left over from an offline session until they can be sent
+  useEffect(() => {
+    pendingOpsRef.current.forEach(({ event, payload }) => {
+      if (payload.stamp) {
+        observeCounter(payload.stamp[0]);
+        mergeOperation(event, payload);
+      }
+    });
+  }, [observeCounter, mergeOperation]);
+
+  // The edits that keep connectors attached after some edits of ours (see
+  // utils/connectors.js), worked out on the scene as those edits leave it
+  const getConnectorOps = (ops) => {
+    if (!objects.some(isBound)) return [];
+    const stamp = [clockRef.current + 1, actorRef.current];
+    let nextObjects = objects;
+    let nextNotes = stickyNotes;
+    ops.forEach(({ event, data }) => {
+      if (OBJECT_EVENTS.includes(event)) {
+        nextObjects = applyOperation(nextObjects, event, { ...data, stamp });
+      } else if (STICKY_NOTE_EVENTS.includes(event)) {
+        nextNotes = applyOperation(nextNotes, event, { ...data, stamp });
+      }
+    });
+    return connectorOperations(ops, nextObjects, nextNotes);
   };
 
-  const undo = () => {
-    if (undoStack.current.length <= 1) return;
+  // Stamp a local edit, apply it right away and send it to the room. An edit
+  // that drags connectors along goes out as a batch with theirs.
+  const sendOperation = (event, data) => {
+    const connectorOps = getConnectorOps([{ event, data }]);
+    if (connectorOps.length > 0) {
+      const { gestureId, ...fields } = data;
+      emitBatch([{ event, data: fields }, ...connectorOps], gestureId ? { gestureId } : {});
+      return;
+    }
+    clockRef.current += 1;
+    const stamp = [clockRef.current, actorRef.current];
+    mergeOperation(event, { ...data, stamp });
+    emitOperation(event, { roomId, ...data, stamp });
+  };
 
-    const currentState = undoStack.current.pop();
-    redoStack.current.push(currentState);
+  // Stamp several edits as one, apply them and send them as a single batch,
+  // which the server also undoes as one step
+  const sendBatch = (ops, extra = {}) => {
+    if (ops.length === 0) return;
+    emitBatch([...ops, ...getConnectorOps(ops)], extra);
+  };
 
-    const previousState = undoStack.current[undoStack.current.length - 1];
-    restoreState(previousState);
+  const emitBatch = (ops, extra) => {
+    clockRef.current += 1;
+    const stamp = [clockRef.current, actorRef.current];
+    mergeOperation("batch", { ops, stamp });
+    emitOperation("batch", { roomId, ops, stamp, ...extra });
+  };
 
-    socket.emit("undo", { roomId, imageData: previousState });
+  // Send an edit, or queue it until we've (re)joined the room. The server
+  // rejects edits from sockets that aren't in the room.
+  const emitOperation = (event, payload) => {
+    if (joinedRef.current) {
+      socket.emit(event, payload);
+    } else {
+      pendingOpsRef.current = [...pendingOpsRef.current, { event, payload }];
+      notifySyncChange();
+    }
   };
 
-  const redo = () => {
-    if (redoStack.current.length === 0) return;
+  const setJoined = (joined) => {
+    joinedRef.current = joined;
+    notifySyncChange();
+  };
 
-    const nextState = redoStack.current.pop();
-    undoStack.current.push(nextState);
-    restoreState(nextState);
+  const notifySyncChange = () => {
+    if (onSyncChangeRef.current) {
+      onSyncChangeRef.current({ joined: joinedRef.current, pendingOps: pendingOpsRef.current });
+    }
+  };
 
-    socket.emit("redo", { roomId, imageData: nextState });
+  // Send everything queued while we were away. Queued edits are merged again
+  // first because a full init replaces the scene they were applied to.
+  const flushPendingOps = () => {
+    const pending = pendingOpsRef.current;
+    pendingOpsRef.current = [];
+    pending.forEach(({ event, payload }) => {
+      if (payload.stamp) {
+        mergeOperation(event, payload);
+      }
+      socket.emit(event, payload);
+    });
+    notifySyncChange();
   };
 
-  const restoreState = (imageData) => {
-    const canvas = canvasRef.current;
-    const ctx = ctxRef.current;
-    const img = new Image();
-    img.src = imageData;
-    img.onload = () => {
-      ctx.clearRect(0, 0, canvas.width, canvas.height);
-      ctx.drawImage(img, 0, 0);
-    };
+  const observeSeq = (seq) => {
+    if (Number.isInteger(seq)) {
+      lastSeqRef.current = Math.max(lastSeqRef.current, seq);
+    }
+  };
+
+  // Merge an edit the server relayed, live or replayed after a reconnect
+  const applyRemoteOperation = (event, data) => {
+    observeSeq(data.seq);
+    observeCounter(data.stamp[0]);
+    if (event === "clear") {
+      setObjects(prev => prev.map(obj => mergeFields(obj, { deleted: true }, data.stamp)));
+    } else {
+      mergeOperation(event, data);
+    }
   };
 
   useEffect(() => {
     if (!socket) return;
 
-    // Receive initial canvas state when connecting
-    socket.on("init", (initialState) => {
-      console.log("Received initial state:", initialState);
-      setObjects(initialState);
+    // Join on every (re)connect, telling the server how far we got last time
+    const joinRoom = () => {
+      setJoined(false);
+      socket.emit("join-room", roomId, { epoch: epochRef.current, lastSeq: lastSeqRef.current });
+    };
+    if (socket.connected) {
+      joinRoom();
+    }
+    socket.on("connect", joinRoom);
+
+    const leaveRoom = () => {
+      setJoined(false);
+    };
+    socket.on("disconnect", leaveRoom);
+
+    // Receive the whole scene on a first join, or when the server can't replay
+    // what we missed. The server's room state is loaded from the saved scene,
+    // so it replaces whatever we loaded locally.
+    socket.on("init", ({ objects: initialObjects, stickyNotes: initialNotes, layers: initialLayers, epoch, seq }) => {
+      console.log("Received initial state:", initialObjects);
+      setObjects(withObjectIds(initialObjects));
+      setStickyNotes(initialNotes);
+      setLayers(withDefaultLayer(initialLayers));
+      observeCounter(maxCounter([...initialObjects, ...initialNotes, ...(initialLayers || [])]));
+      epochRef.current = epoch;
+      lastSeqRef.current = seq || 0;
+      joinedRef.current = true;
+      flushPendingOps();
+    });
+
+    // On a reconnect the server only sends the edits we missed
+    socket.on("resync", ({ ops, seq }) => {
+      ops.forEach(({ event, data }) => applyRemoteOperation(event, data));
+      observeSeq(seq);
+      joinedRef.current = true;
+      flushPendingOps();
     });
 
     socket.on("draw", ({ socketId, x, y, color, size, tool, isStart }) => {
@@ -501,124 +1067,23 @@ const Whiteboard = forwardRef(({
       setLiveStroke(prev => prev ? { ...prev } : null);
     });
 
-    socket.on("text", (data) => {
-      const newObj = { type: 'text', ...data };
-      setObjects(prev => [...prev, newObj]);
-    });
-
-    socket.on("stroke", ({ socketId, ...data }) => {
-      // Clear the remote stroke and add as completed object
-      delete remoteStrokes.current[socketId];
-      const newObj = { type: 'stroke', ...data };
-      setObjects(prev => [...prev, newObj]);
-    });
-
-    socket.on("move", ({ index, deltaX, deltaY }) => {
-      setObjects(prev => {
-        const updated = [...prev];
-        if (updated[index]) {
-          const obj = updated[index];
-          if (obj.type === 'stroke') {
-            updated[index] = {
-              ...obj,
-              points: obj.points.map(p => ({ x: p.x + deltaX, y: p.y + deltaY }))
-            };
-          } else if (obj.type === 'text') {
-            updated[index] = {
-              ...obj,
-              x: obj.x + deltaX,
-              y: obj.y + deltaY
-            };
-          } else if (obj.type === 'rectangle' || obj.type === 'ellipse' || obj.type === 'triangle') {
-            updated[index] = {
-              ...obj,
-              x: obj.x + deltaX,
-              y: obj.y + deltaY
-            };
-          } else if (obj.type === 'line' || obj.type === 'arrow') {
-            updated[index] = {
-              ...obj,
-              x1: obj.x1 + deltaX,
-              y1: obj.y1 + deltaY,
-              x2: obj.x2 + deltaX,
-              y2: obj.y2 + deltaY
-            };
-          }
+    // Every scene edit is merged the same way, whatever order edits arrive in
+    [...OBJECT_EVENTS, ...STICKY_NOTE_EVENTS, ...LAYER_EVENTS].forEach((event) => {
+      socket.on(event, (data) => {
+        if (event === "stroke") {
+          // Clear the remote stroke now that it arrived as a completed object
+          delete remoteStrokes.current[data.socketId];
         }
-        return updated;
+        applyRemoteOperation(event, data);
       });
     });
 
-    socket.on("resize", ({ index, fontSize }) => {
-      setObjects(prev => {
-        const updated = [...prev];
-        if (updated[index] && updated[index].type === 'text') {
-          updated[index] = {
-            ...updated[index],
-            fontSize
-          };
-        }
-        return updated;
-      });
+    socket.on("batch", (data) => {
+      applyRemoteOperation("batch", data);
     });
 
-    socket.on("resizeStroke", ({ index, points }) => {
-      setObjects(prev => {
-        const updated = [...prev];
-        if (updated[index] && updated[index].type === 'stroke') {
-          updated[index] = {
-            ...updated[index],
-            points
-          };
-        }
-        return updated;
-      });
-    });
-
-    socket.on("shape", (data) => {
-      setObjects(prev => [...prev, data]);
-    });
-
-    socket.on("resizeShape", ({ index, x, y, width, height }) => {
-      setObjects(prev => {
-        const updated = [...prev];
-        if (updated[index] && (updated[index].type === 'rectangle' || updated[index].type === 'ellipse' || updated[index].type === 'triangle')) {
-          updated[index] = {
-            ...updated[index],
-            x, y, width, height
-          };
-        }
-        return updated;
-      });
-    });
-
-    socket.on("resizeLine", ({ index, x1, y1, x2, y2 }) => {
-      setObjects(prev => {
-        const updated = [...prev];
-        if (updated[index] && (updated[index].type === 'line' || updated[index].type === 'arrow')) {
-          updated[index] = {
-            ...updated[index],
-            x1, y1, x2, y2
-          };
-        }
-        return updated;
-      });
-    });
-
-    socket.on("undo", ({ imageData }) => {
-      restoreState(imageData);
-    });
-
-    socket.on("redo", ({ imageData }) => {
-      restoreState(imageData);
-    });
-
-    socket.on("clear", () => {
-      setObjects([]);
-    });
-
-    socket.on("stickyNote:create", (note) => {
-      setStickyNotes(prev => [...prev, note]);
+    socket.on("clear", (data) => {
+      applyRemoteOperation("clear", data);
     });
 
     // Remote cursor tracking (only used if Supabase Presence is not available)
@@ -651,45 +1116,31 @@ const Whiteboard = forwardRef(({
       console.log(`User ${userName} joined the room`);
     });
 
-    socket.on("stickyNote:update", ({ id, text }) => {
-      setStickyNotes(prev => prev.map(note =>
-        note.id === id ? { ...note, text } : note
-      ));
-    });
-
-    socket.on("stickyNote:move", ({ id, x, y }) => {
-      setStickyNotes(prev => prev.map(note =>
-        note.id === id ? { ...note, x, y } : note
-      ));
-    });
-
-    socket.on("stickyNote:resize", ({ id, x, y, width, height }) => {
-      setStickyNotes(prev => prev.map(note =>
-        note.id === id ? { ...note, x, y, width, height } : note
-      ));
-    });
-
-    socket.on("stickyNote:delete", ({ id }) => {
-      setStickyNotes(prev => prev.filter(note => note.id !== id));
-    });
-
-    socket.on("delete", ({ index }) => {
-      setObjects(prev => {
-        const updated = [...prev];
-        if (updated[index]) {
-          updated[index] = { ...updated[index], deleted: true };
-        }
-        return updated;
-      });
+    // The server drops edits it can't apply, e.g. to an object someone else
+    // already removed. We applied ours already, so take back the room's copy.
+    socket.on("op:rejected", ({ event, id, entity }) => {
+      if (!id) return;
+      if (entity) observeCounter(maxCounter([entity]));
+      const revert = prev => replaceEntity(prev, id, entity);
+      if (OBJECT_EVENTS.includes(event)) {
+        setObjects(revert);
+      } else if (LAYER_EVENTS.includes(event)) {
+        setLayers(revert);
+      } else if (STICKY_NOTE_EVENTS.includes(event)) {
+        setStickyNotes(revert);
+      }
     });
 
     // Listen for keyboard shortcuts
     const handleKeyDown = (e) => {
-      if (e.ctrlKey && e.key === 'z') {
+      // Keys typed into a note, a layer name or any other field are theirs
+      if (isEditingText(e.target)) return;
+      const canEdit = !readOnlyRef.current;
+      if (canEdit && e.ctrlKey && e.key === 'z') {
         e.preventDefault();
         undo();
       }
-      if (e.ctrlKey && e.key === 'y') {
+      if (canEdit && e.ctrlKey && e.key === 'y') {
         e.preventDefault();
         redo();
       }
@@ -714,45 +1165,87 @@ const Whiteboard = forwardRef(({
           scale: Math.max(0.1, prev.scale / 1.2)
         }));
       }
-      // Delete selected object
-      if (e.key === 'Delete' || e.key === 'Backspace') {
-        if (selectedObject !== null) {
-          deleteSelectedObject();
-        } else if (selectedStickyNote !== null) {
-          deleteSelectedStickyNote();
+      // Group (Ctrl+G) and ungroup (Ctrl+Shift+G) the selection
+      if (canEdit && (e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'g') {
+        e.preventDefault();
+        if (e.shiftKey) {
+          selectionActionsRef.current.ungroupSelection();
+        } else {
+          selectionActionsRef.current.groupSelection();
         }
       }
+      // Stacking order: Ctrl+] / Ctrl+[ step forward / backward, with Shift
+      // all the way to the front / back
+      if (canEdit && (e.ctrlKey || e.metaKey) && ['[', ']', '{', '}'].includes(e.key)) {
+        e.preventDefault();
+        const forward = e.key === ']' || e.key === '}';
+        const command = e.shiftKey
+          ? (forward ? 'bringToFront' : 'sendToBack')
+          : (forward ? 'bringForward' : 'sendBackward');
+        selectionActionsRef.current.reorderSelection(command);
+      }
+      // Duplicate the selection (Ctrl+D). Copy, cut and paste come in as
+      // clipboard events below, which can reach the system clipboard.
+      if (canEdit && (e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'd') {
+        e.preventDefault();
+        selectionActionsRef.current.duplicateSelection();
+      }
+      // Leave crop mode
+      if (e.key === 'Escape' || e.key === 'Enter') {
+        setCroppingId(null);
+      }
+      // Delete the selection
+      if (canEdit && (e.key === 'Delete' || e.key === 'Backspace')) {
+        selectionActionsRef.current.deleteSelection();
+      }
+    };
+
+    const handleCopy = (e) => {
+      if (isEditingText(e.target) || !e.clipboardData) return;
+      if (selectionActionsRef.current.copySelection(e.clipboardData)) e.preventDefault();
+    };
+
+    const handleCut = (e) => {
+      if (readOnlyRef.current || isEditingText(e.target) || !e.clipboardData) return;
+      if (selectionActionsRef.current.cutSelection(e.clipboardData)) e.preventDefault();
+    };
+
+    const handlePaste = (e) => {
+      if (readOnlyRef.current || isEditingText(e.target) || !e.clipboardData) return;
+      e.preventDefault();
+      const images = Array.from(e.clipboardData.files || []).filter(isImageFile);
+      if (images.length > 0) {
+        selectionActionsRef.current.addImages(images);
+      } else {
+        selectionActionsRef.current.pasteText(e.clipboardData.getData('text/plain'));
+      }
     };
 
     window.addEventListener('keydown', handleKeyDown);
+    window.addEventListener('copy', handleCopy);
+    window.addEventListener('cut', handleCut);
+    window.addEventListener('paste', handlePaste);
 
     return () => {
+      socket.off("connect", joinRoom);
+      socket.off("disconnect", leaveRoom);
       socket.off("init");
+      socket.off("resync");
       socket.off("draw");
-      socket.off("text");
-      socket.off("stroke");
-      socket.off("shape");
-      socket.off("move");
-      socket.off("resize");
-      socket.off("resizeStroke");
-      socket.off("resizeShape");
-      socket.off("resizeLine");
-      socket.off("undo");
-      socket.off("redo");
+      [...OBJECT_EVENTS, ...STICKY_NOTE_EVENTS, ...LAYER_EVENTS].forEach(event => socket.off(event));
+      socket.off("batch");
       socket.off("clear");
-      socket.off("stickyNote:create");
-      socket.off("stickyNote:update");
-      socket.off("stickyNote:move");
-      socket.off("stickyNote:resize");
-      socket.off("stickyNote:delete");
-      socket.off("delete");
+      socket.off("op:rejected");
       socket.off("cursor:move");
       socket.off("cursor:leave");
       socket.off("user:joined");
       socket.off("user:left");
       window.removeEventListener('keydown', handleKeyDown);
+      window.removeEventListener('copy', handleCopy);
+      window.removeEventListener('cut', handleCut);
+      window.removeEventListener('paste', handlePaste);
     };
-  }, [socket]);
+  }, [socket, roomId]);
 
   // Clean up stale remote cursors (only for socket-based cursors, Presence handles its own cleanup)
   useEffect(() => {
@@ -806,12 +1299,13 @@ const Whiteboard = forwardRef(({
     };
   }, [socket, roomId, onCursorLeave]);
 
-  // Add global mouse event listeners for sticky note dragging and resizing
+  // Add global mouse event listeners for sticky note dragging, resizing and
+  // rotating. They read the notes being edited, so they follow every change.
   useEffect(() => {
     const handleMouseMove = (e) => handleStickyNoteMouseMove(e);
     const handleMouseUp = () => handleStickyNoteMouseUp();
 
-    if (draggingStickyNote || resizingStickyNote) {
+    if (draggingStickyNote || resizingStickyNote || rotatingStickyNote) {
       window.addEventListener('mousemove', handleMouseMove);
       window.addEventListener('mouseup', handleMouseUp);
 
@@ -820,7 +1314,7 @@ const Whiteboard = forwardRef(({
         window.removeEventListener('mouseup', handleMouseUp);
       };
     }
-  }, [draggingStickyNote, resizingStickyNote, stickyNoteDragOffset, stickyNoteResizeStart]);
+  }, [draggingStickyNote, resizingStickyNote, rotatingStickyNote, stickyNoteDragOffset, stickyNoteResizeStart, stickyNotes]);
 
   // Handle zoom with mouse wheel
   useEffect(() => {
@@ -928,7 +1422,7 @@ const Whiteboard = forwardRef(({
       }
 
       // For drawing tools
-      const drawingTools = ['pen', 'erase', 'rectangle', 'ellipse', 'triangle', 'line', 'arrow'];
+      const drawingTools = ['pen', 'erase', ...SHAPE_TYPES, 'line', 'arrow'];
       if (drawingTools.includes(tool)) {
         setTouchMode('draw');
         setIsTouching(true);
@@ -1048,7 +1542,7 @@ const Whiteboard = forwardRef(({
 
   // Touch event handler for sticky notes
   const handleStickyNoteTouchStart = (e, noteId, isResizeHandle = false, handle = null) => {
-    if (e.touches.length !== 1) return;
+    if (readOnly || e.touches.length !== 1) return;
     
     const touch = e.touches[0];
     e.preventDefault();
@@ -1057,7 +1551,7 @@ const Whiteboard = forwardRef(({
     const note = stickyNotes.find(n => n.id === noteId);
     if (!note) return;
 
-    setSelectedStickyNote(noteId);
+    setSelection({ objectIds: [], noteIds: [noteId] });
 
     if (isResizeHandle && handle) {
       setResizingStickyNote(noteId);
@@ -1084,43 +1578,15 @@ const Whiteboard = forwardRef(({
     
     const touch = e.touches[0];
     
-    if (resizingStickyNote && stickyNoteResizeStart) {
+    if (rotatingStickyNote) {
       e.preventDefault();
-      const deltaX = touch.clientX - stickyNoteResizeStart.x;
-      const deltaY = touch.clientY - stickyNoteResizeStart.y;
-      const handle = stickyNoteResizeHandle;
-      
-      setStickyNotes(prev => prev.map(note => {
-        if (note.id !== resizingStickyNote) return note;
-        
-        let newX = stickyNoteResizeStart.noteX;
-        let newY = stickyNoteResizeStart.noteY;
-        let newWidth = stickyNoteResizeStart.width;
-        let newHeight = stickyNoteResizeStart.height;
-        
-        if (handle.includes('e')) newWidth = Math.max(100, stickyNoteResizeStart.width + deltaX);
-        if (handle.includes('w')) {
-          const widthChange = Math.min(deltaX, stickyNoteResizeStart.width - 100);
-          newWidth = Math.max(100, stickyNoteResizeStart.width - deltaX);
-          newX = stickyNoteResizeStart.noteX + widthChange;
-        }
-        if (handle.includes('s')) newHeight = Math.max(100, stickyNoteResizeStart.height + deltaY);
-        if (handle.includes('n')) {
-          const heightChange = Math.min(deltaY, stickyNoteResizeStart.height - 100);
-          newHeight = Math.max(100, stickyNoteResizeStart.height - deltaY);
-          newY = stickyNoteResizeStart.noteY + heightChange;
-        }
-        
-        return { ...note, x: newX, y: newY, width: newWidth, height: newHeight };
-      }));
+      rotateStickyNoteTo(touch.clientX, touch.clientY, false);
+    } else if (resizingStickyNote && stickyNoteResizeStart) {
+      e.preventDefault();
+      resizeStickyNoteTo(touch.clientX, touch.clientY);
     } else if (draggingStickyNote) {
       e.preventDefault();
-      const newX = touch.clientX - stickyNoteDragOffset.x;
-      const newY = touch.clientY - stickyNoteDragOffset.y;
-
-      setStickyNotes(prev => prev.map(note =>
-        note.id === draggingStickyNote ? { ...note, x: newX, y: newY } : note
-      ));
+      dragStickyNoteTo(touch.clientX, touch.clientY);
     }
   };
 
@@ -1133,7 +1599,7 @@ const Whiteboard = forwardRef(({
     const handleTouchMoveGlobal = (e) => handleStickyNoteTouchMove(e);
     const handleTouchEndGlobal = () => handleStickyNoteTouchEnd();
 
-    if (draggingStickyNote || resizingStickyNote) {
+    if (draggingStickyNote || resizingStickyNote || rotatingStickyNote) {
       window.addEventListener('touchmove', handleTouchMoveGlobal, { passive: false });
       window.addEventListener('touchend', handleTouchEndGlobal);
 
@@ -1142,31 +1608,14 @@ const Whiteboard = forwardRef(({
         window.removeEventListener('touchend', handleTouchEndGlobal);
       };
     }
-  }, [draggingStickyNote, resizingStickyNote, stickyNoteDragOffset, stickyNoteResizeStart]);
+  }, [draggingStickyNote, resizingStickyNote, rotatingStickyNote, stickyNoteDragOffset, stickyNoteResizeStart, stickyNotes]);
 
-  const getStrokeBounds = (points) => {
-    if (points.length === 0) return { minX: 0, minY: 0, maxX: 0, maxY: 0, width: 0, height: 0 };
-    const xs = points.map(p => p.x);
-    const ys = points.map(p => p.y);
-    const minX = Math.min(...xs);
-    const maxX = Math.max(...xs);
-    const minY = Math.min(...ys);
-    const maxY = Math.max(...ys);
-    return {
-      minX,
-      maxX,
-      minY,
-      maxY,
-      width: maxX - minX,
-      height: maxY - minY
-    };
-  };
-
-  // Get bounding box for any object type
-  const getObjectBounds = (obj) => {
+  // Box around an object as if it weren't rotated, which is what its
+  // selection frame and resize handles are drawn on
+  const getObjectFrame = useCallback((obj) => {
     if (obj.type === 'stroke') {
       const bounds = getStrokeBounds(obj.points);
-      const padding = 5;
+      const padding = SELECTION_PADDING;
       return {
         x: bounds.minX - padding,
         y: bounds.minY - padding,
@@ -1182,7 +1631,7 @@ const Whiteboard = forwardRef(({
       const metrics = ctx.measureText(obj.text);
       const textWidth = metrics.width;
       const textHeight = fontSize * 1.2;
-      const padding = 5;
+      const padding = SELECTION_PADDING;
 
       return {
         x: obj.x - padding,
@@ -1192,8 +1641,8 @@ const Whiteboard = forwardRef(({
         centerX: obj.x + textWidth / 2,
         centerY: obj.y - textHeight / 2
       };
-    } else if (obj.type === 'rectangle' || obj.type === 'ellipse' || obj.type === 'triangle') {
-      const padding = 5;
+    } else if (BOX_TYPES.includes(obj.type)) {
+      const padding = SELECTION_PADDING;
       const x = obj.width >= 0 ? obj.x : obj.x + obj.width;
       const y = obj.height >= 0 ? obj.y : obj.y + obj.height;
       const width = Math.abs(obj.width);
@@ -1207,11 +1656,12 @@ const Whiteboard = forwardRef(({
         centerY: y + height / 2
       };
     } else if (obj.type === 'line' || obj.type === 'arrow') {
-      const padding = 5;
-      const minX = Math.min(obj.x1, obj.x2);
-      const minY = Math.min(obj.y1, obj.y2);
-      const maxX = Math.max(obj.x1, obj.x2);
-      const maxY = Math.max(obj.y1, obj.y2);
+      const padding = SELECTION_PADDING;
+      const path = connectorPath(obj);
+      const minX = Math.min(...path.map(point => point.x));
+      const minY = Math.min(...path.map(point => point.y));
+      const maxX = Math.max(...path.map(point => point.x));
+      const maxY = Math.max(...path.map(point => point.y));
       return {
         x: minX - padding,
         y: minY - padding,
@@ -1222,14 +1672,58 @@ const Whiteboard = forwardRef(({
       };
     }
     return null;
+  }, []);
+
+  // Get bounding box for any object type, around the object as drawn
+  const getObjectBounds = useCallback((obj) => {
+    const frame = getObjectFrame(obj);
+    if (!frame || !obj.rotation) return frame;
+    return rotatedBounds(frame, rotationCenter(ctxRef.current, obj), obj.rotation);
+  }, [getObjectFrame]);
+
+  // Bounds of everything an object paints, as filed in the spatial index
+  const getPaintBounds = useCallback((obj) => {
+    const bounds = getObjectBounds(obj);
+    if (!bounds) return null;
+    const margin = paintMargin(obj);
+    return {
+      x: bounds.x - margin,
+      y: bounds.y - margin,
+      width: bounds.width + margin * 2,
+      height: bounds.height + margin * 2,
+    };
+  }, [getObjectBounds]);
+
+  // Get resize handle positions for any object, turned with it
+  const getResizeHandles = (obj) => {
+    const handles = getBoundsHandles(getObjectFrame(obj));
+    if (!obj.rotation) return handles;
+    const center = rotationCenter(ctxRef.current, obj);
+    return Object.fromEntries(Object.entries(handles).map(([handle, pos]) => (
+      [handle, { ...rotatePoint(pos, center, obj.rotation), cursor: pos.cursor }]
+    )));
+  };
+
+  // Where the rotation handle of an object sits: above the middle of its
+  // top edge, turned with it
+  const getRotationHandle = (obj) => {
+    if (!isRotatable(obj)) return null;
+    const frame = getObjectFrame(obj);
+    const top = { x: frame.x + frame.width / 2, y: frame.y - ROTATION_HANDLE_OFFSET / viewportTransform.scale };
+    return rotatePoint(top, rotationCenter(ctxRef.current, obj), obj.rotation);
+  };
+
+  // Where a canvas point falls on an object as it was before being rotated,
+  // which is what the hit tests below work on
+  const toObjectSpace = (x, y, obj) => {
+    if (!obj.rotation) return { x, y };
+    return rotatePoint({ x, y }, rotationCenter(ctxRef.current, obj), -obj.rotation);
   };
 
-  // Get resize handle positions for any object
-  const getResizeHandles = (obj) => {
-    const bounds = getObjectBounds(obj);
+  // Resize handle positions around a bounding box
+  const getBoundsHandles = (bounds) => {
     if (!bounds) return {};
     
-    const handleSize = 8;
     return {
       'nw': { x: bounds.x, y: bounds.y, cursor: 'nw-resize' },
       'n': { x: bounds.x + bounds.width / 2, y: bounds.y, cursor: 'n-resize' },
@@ -1243,8 +1737,11 @@ const Whiteboard = forwardRef(({
   };
 
   // Check if a point is on a resize handle (touch-friendly with larger hit area)
-  const getResizeHandleAtPoint = (x, y, obj, isTouch = false) => {
-    const handles = getResizeHandles(obj);
+  const getResizeHandleAtPoint = (x, y, obj, isTouch = false) => (
+    getHandleAtPoint(x, y, getResizeHandles(obj), isTouch)
+  );
+
+  const getHandleAtPoint = (x, y, handles, isTouch = false) => {
     // Use larger threshold for touch devices
     const threshold = isTouch || isTouching ? 20 : 10;
     
@@ -1265,7 +1762,8 @@ const Whiteboard = forwardRef(({
     });
   };
 
-  const isPointInText = (x, y, textObj) => {
+  const isPointInText = (canvasX, canvasY, textObj) => {
+    const { x, y } = toObjectSpace(canvasX, canvasY, textObj);
     const ctx = ctxRef.current;
     const fontSize = textObj.fontSize || 20;
     ctx.font = `${fontSize}px Arial`;
@@ -1278,10 +1776,16 @@ const Whiteboard = forwardRef(({
       y >= textObj.y - textHeight && y <= textObj.y + padding;
   };
 
-  const isPointInShape = (x, y, obj) => {
-    const bounds = getObjectBounds(obj);
-    if (!bounds) return false;
-    
+  const isPointInShape = (canvasX, canvasY, obj) => {
+    const { x, y } = toObjectSpace(canvasX, canvasY, obj);
+
+    // Diagram shapes are hit near their outline, or anywhere inside when filled
+    const outline = shapeOutline(obj);
+    if (outline) {
+      return outline.some((start, index) => isPointNearSegment(x, y, start, outline[(index + 1) % outline.length], 10)) ||
+        Boolean(obj.fill && isPointInPolygon({ x, y }, outline));
+    }
+
     // For shapes, check if point is within bounding box
     if (obj.type === 'rectangle' || obj.type === 'ellipse' || obj.type === 'triangle') {
       const shapeX = obj.width >= 0 ? obj.x : obj.x + obj.width;
@@ -1315,9 +1819,21 @@ const Whiteboard = forwardRef(({
     return false;
   };
 
+  // Images are opaque, so anywhere on them picks them
+  const isPointInImage = (canvasX, canvasY, obj) => {
+    const { x, y } = toObjectSpace(canvasX, canvasY, obj);
+    return x >= obj.x && x <= obj.x + obj.width && y >= obj.y && y <= obj.y + obj.height;
+  };
+
+  // Near any leg of a line, arrow or elbow connector
   const isPointInLine = (x, y, obj, threshold = 10) => {
-    // Check if point is near the line segment
-    const { x1, y1, x2, y2 } = obj;
+    const path = connectorPath(obj);
+    return path.slice(1).some((end, index) => isPointNearSegment(x, y, path[index], end, threshold));
+  };
+
+  const isPointNearSegment = (x, y, start, end, threshold) => {
+    const { x: x1, y: y1 } = start;
+    const { x: x2, y: y2 } = end;
     const lineLength = Math.sqrt((x2 - x1) ** 2 + (y2 - y1) ** 2);
     if (lineLength === 0) return Math.sqrt((x - x1) ** 2 + (y - y1) ** 2) < threshold;
     
@@ -1329,14 +1845,73 @@ const Whiteboard = forwardRef(({
     return distance < threshold;
   };
 
+  const isPointInObject = (x, y, obj) => {
+    if (obj.type === 'stroke') {
+      const point = toObjectSpace(x, y, obj);
+      return isPointInStroke(point.x, point.y, obj.points);
+    }
+    if (obj.type === 'text') return isPointInText(x, y, obj);
+    if (isShape(obj)) return isPointInShape(x, y, obj);
+    if (obj.type === 'line' || obj.type === 'arrow') return isPointInLine(x, y, obj);
+    if (obj.type === 'image') return isPointInImage(x, y, obj);
+    return false;
+  };
+
+  // Topmost object under a point. The spatial index narrows the search to
+  // objects near the point, so only those get the exact (per-point) test.
+  const findObjectAt = (x, y) => {
+    const reach = HIT_SLOP;
+    const candidates = spatialIndexRef.current.search({ x: x - reach, y: y - reach, width: reach * 2, height: reach * 2 });
+    const topmostFirst = [...candidates]
+      .map(id => objectOrder.get(id))
+      .filter(index => index !== undefined)
+      .sort((a, b) => b - a);
+
+    for (const index of topmostFirst) {
+      if (isPickable(stackedObjects[index]) && isPointInObject(x, y, stackedObjects[index])) {
+        return stackedObjects[index];
+      }
+    }
+    return null;
+  };
+
+  // What a click at a point selects: the topmost object there, or the
+  // outermost group it belongs to
+  const findSelectableAt = (x, y) => {
+    const hit = findObjectAt(x, y);
+    return hit && objectsById.get(topLevelId(hit.id, parentMap));
+  };
+
   const isPointInResizeHandle = (x, y, obj) => {
     const result = getResizeHandleAtPoint(x, y, obj);
     return result ? result.handle : null;
   };
 
+  const isPointInRotationHandle = (x, y, obj) => {
+    const handle = getRotationHandle(obj);
+    return Boolean(handle && getHandleAtPoint(x, y, { rotate: { ...handle, cursor: 'grab' } }));
+  };
+
+  // Resizing a rotated object keeps the handle opposite the dragged one where
+  // it was on screen; unrotated objects already stay put
+  const pinResizeAnchor = (original, resized, handle) => {
+    if (!original.rotation) return resized;
+    const anchorOf = (obj) => rotatePoint(
+      handlePoint(getObjectFrame(obj), oppositeHandle(handle)),
+      rotationCenter(ctxRef.current, obj),
+      original.rotation
+    );
+    const before = anchorOf(original);
+    const after = anchorOf(resized);
+    return moveObject(resized, before.x - after.x, before.y - after.y);
+  };
+
   const startDrawing = ({ nativeEvent }) => {
     const { offsetX, offsetY } = nativeEvent;
 
+    // Right clicks open the context menu instead
+    if (nativeEvent.button === 2) return;
+
     // PAN MODE: Middle mouse button or Space + Left click
     if (nativeEvent.button === 1 || (tool === "pan" && nativeEvent.button === 0)) {
       setIsPanning(true);
@@ -1350,80 +1925,105 @@ const Whiteboard = forwardRef(({
     const canvasY = canvasCoords.y;
 
     if (tool === "select") {
-      // First check if clicking on a resize handle of selected object
-      if (selectedObject !== null && objects[selectedObject] && !objects[selectedObject].deleted) {
-        const obj = objects[selectedObject];
+      // Shift adds to or removes from the selection
+      const additive = nativeEvent.shiftKey;
+
+      // First check if clicking on the rotation or a resize handle of
+      // selected object
+      const obj = getSelectedObject();
+      if (obj && !additive) {
+        if (isPointInRotationHandle(canvasX, canvasY, obj)) {
+          rotateGestureRef.current = { objectId: obj.id, center: rotationCenter(ctxRef.current, obj) };
+          return;
+        }
+
         const handle = isPointInResizeHandle(canvasX, canvasY, obj);
         if (handle) {
+          // A connector's ends come loose while they are dragged, and bind
+          // again to whatever anchor they are dropped on
+          if (isBound(obj)) {
+            updateObjectById(obj.id, o => ({ ...o, ...getGeometry(obj), start: null, end: null }));
+          }
           setIsResizing(true);
           setResizeHandle(handle);
-          const bounds = getObjectBounds(obj);
+          const bounds = getObjectFrame(obj);
           setResizeStartData({
             x: canvasX,
             y: canvasY,
             startX: offsetX,
             startY: offsetY,
             bounds: bounds,
-            objectIndex: selectedObject,
+            objectId: obj.id,
             originalObject: JSON.parse(JSON.stringify(obj)) // Deep copy the original object
           });
           return;
         }
       }
 
-      // Check if clicking on an object
-      let clickedIndex = -1;
-      for (let i = objects.length - 1; i >= 0; i--) {
-        const obj = objects[i];
-        if (obj.deleted) continue;
-        if (obj.type === 'stroke' && isPointInStroke(canvasX, canvasY, obj.points)) {
-          clickedIndex = i;
-          break;
-        } else if (obj.type === 'text' && isPointInText(canvasX, canvasY, obj)) {
-          clickedIndex = i;
-          break;
-        } else if ((obj.type === 'rectangle' || obj.type === 'ellipse' || obj.type === 'triangle') && isPointInShape(canvasX, canvasY, obj)) {
-          clickedIndex = i;
-          break;
-        } else if ((obj.type === 'line' || obj.type === 'arrow') && isPointInLine(canvasX, canvasY, obj)) {
-          clickedIndex = i;
-          break;
-        }
+      // Or a resize handle of the group
+      const groupBounds = getSelectionBounds();
+      const groupHandle = groupBounds && !additive && getHandleAtPoint(canvasX, canvasY, getBoundsHandles(groupBounds));
+      if (groupHandle) {
+        startGroupTransform('resize', canvasX, canvasY, groupHandle.handle);
+        return;
       }
 
-      if (clickedIndex !== -1) {
-        setSelectedObject(clickedIndex);
-        setSelectedStickyNote(null); // Deselect sticky note when selecting canvas object
+      // Check if clicking on an object
+      const clicked = findSelectableAt(canvasX, canvasY);
+
+      if (clicked && additive) {
+        setSelection(prev => toggleInSelection(prev, 'objectIds', clicked.id));
+      } else if (clicked && isGroupSelection && selection.objectIds.includes(clicked.id)) {
+        startGroupTransform('move', canvasX, canvasY);
+      } else if (clicked && isGroup(clicked)) {
+        const target = { objectIds: [clicked.id], noteIds: [] };
+        setSelection(target);
+        startGroupTransform('move', canvasX, canvasY, null, target);
+      } else if (clicked) {
+        setSelection({ objectIds: [clicked.id], noteIds: [] });
         setIsDragging(true);
-        setDragOffset({ x: canvasX, y: canvasY });
+        setDragStart({ x: canvasX, y: canvasY, object: clicked });
+        dragGestureRef.current = createObjectId();
       } else {
-        setSelectedObject(null);
-        setSelectedStickyNote(null); // Deselect sticky note when clicking empty canvas
+        // Empty canvas: drag out a marquee
+        if (!additive) {
+          setSelection(EMPTY_SELECTION);
+        }
+        const point = { x: canvasX, y: canvasY };
+        setMarquee({ start: point, end: point, additive });
       }
       return;
     }
 
     // Shape tools
-    const shapeTools = ['rectangle', 'ellipse', 'triangle', 'line', 'arrow'];
+    const shapeTools = [...SHAPE_TYPES, 'line', 'arrow'];
     if (shapeTools.includes(tool)) {
+      // Shapes are drawn from grid point to grid point when snapping
+      const point = snapPoint(canvasX, canvasY);
       setIsDrawingShape(true);
-      setShapeStart({ x: canvasX, y: canvasY });
+      setShapeStart(point);
       
       if (tool === 'line' || tool === 'arrow') {
+        // Lines and arrows started on an anchor are bound to it
+        const anchor = findConnectorAnchor({ x: canvasX, y: canvasY });
+        const x1 = anchor ? anchor.x : point.x;
+        const y1 = anchor ? anchor.y : point.y;
         setLiveShape({
           type: tool,
-          x1: canvasX,
-          y1: canvasY,
-          x2: canvasX,
-          y2: canvasY,
+          x1,
+          y1,
+          x2: x1,
+          y2: y1,
           color,
-          size
+          size,
+          start: toBinding(anchor),
+          end: null
         });
       } else {
         setLiveShape({
           type: tool,
-          x: canvasX,
-          y: canvasY,
+          x: point.x,
+          y: point.y,
           width: 0,
           height: 0,
           color,
@@ -1490,6 +2090,7 @@ const Whiteboard = forwardRef(({
     const canvasCoords = screenToCanvas(offsetX, offsetY);
     const canvasX = canvasCoords.x;
     const canvasY = canvasCoords.y;
+    pointerRef.current = canvasCoords;
 
     // Emit cursor position (throttled) - use Supabase Presence if available
     if (!cursorThrottleRef.current) {
@@ -1509,40 +2110,57 @@ const Whiteboard = forwardRef(({
       }, 50); // Throttle to 20fps for cursor updates
     }
 
+    if (tool === "select" && marquee) {
+      setMarquee(prev => ({ ...prev, end: { x: canvasX, y: canvasY } }));
+      return;
+    }
+
+    if (tool === "select" && groupTransformRef.current) {
+      transformGroup(canvasX, canvasY);
+      return;
+    }
+
+    // Rotations are previewed locally and sent when released; Shift snaps
+    // to 15° steps
+    if (tool === "select" && rotateGestureRef.current) {
+      const { objectId, center } = rotateGestureRef.current;
+      const angle = angleToPoint(center, { x: canvasX, y: canvasY });
+      const rotation = nativeEvent.shiftKey ? snapAngle(angle) : angle;
+      updateObjectById(objectId, o => ({ ...o, rotation }));
+      return;
+    }
+
     // Update cursor for resize handles when in select mode
     if (tool === "select" && !isResizing && !isDragging) {
       let newCursor = 'default';
       
-      // Check if hovering over a resize handle of selected object
-      if (selectedObject !== null && objects[selectedObject] && !objects[selectedObject].deleted) {
-        const handleResult = getResizeHandleAtPoint(canvasX, canvasY, objects[selectedObject]);
+      // Check if hovering over a resize handle of the group or selected object
+      const selected = getSelectedObject();
+      const groupBounds = getSelectionBounds();
+      if (groupBounds) {
+        const handleResult = getHandleAtPoint(canvasX, canvasY, getBoundsHandles(groupBounds));
         if (handleResult) {
           newCursor = handleResult.cursor;
+        } else if (getSelectedObjects().some(member => isPointInObject(canvasX, canvasY, member))) {
+          newCursor = 'move';
+        }
+      } else if (selected) {
+        const handleResult = getResizeHandleAtPoint(canvasX, canvasY, selected);
+        if (isPointInRotationHandle(canvasX, canvasY, selected)) {
+          newCursor = 'grab';
+        } else if (handleResult) {
+          newCursor = handleResult.cursor;
         } else {
           // Check if hovering over the object itself
-          const obj = objects[selectedObject];
-          if ((obj.type === 'stroke' && isPointInStroke(canvasX, canvasY, obj.points)) ||
-              (obj.type === 'text' && isPointInText(canvasX, canvasY, obj)) ||
-              ((obj.type === 'rectangle' || obj.type === 'ellipse' || obj.type === 'triangle') && isPointInShape(canvasX, canvasY, obj)) ||
-              ((obj.type === 'line' || obj.type === 'arrow') && isPointInLine(canvasX, canvasY, obj))) {
+          if (isPointInObject(canvasX, canvasY, selected)) {
             newCursor = 'move';
           }
         }
       }
       
       // Check if hovering over any object
-      if (newCursor === 'default') {
-        for (let i = objects.length - 1; i >= 0; i--) {
-          const obj = objects[i];
-          if (obj.deleted) continue;
-          if ((obj.type === 'stroke' && isPointInStroke(canvasX, canvasY, obj.points)) ||
-              (obj.type === 'text' && isPointInText(canvasX, canvasY, obj)) ||
-              ((obj.type === 'rectangle' || obj.type === 'ellipse' || obj.type === 'triangle') && isPointInShape(canvasX, canvasY, obj)) ||
-              ((obj.type === 'line' || obj.type === 'arrow') && isPointInLine(canvasX, canvasY, obj))) {
-            newCursor = 'pointer';
-            break;
-          }
-        }
+      if (newCursor === 'default' && findObjectAt(canvasX, canvasY)) {
+        newCursor = 'pointer';
       }
       
       setCursorStyle(newCursor);
@@ -1550,21 +2168,24 @@ const Whiteboard = forwardRef(({
 
     // Handle shape drawing
     if (isDrawingShape && shapeStart) {
+      const point = snapPoint(canvasX, canvasY);
       if (liveShape.type === 'line' || liveShape.type === 'arrow') {
+        const anchor = findConnectorAnchor({ x: canvasX, y: canvasY });
         setLiveShape(prev => ({
           ...prev,
-          x2: canvasX,
-          y2: canvasY
+          x2: anchor ? anchor.x : point.x,
+          y2: anchor ? anchor.y : point.y,
+          end: toBinding(anchor)
         }));
       } else {
-        // For rectangle, ellipse, triangle - support drawing in any direction
-        const width = canvasX - shapeStart.x;
-        const height = canvasY - shapeStart.y;
+        // For box shapes - support drawing in any direction
+        const width = point.x - shapeStart.x;
+        const height = point.y - shapeStart.y;
         
         setLiveShape(prev => ({
           ...prev,
-          x: width >= 0 ? shapeStart.x : canvasX,
-          y: height >= 0 ? shapeStart.y : canvasY,
+          x: width >= 0 ? shapeStart.x : point.x,
+          y: height >= 0 ? shapeStart.y : point.y,
           width: Math.abs(width),
           height: Math.abs(height)
         }));
@@ -1573,13 +2194,22 @@ const Whiteboard = forwardRef(({
     }
 
     if (tool === "select" && isResizing && resizeStartData) {
-      const obj = objects[resizeStartData.objectIndex];
+      const obj = objects.find(o => o.id === resizeStartData.objectId);
       if (!obj) return;
       
-      const deltaX = canvasX - resizeStartData.x;
-      const deltaY = canvasY - resizeStartData.y;
       const originalObj = resizeStartData.originalObject;
       const bounds = resizeStartData.bounds;
+      // A rotated object is resized along its own axes. The edges of upright
+      // shapes and images snap.
+      const turnedDelta = rotatePoint(
+        { x: canvasX - resizeStartData.x, y: canvasY - resizeStartData.y },
+        { x: 0, y: 0 },
+        -(originalObj.rotation || 0)
+      );
+      const { x: deltaX, y: deltaY } = !originalObj.rotation && BOX_TYPES.includes(obj.type)
+        ? snapDelta(getSnapBounds(originalObj), resizeHandle, turnedDelta.x, turnedDelta.y, new Set([obj.id]))
+        : turnedDelta;
+      const pinAnchor = (resized) => pinResizeAnchor(originalObj, resized, resizeHandle);
       
       if (obj.type === 'text') {
         // For text, resize by changing font size based on diagonal movement
@@ -1596,16 +2226,10 @@ const Whiteboard = forwardRef(({
         const originalFontSize = originalObj.fontSize || 20;
         const newFontSize = Math.max(8, Math.min(200, originalFontSize * scaleFactor));
 
-        setObjects(prev => {
-          const updated = [...prev];
-          if (updated[resizeStartData.objectIndex]) {
-            updated[resizeStartData.objectIndex] = {
-              ...updated[resizeStartData.objectIndex],
-              fontSize: newFontSize
-            };
-          }
-          return updated;
-        });
+        updateObjectById(resizeStartData.objectId, o => pinAnchor({
+          ...o,
+          fontSize: newFontSize
+        }));
       } else if (obj.type === 'stroke') {
         // For strokes, scale all points relative to the anchor point
         const originalPoints = originalObj.points;
@@ -1652,17 +2276,11 @@ const Whiteboard = forwardRef(({
           y: anchorY + (p.y - anchorY) * scaleY
         }));
 
-        setObjects(prev => {
-          const updated = [...prev];
-          if (updated[resizeStartData.objectIndex]) {
-            updated[resizeStartData.objectIndex] = {
-              ...updated[resizeStartData.objectIndex],
-              points: newPoints
-            };
-          }
-          return updated;
-        });
-      } else if (obj.type === 'rectangle' || obj.type === 'ellipse' || obj.type === 'triangle') {
+        updateObjectById(resizeStartData.objectId, o => pinAnchor({
+          ...o,
+          points: newPoints
+        }));
+      } else if (isShape(obj)) {
         // For shapes, resize by changing dimensions
         const handle = resizeHandle;
         let newX = originalObj.x;
@@ -1681,19 +2299,20 @@ const Whiteboard = forwardRef(({
           newHeight = originalObj.height - deltaY;
         }
         
-        setObjects(prev => {
-          const updated = [...prev];
-          if (updated[resizeStartData.objectIndex]) {
-            updated[resizeStartData.objectIndex] = {
-              ...updated[resizeStartData.objectIndex],
-              x: newX,
-              y: newY,
-              width: newWidth,
-              height: newHeight
-            };
-          }
-          return updated;
-        });
+        updateObjectById(resizeStartData.objectId, o => pinAnchor({
+          ...o,
+          x: newX,
+          y: newY,
+          width: newWidth,
+          height: newHeight
+        }));
+      } else if (obj.type === 'image') {
+        // Images are scaled, or in crop mode have their edges trimmed
+        const resize = croppingId === obj.id ? cropImage : resizeImage;
+        updateObjectById(resizeStartData.objectId, o => pinAnchor({
+          ...o,
+          ...resize(originalObj, resizeHandle, deltaX, deltaY)
+        }));
       } else if (obj.type === 'line' || obj.type === 'arrow') {
         // For lines/arrows, move endpoints
         const handle = resizeHandle;
@@ -1732,61 +2351,39 @@ const Whiteboard = forwardRef(({
           }
         }
         
-        setObjects(prev => {
-          const updated = [...prev];
-          if (updated[resizeStartData.objectIndex]) {
-            updated[resizeStartData.objectIndex] = {
-              ...updated[resizeStartData.objectIndex],
-              x1: newX1,
-              y1: newY1,
-              x2: newX2,
-              y2: newY2
-            };
-          }
-          return updated;
-        });
+        // Ends being dragged snap to anchors they come near
+        const snap = (x, y, originalX, originalY) => {
+          const anchor = (x !== originalX || y !== originalY) && findConnectorAnchor({ x, y });
+          return anchor ? [anchor.x, anchor.y] : [x, y];
+        };
+        [newX1, newY1] = snap(newX1, newY1, originalObj.x1, originalObj.y1);
+        [newX2, newY2] = snap(newX2, newY2, originalObj.x2, originalObj.y2);
+
+        updateObjectById(resizeStartData.objectId, o => ({
+          ...o,
+          x1: newX1,
+          y1: newY1,
+          x2: newX2,
+          y2: newY2
+        }));
       }
       return;
     }
 
     if (tool === "select" && isDragging && selectedObject !== null) {
-      const deltaX = canvasX - dragOffset.x;
-      const deltaY = canvasY - dragOffset.y;
-
-      setObjects(prev => {
-        const updated = [...prev];
-        const obj = updated[selectedObject];
-        if (obj.type === 'stroke') {
-          updated[selectedObject] = {
-            ...obj,
-            points: obj.points.map(p => ({ x: p.x + deltaX, y: p.y + deltaY }))
-          };
-        } else if (obj.type === 'text') {
-          updated[selectedObject] = {
-            ...obj,
-            x: obj.x + deltaX,
-            y: obj.y + deltaY
-          };
-        } else if (obj.type === 'rectangle' || obj.type === 'ellipse' || obj.type === 'triangle') {
-          updated[selectedObject] = {
-            ...obj,
-            x: obj.x + deltaX,
-            y: obj.y + deltaY
-          };
-        } else if (obj.type === 'line' || obj.type === 'arrow') {
-          updated[selectedObject] = {
-            ...obj,
-            x1: obj.x1 + deltaX,
-            y1: obj.y1 + deltaY,
-            x2: obj.x2 + deltaX,
-            y2: obj.y2 + deltaY
-          };
-        }
-        return updated;
-      });
-
-      socket.emit("move", { roomId, index: selectedObject, deltaX, deltaY });
-      setDragOffset({ x: canvasX, y: canvasY });
+      // The object is moved from where it was when the drag started, so
+      // snapping never adds up
+      const { object: original } = dragStart;
+      const bounds = getSnapBounds(original);
+      const delta = bounds
+        ? snapDelta(bounds, null, canvasX - dragStart.x, canvasY - dragStart.y, new Set([original.id]))
+        : { x: canvasX - dragStart.x, y: canvasY - dragStart.y };
+
+      // Someone else may have deleted the object mid-drag
+      if (getSelectedObject()) {
+        const moved = moveObject(original, delta.x, delta.y);
+        sendOperation("move", { id: original.id, ...getGeometry(moved), gestureId: dragGestureRef.current });
+      }
       return;
     }
 
@@ -1827,10 +2424,10 @@ const Whiteboard = forwardRef(({
         : (Math.abs(liveShape.width) > 5 || Math.abs(liveShape.height) > 5);
       
       if (hasSize) {
-        const newShape = { ...liveShape };
-        setObjects(prev => [...prev, newShape]);
-        socket.emit("shape", { roomId, ...newShape });
-        saveState();
+        // Free lines don't carry empty bindings
+        const { start, end, ...shape } = liveShape;
+        const bindings = start || end ? { start, end } : {};
+        sendOperation("shape", { ...shape, ...bindings, id: createObjectId(), layer: activeLayer.id, z: nextObjectZ(objects) });
       }
       
       setIsDrawingShape(false);
@@ -1840,53 +2437,96 @@ const Whiteboard = forwardRef(({
     }
 
     if (tool === "select") {
+      if (marquee) {
+        finishMarquee();
+        return;
+      }
+
+      if (groupTransformRef.current) {
+        finishGroupTransform();
+        return;
+      }
+
+      if (rotateGestureRef.current) {
+        const obj = objects.find(o => o.id === rotateGestureRef.current.objectId);
+        rotateGestureRef.current = null;
+        if (obj) sendOperation("rotate", { id: obj.id, rotation: obj.rotation || 0 });
+        return;
+      }
+
       if (isResizing) {
         // Emit final resize event when resize completes
-        if (resizeStartData && objects[resizeStartData.objectIndex]) {
-          const obj = objects[resizeStartData.objectIndex];
-          if (obj.type === 'text') {
+        const obj = resizeStartData && objects.find(o => o.id === resizeStartData.objectId);
+        if (obj) {
+          // A rotated object's new position only fits the angle it was
+          // resized at, so that angle is written along with it
+          const rotation = obj.rotation ? { rotation: obj.rotation } : {};
+          if (obj.type === 'text' && obj.rotation) {
+            // Its baseline moved to keep the opposite corner in place
+            sendBatch([
+              { event: "move", data: { id: obj.id, x: obj.x, y: obj.y, ...rotation } },
+              { event: "resize", data: { id: obj.id, fontSize: obj.fontSize } },
+            ]);
+          } else if (obj.type === 'text') {
             const finalFontSize = obj.fontSize;
-            socket.emit("resize", { roomId, index: resizeStartData.objectIndex, fontSize: finalFontSize });
+            sendOperation("resize", { id: obj.id, fontSize: finalFontSize });
           } else if (obj.type === 'stroke') {
             // Emit stroke resize with new points
-            socket.emit("resizeStroke", { roomId, index: resizeStartData.objectIndex, points: obj.points });
-          } else if (obj.type === 'rectangle' || obj.type === 'ellipse' || obj.type === 'triangle') {
-            socket.emit("resizeShape", { 
-              roomId, 
-              index: resizeStartData.objectIndex, 
+            sendOperation("resizeStroke", { id: obj.id, points: obj.points, ...rotation });
+          } else if (isShape(obj)) {
+            sendOperation("resizeShape", { 
+              id: obj.id, 
               x: obj.x, 
               y: obj.y, 
               width: obj.width, 
-              height: obj.height 
+              height: obj.height,
+              ...rotation
             });
+          } else if (obj.type === 'image') {
+            const { id, x, y, width, height } = obj;
+            if (croppingId === obj.id) {
+              sendOperation("crop", { id, x, y, width, height, crop: obj.crop, ...rotation });
+            } else {
+              sendOperation("resizeShape", { id, x, y, width, height, ...rotation });
+            }
           } else if (obj.type === 'line' || obj.type === 'arrow') {
-            socket.emit("resizeLine", { 
-              roomId, 
-              index: resizeStartData.objectIndex, 
+            const resize = { 
+              id: obj.id, 
               x1: obj.x1, 
               y1: obj.y1, 
               x2: obj.x2, 
               y2: obj.y2 
-            });
+            };
+            // Each end binds to the anchor it was dropped on, if any
+            const start = toBinding(findConnectorAnchor({ x: obj.x1, y: obj.y1 }));
+            const end = toBinding(findConnectorAnchor({ x: obj.x2, y: obj.y2 }));
+            if (start || end || isBound(resizeStartData.originalObject)) {
+              sendBatch([
+                { event: "resizeLine", data: resize },
+                { event: "setBindings", data: { id: obj.id, start, end } },
+              ]);
+            } else {
+              sendOperation("resizeLine", resize);
+            }
           }
         }
 
         setIsResizing(false);
         setResizeHandle(null);
         setResizeStartData(null);
-        saveState();
+        setGuides([]);
         return;
       }
 
       setIsDragging(false);
-      if (selectedObject !== null) {
-        saveState();
-      }
+      setDragStart(null);
+      setGuides([]);
+      dragGestureRef.current = null;
       return;
     }
 
     // Don't process stroke if we were drawing a shape
-    const shapeTools = ['rectangle', 'ellipse', 'triangle', 'line', 'arrow'];
+    const shapeTools = [...SHAPE_TYPES, 'line', 'arrow'];
     if (shapeTools.includes(tool)) {
       return;
     }
@@ -1897,21 +2537,21 @@ const Whiteboard = forwardRef(({
     // Save the stroke as an object
     if (currentStroke.current.length > 0) {
       const newStroke = {
+        id: createObjectId(),
         type: 'stroke',
         points: [...currentStroke.current],
         color,
         size,
-        tool
+        tool,
+        layer: activeLayer.id,
+        z: nextObjectZ(objects)
       };
-      setObjects(prev => [...prev, newStroke]);
-      socket.emit("stroke", { roomId, socketId: socket.id, ...newStroke });
+      sendOperation("stroke", { socketId: socket.id, ...newStroke });
       currentStroke.current = [];
     }
 
     // Clear live stroke
     setLiveStroke(null);
-
-    saveState(); // Save state after each stroke
   };
 
   const handleCanvasClick = (e) => {
@@ -1933,28 +2573,29 @@ const Whiteboard = forwardRef(({
       const canvasCoords = screenToCanvas(screenX, screenY);
 
       const newNote = {
-        id: Date.now().toString() + Math.random().toString(36),
+        id: createObjectId(),
         x: canvasCoords.x,
         y: canvasCoords.y,
         width: 200,
         height: 200,
         text: "Double-click to edit",
         color: "#ffd700", // Yellow sticky note
-        zIndex: stickyNotes.length
+        // On top of the other notes
+        zIndex: nextNoteZ(stickyNotes)
       };
 
-      setStickyNotes(prev => [...prev, newNote]);
-      socket.emit("stickyNote:create", { roomId, ...newNote });
+      sendOperation("stickyNote:create", newNote);
       return;
     }
   }; const handleTextSubmit = (e) => {
     if (e.key === "Enter" && inputValue.trim()) {
-      const newText = { type: 'text', text: inputValue, x: textInput.x, y: textInput.y, color, fontSize: 20 };
+      const newText = {
+        id: createObjectId(), type: 'text', text: inputValue, x: textInput.x, y: textInput.y, color, fontSize: 20,
+        layer: activeLayer.id, z: nextObjectZ(objects),
+      };
 
       setTexts((prev) => [...prev, newText]);
-      setObjects(prev => [...prev, newText]);
-      socket.emit("text", { roomId, ...newText });
-      saveState();
+      sendOperation("text", newText);
 
       setTextInput(null);
       setInputValue("");
@@ -1965,6 +2606,9 @@ const Whiteboard = forwardRef(({
   };
 
   const handleStickyNoteMouseDown = (e, noteId, isResizeHandle = false, handle = null) => {
+    // Right clicks open the context menu
+    if (readOnly || e.button === 2) return;
+
     // Prevent default to avoid triggering contentEditable on single click
     if (e.detail !== 2) { // Not a double click
       e.preventDefault();
@@ -1973,7 +2617,12 @@ const Whiteboard = forwardRef(({
       const note = stickyNotes.find(n => n.id === noteId);
       if (!note) return;
 
-      setSelectedStickyNote(noteId);
+      // Shift-click adds the note to (or removes it from) the selection
+      if (e.shiftKey && !isResizeHandle) {
+        setSelection(prev => toggleInSelection(prev, 'noteIds', noteId));
+        return;
+      }
+      setSelection({ objectIds: [], noteIds: [noteId] });
 
       if (isResizeHandle && handle) {
         // Start resizing
@@ -1999,58 +2648,117 @@ const Whiteboard = forwardRef(({
   };
 
   const handleStickyNoteMouseMove = (e) => {
-    if (resizingStickyNote && stickyNoteResizeStart) {
+    if (rotatingStickyNote) {
       e.preventDefault();
-      const deltaX = e.clientX - stickyNoteResizeStart.x;
-      const deltaY = e.clientY - stickyNoteResizeStart.y;
-      const handle = stickyNoteResizeHandle;
-      
-      setStickyNotes(prev => prev.map(note => {
-        if (note.id !== resizingStickyNote) return note;
-        
-        let newX = stickyNoteResizeStart.noteX;
-        let newY = stickyNoteResizeStart.noteY;
-        let newWidth = stickyNoteResizeStart.width;
-        let newHeight = stickyNoteResizeStart.height;
-        
-        // Handle different resize directions
-        if (handle.includes('e')) {
-          newWidth = Math.max(100, stickyNoteResizeStart.width + deltaX);
-        }
-        if (handle.includes('w')) {
-          const widthChange = Math.min(deltaX, stickyNoteResizeStart.width - 100);
-          newWidth = Math.max(100, stickyNoteResizeStart.width - deltaX);
-          newX = stickyNoteResizeStart.noteX + widthChange;
-        }
-        if (handle.includes('s')) {
-          newHeight = Math.max(100, stickyNoteResizeStart.height + deltaY);
-        }
-        if (handle.includes('n')) {
-          const heightChange = Math.min(deltaY, stickyNoteResizeStart.height - 100);
-          newHeight = Math.max(100, stickyNoteResizeStart.height - deltaY);
-          newY = stickyNoteResizeStart.noteY + heightChange;
-        }
-        
-        return { ...note, x: newX, y: newY, width: newWidth, height: newHeight };
-      }));
+      rotateStickyNoteTo(e.clientX, e.clientY, e.shiftKey);
+    } else if (resizingStickyNote && stickyNoteResizeStart) {
+      e.preventDefault();
+      resizeStickyNoteTo(e.clientX, e.clientY);
     } else if (draggingStickyNote) {
       e.preventDefault();
-      const newX = e.clientX - stickyNoteDragOffset.x;
-      const newY = e.clientY - stickyNoteDragOffset.y;
+      dragStickyNoteTo(e.clientX, e.clientY);
+    }
+  };
 
-      setStickyNotes(prev => prev.map(note =>
-        note.id === draggingStickyNote
-          ? { ...note, x: newX, y: newY }
-          : note
-      ));
+  // Move the note being dragged along with the pointer, snapped to the
+  // things around it and the grid
+  const dragStickyNoteTo = (clientX, clientY) => {
+    const note = stickyNotes.find(n => n.id === draggingStickyNote);
+    if (!note) return;
+    const newX = clientX - stickyNoteDragOffset.x;
+    const newY = clientY - stickyNoteDragOffset.y;
+    const delta = snapDelta(getNoteBounds(note), null, newX - note.x, newY - note.y, new Set([note.id]));
+
+    setStickyNotes(prev => prev.map(n => (
+      n.id === draggingStickyNote ? { ...n, x: note.x + delta.x, y: note.y + delta.y } : n
+    )));
+  };
+
+  // Resize the note being resized by how far the pointer has come. Upright
+  // notes have their edges snapped.
+  const resizeStickyNoteTo = (clientX, clientY) => {
+    const start = stickyNoteResizeStart;
+    const startBox = { x: start.noteX, y: start.noteY, width: start.width, height: start.height };
+    const note = stickyNotes.find(n => n.id === resizingStickyNote);
+    const delta = note && !note.rotation
+      ? snapDelta(startBox, stickyNoteResizeHandle, clientX - start.x, clientY - start.y, new Set([note.id]))
+      : { x: clientX - start.x, y: clientY - start.y };
+
+    setStickyNotes(prev => prev.map(n => (
+      n.id === resizingStickyNote ? resizeStickyNoteBy(n, delta.x, delta.y) : n
+    )));
+  };
+
+  // The note being resized after a drag by some delta. A rotated note is
+  // resized along its own axes, keeping the opposite corner where it was.
+  const resizeStickyNoteBy = (note, screenDeltaX, screenDeltaY) => {
+    const rotation = note.rotation || 0;
+    const { x: deltaX, y: deltaY } = rotatePoint({ x: screenDeltaX, y: screenDeltaY }, { x: 0, y: 0 }, -rotation);
+    const handle = stickyNoteResizeHandle;
+    const start = stickyNoteResizeStart;
+    let newX = start.noteX;
+    let newY = start.noteY;
+    let newWidth = start.width;
+    let newHeight = start.height;
+
+    // Handle different resize directions
+    if (handle.includes('e')) {
+      newWidth = Math.max(100, start.width + deltaX);
+    }
+    if (handle.includes('w')) {
+      const widthChange = Math.min(deltaX, start.width - 100);
+      newWidth = Math.max(100, start.width - deltaX);
+      newX = start.noteX + widthChange;
+    }
+    if (handle.includes('s')) {
+      newHeight = Math.max(100, start.height + deltaY);
+    }
+    if (handle.includes('n')) {
+      const heightChange = Math.min(deltaY, start.height - 100);
+      newHeight = Math.max(100, start.height - deltaY);
+      newY = start.noteY + heightChange;
+    }
+
+    const resized = { x: newX, y: newY, width: newWidth, height: newHeight };
+    if (rotation) {
+      const anchorOf = (box) => rotatePoint(handlePoint(box, oppositeHandle(handle)), boxCenter(box), rotation);
+      const before = anchorOf({ x: start.noteX, y: start.noteY, width: start.width, height: start.height });
+      const after = anchorOf(resized);
+      resized.x += before.x - after.x;
+      resized.y += before.y - after.y;
     }
+    return { ...note, ...resized };
+  };
+
+  // Start dragging a note's rotation handle. Angles are taken about the
+  // note's middle on screen.
+  const handleStickyNoteRotateStart = (noteElement, noteId) => {
+    if (readOnly) return;
+    const rect = noteElement.getBoundingClientRect();
+    setSelection({ objectIds: [], noteIds: [noteId] });
+    setRotatingStickyNote({ id: noteId, center: { x: rect.left + rect.width / 2, y: rect.top + rect.height / 2 } });
+  };
+
+  const rotateStickyNoteTo = (clientX, clientY, snap) => {
+    const angle = angleToPoint(rotatingStickyNote.center, { x: clientX, y: clientY });
+    const rotation = snap ? snapAngle(angle) : angle;
+    setStickyNotes(prev => prev.map(note => (note.id === rotatingStickyNote.id ? { ...note, rotation } : note)));
   };
 
   const handleStickyNoteMouseUp = () => {
-    if (resizingStickyNote) {
+    setGuides([]);
+    if (rotatingStickyNote) {
+      const note = stickyNotes.find(n => n.id === rotatingStickyNote.id);
+      if (note) {
+        sendOperation("stickyNote:rotate", { id: note.id, rotation: note.rotation || 0 });
+      }
+      setRotatingStickyNote(null);
+    } else if (resizingStickyNote) {
       const note = stickyNotes.find(n => n.id === resizingStickyNote);
       if (note) {
-        socket.emit("stickyNote:resize", { roomId, id: note.id, x: note.x, y: note.y, width: note.width, height: note.height });
+        // Like objects, a rotated note's position only fits its angle
+        const rotation = note.rotation ? { rotation: note.rotation } : {};
+        sendOperation("stickyNote:resize", { id: note.id, x: note.x, y: note.y, width: note.width, height: note.height, ...rotation });
       }
       setResizingStickyNote(null);
       setStickyNoteResizeHandle(null);
@@ -2058,16 +2766,37 @@ const Whiteboard = forwardRef(({
     } else if (draggingStickyNote) {
       const note = stickyNotes.find(n => n.id === draggingStickyNote);
       if (note) {
-        socket.emit("stickyNote:move", { roomId, id: note.id, x: note.x, y: note.y });
+        sendOperation("stickyNote:move", { id: note.id, x: note.x, y: note.y });
       }
       setDraggingStickyNote(null);
     }
   };
 
+  // Keep the spatial index in step with the scene: created, moved, resized
+  // and deleted objects are refiled, everything else is left alone
+  useEffect(() => {
+    spatialIndexRef.current.sync(objects, getPaintBounds);
+  }, [objects, getPaintBounds]);
+
   // Redraw canvas whenever objects change
   useEffect(() => {
     redrawCanvas();
-  }, [objects, selectedObject, liveStroke, liveShape, viewportTransform]);
+  }, [stackedObjects, stackedLayers, stickyNotes, selection, marquee, liveStroke, liveShape, viewportTransform,
+    loadedImageCount, croppingId, grid, guides]);
+
+  // Tell the parent about the layers for its panel
+  useEffect(() => {
+    if (onLayersChange) {
+      onLayersChange({ layers: stackedLayers, activeLayerId: activeLayer.id });
+    }
+  }, [stackedLayers, activeLayer.id, onLayersChange]);
+
+  // Tell the parent the selection's style for its properties panel
+  useEffect(() => {
+    if (onSelectionStyleChange) {
+      onSelectionStyleChange(selectionStyle(getSelectedObjects()));
+    }
+  }, [getSelectedObjects, onSelectionStyleChange]);
 
   // Notify parent of zoom changes
   useEffect(() => {
@@ -2076,43 +2805,459 @@ const Whiteboard = forwardRef(({
     }
   }, [viewportTransform.scale, onZoomChange]);
 
-  const deleteSelectedObject = () => {
+  // Delete everything selected, groups with all their members; several items
+  // go out as one batch
+  const deleteSelection = () => {
     if (selectedObject !== null) {
-      setObjects(prev => {
-        const updated = [...prev];
-        if (updated[selectedObject]) {
-          updated[selectedObject] = { ...updated[selectedObject], deleted: true };
-        }
-        return updated;
+      const obj = getSelectedObject();
+      if (obj) sendOperation("delete", { id: obj.id });
+    } else if (selectedStickyNote !== null) {
+      sendOperation("stickyNote:delete", { id: selectedStickyNote });
+    } else {
+      sendBatch([
+        ...getEditableIds().map(id => ({ event: "delete", data: { id } })),
+        ...selection.noteIds.map(id => ({ event: "stickyNote:delete", data: { id } })),
+      ]);
+    }
+    setSelection(EMPTY_SELECTION);
+  };
+
+  // Selected groups and everything under them, leaving out objects on hidden
+  // or locked layers
+  const getEditableIds = () => descendantIds(selection.objectIds, objectsById)
+    .filter(id => isGroup(objectsById.get(id)) || isPickable(objectsById.get(id)));
+
+  // Bind the selected objects (and groups) into a new group
+  const groupSelection = () => {
+    if (readOnly || selection.objectIds.length < 2) return;
+    const id = createObjectId();
+    sendOperation("group", { id, type: "group", children: selection.objectIds, layer: activeLayer.id, z: nextObjectZ(objects) });
+    setSelection({ objectIds: [id], noteIds: [] });
+  };
+
+  // Dissolve the selected groups one level, selecting what they held
+  const ungroupSelection = () => {
+    if (readOnly) return;
+    const groups = selection.objectIds.map(id => objectsById.get(id)).filter(obj => obj && isGroup(obj));
+    if (groups.length === 0) return;
+
+    sendBatch(groups.map(group => ({ event: "delete", data: { id: group.id } })));
+    const released = groups.flatMap(group => group.children.filter(id => objectsById.has(id) && !objectsById.get(id).deleted));
+    setSelection({
+      objectIds: [...selection.objectIds.filter(id => !groups.some(group => group.id === id)), ...released],
+      noteIds: selection.noteIds,
+    });
+  };
+
+  // Move the selection up or down the stack (see zOrder.js). Objects and
+  // sticky notes stack separately; notes always sit above the canvas.
+  const reorderSelection = (command) => {
+    if (readOnly) return;
+    const moving = getSelectedObjects();
+    const movingIds = moving.map(obj => obj.id);
+    // Objects only change places with others on their own layer
+    const movingLayers = [...new Set(moving.map(obj => layerIdOf(obj, stackedLayers)))];
+    const objectOps = movingLayers.flatMap((layerId) => {
+      const layerStack = stackedObjects.filter(obj => (
+        !obj.deleted && !isGroup(obj) && layerIdOf(obj, stackedLayers) === layerId
+      ));
+      return reorder(layerStack, movingIds, command, obj => objectZKeys.get(obj.id), 'z');
+    });
+    sendBatch([
+      ...objectOps.map(data => ({ event: "reorder", data })),
+      ...reorder(stackedNotes, selection.noteIds, command, note => note.zIndex || 0, 'zIndex')
+        .map(data => ({ event: "stickyNote:reorder", data })),
+    ]);
+  };
+
+  // Switch the selected line or arrow between straight and elbow routing
+  const toggleConnectorRouting = () => {
+    const obj = getSelectedObject();
+    if (readOnly || !obj || (obj.type !== 'line' && obj.type !== 'arrow')) return;
+    sendOperation("setRouting", { id: obj.id, routing: obj.routing === 'elbow' ? 'straight' : 'elbow' });
+  };
+
+  // Layers panel actions. Layers are shared, so these are edits to the room.
+  const addLayer = () => {
+    if (readOnly) return;
+    const top = stackedLayers[stackedLayers.length - 1];
+    const layer = { id: createObjectId(), name: nextLayerName(layers), hidden: false, locked: false, order: top.order + 1 };
+    sendOperation("layer:create", layer);
+    setActiveLayerId(layer.id);
+  };
+
+  const renameLayer = (id, name) => {
+    if (readOnly || !name.trim()) return;
+    sendOperation("layer:rename", { id, name: name.trim() });
+  };
+
+  const setLayerHidden = (id, hidden) => {
+    if (readOnly) return;
+    sendOperation("layer:visibility", { id, hidden });
+  };
+
+  const setLayerLocked = (id, locked) => {
+    if (readOnly) return;
+    sendOperation("layer:lock", { id, locked });
+  };
+
+  // Swap a layer with the one above (direction 1) or below (-1) it
+  const moveLayer = (id, direction) => {
+    const rank = layerRank.get(id);
+    const neighbour = stackedLayers[rank + direction];
+    if (readOnly || rank === undefined || !neighbour) return;
+    const layer = stackedLayers[rank];
+    sendBatch([
+      { event: "layer:reorder", data: { id: layer.id, order: neighbour.order } },
+      { event: "layer:reorder", data: { id: neighbour.id, order: layer.order } },
+    ]);
+  };
+
+  // Delete a layer, moving what was on it to the layer below (or above)
+  const deleteLayer = (id) => {
+    const rank = layerRank.get(id);
+    if (readOnly || rank === undefined || stackedLayers.length < 2) return;
+    const target = stackedLayers[rank === 0 ? 1 : rank - 1];
+    sendBatch([
+      ...objects
+        .filter(obj => !obj.deleted && layerIdOf(obj, stackedLayers) === id)
+        .map(obj => ({ event: "setLayer", data: { id: obj.id, layer: target.id } })),
+      { event: "layer:delete", data: { id } },
+    ]);
+  };
+
+  const moveSelectionToLayer = (layerId) => {
+    if (readOnly || !layerRank.has(layerId)) return;
+    sendBatch(getEditableIds().map(id => ({ event: "setLayer", data: { id, layer: layerId } })));
+  };
+
+  // Everything selected that can be edited, as clipboard content (see
+  // utils/clipboard.js)
+  const getClipboardContent = () => ({
+    objects: getEditableIds().map(id => objectsById.get(id)),
+    stickyNotes: getSelectedNotes(),
+  });
+
+  // Returns whether there was anything to copy
+  const copySelection = (clipboardData) => {
+    const content = getClipboardContent();
+    if (content.objects.length === 0 && content.stickyNotes.length === 0) return false;
+    clipboardData.setData('text/plain', serializeClipboard(content));
+    return true;
+  };
+
+  const cutSelection = (clipboardData) => {
+    if (readOnly || !copySelection(clipboardData)) return false;
+    deleteSelection();
+    return true;
+  };
+
+  // Add copies of clipboard content as one batch, on the active layer and
+  // above everything else, and select them
+  const insertCopies = (content, deltaX, deltaY) => {
+    const copies = cloneClipboard(content, createObjectId, deltaX, deltaY);
+    const topObject = nextObjectZ(objects);
+    const topNote = nextNoteZ(stickyNotes);
+    sendBatch([
+      ...copies.objects.map((obj, index) => ({
+        event: createEventFor(obj),
+        data: { ...obj, layer: activeLayer.id, z: topObject + index },
+      })),
+      ...copies.stickyNotes.map((note, index) => ({ event: "stickyNote:create", data: { ...note, zIndex: topNote + index } })),
+    ]);
+
+    const grouped = new Set(copies.objects.filter(isGroup).flatMap(group => group.children));
+    setSelection({
+      objectIds: copies.objects.filter(obj => !grouped.has(obj.id)).map(obj => obj.id),
+      noteIds: copies.stickyNotes.map(note => note.id),
+    });
+  };
+
+  const duplicateSelection = () => {
+    if (readOnly) return;
+    const content = getClipboardContent();
+    if (content.objects.length === 0 && content.stickyNotes.length === 0) return;
+    insertCopies(content, PASTE_OFFSET, PASTE_OFFSET);
+  };
+
+  // Paste clipboard text. Board content lands centred on the pointer when it
+  // is over the canvas, otherwise offset from where it was copied. Other
+  // text becomes a text object, or a sticky note if it spans several lines
+  // or the sticky note tool is active.
+  const pasteText = (text) => {
+    if (readOnly || !text) return;
+    const last = lastPasteRef.current;
+    const count = last.text === text ? last.count + 1 : 1;
+    lastPasteRef.current = { text, count };
+    const pointer = pointerRef.current;
+
+    const content = parseClipboard(text);
+    if (content) {
+      const bounds = getMembersBounds(content.objects.filter(obj => !isGroup(obj)), content.stickyNotes);
+      if (!bounds) return;
+      if (pointer) {
+        insertCopies(content, pointer.x - (bounds.x + bounds.width / 2), pointer.y - (bounds.y + bounds.height / 2));
+      } else {
+        insertCopies(content, PASTE_OFFSET * count, PASTE_OFFSET * count);
+      }
+      return;
+    }
+
+    const trimmed = text.trim();
+    if (!trimmed) return;
+    const viewport = getViewportRect();
+    const at = pointer || { x: viewport.x + viewport.width / 2, y: viewport.y + viewport.height / 2 };
+    const id = createObjectId();
+    if (tool === "stickyNote" || trimmed.includes("\n")) {
+      sendOperation("stickyNote:create", {
+        id,
+        x: at.x,
+        y: at.y,
+        width: 200,
+        height: 200,
+        text: trimmed,
+        color: "#ffd700",
+        zIndex: nextNoteZ(stickyNotes)
+      });
+      setSelection({ objectIds: [], noteIds: [id] });
+    } else {
+      sendOperation("text", {
+        id, type: 'text', text: trimmed, x: at.x, y: at.y, color, fontSize: 20, layer: activeLayer.id, z: nextObjectZ(objects),
       });
-      socket.emit("delete", { roomId, index: selectedObject });
-      setSelectedObject(null);
-      saveState();
+      setSelection({ objectIds: [id], noteIds: [] });
     }
   };
 
-  const deleteSelectedStickyNote = () => {
-    if (selectedStickyNote !== null) {
-      setStickyNotes(prev => prev.filter(n => n.id !== selectedStickyNote));
-      socket.emit("stickyNote:delete", { roomId, id: selectedStickyNote });
-      setSelectedStickyNote(null);
+  // Place image files on the board, each as large as it is up to
+  // MAX_IMAGE_SIZE, centred on a point (the pointer or the middle of the
+  // view) and fanning out from there. A file is only stored once it has
+  // been read as an image, and only added once stored, so the scene only
+  // holds URLs everyone can load.
+  const addImages = async (files, at) => {
+    if (readOnly || !uploadImage) return;
+    const images = Array.from(files).filter(isImageFile);
+    if (images.length === 0) return;
+    const viewport = getViewportRect();
+    const origin = at || pointerRef.current || { x: viewport.x + viewport.width / 2, y: viewport.y + viewport.height / 2 };
+    const layer = activeLayer.id;
+    const top = nextObjectZ(objects);
+
+    const added = [];
+    for (const [index, file] of images.entries()) {
+      try {
+        const size = await readImageSize(file);
+        const src = await uploadImage(file);
+        const { width, height } = fitImageSize(size);
+        const id = createObjectId();
+        sendOperation("image", {
+          id,
+          type: 'image',
+          src,
+          x: origin.x - width / 2 + index * PASTE_OFFSET,
+          y: origin.y - height / 2 + index * PASTE_OFFSET,
+          width,
+          height,
+          naturalWidth: size.width,
+          naturalHeight: size.height,
+          crop: { x: 0, y: 0, width: size.width, height: size.height },
+          layer,
+          z: top + index,
+        });
+        added.push(id);
+      } catch (error) {
+        if (onImageError) onImageError(file, error);
+      }
     }
+    if (added.length > 0) setSelection({ objectIds: added, noteIds: [] });
+  };
+
+  const handleCanvasDragOver = (e) => {
+    if (readOnly || !Array.from(e.dataTransfer.types || []).includes('Files')) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'copy';
+  };
+
+  const handleCanvasDrop = (e) => {
+    if (readOnly || e.dataTransfer.files.length === 0) return;
+    e.preventDefault();
+    const { offsetX, offsetY } = e.nativeEvent;
+    addImages(e.dataTransfer.files, screenToCanvas(offsetX, offsetY));
+  };
+
+  // Double-clicking the selected image switches its handles between resizing
+  // and cropping it
+  const handleCanvasDoubleClick = (e) => {
+    const obj = getSelectedObject();
+    if (readOnly || tool !== "select" || !obj || obj.type !== 'image') return;
+    const { offsetX, offsetY } = e.nativeEvent;
+    const { x, y } = screenToCanvas(offsetX, offsetY);
+    if (!isPointInImage(x, y, obj)) return;
+    setCroppingId(croppingId === obj.id ? null : obj.id);
+  };
+
+  // Crop mode ends when the image is no longer the only thing selected
+  useEffect(() => {
+    if (croppingId && selectedObject !== croppingId) setCroppingId(null);
+  }, [croppingId, selectedObject]);
+
+  // Read by the keyboard and clipboard handlers, which are only registered
+  // once per socket
+  const selectionActionsRef = useRef(null);
+  selectionActionsRef.current = {
+    deleteSelection,
+    groupSelection,
+    ungroupSelection,
+    reorderSelection,
+    copySelection,
+    cutSelection,
+    duplicateSelection,
+    pasteText,
+    addImages,
+  };
+
+  // Give everything selected a new colour, as one batch
+  const recolorSelection = (newColor) => {
+    if (readOnly) return;
+    sendBatch([
+      ...getSelectedObjects().map(obj => ({ event: "recolor", data: { id: obj.id, color: newColor } })),
+      ...getSelectedNotes().map(note => ({ event: "stickyNote:recolor", data: { id: note.id, color: newColor } })),
+    ]);
+  };
+
+  // Style edits from the properties panel. Everything changed between
+  // beginStyleEdit and endStyleEdit is undone as one step.
+  const styleGestureRef = useRef(null);
+
+  const beginStyleEdit = () => {
+    styleGestureRef.current = createObjectId();
+  };
+
+  const endStyleEdit = () => {
+    styleGestureRef.current = null;
+  };
+
+  // Set some style fields (see utils/styles.js) on everything selected that
+  // takes them, as one batch
+  const restyleSelection = (changes) => {
+    if (readOnly) return;
+    const ops = getSelectedObjects().map(obj => restyleOperation(obj, changes)).filter(Boolean);
+    sendBatch(ops, styleGestureRef.current ? { gestureId: styleGestureRef.current } : {});
+  };
+
+  // Align or distribute the selection (see utils/align), as one batch. A
+  // selected group moves as a whole.
+  const arrangeSelection = (command) => {
+    if (readOnly) return;
+    const parts = [
+      ...selection.objectIds.map((id) => {
+        const members = expandGroups([id], objectsById).filter(isPickable);
+        return { id, members, notes: [], bounds: getMembersBounds(members, []) };
+      }),
+      ...getSelectedNotes().map(note => ({ id: note.id, members: [], notes: [note], bounds: getNoteBounds(note) })),
+    ].filter(part => part.bounds);
+    const moves = arrangeParts(parts, command);
+
+    sendBatch(parts.filter(part => moves.has(part.id)).flatMap((part) => {
+      const { dx, dy } = moves.get(part.id);
+      return [
+        ...part.members.map(obj => ({ event: "move", data: { id: obj.id, ...getGeometry(moveObject(obj, dx, dy)) } })),
+        ...part.notes.map(note => ({ event: "stickyNote:move", data: { id: note.id, x: note.x + dx, y: note.y + dy } })),
+      ];
+    }));
+  };
+
+  // What an export shows: everything on visible layers, or only what is
+  // selected, framed with some room around it. Null when that's nothing.
+  const getExportScene = (selectionOnly) => {
+    const editableIds = selectionOnly ? new Set(getEditableIds()) : null;
+    const exportedObjects = stackedObjects.filter(obj => (
+      !obj.deleted && !isGroup(obj) && isOnVisibleLayer(obj) && (!editableIds || editableIds.has(obj.id))
+    ));
+    const exportedNotes = selectionOnly
+      ? stackedNotes.filter(note => selection.noteIds.includes(note.id))
+      : stackedNotes;
+    const bounds = unionBounds([
+      ...exportedObjects.map(getPaintBounds).filter(Boolean),
+      ...exportedNotes.map(getNoteBounds),
+    ]);
+    if (!bounds) return null;
+    return { objects: exportedObjects, stickyNotes: exportedNotes, bounds: padBounds(bounds) };
+  };
+
+  // Render the board as a 'png', 'svg' or 'pdf' file. Resolves to null when
+  // there is nothing to export.
+  const exportBoard = async (format, { selectionOnly = false, scale = 1 } = {}) => {
+    const scene = getExportScene(selectionOnly);
+    if (!scene) return null;
+    if (format === 'svg') return exportSvg(scene);
+    if (format === 'pdf') return exportPdf(scene, { getImage });
+    return exportPng(scene, { scale, getImage });
   };
 
   // Expose undo/redo functions to parent via ref
   useImperativeHandle(ref, () => ({
     undo,
     redo,
-    deleteSelectedObject: () => {
-      if (selectedObject !== null) {
-        deleteSelectedObject();
-      } else if (selectedStickyNote !== null) {
-        deleteSelectedStickyNote();
-      }
-    }
+    deleteSelectedObject: deleteSelection,
+    duplicateSelection,
+    recolorSelection,
+    restyleSelection,
+    beginStyleEdit,
+    endStyleEdit,
+    arrangeSelection,
+    groupSelection,
+    ungroupSelection,
+    reorderSelection,
+    addLayer,
+    renameLayer,
+    setLayerHidden,
+    setLayerLocked,
+    moveLayer,
+    deleteLayer,
+    moveSelectionToLayer,
+    setActiveLayer: setActiveLayerId,
+    addImages,
+    exportBoard,
   }));
 
+  // Right-clicking an object or sticky note opens the stacking-order menu for
+  // the selection, selecting what was clicked first if it wasn't already
+  const openContextMenu = (e, target, position) => {
+    if (readOnly || tool !== "select") return;
+    e.preventDefault();
+    e.stopPropagation();
+    if (target && !selection[target.key].includes(target.id)) {
+      setSelection({ ...EMPTY_SELECTION, [target.key]: [target.id] });
+    } else if (!target && selectionSize(selection) === 0) {
+      return;
+    }
+    setContextMenu(position);
+  };
+
+  const handleCanvasContextMenu = (e) => {
+    const { offsetX, offsetY } = e.nativeEvent;
+    const { x, y } = screenToCanvas(offsetX, offsetY);
+    const clicked = findSelectableAt(x, y);
+    openContextMenu(e, clicked && { key: 'objectIds', id: clicked.id }, { x: offsetX, y: offsetY });
+  };
+
+  // Any click elsewhere or Escape closes the menu
+  useEffect(() => {
+    if (!contextMenu) return;
+    const close = () => setContextMenu(null);
+    const closeOnEscape = (e) => {
+      if (e.key === 'Escape') close();
+    };
+    window.addEventListener('mousedown', close);
+    window.addEventListener('keydown', closeOnEscape);
+    return () => {
+      window.removeEventListener('mousedown', close);
+      window.removeEventListener('keydown', closeOnEscape);
+    };
+  }, [contextMenu]);
+
   const handleCanvasMouseLeave = () => {
+    pointerRef.current = null;
     if (onCursorLeave) {
       onCursorLeave();
     } else if (socket) {
@@ -2124,10 +3269,15 @@ const Whiteboard = forwardRef(({
     <>
       <canvas
         ref={canvasRef}
+        data-testid="whiteboard-canvas"
         onClick={handleCanvasClick}
+        onDoubleClick={handleCanvasDoubleClick}
+        onDragOver={handleCanvasDragOver}
+        onDrop={handleCanvasDrop}
         onMouseDown={startDrawing}
         onMouseMove={draw}
         onMouseUp={stopDrawing}
+        onContextMenu={handleCanvasContextMenu}
         onMouseLeave={handleCanvasMouseLeave}
         onTouchStart={handleTouchStart}
         onTouchMove={handleTouchMove}
@@ -2168,9 +3318,9 @@ const Whiteboard = forwardRef(({
           />
         );
       })()}
-      {stickyNotes.map((note) => {
+      {stackedNotes.map((note, rank) => {
         const screenPos = canvasToScreen(note.x, note.y);
-        const isSelected = selectedStickyNote === note.id;
+        const isSelected = selection.noteIds.includes(note.id);
         const scaledWidth = note.width * viewportTransform.scale;
         const scaledHeight = note.height * viewportTransform.scale;
         
@@ -2181,6 +3331,7 @@ const Whiteboard = forwardRef(({
         return (
           <div
             key={note.id}
+            data-testid={`sticky-note-${note.id}`}
             style={{
               position: "absolute",
               left: `${screenPos.x}px`,
@@ -2191,30 +3342,40 @@ const Whiteboard = forwardRef(({
               border: isSelected ? "2px solid #0066ff" : "1px solid #ccc",
               borderRadius: "4px",
               boxShadow: isSelected ? "0 0 0 2px rgba(0, 102, 255, 0.2), 2px 2px 8px rgba(0,0,0,0.2)" : "2px 2px 8px rgba(0,0,0,0.2)",
-              zIndex: 1000 + note.zIndex,
+              zIndex: 1000 + rank,
               cursor: draggingStickyNote === note.id ? "grabbing" : "grab",
               padding: "10px",
               overflow: "auto",
               fontFamily: "Arial, sans-serif",
               fontSize: "14px",
               userSelect: "none",
-              touchAction: "none"
+              touchAction: "none",
+              transform: note.rotation ? `rotate(${note.rotation}rad)` : undefined
             }}
             onMouseDown={(e) => handleStickyNoteMouseDown(e, note.id)}
+            onContextMenu={(e) => {
+              const noteRect = e.currentTarget.getBoundingClientRect();
+              openContextMenu(e, { key: 'noteIds', id: note.id }, {
+                x: screenPos.x + e.clientX - noteRect.left,
+                y: screenPos.y + e.clientY - noteRect.top,
+              });
+            }}
             onTouchStart={(e) => handleStickyNoteTouchStart(e, note.id)}
             onDoubleClick={(e) => {
               e.stopPropagation();
+              if (readOnly) return;
               e.currentTarget.querySelector('.sticky-note-content').contentEditable = "true";
               e.currentTarget.querySelector('.sticky-note-content').focus();
             }}
             onClick={(e) => {
               e.stopPropagation();
-              setSelectedStickyNote(note.id);
-              setSelectedObject(null);
+              // Shift-clicks were handled on mouse down
+              if (readOnly || e.shiftKey) return;
+              setSelection({ objectIds: [], noteIds: [note.id] });
             }}
           >
             {/* Resize handles - only show when selected (touch-friendly size) */}
-            {isSelected && (
+            {selectedStickyNote === note.id && (
               <>
                 {/* Corner handles - larger for touch */}
                 <div 
@@ -2237,6 +3398,14 @@ const Whiteboard = forwardRef(({
                   onMouseDown={(e) => { e.stopPropagation(); handleStickyNoteMouseDown(e, note.id, true, 'se'); }}
                   onTouchStart={(e) => { e.stopPropagation(); handleStickyNoteTouchStart(e, note.id, true, 'se'); }}
                 />
+                {/* Rotation handle, inside the top edge since notes clip their overflow */}
+                <div
+                  style={{ position: 'absolute', top: 6, left: '50%', transform: 'translateX(-50%)', width: handleSize, height: handleSize, backgroundColor: '#0066ff', border: '2px solid #fff', borderRadius: '50%', cursor: 'grab', zIndex: 20, touchAction: 'none' }}
+                  title="Rotate (hold Shift to snap)"
+                  aria-label="Rotate note"
+                  onMouseDown={(e) => { e.stopPropagation(); e.preventDefault(); handleStickyNoteRotateStart(e.currentTarget.parentElement, note.id); }}
+                  onTouchStart={(e) => { e.stopPropagation(); handleStickyNoteRotateStart(e.currentTarget.parentElement, note.id); }}
+                />
                 {/* Edge handles - larger for touch */}
                 <div 
                   style={{ position: 'absolute', top: handleOffset, left: '50%', transform: 'translateX(-50%)', width: handleSize, height: handleSize, backgroundColor: '#fff', border: '2px solid #0066ff', borderRadius: '50%', cursor: 'n-resize', zIndex: 20, touchAction: 'none' }}
@@ -2260,41 +3429,39 @@ const Whiteboard = forwardRef(({
                 />
               </>
             )}
-            <button
-              onClick={(e) => {
-                e.stopPropagation();
-                setStickyNotes(prev => prev.filter(n => n.id !== note.id));
-                socket.emit("stickyNote:delete", { roomId, id: note.id });
-              }}
-              style={{
-                position: 'absolute',
-                top: '5px',
-                right: '5px',
-                background: 'transparent',
-                border: 'none',
-                cursor: 'pointer',
-                fontSize: '14px',
-                fontWeight: 'bold',
-                color: '#000',
-                opacity: 0.3,
-                padding: '0 4px',
-                zIndex: 10
-              }}
-              title="Delete Note"
-              onMouseEnter={(e) => e.target.style.opacity = 1}
-              onMouseLeave={(e) => e.target.style.opacity = 0.3}
-            >
-              ✕
-            </button>
+            {!readOnly && (
+              <button
+                onClick={(e) => {
+                  e.stopPropagation();
+                  sendOperation("stickyNote:delete", { id: note.id });
+                }}
+                style={{
+                  position: 'absolute',
+                  top: '5px',
+                  right: '5px',
+                  background: 'transparent',
+                  border: 'none',
+                  cursor: 'pointer',
+                  fontSize: '14px',
+                  fontWeight: 'bold',
+                  color: '#000',
+                  opacity: 0.3,
+                  padding: '0 4px',
+                  zIndex: 10
+                }}
+                title="Delete Note"
+                onMouseEnter={(e) => e.target.style.opacity = 1}
+                onMouseLeave={(e) => e.target.style.opacity = 0.3}
+              >
+                ✕
+              </button>
+            )}
             <div
               className="sticky-note-content"
               onBlur={(e) => {
                 e.currentTarget.contentEditable = "false";
                 const newText = e.currentTarget.innerText;
-                setStickyNotes(prev => prev.map(n =>
-                  n.id === note.id ? { ...n, text: newText } : n
-                ));
-                socket.emit("stickyNote:update", { roomId, id: note.id, text: newText });
+                sendOperation("stickyNote:update", { id: note.id, text: newText });
               }}
               suppressContentEditableWarning={true}
             >
@@ -2357,6 +3524,80 @@ const Whiteboard = forwardRef(({
           </div>
         );
       })}
+      {contextMenu && (
+        <div
+          role="menu"
+          onMouseDown={(e) => e.stopPropagation()}
+          style={{
+            position: 'absolute',
+            left: `${contextMenu.x}px`,
+            top: `${contextMenu.y}px`,
+            backgroundColor: '#fff',
+            border: '1px solid #e2e8f0',
+            borderRadius: '6px',
+            boxShadow: '0 4px 12px rgba(0,0,0,0.15)',
+            padding: '4px 0',
+            zIndex: 3000,
+            fontFamily: 'Arial, sans-serif',
+            fontSize: '13px',
+          }}
+        >
+          {Z_MENU_ITEMS.map(({ command, label, shortcut }) => (
+            <div
+              key={command}
+              role="menuitem"
+              onClick={() => {
+                reorderSelection(command);
+                setContextMenu(null);
+              }}
+              style={{ display: 'flex', justifyContent: 'space-between', gap: '24px', padding: '6px 14px', cursor: 'pointer' }}
+            >
+              <span>{label}</span>
+              <span style={{ color: '#94a3b8' }}>{shortcut}</span>
+            </div>
+          ))}
+          {selectionSize(selection) > 1 && [...ALIGN_COMMANDS, ...DISTRIBUTE_COMMANDS]
+            .filter(command => selectionSize(selection) > 2 || !DISTRIBUTE_COMMANDS.includes(command))
+            .map((command, index) => (
+              <div
+                key={command}
+                role="menuitem"
+                onClick={() => {
+                  arrangeSelection(command);
+                  setContextMenu(null);
+                }}
+                style={{ padding: '6px 14px', cursor: 'pointer', ...(index === 0 ? { borderTop: '1px solid #e2e8f0' } : {}) }}
+              >
+                {ARRANGE_LABELS[command]}
+              </div>
+            ))}
+          {getSelectedObject() && ['line', 'arrow'].includes(getSelectedObject().type) && (
+            <div
+              role="menuitem"
+              onClick={() => {
+                toggleConnectorRouting();
+                setContextMenu(null);
+              }}
+              style={{ display: 'flex', justifyContent: 'space-between', gap: '24px', padding: '6px 14px', cursor: 'pointer', borderTop: '1px solid #e2e8f0' }}
+            >
+              <span>{getSelectedObject().routing === 'elbow' ? 'Straight connector' : 'Elbow connector'}</span>
+            </div>
+          )}
+          {getSelectedObject() && getSelectedObject().type === 'image' && (
+            <div
+              role="menuitem"
+              onClick={() => {
+                setCroppingId(croppingId === selectedObject ? null : selectedObject);
+                setContextMenu(null);
+              }}
+              style={{ display: 'flex', justifyContent: 'space-between', gap: '24px', padding: '6px 14px', cursor: 'pointer', borderTop: '1px solid #e2e8f0' }}
+            >
+              <span>{croppingId === selectedObject ? 'Done cropping' : 'Crop image'}</span>
+              <span style={{ color: '#94a3b8' }}>Double-click</span>
+            </div>
+          )}
+        </div>
+      )}
     </>
   );
 });
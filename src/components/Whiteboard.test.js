@@ -1,5 +1,13 @@
-import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import { render, screen, fireEvent, waitFor, act } from '@testing-library/react';
 import Whiteboard from './Whiteboard';
+import { readImageSize } from '../utils/images';
+import { DEFAULT_GRID_SETTINGS } from '../utils/snapping';
+
+// Image files can't be decoded here
+jest.mock('../utils/images', () => ({
+  ...jest.requireActual('../utils/images'),
+  readImageSize: jest.fn(),
+}));
 
 // Create a proper mock canvas context
 const createMockContext = () => ({
@@ -22,12 +30,16 @@ const createMockContext = () => ({
   restore: jest.fn(),
   scale: jest.fn(),
   translate: jest.fn(),
+  rotate: jest.fn(),
   setTransform: jest.fn(),
   setLineDash: jest.fn(),
   rect: jest.fn(),
+  strokeRect: jest.fn(),
+  fillRect: jest.fn(),
   ellipse: jest.fn(),
   fill: jest.fn(),
   arc: jest.fn(),
+  arcTo: jest.fn(),
   drawImage: jest.fn(),
   getImageData: jest.fn(() => ({ data: new Uint8ClampedArray(4) })),
   putImageData: jest.fn(),
@@ -54,6 +66,59 @@ const createMockSocket = () => ({
   disconnect: jest.fn(),
 });
 
+const renderWhiteboard = (socket, props = {}) => render(
+  <Whiteboard socket={socket} roomId="test-room" color="#000000" size={4} tool="pen" {...props} />
+);
+
+// Edits are only sent once the server has let us into the room. Returns the
+// socket handlers, to play further server events through.
+const joinRoom = (socket, { objects = [], stickyNotes = [], layers, seq = 0 } = {}) => {
+  const handlers = Object.fromEntries(socket.on.mock.calls);
+  act(() => {
+    handlers.init({ objects, stickyNotes, layers, epoch: 'epoch-1', seq });
+  });
+  return handlers;
+};
+
+const joinEmptyRoom = (socket) => joinRoom(socket);
+
+// Render a board and join a room holding the given scene
+const openBoard = (socket, scene, props) => {
+  renderWhiteboard(socket, props);
+  return joinRoom(socket, scene);
+};
+
+const getCanvas = () => screen.getByTestId('whiteboard-canvas');
+
+// jsdom mouse events have no offsetX/offsetY, so set them by hand
+const mouseEvent = (type, x, y, init = {}) => {
+  const event = new MouseEvent(type, { bubbles: true, button: 0, ...init });
+  Object.defineProperties(event, { offsetX: { value: x }, offsetY: { value: y } });
+  return event;
+};
+
+// Press at one canvas point and release at another, e.g. holding Shift
+const drag = (from, to, init = {}) => {
+  const canvas = getCanvas();
+  fireEvent(canvas, mouseEvent('mousedown', from.x, from.y, init));
+  fireEvent(canvas, mouseEvent('mousemove', to.x, to.y, init));
+  fireEvent(canvas, mouseEvent('mouseup', to.x, to.y, init));
+};
+
+const click = (x, y, init = {}) => {
+  const canvas = getCanvas();
+  fireEvent(canvas, mouseEvent('mousedown', x, y, init));
+  fireEvent(canvas, mouseEvent('mouseup', x, y, init));
+};
+
+const drawStroke = () => drag({ x: 10, y: 10 }, { x: 20, y: 20 });
+
+const rectangle = (id, x = 0, y = 0, extra = {}) => ({
+  id, type: 'rectangle', x, y, width: 100, height: 100, color: '#000', size: 2, ...extra,
+});
+
+const emittedCalls = (socket, event) => socket.emit.mock.calls.filter(([name]) => name === event);
+
 describe('Whiteboard Component', () => {
   let mockSocket;
 
@@ -64,6 +129,26 @@ describe('Whiteboard Component', () => {
     HTMLCanvasElement.prototype.getContext = jest.fn(() => mockCtx);
   });
 
+  // Delete the selection and report what was sent for it
+  const deleteSelection = (ref) => {
+    mockSocket.emit.mockClear();
+    act(() => {
+      ref.current.deleteSelectedObject();
+    });
+    return mockSocket.emit.mock.calls;
+  };
+
+  // The id of the single selected object, or null
+  const selectedId = (ref) => {
+    const [deleteCall] = deleteSelection(ref).filter(([event]) => event === 'delete');
+    return deleteCall ? deleteCall[1].id : null;
+  };
+
+  const clickAndDelete = (ref, x, y) => {
+    click(x, y);
+    return selectedId(ref);
+  };
+
   describe('Initialization', () => {
     test('renders canvas element', () => {
       render(
@@ -150,6 +235,1015 @@ describe('Whiteboard Component', () => {
     });
   });
 
+  describe('Object IDs', () => {
+    test('new strokes are emitted with a stable id', () => {
+      openBoard(mockSocket);
+      drawStroke();
+
+      const [strokeCall] = emittedCalls(mockSocket, 'stroke');
+      expect(strokeCall).toBeDefined();
+      expect(typeof strokeCall[1].id).toBe('string');
+      expect(strokeCall[1].id.length).toBeGreaterThan(0);
+    });
+
+    test('remote edits are applied by id', () => {
+      const handlers = openBoard(mockSocket, {
+        objects: [
+          { id: 'a', type: 'text', text: 'A', x: 0, y: 0, color: '#000' },
+          { id: 'b', type: 'text', text: 'B', x: 50, y: 50, color: '#000' },
+        ],
+      });
+      act(() => {
+        handlers.move({ id: 'b', x: 55, y: 55, stamp: [1, 'peer'] });
+      });
+
+      expect(mockCtx.fillText).toHaveBeenLastCalledWith('B', 55, 55);
+      expect(mockCtx.fillText).toHaveBeenCalledWith('A', 0, 0);
+    });
+  });
+
+  describe('Rendering', () => {
+    test('skips objects outside the viewport', () => {
+      openBoard(mockSocket, {
+        objects: [
+          { id: 'a', type: 'text', text: 'On screen', x: 10, y: 40, color: '#000' },
+          { id: 'b', type: 'text', text: 'Far away', x: 50000, y: 50000, color: '#000' },
+        ],
+      });
+
+      expect(mockCtx.fillText).toHaveBeenCalledWith('On screen', 10, 40);
+      expect(mockCtx.fillText).not.toHaveBeenCalledWith('Far away', 50000, 50000);
+    });
+
+    test('live strokes are drawn over the cached scene without redrawing it', () => {
+      openBoard(mockSocket, { objects: [{ id: 'a', type: 'text', text: 'A', x: 10, y: 40, color: '#000' }] });
+      mockCtx.fillText.mockClear();
+      mockCtx.drawImage.mockClear();
+
+      const canvas = getCanvas();
+      fireEvent(canvas, mouseEvent('mousedown', 10, 10));
+      fireEvent(canvas, mouseEvent('mousemove', 20, 20));
+
+      expect(mockCtx.drawImage).toHaveBeenCalled();
+      expect(mockCtx.fillText).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Hit-testing', () => {
+    const ref = { current: null };
+    const openSelectable = (objects) => openBoard(mockSocket, { objects }, { ref, tool: 'select' });
+
+    test('selects the topmost object under the pointer', () => {
+      openSelectable([rectangle('below', 50, 50), rectangle('above', 50, 50)]);
+      expect(clickAndDelete(ref, 50, 100)).toBe('above');
+    });
+
+    test('finds objects after they move', () => {
+      const handlers = openSelectable([rectangle('a', 50, 50)]);
+      act(() => {
+        handlers.move({ id: 'a', x: 400, y: 400, stamp: [1, 'peer'] });
+      });
+
+      expect(clickAndDelete(ref, 50, 100)).toBeNull();
+      expect(clickAndDelete(ref, 400, 450)).toBe('a');
+    });
+
+    test('ignores deleted objects', () => {
+      const handlers = openSelectable([rectangle('below', 50, 50), rectangle('above', 50, 50)]);
+      act(() => {
+        handlers.delete({ id: 'above', stamp: [1, 'peer'] });
+      });
+
+      expect(clickAndDelete(ref, 50, 100)).toBe('below');
+    });
+  });
+
+  describe('Multi-select', () => {
+    const ref = { current: null };
+    const openSelectable = (objects) => openBoard(mockSocket, { objects }, { ref, tool: 'select' });
+    const shift = { shiftKey: true };
+
+    // Shapes are hit on their outline, so these clicks land on left edges
+    test('shift-click adds objects and deletes them as one batch', () => {
+      openSelectable([rectangle('a', 0, 0), rectangle('b', 300, 0), rectangle('c', 600, 0)]);
+      click(0, 50);
+      click(300, 50, shift);
+
+      const calls = deleteSelection(ref);
+      expect(calls).toHaveLength(1);
+      expect(calls[0][0]).toBe('batch');
+      expect(calls[0][1].ops).toEqual([
+        { event: 'delete', data: { id: 'a' } },
+        { event: 'delete', data: { id: 'b' } },
+      ]);
+    });
+
+    test('shift-click on a selected object removes it again', () => {
+      openSelectable([rectangle('a', 0, 0), rectangle('b', 300, 0)]);
+      click(0, 50);
+      click(300, 50, shift);
+      click(0, 50, shift);
+
+      const calls = deleteSelection(ref);
+      expect(calls).toEqual([['delete', expect.objectContaining({ id: 'b' })]]);
+    });
+
+    test('a marquee selects only objects wholly inside it', () => {
+      openSelectable([rectangle('a', 0, 0), rectangle('b', 150, 0), rectangle('c', 200, 200)]);
+      drag({ x: -10, y: -10 }, { x: 260, y: 120 });
+
+      const [[event, data]] = deleteSelection(ref);
+      expect(event).toBe('batch');
+      expect(data.ops.map(op => op.data.id)).toEqual(['a', 'b']);
+    });
+
+    test('recolors the whole selection as one batch', () => {
+      openSelectable([rectangle('a', 0, 0), rectangle('b', 300, 0)]);
+      drag({ x: -10, y: -10 }, { x: 410, y: 110 });
+
+      mockSocket.emit.mockClear();
+      act(() => {
+        ref.current.recolorSelection('#ff0000');
+      });
+      const [[event, data]] = mockSocket.emit.mock.calls;
+      expect(event).toBe('batch');
+      expect(data.ops).toEqual([
+        { event: 'recolor', data: { id: 'a', color: '#ff0000' } },
+        { event: 'recolor', data: { id: 'b', color: '#ff0000' } },
+      ]);
+    });
+
+    test('restyles the selection, folding one panel edit into one undo step', () => {
+      openSelectable([rectangle('a', 0, 0), rectangle('b', 300, 0)]);
+      drag({ x: -10, y: -10 }, { x: 410, y: 110 });
+
+      mockSocket.emit.mockClear();
+      act(() => {
+        ref.current.beginStyleEdit();
+        ref.current.restyleSelection({ opacity: 0.4, cornerRadius: 8 });
+        ref.current.restyleSelection({ opacity: 0.3 });
+        ref.current.endStyleEdit();
+      });
+      const [[, first], [, second]] = mockSocket.emit.mock.calls;
+      expect(first.ops).toEqual([
+        { event: 'restyle', data: { id: 'a', opacity: 0.4, cornerRadius: 8 } },
+        { event: 'restyle', data: { id: 'b', opacity: 0.4, cornerRadius: 8 } },
+      ]);
+      expect(first.gestureId).toBeDefined();
+      expect(second.gestureId).toBe(first.gestureId);
+    });
+
+    test('aligns the selection as one batch', () => {
+      openSelectable([rectangle('a', 0, 0), rectangle('b', 300, 40)]);
+      drag({ x: -10, y: -10 }, { x: 410, y: 150 });
+
+      mockSocket.emit.mockClear();
+      act(() => {
+        ref.current.arrangeSelection('bottom');
+      });
+      const [[event, data]] = mockSocket.emit.mock.calls;
+      expect(event).toBe('batch');
+      expect(data.ops).toEqual([{ event: 'move', data: { id: 'a', x: 0, y: 40 } }]);
+    });
+
+    test('distributes the selection from the context menu', () => {
+      openSelectable([rectangle('a', 0, 0), rectangle('b', 150, 0), rectangle('c', 500, 0)]);
+      drag({ x: -10, y: -10 }, { x: 610, y: 110 });
+
+      mockSocket.emit.mockClear();
+      fireEvent(getCanvas(), mouseEvent('contextmenu', 0, 50));
+      fireEvent.click(screen.getByText('Distribute horizontally'));
+
+      const [[event, data]] = mockSocket.emit.mock.calls;
+      expect(event).toBe('batch');
+      expect(data.ops).toEqual([{ event: 'move', data: { id: 'b', x: 250, y: 0 } }]);
+    });
+
+    test('applies a remote batch', () => {
+      const handlers = openSelectable([rectangle('a', 0, 0), rectangle('b', 300, 0)]);
+      act(() => {
+        handlers.batch({
+          ops: [
+            { event: 'move', data: { id: 'a', x: 1000, y: 1000 } },
+            { event: 'delete', data: { id: 'b' } },
+          ],
+          stamp: [5, 'peer'],
+          seq: 1,
+        });
+      });
+
+      // Nothing is left where the two rectangles were
+      drag({ x: -10, y: -10 }, { x: 410, y: 110 });
+      expect(deleteSelection(ref)).toEqual([]);
+    });
+
+    describe('Stacking order', () => {
+      test('Ctrl+Shift+] brings the selection to the front', () => {
+        openSelectable([rectangle('a', 0, 0), rectangle('b', 300, 0)]);
+        click(0, 50);
+        mockSocket.emit.mockClear();
+
+        act(() => {
+          window.dispatchEvent(new KeyboardEvent('keydown', { key: '}', ctrlKey: true, shiftKey: true }));
+        });
+        const [[event, data]] = mockSocket.emit.mock.calls;
+        expect(event).toBe('batch');
+        expect(data.ops).toEqual([{ event: 'reorder', data: { id: 'a', z: expect.any(Number) } }]);
+        expect(data.ops[0].data.z).toBeGreaterThan(1);
+      });
+
+      test('new objects go above objects brought to the front', () => {
+        openBoard(mockSocket, { objects: [rectangle('a', 0, 0, { z: 10 }), rectangle('b', 300, 0)] }, { tool: 'rectangle' });
+
+        drag({ x: 10, y: 10 }, { x: 60, y: 60 });
+
+        const [[, shape]] = emittedCalls(mockSocket, 'shape');
+        expect(shape.z).toBe(11);
+      });
+
+      test('a reorder changes which object is hit first', () => {
+        const handlers = openSelectable([rectangle('below', 0, 0), rectangle('above', 0, 0)]);
+        act(() => {
+          handlers.reorder({ id: 'below', z: 5, stamp: [1, 'peer'] });
+        });
+        click(0, 50);
+
+        expect(deleteSelection(ref)).toEqual([['delete', expect.objectContaining({ id: 'below' })]]);
+      });
+
+      test('the context menu sends the selection backward', () => {
+        openSelectable([rectangle('a', 0, 0), rectangle('b', 300, 0)]);
+        fireEvent(getCanvas(), mouseEvent('contextmenu', 300, 50));
+        mockSocket.emit.mockClear();
+
+        fireEvent.click(screen.getByText('Send backward'));
+        const [[event, data]] = mockSocket.emit.mock.calls;
+        expect(event).toBe('batch');
+        expect(data.ops).toEqual([{ event: 'reorder', data: { id: 'b', z: expect.any(Number) } }]);
+        expect(data.ops[0].data.z).toBeLessThan(0);
+        expect(screen.queryByRole('menu')).toBeNull();
+      });
+    });
+
+    describe('Groups', () => {
+      const group = (id, children) => ({ id, type: 'group', children });
+
+      const pressKey = (key, options = {}) => {
+        mockSocket.emit.mockClear();
+        act(() => {
+          window.dispatchEvent(new KeyboardEvent('keydown', { key, ctrlKey: true, ...options }));
+        });
+        return mockSocket.emit.mock.calls;
+      };
+
+      test('Ctrl+G groups the selection and Ctrl+Shift+G ungroups it', () => {
+        openSelectable([rectangle('a', 0, 0), rectangle('b', 300, 0)]);
+        drag({ x: -10, y: -10 }, { x: 410, y: 110 });
+
+        const [[event, data]] = pressKey('g');
+        expect(event).toBe('group');
+        expect(data).toMatchObject({ type: 'group', children: ['a', 'b'] });
+
+        const [[ungroupEvent, ungroupData]] = pressKey('G', { shiftKey: true });
+        expect(ungroupEvent).toBe('batch');
+        expect(ungroupData.ops).toEqual([{ event: 'delete', data: { id: data.id } }]);
+      });
+
+      test('clicking a member of nested groups selects the outermost group', () => {
+        openSelectable([
+          rectangle('a', 0, 0), rectangle('b', 300, 0), rectangle('c', 600, 0),
+          group('inner', ['a', 'b']), group('outer', ['inner', 'c']),
+        ]);
+        click(0, 50);
+
+        const [[event, data]] = deleteSelection(ref);
+        expect(event).toBe('batch');
+        expect(data.ops.map(op => op.data.id)).toEqual(['outer', 'inner', 'a', 'b', 'c']);
+      });
+
+      test('dragging a group moves every member in one batch', () => {
+        openSelectable([rectangle('a', 0, 0), rectangle('b', 300, 0), group('g', ['a', 'b'])]);
+        mockSocket.emit.mockClear();
+        drag({ x: 0, y: 50 }, { x: 10, y: 70 });
+
+        const batches = emittedCalls(mockSocket, 'batch');
+        expect(batches).toHaveLength(1);
+        expect(batches[0][1].ops).toEqual([
+          { event: 'move', data: { id: 'a', x: 10, y: 20 } },
+          { event: 'move', data: { id: 'b', x: 310, y: 20 } },
+        ]);
+      });
+    });
+  });
+
+  describe('Layers', () => {
+    const ref = { current: null };
+    const layers = [
+      { id: 'default', name: 'Layer 1', hidden: false, locked: false, order: 0 },
+      { id: 'sketch', name: 'Sketch', hidden: false, locked: false, order: -1 },
+    ];
+
+    const openWithLayers = (objects, sceneLayers = layers, tool = 'select') => (
+      openBoard(mockSocket, { objects, layers: sceneLayers }, { ref, tool })
+    );
+
+    const text = (id, layer) => ({ id, type: 'text', text: id, x: 10, y: 40, color: '#000', layer });
+
+    test('skips objects on hidden layers, including after a remote toggle', () => {
+      const handlers = openWithLayers([text('Sketched', 'sketch'), text('Diagram', 'default')]);
+      expect(mockCtx.fillText).toHaveBeenCalledWith('Sketched', 10, 40);
+
+      mockCtx.fillText.mockClear();
+      act(() => {
+        handlers['layer:visibility']({ id: 'sketch', hidden: true, stamp: [1, 'peer'] });
+      });
+      expect(mockCtx.fillText).toHaveBeenCalledWith('Diagram', 10, 40);
+      expect(mockCtx.fillText).not.toHaveBeenCalledWith('Sketched', 10, 40);
+    });
+
+    test('draws higher layers over lower ones whatever the list order', () => {
+      openWithLayers([text('Top', 'default'), text('Bottom', 'sketch')]);
+      const drawn = mockCtx.fillText.mock.calls.map(([label]) => label);
+      expect(drawn.lastIndexOf('Top')).toBeGreaterThan(drawn.lastIndexOf('Bottom'));
+    });
+
+    test('hit-testing ignores locked layers', () => {
+      openWithLayers(
+        [rectangle('below', 0, 0, { layer: 'sketch' }), rectangle('above', 0, 0, { layer: 'default' })],
+        [{ ...layers[0], locked: true }, layers[1]]
+      );
+      expect(clickAndDelete(ref, 0, 50)).toBe('below');
+    });
+
+    test('new objects go on the active layer', () => {
+      openWithLayers([], layers, 'pen');
+      act(() => {
+        ref.current.setActiveLayer('sketch');
+      });
+      drawStroke();
+
+      const [strokeCall] = emittedCalls(mockSocket, 'stroke');
+      expect(strokeCall[1].layer).toBe('sketch');
+    });
+
+    test('keeps drawing on the default layer once every layer is deleted', () => {
+      const handlers = openWithLayers([text('Left', 'sketch')], layers, 'pen');
+      act(() => {
+        handlers['layer:delete']({ id: 'default', stamp: [1, 'peer'] });
+        handlers['layer:delete']({ id: 'sketch', stamp: [2, 'other'] });
+      });
+      expect(mockCtx.fillText).toHaveBeenLastCalledWith('Left', 10, 40);
+
+      drawStroke();
+      const [strokeCall] = emittedCalls(mockSocket, 'stroke');
+      expect(strokeCall[1].layer).toBe('default');
+    });
+
+    test('moves the selection to another layer as one batch', () => {
+      openWithLayers([rectangle('a', 0, 0, { layer: 'default' })]);
+      click(0, 50);
+      mockSocket.emit.mockClear();
+
+      act(() => {
+        ref.current.moveSelectionToLayer('sketch');
+      });
+      const [[event, data]] = mockSocket.emit.mock.calls;
+      expect(event).toBe('batch');
+      expect(data.ops).toEqual([{ event: 'setLayer', data: { id: 'a', layer: 'sketch' } }]);
+    });
+
+    test('deleting a layer moves its objects down first', () => {
+      openWithLayers([rectangle('a', 0, 0, { layer: 'default' })]);
+      mockSocket.emit.mockClear();
+      act(() => {
+        ref.current.deleteLayer('default');
+      });
+      const [[event, data]] = mockSocket.emit.mock.calls;
+      expect(event).toBe('batch');
+      expect(data.ops).toEqual([
+        { event: 'setLayer', data: { id: 'a', layer: 'sketch' } },
+        { event: 'layer:delete', data: { id: 'default' } },
+      ]);
+    });
+  });
+
+  describe('Rotation', () => {
+    const ref = { current: null };
+    const openScene = (objects, stickyNotes = []) => openBoard(mockSocket, { objects, stickyNotes }, { ref, tool: 'select' });
+    const square = (rotation) => rectangle('square', 0, 0, { rotation });
+
+    test('hit-tests the rotated outline', () => {
+      openScene([square(Math.PI / 4)]);
+
+      click(0, 50);
+      expect(selectedId(ref)).toBeNull();
+
+      // The middle of the left edge, turned 45° about the centre
+      click(14.6, 14.6);
+      expect(selectedId(ref)).toBe('square');
+    });
+
+    test('dragging the rotation handle rotates, snapping to 15° with Shift', () => {
+      openScene([square()]);
+      click(0, 50);
+      mockSocket.emit.mockClear();
+
+      // The handle sits 25px above the padded top edge; Shift is pressed once
+      // the drag has started, as pressing it on the handle would extend the selection
+      const canvas = getCanvas();
+      fireEvent(canvas, mouseEvent('mousedown', 50, -30));
+      fireEvent(canvas, mouseEvent('mousemove', 150, 60, { shiftKey: true }));
+      fireEvent(canvas, mouseEvent('mouseup', 150, 60));
+
+      const [rotateCall] = emittedCalls(mockSocket, 'rotate');
+      expect(rotateCall[1].id).toBe('square');
+      expect(rotateCall[1].rotation).toBeCloseTo(Math.PI / 2);
+    });
+
+    test('resizing a rotated shape keeps the opposite corner in place', () => {
+      openScene([square(Math.PI / 2)]);
+      click(0, 50);
+      mockSocket.emit.mockClear();
+
+      // The south-east handle of a square turned 90° sits at its bottom left
+      drag({ x: -5, y: 105 }, { x: -25, y: 105 });
+
+      const [[, data]] = emittedCalls(mockSocket, 'resizeShape');
+      expect(data.width).toBeCloseTo(100);
+      expect(data.height).toBeCloseTo(120);
+      expect(data.x).toBeCloseTo(-10);
+      expect(data.y).toBeCloseTo(-10);
+      expect(data.rotation).toBeCloseTo(Math.PI / 2);
+    });
+
+    test('sticky notes rotate with their handle and show the angle', () => {
+      const note = { id: 'note-1', x: 0, y: 0, width: 200, height: 200, text: 'Turn me', color: '#ffd700', zIndex: 0 };
+      const handlers = openScene([], [note]);
+
+      fireEvent.click(screen.getByText('Turn me'));
+      fireEvent.mouseDown(screen.getByLabelText('Rotate note'));
+      fireEvent.mouseMove(window, { clientX: 100, clientY: 0 });
+      fireEvent.mouseUp(window);
+
+      const [rotateCall] = emittedCalls(mockSocket, 'stickyNote:rotate');
+      expect(rotateCall[1].rotation).toBeCloseTo(Math.PI / 2);
+
+      act(() => {
+        handlers['stickyNote:rotate']({ id: 'note-1', rotation: 0.25, stamp: [99, 'peer'] });
+      });
+      expect(screen.getByTestId('sticky-note-note-1')).toHaveStyle({ transform: 'rotate(0.25rad)' });
+    });
+  });
+
+  describe('Clipboard', () => {
+    const shape = rectangle('a', 0, 0, { z: 4 });
+    const openScene = (objects) => openBoard(mockSocket, { objects }, { tool: 'select' });
+
+    const selectShape = () => {
+      click(0, 50);
+      mockSocket.emit.mockClear();
+    };
+
+    const clipboard = (text = '') => {
+      const data = { text };
+      return {
+        setData: jest.fn((type, value) => { data.text = value; }),
+        getData: jest.fn(() => data.text),
+        get text() { return data.text; },
+      };
+    };
+
+    const lastBatch = () => {
+      const calls = emittedCalls(mockSocket, 'batch');
+      return calls[calls.length - 1][1];
+    };
+
+    test('copies the selection as a versioned payload', () => {
+      openScene([shape]);
+      selectShape();
+
+      const data = clipboard();
+      fireEvent.copy(document.body, { clipboardData: data });
+
+      const payload = JSON.parse(data.text);
+      expect(payload).toMatchObject({ type: 'collabo/clipboard', version: 1 });
+      expect(payload.objects).toEqual([
+        { id: 'a', type: 'rectangle', x: 0, y: 0, width: 100, height: 100, color: '#000', size: 2 },
+      ]);
+      expect(mockSocket.emit).not.toHaveBeenCalled();
+    });
+
+    test('cut copies and deletes', () => {
+      openScene([shape]);
+      selectShape();
+
+      const data = clipboard();
+      fireEvent.cut(document.body, { clipboardData: data });
+
+      expect(JSON.parse(data.text).objects).toHaveLength(1);
+      expect(mockSocket.emit).toHaveBeenCalledWith('delete', expect.objectContaining({ id: 'a' }));
+    });
+
+    test('pasting board content adds offset copies with new ids', () => {
+      openScene([shape]);
+      selectShape();
+      const data = clipboard();
+      fireEvent.copy(document.body, { clipboardData: data });
+
+      fireEvent.paste(document.body, { clipboardData: data });
+      fireEvent.paste(document.body, { clipboardData: data });
+
+      const [first, second] = emittedCalls(mockSocket, 'batch').map(([, batch]) => batch.ops[0]);
+      expect(first.event).toBe('shape');
+      expect(first.data.id).not.toBe('a');
+      // Above the original, not at the key it was copied with
+      expect(first.data).toMatchObject({ x: 20, y: 20, layer: 'default', z: 5 });
+      expect(second.data).toMatchObject({ x: 40, y: 40, z: 6 });
+    });
+
+    test('pastes at the pointer when it is over the canvas', () => {
+      openScene([shape]);
+      selectShape();
+      const data = clipboard();
+      fireEvent.copy(document.body, { clipboardData: data });
+
+      fireEvent(getCanvas(), mouseEvent('mousemove', 500, 300));
+      fireEvent.paste(document.body, { clipboardData: data });
+
+      // Centred on the pointer
+      expect(lastBatch().ops[0].data).toMatchObject({ x: 450, y: 250 });
+    });
+
+    test('pasting plain text makes a text object, or a note for several lines', () => {
+      openScene([]);
+
+      fireEvent.paste(document.body, { clipboardData: clipboard('Hello board') });
+      expect(mockSocket.emit).toHaveBeenCalledWith('text', expect.objectContaining({ type: 'text', text: 'Hello board' }));
+
+      fireEvent.paste(document.body, { clipboardData: clipboard('First\nSecond') });
+      expect(mockSocket.emit).toHaveBeenCalledWith('stickyNote:create', expect.objectContaining({ text: 'First\nSecond' }));
+    });
+
+    test('leaves pastes into text fields alone', () => {
+      openScene([]);
+      render(<input aria-label="Notes" />);
+
+      fireEvent.paste(screen.getByLabelText('Notes'), { clipboardData: clipboard('typed') });
+      expect(mockSocket.emit).not.toHaveBeenCalledWith('text', expect.anything());
+    });
+
+    test('leaves keys typed into text fields alone', () => {
+      openScene([shape]);
+      selectShape();
+      render(<input aria-label="Layer name" />);
+      const input = screen.getByLabelText('Layer name');
+
+      fireEvent.keyDown(input, { key: 'Backspace' });
+      fireEvent.keyDown(input, { key: 'd', ctrlKey: true });
+
+      expect(mockSocket.emit).not.toHaveBeenCalled();
+    });
+
+    test('Ctrl+D duplicates the selection next to it', () => {
+      openScene([shape]);
+      selectShape();
+
+      fireEvent.keyDown(window, { key: 'd', ctrlKey: true });
+
+      const [op] = lastBatch().ops;
+      expect(op.event).toBe('shape');
+      expect(op.data).toMatchObject({ x: 20, y: 20 });
+    });
+  });
+
+  describe('Connectors', () => {
+    const connector = {
+      id: 'c', type: 'arrow', x1: 100, y1: 50, x2: 300, y2: 50, color: '#000', size: 2,
+      start: { id: 'a', anchor: 'right' }, end: { id: 'b', anchor: 'left' },
+    };
+
+    test('arrows drawn between anchors are bound to them', () => {
+      openBoard(mockSocket, { objects: [rectangle('a', 0), rectangle('b', 300)] }, { tool: 'arrow' });
+
+      drag({ x: 104, y: 47 }, { x: 296, y: 53 });
+
+      const [[, shape]] = emittedCalls(mockSocket, 'shape');
+      expect(shape).toMatchObject({
+        type: 'arrow', x1: 100, y1: 50, x2: 300, y2: 50,
+        start: { id: 'a', anchor: 'right' }, end: { id: 'b', anchor: 'left' },
+      });
+    });
+
+    test('moving a shape brings its connectors along in the same batch', () => {
+      openBoard(mockSocket, { objects: [rectangle('a', 0), rectangle('b', 300), connector] }, { tool: 'select' });
+
+      drag({ x: 0, y: 50 }, { x: 0, y: 80 });
+
+      const [[, batch]] = emittedCalls(mockSocket, 'batch');
+      expect(batch.ops).toEqual([
+        { event: 'move', data: { id: 'a', x: 0, y: 30 } },
+        { event: 'resizeLine', data: { id: 'c', x1: 100, y1: 80, x2: 300, y2: 50 } },
+      ]);
+    });
+  });
+
+  describe('Snapping', () => {
+    const boxes = { objects: [rectangle('a', 0), rectangle('b', 300)] };
+
+    test('objects dragged near others line up with their edges', () => {
+      openBoard(mockSocket, boxes, { tool: 'select' });
+
+      drag({ x: 0, y: 50 }, { x: 197, y: 52 });
+
+      const [[, moved]] = emittedCalls(mockSocket, 'move');
+      expect(moved).toMatchObject({ id: 'a', x: 200, y: 0 });
+    });
+
+    test('objects move freely with alignment guides off', () => {
+      openBoard(mockSocket, boxes, { tool: 'select', grid: { ...DEFAULT_GRID_SETTINGS, guides: false } });
+
+      drag({ x: 0, y: 50 }, { x: 197, y: 52 });
+
+      const [[, moved]] = emittedCalls(mockSocket, 'move');
+      expect(moved).toMatchObject({ id: 'a', x: 197, y: 2 });
+    });
+
+    test('shapes are drawn from grid point to grid point when snapping to the grid', () => {
+      openBoard(mockSocket, {}, { tool: 'rectangle', grid: { ...DEFAULT_GRID_SETTINGS, snap: true } });
+
+      drag({ x: 13, y: 8 }, { x: 109, y: 52 });
+
+      const [[, shape]] = emittedCalls(mockSocket, 'shape');
+      expect(shape).toMatchObject({ type: 'rectangle', x: 20, y: 0, width: 80, height: 60 });
+    });
+  });
+
+  describe('Diagram shapes', () => {
+    test('are drawn with their tool like any other shape', () => {
+      openBoard(mockSocket, {}, { tool: 'hexagon' });
+
+      drag({ x: 10, y: 20 }, { x: 130, y: 90 });
+
+      const [[, drawn]] = emittedCalls(mockSocket, 'shape');
+      expect(drawn).toMatchObject({ type: 'hexagon', x: 10, y: 20, width: 120, height: 70 });
+    });
+
+    test('are picked on their outline, or anywhere inside when filled', () => {
+      openBoard(mockSocket, {
+        objects: [
+          rectangle('diamond', 0, 0, { type: 'diamond' }),
+          rectangle('star', 300, 0, { type: 'star', fill: '#ff0' }),
+        ],
+      }, { tool: 'select' });
+
+      // The middle of an unfilled diamond is empty board
+      drag({ x: 50, y: 50 }, { x: 60, y: 60 });
+      expect(emittedCalls(mockSocket, 'move')).toHaveLength(0);
+
+      drag({ x: 25, y: 25 }, { x: 35, y: 25 });
+      drag({ x: 350, y: 50 }, { x: 350, y: 70 });
+      const moved = emittedCalls(mockSocket, 'move').map(([, data]) => data);
+      expect(moved).toEqual([
+        expect.objectContaining({ id: 'diamond', x: 10, y: 0 }),
+        expect.objectContaining({ id: 'star', x: 300, y: 20 }),
+      ]);
+    });
+  });
+
+  describe('Images', () => {
+    const photo = {
+      id: 'img', type: 'image', src: 'https://storage.example/cat.png', x: 0, y: 0, width: 200, height: 100,
+      naturalWidth: 400, naturalHeight: 200, crop: { x: 0, y: 0, width: 400, height: 200 }, layer: 'default',
+    };
+    let uploadImage;
+
+    beforeEach(() => {
+      readImageSize.mockResolvedValue({ width: 800, height: 400 });
+      uploadImage = jest.fn().mockResolvedValue('https://storage.example/upload.png');
+    });
+
+    const openScene = (objects = []) => openBoard(mockSocket, { objects }, { tool: 'select', uploadImage });
+
+    const imageFile = () => new File(['png'], 'cat.png', { type: 'image/png' });
+
+    test('dropping an image uploads it and places it at the drop point', async () => {
+      openScene();
+      const file = imageFile();
+
+      const drop = new Event('drop', { bubbles: true, cancelable: true });
+      Object.defineProperties(drop, {
+        offsetX: { value: 400 },
+        offsetY: { value: 300 },
+        dataTransfer: { value: { files: [file], types: ['Files'] } },
+      });
+      fireEvent(getCanvas(), drop);
+
+      await waitFor(() => expect(mockSocket.emit).toHaveBeenCalledWith('image', expect.anything()));
+      expect(uploadImage).toHaveBeenCalledWith(file);
+      const [[, data]] = emittedCalls(mockSocket, 'image');
+      // 800x400 is scaled down to fit 600 and centred on the drop point
+      expect(data).toMatchObject({
+        type: 'image',
+        src: 'https://storage.example/upload.png',
+        x: 100,
+        y: 150,
+        width: 600,
+        height: 300,
+        naturalWidth: 800,
+        naturalHeight: 400,
+        crop: { x: 0, y: 0, width: 800, height: 400 },
+        layer: 'default',
+      });
+    });
+
+    test('pasting an image file adds it instead of pasting text', async () => {
+      openScene();
+
+      fireEvent.paste(document.body, { clipboardData: { files: [imageFile()], getData: () => '' } });
+
+      await waitFor(() => expect(mockSocket.emit).toHaveBeenCalledWith('image', expect.objectContaining({
+        src: 'https://storage.example/upload.png',
+      })));
+      expect(mockSocket.emit).not.toHaveBeenCalledWith('text', expect.anything());
+    });
+
+    test('an image whose upload fails is reported instead of added', async () => {
+      const onImageError = jest.fn();
+      const error = new Error('Storage unavailable');
+      uploadImage.mockRejectedValue(error);
+      openBoard(mockSocket, {}, { tool: 'select', uploadImage, onImageError });
+      const file = imageFile();
+
+      fireEvent.paste(document.body, { clipboardData: { files: [file], getData: () => '' } });
+
+      await waitFor(() => expect(onImageError).toHaveBeenCalledWith(file, error));
+      expect(mockSocket.emit).not.toHaveBeenCalledWith('image', expect.anything());
+    });
+
+    test('an unreadable image is never uploaded', async () => {
+      const onImageError = jest.fn();
+      readImageSize.mockRejectedValue(new Error('Not an image'));
+      openBoard(mockSocket, {}, { tool: 'select', uploadImage, onImageError });
+
+      fireEvent.paste(document.body, { clipboardData: { files: [imageFile()], getData: () => '' } });
+
+      await waitFor(() => expect(onImageError).toHaveBeenCalled());
+      expect(uploadImage).not.toHaveBeenCalled();
+      expect(mockSocket.emit).not.toHaveBeenCalledWith('image', expect.anything());
+    });
+
+    test('resizing an image scales it', () => {
+      openScene([photo]);
+      click(50, 50);
+      mockSocket.emit.mockClear();
+
+      // Drag the right edge handle (on the frame, 5px out) 50px left
+      drag({ x: 205, y: 50 }, { x: 155, y: 50 });
+
+      expect(mockSocket.emit).toHaveBeenCalledWith('resizeShape', expect.objectContaining({
+        id: 'img', x: 0, y: 0, width: 150, height: 100,
+      }));
+    });
+
+    test('double-clicking an image switches its handles to cropping', () => {
+      openScene([photo]);
+      click(50, 50);
+      fireEvent(getCanvas(), mouseEvent('dblclick', 50, 50));
+      mockSocket.emit.mockClear();
+
+      drag({ x: 205, y: 50 }, { x: 155, y: 50 });
+
+      expect(mockSocket.emit).toHaveBeenCalledWith('crop', expect.objectContaining({
+        id: 'img',
+        x: 0,
+        width: 150,
+        height: 100,
+        crop: { x: 0, y: 0, width: 300, height: 200 },
+      }));
+      expect(mockSocket.emit).not.toHaveBeenCalledWith('resizeShape', expect.anything());
+    });
+  });
+
+  describe('Export', () => {
+    const ref = { current: null };
+
+    test('exports the board as SVG', async () => {
+      openBoard(mockSocket, { objects: [rectangle('a')] }, { ref, tool: 'select' });
+
+      const blob = await ref.current.exportBoard('svg');
+
+      expect(blob.type).toBe('image/svg+xml');
+    });
+
+    test('has nothing to export from an empty selection or board', async () => {
+      openBoard(mockSocket, { objects: [rectangle('a')] }, { ref, tool: 'select' });
+      expect(await ref.current.exportBoard('svg', { selectionOnly: true })).toBeNull();
+    });
+  });
+
+  describe('Concurrent Edits', () => {
+    const openWithText = () => openBoard(mockSocket, {
+      objects: [{ id: 'a', type: 'text', text: 'A', x: 0, y: 0, color: '#000' }],
+    });
+
+    test('the newest edit wins whatever order edits arrive in', () => {
+      const handlers = openWithText();
+      act(() => {
+        handlers.move({ id: 'a', x: 30, y: 30, stamp: [5, 'bob'] });
+      });
+      act(() => {
+        handlers.move({ id: 'a', x: 10, y: 10, stamp: [4, 'alice'] });
+      });
+
+      expect(mockCtx.fillText).toHaveBeenLastCalledWith('A', 30, 30);
+    });
+
+    test('an edit to a deleted object does not bring it back', () => {
+      const handlers = openWithText();
+      act(() => {
+        handlers.delete({ id: 'a', stamp: [2, 'bob'] });
+      });
+      mockCtx.fillText.mockClear();
+      act(() => {
+        handlers.move({ id: 'a', x: 10, y: 10, stamp: [3, 'alice'] });
+      });
+
+      expect(mockCtx.fillText).not.toHaveBeenCalled();
+    });
+
+    test('an edit the server rejects is reverted to the room\'s copy', () => {
+      const handlers = openWithText();
+      act(() => {
+        handlers.move({ id: 'a', x: 30, y: 30, stamp: [5, 'alice'] });
+      });
+      mockCtx.fillText.mockClear();
+      act(() => {
+        handlers['op:rejected']({
+          event: 'move',
+          id: 'a',
+          reason: 'forbidden',
+          entity: { id: 'a', type: 'text', text: 'A', x: 0, y: 0, color: '#000', versions: { x: [1, 'bob'] } },
+        });
+      });
+
+      expect(mockCtx.fillText).toHaveBeenLastCalledWith('A', 0, 0);
+    });
+
+    test('an object the server does not have is dropped when it rejects an edit to it', () => {
+      const handlers = openWithText();
+      mockCtx.fillText.mockClear();
+      act(() => {
+        handlers['op:rejected']({ event: 'move', id: 'a', reason: 'unknown-id', entity: null });
+      });
+
+      expect(mockCtx.fillText).not.toHaveBeenCalled();
+    });
+
+    test('local edits are stamped after everything we have seen', () => {
+      const handlers = openWithText();
+      act(() => {
+        handlers.move({ id: 'a', x: 5, y: 5, stamp: [41, 'bob'] });
+      });
+
+      drawStroke();
+
+      const [strokeCall] = emittedCalls(mockSocket, 'stroke');
+      expect(strokeCall[1].stamp[0]).toBe(42);
+    });
+  });
+
+  describe('Reconnect', () => {
+    test('joins the room once connected', () => {
+      mockSocket.connected = true;
+      renderWhiteboard(mockSocket);
+
+      expect(mockSocket.emit).toHaveBeenCalledWith('join-room', 'test-room', { epoch: null, lastSeq: 0 });
+    });
+
+    test('rejoins with the last sequence number it saw', () => {
+      const handlers = openBoard(mockSocket);
+      act(() => {
+        handlers.shape({ id: 's', type: 'rectangle', x: 0, y: 0, width: 5, height: 5, stamp: [1, 'bob'], seq: 7 });
+      });
+
+      act(() => {
+        handlers.disconnect();
+        handlers.connect();
+      });
+
+      expect(mockSocket.emit).toHaveBeenLastCalledWith('join-room', 'test-room', { epoch: 'epoch-1', lastSeq: 7 });
+    });
+
+    test('holds edits made while disconnected until the room is rejoined', () => {
+      const handlers = openBoard(mockSocket);
+
+      act(() => {
+        handlers.disconnect();
+      });
+      drawStroke();
+      expect(emittedCalls(mockSocket, 'stroke')).toHaveLength(0);
+
+      act(() => {
+        handlers.connect();
+        handlers.resync({ ops: [], seq: 0 });
+      });
+      expect(emittedCalls(mockSocket, 'stroke')).toHaveLength(1);
+    });
+
+    test('applies the edits it missed', () => {
+      const handlers = openBoard(mockSocket, {
+        objects: [{ id: 'a', type: 'text', text: 'A', x: 0, y: 0, color: '#000' }],
+        seq: 3,
+      });
+
+      act(() => {
+        handlers.resync({
+          ops: [
+            { event: 'move', data: { id: 'a', x: 40, y: 40, stamp: [2, 'bob'], seq: 4 } },
+            { event: 'text', data: { id: 'b', type: 'text', text: 'B', x: 9, y: 9, color: '#000', stamp: [3, 'bob'], seq: 5 } },
+          ],
+          seq: 5,
+        });
+      });
+
+      expect(mockCtx.fillText).toHaveBeenCalledWith('A', 40, 40);
+      expect(mockCtx.fillText).toHaveBeenCalledWith('B', 9, 9);
+    });
+
+    test('keeps edits queued before a full init', () => {
+      renderWhiteboard(mockSocket);
+      drawStroke();
+      expect(emittedCalls(mockSocket, 'stroke')).toHaveLength(0);
+
+      joinEmptyRoom(mockSocket);
+      const [[, stroke]] = emittedCalls(mockSocket, 'stroke');
+      expect(stroke.roomId).toBe('test-room');
+    });
+  });
+
+  describe('Offline Edits', () => {
+    const queuedText = {
+      event: 'text',
+      payload: { roomId: 'test-room', id: 'q', type: 'text', text: 'Queued', x: 3, y: 4, color: '#000', stamp: [9, 'me'] },
+    };
+
+    test('reports queued edits and whether it is in the room', () => {
+      const onSyncChange = jest.fn();
+      renderWhiteboard(mockSocket, { onSyncChange });
+
+      drawStroke();
+      expect(onSyncChange).toHaveBeenLastCalledWith({
+        joined: false,
+        pendingOps: [expect.objectContaining({ event: 'stroke' })],
+      });
+
+      joinEmptyRoom(mockSocket);
+      expect(onSyncChange).toHaveBeenLastCalledWith({ joined: true, pendingOps: [] });
+    });
+
+    test('does not queue undo or redo while offline', () => {
+      const ref = { current: null };
+      renderWhiteboard(mockSocket, { ref });
+
+      act(() => {
+        ref.current.undo();
+        ref.current.redo();
+      });
+      joinEmptyRoom(mockSocket);
+
+      expect(mockSocket.emit).not.toHaveBeenCalledWith('undo', expect.anything());
+      expect(mockSocket.emit).not.toHaveBeenCalledWith('redo', expect.anything());
+    });
+
+    test('shows and sends edits left over from an earlier session', () => {
+      renderWhiteboard(mockSocket, { initialPendingOps: [queuedText] });
+      expect(mockCtx.fillText).toHaveBeenCalledWith('Queued', 3, 4);
+
+      joinEmptyRoom(mockSocket);
+      expect(mockSocket.emit).toHaveBeenCalledWith('text', queuedText.payload);
+    });
+  });
+
+  describe('Read-only Mode', () => {
+    test('drawing does not emit anything for viewers', () => {
+      renderWhiteboard(mockSocket, { readOnly: true });
+
+      drawStroke();
+
+      const emitted = mockSocket.emit.mock.calls.map(([event]) => event);
+      expect(emitted).not.toContain('draw');
+      expect(emitted).not.toContain('stroke');
+    });
+
+    test('undo shortcut is ignored for viewers', () => {
+      renderWhiteboard(mockSocket, { readOnly: true });
+
+      fireEvent.keyDown(window, { key: 'z', ctrlKey: true });
+
+      expect(mockSocket.emit).not.toHaveBeenCalledWith('undo', expect.anything());
+    });
+  });
+
   describe('Tool Switching', () => {
     test.each([
       ['erase'],
@@ -177,6 +1271,8 @@ describe('Whiteboard Component', () => {
   });
 
   describe('Ref Methods', () => {
+    const ref = { current: null };
+
     test('exposes undo method via ref', () => {
       const ref = { current: null };
       
@@ -246,6 +1342,33 @@ describe('Whiteboard Component', () => {
 
       expect(() => ref.current.redo()).not.toThrow();
     });
+
+    test('undo and redo are requested from the server', () => {
+      openBoard(mockSocket, {}, { ref });
+
+      ref.current.undo();
+      ref.current.redo();
+
+      expect(mockSocket.emit).toHaveBeenCalledWith('undo', { roomId: 'test-room' });
+      expect(mockSocket.emit).toHaveBeenCalledWith('redo', { roomId: 'test-room' });
+    });
+
+    test('an undone delete restores the object in place', () => {
+      const first = { id: 'a', type: 'text', text: 'A', x: 0, y: 0, color: '#000' };
+      const handlers = openBoard(mockSocket, {
+        objects: [first, { id: 'b', type: 'text', text: 'B', x: 50, y: 50, color: '#000' }],
+      });
+      act(() => {
+        handlers.delete({ id: 'a', stamp: [1, 'server'] });
+      });
+      mockCtx.fillText.mockClear();
+      act(() => {
+        handlers.text({ ...first, stamp: [2, 'server'] });
+      });
+
+      // 'A' is drawn once, before 'B', rather than appended on top
+      expect(mockCtx.fillText.mock.calls.map(([text]) => text)).toEqual(['A', 'B']);
+    });
   });
 
   describe('Props', () => {
@@ -64,13 +64,13 @@ export const getSession = async () => {
 };
 
 // Database helper functions for boards
-export const createBoard = async (title, userId) => {
+export const createBoard = async (title, userId, scene = { objects: [], stickyNotes: [] }) => {
   const { data, error } = await supabase
     .from('boards')
     .insert({
       title,
       owner_id: userId,
-      scene_json: JSON.stringify({ objects: [], stickyNotes: [] }),
+      scene_json: JSON.stringify(scene),
     })
     .select()
     .single();
@@ -145,6 +145,24 @@ export const saveBoardScene = async (boardId, sceneJson) => {
   return { data, error };
 };
 
+// Images placed on boards are kept in Storage, and the scene only holds
+// their URLs
+export const IMAGE_BUCKET = 'board-images';
+
+export const uploadBoardImage = async (boardId, file) => {
+  const extension = file.name && file.name.includes('.')
+    ? file.name.split('.').pop().toLowerCase()
+    : file.type.split('/')[1] || 'png';
+  const path = `${boardId}/${Date.now()}-${Math.random().toString(36).slice(2, 10)}.${extension}`;
+  const { error } = await supabase.storage
+    .from(IMAGE_BUCKET)
+    .upload(path, file, { contentType: file.type });
+  if (error) return { data: null, error };
+
+  const { data } = supabase.storage.from(IMAGE_BUCKET).getPublicUrl(path);
+  return { data: { path, url: data.publicUrl }, error: null };
+};
+
 // User profile functions
 export const updateUserProfile = async (userId, updates) => {
   const { data, error } = await supabase
@@ -0,0 +1,78 @@
+/**
+ * Align and distribute
+ *
+ * Lines up the parts of a selection, or spaces them out evenly. Each part is
+ * { id, bounds }: a selected object, group or sticky note with the box around
+ * it. The commands work out how far each part moves, as a Map from id to
+ * { dx, dy }; parts that stay put are left out.
+ *
+ * Aligning lines parts up with the edge or middle of the box around all of
+ * them. Distributing keeps the outermost two where they are and leaves equal
+ * gaps between the rest, in the order they already lie in.
+ */
+
+import { unionBounds } from './selection';
+
+export const ALIGN_COMMANDS = ['left', 'center', 'right', 'top', 'middle', 'bottom'];
+
+export const DISTRIBUTE_COMMANDS = ['horizontal', 'vertical'];
+
+// Which axis each command moves parts along, and where on a box it lines up
+const ALIGNMENTS = {
+  left: { axis: 'x', at: 0 },
+  center: { axis: 'x', at: 0.5 },
+  right: { axis: 'x', at: 1 },
+  top: { axis: 'y', at: 0 },
+  middle: { axis: 'y', at: 0.5 },
+  bottom: { axis: 'y', at: 1 },
+};
+
+const SIZES = { x: 'width', y: 'height' };
+
+const offset = (axis, distance) => (axis === 'x' ? { dx: distance, dy: 0 } : { dx: 0, dy: distance });
+
+// Moves for the parts that aren't where they should be
+const movesFor = (parts, axis, targetOf) => new Map(parts.flatMap((part) => {
+  const distance = targetOf(part) - part.bounds[axis];
+  return distance === 0 ? [] : [[part.id, offset(axis, distance)]];
+}));
+
+export const alignParts = (parts, command) => {
+  const { axis, at } = ALIGNMENTS[command];
+  const size = SIZES[axis];
+  const all = unionBounds(parts.map(part => part.bounds));
+  if (parts.length < 2 || !all) return new Map();
+  const line = all[axis] + all[size] * at;
+  return movesFor(parts, axis, part => line - part.bounds[size] * at);
+};
+
+export const distributeParts = (parts, command) => {
+  const axis = command === 'horizontal' ? 'x' : 'y';
+  const size = SIZES[axis];
+  if (parts.length < 3) return new Map();
+
+  const ordered = [...parts].sort((a, b) => (
+    (a.bounds[axis] + a.bounds[size] / 2) - (b.bounds[axis] + b.bounds[size] / 2)
+  ));
+  const first = ordered[0].bounds;
+  const last = ordered[ordered.length - 1].bounds;
+  const span = last[axis] + last[size] - first[axis];
+  const occupied = ordered.reduce((total, part) => total + part.bounds[size], 0);
+  const gap = (span - occupied) / (ordered.length - 1);
+
+  const starts = new Map();
+  let next = first[axis];
+  ordered.forEach((part) => {
+    starts.set(part.id, next);
+    next += part.bounds[size] + gap;
+  });
+  // The last part lands back where it was, give or take rounding
+  starts.set(ordered[ordered.length - 1].id, last[axis]);
+  return movesFor(ordered, axis, part => starts.get(part.id));
+};
+
+// Moves for an align ('left' ... 'bottom') or distribute ('horizontal' or
+// 'vertical') command
+export const arrangeParts = (parts, command) => (
+  DISTRIBUTE_COMMANDS.includes(command) ? distributeParts(parts, command) : alignParts(parts, command)
+);
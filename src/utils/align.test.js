@@ -0,0 +1,63 @@
+import { alignParts, distributeParts, arrangeParts } from './align';
+
+const part = (id, x, y, width, height) => ({ id, bounds: { x, y, width, height } });
+
+const parts = [
+  part('a', 0, 0, 100, 50),
+  part('b', 150, 40, 50, 50),
+  part('c', 400, 10, 20, 100),
+];
+
+describe('alignParts', () => {
+  test('lines parts up with the edges of the box around them', () => {
+    expect(alignParts(parts, 'left')).toEqual(new Map([
+      ['b', { dx: -150, dy: 0 }],
+      ['c', { dx: -400, dy: 0 }],
+    ]));
+    expect(alignParts(parts, 'bottom')).toEqual(new Map([
+      ['a', { dx: 0, dy: 60 }],
+      ['b', { dx: 0, dy: 20 }],
+    ]));
+  });
+
+  test('lines parts up with its middle', () => {
+    expect(alignParts(parts, 'center')).toEqual(new Map([
+      ['a', { dx: 160, dy: 0 }],
+      ['b', { dx: 35, dy: 0 }],
+      ['c', { dx: -200, dy: 0 }],
+    ]));
+    expect(alignParts(parts, 'middle').get('c')).toEqual({ dx: 0, dy: -5 });
+  });
+
+  test('needs more than one part', () => {
+    expect(alignParts(parts.slice(0, 1), 'left').size).toBe(0);
+  });
+});
+
+describe('distributeParts', () => {
+  test('leaves equal gaps between parts, keeping the outermost in place', () => {
+    // 420 across, 170 of it taken up, so 125 between each
+    expect(distributeParts(parts, 'horizontal')).toEqual(new Map([
+      ['b', { dx: 75, dy: 0 }],
+    ]));
+  });
+
+  test('keeps the order parts lie in', () => {
+    const column = [part('top', 0, 0, 10, 10), part('bottom', 0, 100, 10, 30), part('between', 0, 30, 10, 10)];
+    // 130 down, 50 taken up, so 40 between each
+    expect(distributeParts(column, 'vertical')).toEqual(new Map([
+      ['between', { dx: 0, dy: 20 }],
+    ]));
+  });
+
+  test('needs at least three parts', () => {
+    expect(distributeParts(parts.slice(0, 2), 'horizontal').size).toBe(0);
+  });
+});
+
+describe('arrangeParts', () => {
+  test('runs align and distribute commands', () => {
+    expect(arrangeParts(parts, 'top')).toEqual(alignParts(parts, 'top'));
+    expect(arrangeParts(parts, 'vertical')).toEqual(distributeParts(parts, 'vertical'));
+  });
+});
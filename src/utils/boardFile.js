@@ -0,0 +1,237 @@
+/**
+ * Portable board files (.collabo.json)
+ *
+ * A board file carries one board between installations. It is JSON:
+ *
+ *   {
+ *     "type": "collabo/board",
+ *     "version": 1,
+ *     "exportedAt": "2026-01-31T12:00:00.000Z",
+ *     "board": { "title": "Roadmap" },
+ *     "scene": { "objects": [...], "stickyNotes": [...], "layers": [...] },
+ *     "assets": { "asset-1": { "mimeType": "image/png", "data": "<base64>" } }
+ *   }
+ *
+ * The scene is what boards.scene_json holds, without sync state (versions,
+ * tombstones and stacking keys; objects are listed bottom to top). Image
+ * objects point at their file with an `asset:<id>` src, and the file's bytes
+ * are embedded under `assets`, so the board doesn't depend on the storage it
+ * came from.
+ *
+ * Readers refuse versions newer than they know. Importing assigns new ids to
+ * every object, sticky note and layer, so one file can be imported any
+ * number of times.
+ */
+
+import { isGroup } from './groups';
+import { remapBindings } from './connectors';
+import { SHAPE_TYPES } from './shapes';
+
+export const BOARD_FILE_TYPE = 'collabo/board';
+export const BOARD_FILE_VERSION = 1;
+export const BOARD_FILE_EXTENSION = '.collabo.json';
+
+const ASSET_PREFIX = 'asset:';
+
+// Sync state that belongs to the board the scene came from
+const LOCAL_FIELDS = ['versions', 'deleted', 'z'];
+
+const portable = (entity) => {
+  const copy = { ...entity };
+  LOCAL_FIELDS.forEach(field => delete copy[field]);
+  return copy;
+};
+
+export const isAssetRef = (src) => typeof src === 'string' && src.startsWith(ASSET_PREFIX);
+
+export const blobToBase64 = (blob) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(String(reader.result).split(',')[1] || '');
+  reader.onerror = () => reject(reader.error);
+  reader.readAsDataURL(blob);
+});
+
+export const assetToBlob = ({ mimeType, data }) => {
+  const bytes = atob(data);
+  return new Blob([Uint8Array.from(bytes, char => char.charCodeAt(0))], { type: mimeType });
+};
+
+// Write a board file. Image files are fetched with fetchAsset(src), which
+// resolves to a Blob; each distinct file is embedded once.
+export const createBoardFile = async ({ title, scene }, fetchAsset, exportedAt = new Date()) => {
+  const live = list => (Array.isArray(list) ? list.filter(entity => !entity.deleted).map(portable) : []);
+  const objects = live(scene.objects);
+  const assets = {};
+  const assetIds = new Map();
+
+  for (const obj of objects) {
+    if (obj.type !== 'image' || isAssetRef(obj.src)) continue;
+    if (!assetIds.has(obj.src)) {
+      const blob = await fetchAsset(obj.src);
+      const id = `asset-${assetIds.size + 1}`;
+      assets[id] = { mimeType: blob.type || 'application/octet-stream', data: await blobToBase64(blob) };
+      assetIds.set(obj.src, id);
+    }
+    obj.src = `${ASSET_PREFIX}${assetIds.get(obj.src)}`;
+  }
+
+  return JSON.stringify({
+    type: BOARD_FILE_TYPE,
+    version: BOARD_FILE_VERSION,
+    exportedAt: exportedAt.toISOString(),
+    board: { title },
+    scene: { objects, stickyNotes: live(scene.stickyNotes), layers: live(scene.layers) },
+    assets,
+  }, null, 2);
+};
+
+const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+const isPoint = point => point && isNumber(point.x) && isNumber(point.y);
+
+// Fields each object type can't do without, and how to check them
+const REQUIRED_FIELDS = {
+  stroke: { points: points => Array.isArray(points) && points.every(isPoint) },
+  text: { x: isNumber, y: isNumber, text: text => typeof text === 'string' },
+  ...Object.fromEntries(SHAPE_TYPES.map(type => [type, { x: isNumber, y: isNumber, width: isNumber, height: isNumber }])),
+  line: { x1: isNumber, y1: isNumber, x2: isNumber, y2: isNumber },
+  arrow: { x1: isNumber, y1: isNumber, x2: isNumber, y2: isNumber },
+  image: {
+    x: isNumber, y: isNumber, width: isNumber, height: isNumber,
+    naturalWidth: isNumber, naturalHeight: isNumber, src: src => typeof src === 'string' && src !== '',
+  },
+  group: { children: children => Array.isArray(children) && children.every(id => typeof id === 'string') },
+};
+
+const NOTE_FIELDS = { x: isNumber, y: isNumber, width: isNumber, height: isNumber };
+
+const LAYER_FIELDS = { name: name => typeof name === 'string', order: isNumber };
+
+// The first field of an entity that fails its check, if any
+const invalidField = (entity, fields) => Object.keys(fields).find(field => !fields[field](entity[field]));
+
+const validateScene = (scene, assets) => {
+  if (!scene || !Array.isArray(scene.objects) || !Array.isArray(scene.stickyNotes)) {
+    return 'The file has no scene';
+  }
+  const ids = new Set();
+  for (const [index, obj] of scene.objects.entries()) {
+    const label = `Object ${index + 1}`;
+    if (!obj || typeof obj.id !== 'string') return `${label} has no id`;
+    if (ids.has(obj.id)) return `${label} repeats the id ${obj.id}`;
+    ids.add(obj.id);
+    const fields = REQUIRED_FIELDS[obj.type];
+    if (!fields) return `${label} has an unknown type`;
+    const field = invalidField(obj, fields);
+    if (field) return `${label} (${obj.type}) has an invalid ${field}`;
+    if (obj.type === 'image' && isAssetRef(obj.src) && !assets[obj.src.slice(ASSET_PREFIX.length)]) {
+      return `${label} (image) refers to a missing asset`;
+    }
+  }
+  for (const [index, note] of scene.stickyNotes.entries()) {
+    const label = `Sticky note ${index + 1}`;
+    if (!note || typeof note.id !== 'string') return `${label} has no id`;
+    const field = invalidField(note, NOTE_FIELDS);
+    if (field) return `${label} has an invalid ${field}`;
+  }
+  if (scene.layers !== undefined) {
+    if (!Array.isArray(scene.layers)) return 'The layers are not a list';
+    for (const [index, layer] of scene.layers.entries()) {
+      const label = `Layer ${index + 1}`;
+      if (!layer || typeof layer.id !== 'string') return `${label} has no id`;
+      const field = invalidField(layer, LAYER_FIELDS);
+      if (field) return `${label} has an invalid ${field}`;
+    }
+  }
+  return null;
+};
+
+const validateAssets = (assets) => {
+  if (!assets || typeof assets !== 'object' || Array.isArray(assets)) return 'The assets are not an object';
+  const broken = Object.keys(assets).find((id) => {
+    const asset = assets[id];
+    return !asset || typeof asset.mimeType !== 'string' || typeof asset.data !== 'string';
+  });
+  return broken ? `Asset ${broken} is incomplete` : null;
+};
+
+// Read a board file: { board } with its title, scene and assets, or { error }
+// saying why it can't be imported
+export const parseBoardFile = (text) => {
+  let file;
+  try {
+    file = JSON.parse(text);
+  } catch (error) {
+    return { error: 'The file is not valid JSON' };
+  }
+  if (!file || file.type !== BOARD_FILE_TYPE) return { error: 'The file is not a Collabo board' };
+  if (!Number.isInteger(file.version) || file.version < 1) return { error: 'The file has no valid version' };
+  if (file.version > BOARD_FILE_VERSION) {
+    return { error: `The file is version ${file.version}; this app reads up to version ${BOARD_FILE_VERSION}` };
+  }
+
+  const assets = file.assets === undefined ? {} : file.assets;
+  const error = validateAssets(assets) || validateScene(file.scene, assets);
+  if (error) return { error };
+
+  const title = file.board && typeof file.board.title === 'string' && file.board.title.trim()
+    ? file.board.title.trim()
+    : 'Imported board';
+  return {
+    board: {
+      title,
+      scene: { objects: file.scene.objects, stickyNotes: file.scene.stickyNotes, layers: file.scene.layers || [] },
+      assets,
+    },
+  };
+};
+
+// The scene with fresh ids for everything in it. Group children, connector
+// bindings and object layers follow their targets; children that aren't in
+// the scene are dropped, and so are bindings to anything that isn't.
+export const remapSceneIds = (scene, createId) => {
+  const objectIds = new Map(scene.objects.map(obj => [obj.id, createId()]));
+  const layerIds = new Map(scene.layers.map(layer => [layer.id, createId()]));
+  const noteIds = new Map(scene.stickyNotes.map(note => [note.id, createId()]));
+  // Connectors can be bound to objects and notes alike
+  const targetIds = new Map([...objectIds, ...noteIds]);
+
+  const objects = scene.objects.map((obj) => {
+    const copy = { ...remapBindings(obj, targetIds), id: objectIds.get(obj.id) };
+    if (obj.layer !== undefined) {
+      // Objects on a layer the file doesn't list belong to the bottom one
+      if (layerIds.has(obj.layer)) {
+        copy.layer = layerIds.get(obj.layer);
+      } else {
+        delete copy.layer;
+      }
+    }
+    if (isGroup(obj)) {
+      copy.children = obj.children.filter(id => objectIds.has(id)).map(id => objectIds.get(id));
+    }
+    return copy;
+  }).filter(obj => !isGroup(obj) || obj.children.length > 0);
+
+  return {
+    objects,
+    stickyNotes: scene.stickyNotes.map(note => ({ ...note, id: noteIds.get(note.id) })),
+    layers: scene.layers.map(layer => ({ ...layer, id: layerIds.get(layer.id) })),
+  };
+};
+
+// Swap asset references for the URLs the assets were stored at. Images whose
+// asset has no URL (it couldn't be stored) are left out, and so are groups
+// left with no children.
+export const resolveAssets = (scene, urls) => {
+  const assetUrl = obj => urls[obj.src.slice(ASSET_PREFIX.length)];
+  const unresolved = new Set(scene.objects
+    .filter(obj => obj.type === 'image' && isAssetRef(obj.src) && !assetUrl(obj))
+    .map(obj => obj.id));
+
+  const objects = scene.objects.filter(obj => !unresolved.has(obj.id)).map((obj) => {
+    if (obj.type === 'image' && isAssetRef(obj.src)) return { ...obj, src: assetUrl(obj) };
+    if (isGroup(obj)) return { ...obj, children: obj.children.filter(id => !unresolved.has(id)) };
+    return obj;
+  }).filter(obj => !isGroup(obj) || obj.children.length > 0);
+
+  return { ...scene, objects };
+};
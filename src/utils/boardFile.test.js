@@ -0,0 +1,175 @@
+import {
+  BOARD_FILE_TYPE,
+  BOARD_FILE_VERSION,
+  createBoardFile,
+  parseBoardFile,
+  remapSceneIds,
+  resolveAssets,
+  assetToBlob,
+} from './boardFile';
+
+const rect = { id: 'r', type: 'rectangle', x: 0, y: 0, width: 10, height: 10, z: 2, layer: 'base', versions: { x: [1, 'a'] } };
+const line = { id: 'l', type: 'line', x1: 0, y1: 0, x2: 5, y2: 5 };
+const group = { id: 'g', type: 'group', children: ['r', 'l'] };
+const image = {
+  id: 'i', type: 'image', src: 'https://storage.example/cat.png', x: 0, y: 0, width: 4, height: 2,
+  naturalWidth: 4, naturalHeight: 2,
+};
+const note = { id: 'n', x: 50, y: 50, width: 200, height: 200, text: 'Hi', color: '#ffd700' };
+const layer = { id: 'base', name: 'Layer 1', order: 0 };
+
+const fetchAsset = jest.fn();
+
+const sequentialIds = () => {
+  let next = 0;
+  return () => `new-${++next}`;
+};
+
+const fileWith = (changes) => JSON.stringify({
+  type: BOARD_FILE_TYPE,
+  version: BOARD_FILE_VERSION,
+  board: { title: 'Roadmap' },
+  scene: { objects: [rect, line], stickyNotes: [note], layers: [layer] },
+  assets: {},
+  ...changes,
+});
+
+beforeEach(() => {
+  fetchAsset.mockImplementation(async () => new Blob(['png bytes'], { type: 'image/png' }));
+});
+
+describe('createBoardFile', () => {
+  test('writes a versioned file without sync state or deleted entities', async () => {
+    const scene = { objects: [rect, { ...line, deleted: true }], stickyNotes: [note], layers: [layer] };
+    const file = JSON.parse(await createBoardFile({ title: 'Roadmap', scene }, fetchAsset, new Date(0)));
+
+    expect(file).toMatchObject({ type: BOARD_FILE_TYPE, version: BOARD_FILE_VERSION, board: { title: 'Roadmap' } });
+    expect(file.exportedAt).toBe('1970-01-01T00:00:00.000Z');
+    expect(file.scene.objects).toEqual([{ id: 'r', type: 'rectangle', x: 0, y: 0, width: 10, height: 10, layer: 'base' }]);
+    expect(file.scene.stickyNotes).toEqual([note]);
+    expect(file.scene.layers).toEqual([layer]);
+  });
+
+  test('embeds each image file once', async () => {
+    const scene = { objects: [image, { ...image, id: 'i2' }], stickyNotes: [] };
+    const file = JSON.parse(await createBoardFile({ title: 'Pets', scene }, fetchAsset));
+
+    expect(fetchAsset).toHaveBeenCalledTimes(1);
+    expect(file.scene.objects.map(obj => obj.src)).toEqual(['asset:asset-1', 'asset:asset-1']);
+    expect(file.assets['asset-1'].mimeType).toBe('image/png');
+    expect(atob(file.assets['asset-1'].data)).toBe('png bytes');
+  });
+});
+
+describe('parseBoardFile', () => {
+  test('reads back what was written', async () => {
+    const scene = { objects: [group, rect, line, image], stickyNotes: [note], layers: [layer] };
+    const { board, error } = parseBoardFile(await createBoardFile({ title: 'Roadmap', scene }, fetchAsset));
+
+    expect(error).toBeUndefined();
+    expect(board.title).toBe('Roadmap');
+    expect(board.scene.objects.map(obj => obj.id)).toEqual(['g', 'r', 'l', 'i']);
+    expect(Object.keys(board.assets)).toEqual(['asset-1']);
+  });
+
+  test('refuses files that are not boards', () => {
+    expect(parseBoardFile('not json').error).toMatch(/not valid JSON/);
+    expect(parseBoardFile(JSON.stringify({ type: 'collabo/clipboard', version: 1 })).error).toMatch(/not a Collabo board/);
+  });
+
+  test('refuses versions it does not know', () => {
+    expect(parseBoardFile(fileWith({ version: BOARD_FILE_VERSION + 1 })).error).toMatch(/reads up to version 1/);
+    expect(parseBoardFile(fileWith({ version: '1' })).error).toMatch(/no valid version/);
+  });
+
+  test('names the first invalid entity', () => {
+    const badRect = { ...rect, width: 'wide' };
+    expect(parseBoardFile(fileWith({ scene: { objects: [line, badRect], stickyNotes: [] } })).error)
+      .toBe('Object 2 (rectangle) has an invalid width');
+    expect(parseBoardFile(fileWith({ scene: { objects: [{ ...line, type: 'blob' }], stickyNotes: [] } })).error)
+      .toBe('Object 1 has an unknown type');
+    expect(parseBoardFile(fileWith({ scene: { objects: [line, line], stickyNotes: [] } })).error)
+      .toBe('Object 2 repeats the id l');
+    expect(parseBoardFile(fileWith({ scene: { objects: [], stickyNotes: [{ id: 'n' }] } })).error)
+      .toBe('Sticky note 1 has an invalid x');
+  });
+
+  test('refuses images whose asset is missing', () => {
+    const scene = { objects: [{ ...image, src: 'asset:asset-9' }], stickyNotes: [] };
+    expect(parseBoardFile(fileWith({ scene })).error).toBe('Object 1 (image) refers to a missing asset');
+  });
+
+  test('falls back to a title and an empty layer list', () => {
+    const { board } = parseBoardFile(fileWith({ board: {}, scene: { objects: [line], stickyNotes: [] } }));
+
+    expect(board.title).toBe('Imported board');
+    expect(board.scene.layers).toEqual([]);
+  });
+});
+
+describe('remapSceneIds', () => {
+  test('gives everything new ids and keeps references pointing at them', () => {
+    const scene = remapSceneIds({ objects: [group, rect, line], stickyNotes: [note], layers: [layer] }, sequentialIds());
+    const [newGroup, newRect, newLine] = scene.objects;
+
+    expect(newGroup.children).toEqual([newRect.id, newLine.id]);
+    expect(newRect.layer).toBe(scene.layers[0].id);
+    expect(scene.stickyNotes[0].id).not.toBe('n');
+    expect(new Set([...scene.objects, ...scene.stickyNotes, ...scene.layers].map(e => e.id)).size).toBe(5);
+  });
+
+  test('points connector bindings at the new ids', () => {
+    const connector = { ...line, start: { id: 'r', anchor: 'right' }, end: { id: 'n', anchor: 'left' } };
+    const scene = remapSceneIds({ objects: [rect, connector], stickyNotes: [note], layers: [] }, sequentialIds());
+
+    expect(scene.objects[1].start).toEqual({ id: scene.objects[0].id, anchor: 'right' });
+    expect(scene.objects[1].end).toEqual({ id: scene.stickyNotes[0].id, anchor: 'left' });
+  });
+
+  test('drops references to things the file does not have', () => {
+    const scene = remapSceneIds({
+      objects: [{ ...group, children: ['gone'] }, { ...rect, layer: 'gone' }],
+      stickyNotes: [],
+      layers: [],
+    }, sequentialIds());
+
+    expect(scene.objects).toHaveLength(1);
+    expect(scene.objects[0]).not.toHaveProperty('layer');
+  });
+});
+
+describe('resolveAssets', () => {
+  test('points images at their stored files', () => {
+    const scene = resolveAssets({ objects: [{ ...image, src: 'asset:asset-1' }, rect], stickyNotes: [] }, {
+      'asset-1': 'https://storage.example/copy.png',
+    });
+
+    expect(scene.objects[0].src).toBe('https://storage.example/copy.png');
+    expect(scene.objects[1]).toBe(rect);
+  });
+
+  test('leaves out images whose asset was not stored, and groups left empty', () => {
+    const scene = resolveAssets({
+      objects: [
+        { ...image, src: 'asset:asset-1' },
+        { ...image, id: 'j', src: 'asset:asset-2' },
+        { id: 'g1', type: 'group', children: ['i', 'r'] },
+        { id: 'g2', type: 'group', children: ['j'] },
+        rect,
+      ],
+      stickyNotes: [],
+    }, { 'asset-1': 'https://storage.example/copy.png' });
+
+    expect(scene.objects.map(obj => obj.id)).toEqual(['i', 'g1', 'r']);
+    expect(scene.objects[1].children).toEqual(['i', 'r']);
+  });
+});
+
+describe('assetToBlob', () => {
+  test('decodes the embedded bytes', () => {
+    const blob = assetToBlob({ mimeType: 'image/png', data: btoa('png bytes') });
+
+    expect(blob.type).toBe('image/png');
+    expect(blob.size).toBe(9);
+  });
+});
@@ -0,0 +1,96 @@
+/**
+ * Clipboard format for copying board content
+ *
+ * Copied objects and sticky notes go on the system clipboard as JSON text,
+ * so they can be pasted into another board, even one open in another tab.
+ * The payload is tagged with a type and a version; readers refuse versions
+ * newer than they know and treat anything else as plain text.
+ */
+
+import { isGroup } from './groups';
+import { moveObject } from './selection';
+import { remapBindings } from './connectors';
+
+export const CLIPBOARD_TYPE = 'collabo/clipboard';
+export const CLIPBOARD_VERSION = 1;
+
+// How far pastes and duplicates land from what they copy
+export const PASTE_OFFSET = 20;
+
+// Sync state, stacking keys and layers belong to the board the content was
+// copied from; the board it is pasted into assigns its own
+const LOCAL_FIELDS = ['versions', 'deleted', 'z', 'zIndex', 'layer'];
+
+const portable = (entity) => {
+  const copy = { ...entity };
+  LOCAL_FIELDS.forEach(field => delete copy[field]);
+  return copy;
+};
+
+export const serializeClipboard = ({ objects, stickyNotes }) => JSON.stringify({
+  type: CLIPBOARD_TYPE,
+  version: CLIPBOARD_VERSION,
+  objects: objects.map(portable),
+  stickyNotes: stickyNotes.map(portable),
+});
+
+// The content of a clipboard payload, or null if the text isn't one we can read
+export const parseClipboard = (text) => {
+  let payload;
+  try {
+    payload = JSON.parse(text);
+  } catch (error) {
+    return null;
+  }
+  if (!payload || payload.type !== CLIPBOARD_TYPE) return null;
+  if (!Number.isInteger(payload.version) || payload.version < 1 || payload.version > CLIPBOARD_VERSION) return null;
+
+  const objects = Array.isArray(payload.objects) ? payload.objects : [];
+  const stickyNotes = Array.isArray(payload.stickyNotes) ? payload.stickyNotes : [];
+  return {
+    objects: objects.filter(obj => obj && typeof obj.id === 'string' && typeof obj.type === 'string'),
+    stickyNotes: stickyNotes.filter(note => note && typeof note.id === 'string'),
+  };
+};
+
+// Fresh copies of clipboard content, moved by a delta. Groups are rewired to
+// the copies of their children and listed after them, so every create event
+// refers to objects that already exist. Copied connectors stay bound to the
+// copies of their targets and come loose from targets left behind.
+export const cloneClipboard = ({ objects, stickyNotes }, createId, deltaX, deltaY) => {
+  const newIds = new Map(objects.map(obj => [obj.id, createId()]));
+  const newNoteIds = new Map(stickyNotes.map(note => [note.id, createId()]));
+  const targetIds = new Map([...newIds, ...newNoteIds]);
+  const shapes = objects
+    .filter(obj => !isGroup(obj))
+    .map(obj => ({ ...remapBindings(moveObject(obj, deltaX, deltaY), targetIds), id: newIds.get(obj.id) }));
+  const groups = objects
+    .filter(isGroup)
+    .map(group => ({
+      ...group,
+      id: newIds.get(group.id),
+      children: group.children.filter(id => newIds.has(id)).map(id => newIds.get(id)),
+    }))
+    .filter(group => group.children.length > 0);
+  // Inner groups are copied before the groups holding them
+  const depth = (group, seen = new Set()) => {
+    if (seen.has(group.id)) return 0;
+    seen.add(group.id);
+    return Math.max(0, ...group.children.map((id) => {
+      const child = groups.find(other => other.id === id);
+      return child ? depth(child, seen) + 1 : 0;
+    }));
+  };
+  groups.sort((a, b) => depth(a) - depth(b));
+
+  return {
+    objects: [...shapes, ...groups],
+    stickyNotes: stickyNotes.map(note => ({ ...note, id: newNoteIds.get(note.id), x: note.x + deltaX, y: note.y + deltaY })),
+  };
+};
+
+// The socket event that creates an object of a given type
+export const createEventFor = (obj) => {
+  if (['stroke', 'text', 'image', 'group'].includes(obj.type)) return obj.type;
+  return 'shape';
+};
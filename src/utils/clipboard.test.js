@@ -0,0 +1,95 @@
+import {
+  CLIPBOARD_TYPE,
+  CLIPBOARD_VERSION,
+  serializeClipboard,
+  parseClipboard,
+  cloneClipboard,
+  createEventFor,
+} from './clipboard';
+
+const rect = { id: 'r', type: 'rectangle', x: 0, y: 0, width: 10, height: 10, z: 3, layer: 'sketch', versions: { x: [1, 'a'] } };
+const line = { id: 'l', type: 'line', x1: 0, y1: 0, x2: 5, y2: 5 };
+const group = { id: 'g', type: 'group', children: ['r', 'l'] };
+const note = { id: 'n', x: 50, y: 50, width: 200, height: 200, text: 'Hi', color: '#ffd700', zIndex: 4 };
+
+const sequentialIds = () => {
+  let next = 0;
+  return () => `copy-${++next}`;
+};
+
+describe('serializeClipboard', () => {
+  test('writes a versioned payload without board-specific fields', () => {
+    const payload = JSON.parse(serializeClipboard({ objects: [rect], stickyNotes: [note] }));
+
+    expect(payload.type).toBe(CLIPBOARD_TYPE);
+    expect(payload.version).toBe(CLIPBOARD_VERSION);
+    expect(payload.objects).toEqual([{ id: 'r', type: 'rectangle', x: 0, y: 0, width: 10, height: 10 }]);
+    expect(payload.stickyNotes[0]).not.toHaveProperty('zIndex');
+  });
+});
+
+describe('parseClipboard', () => {
+  test('reads back what was written', () => {
+    const text = serializeClipboard({ objects: [group, rect, line], stickyNotes: [note] });
+    const content = parseClipboard(text);
+
+    expect(content.objects.map(obj => obj.id)).toEqual(['g', 'r', 'l']);
+    expect(content.stickyNotes.map(n => n.text)).toEqual(['Hi']);
+  });
+
+  test('treats anything else as plain text', () => {
+    expect(parseClipboard('hello')).toBeNull();
+    expect(parseClipboard('{"objects": []}')).toBeNull();
+    expect(parseClipboard('42')).toBeNull();
+  });
+
+  test('refuses payloads from a newer version', () => {
+    const text = JSON.stringify({ type: CLIPBOARD_TYPE, version: CLIPBOARD_VERSION + 1, objects: [rect] });
+    expect(parseClipboard(text)).toBeNull();
+  });
+
+  test('drops entries without an id or type', () => {
+    const text = JSON.stringify({ type: CLIPBOARD_TYPE, version: 1, objects: [rect, { type: 'line' }, null] });
+    expect(parseClipboard(text).objects).toEqual([rect]);
+    expect(parseClipboard(text).stickyNotes).toEqual([]);
+  });
+});
+
+describe('cloneClipboard', () => {
+  test('gives copies fresh ids and moves them', () => {
+    const copies = cloneClipboard({ objects: [rect, line], stickyNotes: [note] }, sequentialIds(), 20, 30);
+
+    expect(copies.objects[0]).toMatchObject({ id: 'copy-1', x: 20, y: 30 });
+    expect(copies.objects[1]).toMatchObject({ id: 'copy-2', x1: 20, y1: 30, x2: 25, y2: 35 });
+    expect(copies.stickyNotes[0]).toMatchObject({ id: 'copy-3', x: 70, y: 80, text: 'Hi' });
+  });
+
+  test('rewires groups to the copies of their children and lists them last', () => {
+    const outer = { id: 'outer', type: 'group', children: ['g', 'missing'] };
+    const copies = cloneClipboard({ objects: [outer, group, rect, line], stickyNotes: [] }, sequentialIds(), 0, 0);
+    const ids = copies.objects.map(obj => obj.id);
+    const byOldId = { outer: 'copy-1', g: 'copy-2', r: 'copy-3', l: 'copy-4' };
+
+    expect(ids).toEqual([byOldId.r, byOldId.l, byOldId.g, byOldId.outer]);
+    expect(copies.objects[2].children).toEqual([byOldId.r, byOldId.l]);
+    expect(copies.objects[3].children).toEqual([byOldId.g]);
+  });
+
+  test('keeps copied connectors bound to copied targets only', () => {
+    const connector = { ...line, start: { id: 'r', anchor: 'top' }, end: { id: 'n', anchor: 'left' } };
+    const copies = cloneClipboard({ objects: [rect, connector], stickyNotes: [] }, sequentialIds(), 0, 0);
+
+    expect(copies.objects[1].start).toEqual({ id: 'copy-1', anchor: 'top' });
+    expect(copies.objects[1].end).toBeNull();
+  });
+});
+
+describe('createEventFor', () => {
+  test('names the create event of each type', () => {
+    expect(createEventFor(rect)).toBe('shape');
+    expect(createEventFor(line)).toBe('shape');
+    expect(createEventFor(group)).toBe('group');
+    expect(createEventFor({ type: 'text' })).toBe('text');
+    expect(createEventFor({ type: 'image' })).toBe('image');
+  });
+});
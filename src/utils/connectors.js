@@ -0,0 +1,236 @@
+/**
+ * Connectors
+ *
+ * A line or arrow becomes a connector when either of its ends is bound to a
+ * shape or sticky note. `start` and `end` are { id, anchor } or null, where
+ * the anchor is the middle of one of the target's sides ('top', 'right',
+ * 'bottom' or 'left'), turned with the target.
+ *
+ * The endpoints are still stored as x1/y1/x2/y2. Whoever moves, resizes or
+ * rotates a target also rewrites the connectors attached to it, in the same
+ * edit (connectorOperations), so every replica and the saved scene agree. The
+ * scene is routed again before it is drawn (routeConnectors), which keeps
+ * connectors attached while a target is previewed mid-gesture.
+ *
+ * `routing` is 'straight' (the default) or 'elbow'. Elbow connectors run in
+ * horizontal and vertical legs that leave and enter their targets square to
+ * the anchored side. The legs follow from the endpoints and anchors, so they
+ * aren't stored.
+ */
+
+import { rotatePoint } from './rotation';
+import { SHAPE_TYPES, shapeAnchorOffsets } from './shapes';
+
+export const ANCHORS = ['top', 'right', 'bottom', 'left'];
+
+export const CONNECTABLE_TYPES = SHAPE_TYPES;
+
+// How close to an anchor, in screen pixels, a connector end snaps to it
+export const ANCHOR_SNAP_DISTANCE = 16;
+
+// How far an elbow connector runs out of its side before turning
+const ELBOW_STUB = 20;
+
+// Where each anchor sits on a target's unrotated box, as fractions of its size
+const ANCHOR_OFFSETS = {
+  top: { x: 0.5, y: 0 },
+  right: { x: 1, y: 0.5 },
+  bottom: { x: 0.5, y: 1 },
+  left: { x: 0, y: 0.5 },
+};
+
+// A triangle's sloping sides are halfway in at half its height
+const TRIANGLE_OFFSETS = { ...ANCHOR_OFFSETS, right: { x: 0.75, y: 0.5 }, left: { x: 0.25, y: 0.5 } };
+
+// The way out of a target through each side
+const ANCHOR_DIRECTIONS = {
+  top: { x: 0, y: -1 },
+  right: { x: 1, y: 0 },
+  bottom: { x: 0, y: 1 },
+  left: { x: -1, y: 0 },
+};
+
+// Events that move an object or note, and so its anchors
+const GEOMETRY_EVENTS = [
+  'move', 'resizeShape', 'rotate', 'resizeLine', 'stickyNote:move', 'stickyNote:resize', 'stickyNote:rotate',
+];
+
+export const isConnector = (obj) => obj.type === 'line' || obj.type === 'arrow';
+
+export const isBound = (obj) => isConnector(obj) && Boolean(obj.start || obj.end);
+
+const isBinding = (binding) => Boolean(binding && typeof binding.id === 'string' && ANCHORS.includes(binding.anchor));
+
+// Live shapes and sticky notes connectors can attach to, by id. Notes have
+// no type, which is how they are told apart from objects.
+export const connectableTargets = (objects, notes) => new Map([
+  ...objects.filter(obj => !obj.deleted && CONNECTABLE_TYPES.includes(obj.type)).map(obj => [obj.id, obj]),
+  ...notes.filter(note => !note.deleted).map(note => [note.id, note]),
+]);
+
+export const anchorPoint = (target, anchor) => {
+  const offsets = target.type === 'triangle'
+    ? TRIANGLE_OFFSETS
+    : shapeAnchorOffsets(target.type) || ANCHOR_OFFSETS;
+  const point = {
+    x: target.x + target.width * offsets[anchor].x,
+    y: target.y + target.height * offsets[anchor].y,
+  };
+  const center = { x: target.x + target.width / 2, y: target.y + target.height / 2 };
+  return rotatePoint(point, center, target.rotation);
+};
+
+// Every anchor of a target: [{ anchor, x, y }]
+export const anchorPoints = (target) => ANCHORS.map(anchor => ({ anchor, ...anchorPoint(target, anchor) }));
+
+// The anchor nearest a point among the targets, as { id, anchor, x, y }, or
+// null if none is within maxDistance
+export const findAnchor = (targets, point, maxDistance) => {
+  let best = null;
+  let bestDistance = maxDistance;
+  targets.forEach((target) => {
+    anchorPoints(target).forEach(({ anchor, x, y }) => {
+      const distance = Math.hypot(x - point.x, y - point.y);
+      if (distance <= bestDistance) {
+        best = { id: target.id, anchor, x, y };
+        bestDistance = distance;
+      }
+    });
+  });
+  return best;
+};
+
+// A connector with its bound ends on their anchors, or the same connector if
+// they already are. Ends bound to a target that is gone stay where they are.
+export const routeConnector = (connector, targets) => {
+  const ends = {};
+  [['start', 'x1', 'y1'], ['end', 'x2', 'y2']].forEach(([end, xField, yField]) => {
+    const binding = connector[end];
+    const target = isBinding(binding) && targets.get(binding.id);
+    if (!target) return;
+    const point = anchorPoint(target, binding.anchor);
+    if (point.x !== connector[xField] || point.y !== connector[yField]) {
+      ends[xField] = point.x;
+      ends[yField] = point.y;
+    }
+  });
+  return Object.keys(ends).length > 0 ? { ...connector, ...ends } : connector;
+};
+
+// Objects with every connector routed, or the same list if none moved
+export const routeConnectors = (objects, notes) => {
+  if (!objects.some(obj => !obj.deleted && isBound(obj))) return objects;
+  const targets = connectableTargets(objects, notes);
+  let changed = false;
+  const routed = objects.map((obj) => {
+    if (obj.deleted || !isBound(obj)) return obj;
+    const next = routeConnector(obj, targets);
+    if (next !== obj) changed = true;
+    return next;
+  });
+  return changed ? routed : objects;
+};
+
+// The edits that keep connectors attached after some other edits, given the
+// scene with those edits applied. Connectors on a target the edits moved are
+// rerouted. A connector the edits moved itself lets go of the targets that
+// stayed behind, unless the edits also set its bindings.
+export const connectorOperations = (ops, objects, notes) => {
+  const movedIds = new Set(ops.filter(op => GEOMETRY_EVENTS.includes(op.event)).map(op => op.data.id));
+  const connectedIds = new Set(ops.filter(op => op.event === 'setBindings').map(op => op.data.id));
+  if (movedIds.size === 0) return [];
+
+  const targets = connectableTargets(objects, notes);
+  return objects.filter(obj => !obj.deleted && isBound(obj) && !connectedIds.has(obj.id)).flatMap((connector) => {
+    const bindings = [connector.start, connector.end].filter(isBinding);
+    if (movedIds.has(connector.id)) {
+      const stays = binding => isBinding(binding) && movedIds.has(binding.id);
+      if (bindings.every(stays)) return [];
+      return [{
+        event: 'setBindings',
+        data: {
+          id: connector.id,
+          start: stays(connector.start) ? connector.start : null,
+          end: stays(connector.end) ? connector.end : null,
+        },
+      }];
+    }
+    if (!bindings.some(binding => movedIds.has(binding.id))) return [];
+
+    const routed = routeConnector(connector, targets);
+    if (routed === connector) return [];
+    const { id, x1, y1, x2, y2 } = routed;
+    return [{ event: 'resizeLine', data: { id, x1, y1, x2, y2 } }];
+  });
+};
+
+// The way a connector leaves its start and enters its end: out through the
+// anchored side, or for a free end along whichever axis the connector spans
+// further. Sides are taken as unrotated, so legs stay horizontal and vertical.
+const endDirection = (connector, end) => {
+  const binding = connector[end];
+  if (isBinding(binding)) return ANCHOR_DIRECTIONS[binding.anchor];
+  const towards = end === 'start' ? 1 : -1;
+  const dx = (connector.x2 - connector.x1) * towards;
+  const dy = (connector.y2 - connector.y1) * towards;
+  return Math.abs(dx) >= Math.abs(dy) ? { x: Math.sign(dx) || 1, y: 0, free: true } : { x: 0, y: Math.sign(dy), free: true };
+};
+
+// The corners of an elbow connector, from its start to its end
+export const elbowPoints = (connector) => {
+  const from = { x: connector.x1, y: connector.y1 };
+  const to = { x: connector.x2, y: connector.y2 };
+  const out = endDirection(connector, 'start');
+  const into = endDirection(connector, 'end');
+  const stub = (point, direction) => (direction.free ? point : {
+    x: point.x + direction.x * ELBOW_STUB,
+    y: point.y + direction.y * ELBOW_STUB,
+  });
+  const a = stub(from, out);
+  const b = stub(to, into);
+
+  let corners;
+  if (out.x !== 0 && into.x !== 0) {
+    const midX = (a.x + b.x) / 2;
+    corners = [{ x: midX, y: a.y }, { x: midX, y: b.y }];
+  } else if (out.y !== 0 && into.y !== 0) {
+    const midY = (a.y + b.y) / 2;
+    corners = [{ x: a.x, y: midY }, { x: b.x, y: midY }];
+  } else if (out.x !== 0) {
+    corners = [{ x: b.x, y: a.y }];
+  } else {
+    corners = [{ x: a.x, y: b.y }];
+  }
+
+  // Drop repeated points, and corners that are really straight through
+  const points = [from, a, ...corners, b, to].filter((point, index, all) => (
+    index === 0 || point.x !== all[index - 1].x || point.y !== all[index - 1].y
+  ));
+  return points.filter((point, index) => {
+    if (index === 0 || index === points.length - 1) return true;
+    const prev = points[index - 1];
+    const next = points[index + 1];
+    return !((prev.x === point.x && point.x === next.x) || (prev.y === point.y && point.y === next.y));
+  });
+};
+
+// The points a line or arrow is drawn through
+export const connectorPath = (connector) => (
+  connector.routing === 'elbow'
+    ? elbowPoints(connector)
+    : [{ x: connector.x1, y: connector.y1 }, { x: connector.x2, y: connector.y2 }]
+);
+
+// Bindings of copied connectors, pointed at the copies of their targets.
+// Ends whose target wasn't copied come loose.
+export const remapBindings = (connector, newIds) => {
+  if (!isConnector(connector)) return connector;
+  const remap = binding => (isBinding(binding) && newIds.has(binding.id)
+    ? { ...binding, id: newIds.get(binding.id) }
+    : null);
+  const copy = { ...connector };
+  ['start', 'end'].forEach((end) => {
+    if (connector[end] !== undefined) copy[end] = remap(connector[end]);
+  });
+  return copy;
+};
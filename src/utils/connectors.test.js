@@ -0,0 +1,132 @@
+import {
+  anchorPoint,
+  findAnchor,
+  routeConnectors,
+  connectorOperations,
+  elbowPoints,
+  connectorPath,
+  remapBindings,
+} from './connectors';
+
+const rect = { id: 'r', type: 'rectangle', x: 0, y: 0, width: 100, height: 50 };
+const note = { id: 'n', x: 300, y: 0, width: 200, height: 200, text: '' };
+const arrow = {
+  id: 'a', type: 'arrow', x1: 100, y1: 25, x2: 300, y2: 100, color: '#000', size: 2,
+  start: { id: 'r', anchor: 'right' }, end: { id: 'n', anchor: 'left' },
+};
+
+describe('anchorPoint', () => {
+  test('sits in the middle of each side, turned with the target', () => {
+    expect(anchorPoint(rect, 'top')).toEqual({ x: 50, y: 0 });
+    expect(anchorPoint(rect, 'left')).toEqual({ x: 0, y: 25 });
+
+    const turned = anchorPoint({ ...rect, rotation: Math.PI }, 'right');
+    expect(turned.x).toBeCloseTo(0);
+    expect(turned.y).toBeCloseTo(25);
+  });
+
+  test('follows the sloping sides of triangles', () => {
+    expect(anchorPoint({ ...rect, type: 'triangle' }, 'right')).toEqual({ x: 75, y: 25 });
+  });
+
+  test('follows the outlines of diagram shapes', () => {
+    expect(anchorPoint({ ...rect, type: 'parallelogram' }, 'left')).toEqual({ x: 12.5, y: 25 });
+    expect(anchorPoint({ ...rect, type: 'callout' }, 'bottom').y).toBeCloseTo(40);
+  });
+});
+
+describe('findAnchor', () => {
+  test('picks the nearest anchor within reach', () => {
+    expect(findAnchor([rect, note], { x: 104, y: 27 }, 10)).toEqual({ id: 'r', anchor: 'right', x: 100, y: 25 });
+    expect(findAnchor([rect, note], { x: 200, y: 27 }, 10)).toBeNull();
+  });
+});
+
+describe('routeConnectors', () => {
+  test('puts bound ends on their anchors', () => {
+    const moved = { ...rect, x: 20 };
+    const [, routed] = routeConnectors([moved, arrow], [note]);
+
+    expect(routed).toMatchObject({ x1: 120, y1: 25, x2: 300, y2: 100 });
+  });
+
+  test('returns the same list when every connector is in place, or its target is gone', () => {
+    const objects = [rect, arrow];
+    expect(routeConnectors(objects, [note])).toBe(objects);
+
+    const orphaned = [{ ...rect, deleted: true, x: 20 }, arrow];
+    expect(routeConnectors(orphaned, [note])).toBe(orphaned);
+  });
+});
+
+describe('connectorOperations', () => {
+  test('reroutes connectors on a target that moved', () => {
+    const ops = [{ event: 'stickyNote:move', data: { id: 'n', x: 400, y: 0 } }];
+
+    expect(connectorOperations(ops, [rect, arrow], [{ ...note, x: 400 }])).toEqual([
+      { event: 'resizeLine', data: { id: 'a', x1: 100, y1: 25, x2: 400, y2: 100 } },
+    ]);
+  });
+
+  test('lets a connector moved on its own go of the targets left behind', () => {
+    const ops = [{ event: 'move', data: { id: 'a', x1: 110, y1: 35, x2: 310, y2: 110 } }];
+
+    expect(connectorOperations(ops, [rect, arrow], [note])).toEqual([
+      { event: 'setBindings', data: { id: 'a', start: null, end: null } },
+    ]);
+  });
+
+  test('leaves connectors alone when their targets move with them or they are rebound', () => {
+    const together = [
+      { event: 'move', data: { id: 'a', x1: 110, y1: 25, x2: 310, y2: 100 } },
+      { event: 'move', data: { id: 'r', x: 10, y: 0 } },
+      { event: 'stickyNote:move', data: { id: 'n', x: 310, y: 0 } },
+    ];
+    expect(connectorOperations(together, [rect, arrow], [note])).toEqual([]);
+
+    const rebound = [
+      { event: 'resizeLine', data: { id: 'a', x1: 0, y1: 0, x2: 300, y2: 100 } },
+      { event: 'setBindings', data: { id: 'a', start: null, end: arrow.end } },
+    ];
+    expect(connectorOperations(rebound, [rect, arrow], [note])).toEqual([]);
+  });
+});
+
+describe('elbowPoints', () => {
+  test('leaves and enters square to the anchored sides', () => {
+    expect(elbowPoints(arrow)).toEqual([
+      { x: 100, y: 25 }, { x: 200, y: 25 }, { x: 200, y: 100 }, { x: 300, y: 100 },
+    ]);
+  });
+
+  test('turns once between sides facing different ways', () => {
+    const down = { ...arrow, x2: 400, y2: 200, end: { id: 'n', anchor: 'top' } };
+    expect(elbowPoints(down)).toEqual([
+      { x: 100, y: 25 }, { x: 400, y: 25 }, { x: 400, y: 200 },
+    ]);
+  });
+
+  test('runs free ends along the longer axis', () => {
+    const free = { ...arrow, start: null, end: null, x1: 0, y1: 0, x2: 100, y2: 40 };
+    expect(elbowPoints(free)).toEqual([
+      { x: 0, y: 0 }, { x: 50, y: 0 }, { x: 50, y: 40 }, { x: 100, y: 40 },
+    ]);
+  });
+});
+
+describe('connectorPath', () => {
+  test('is the two endpoints for straight connectors', () => {
+    expect(connectorPath(arrow)).toEqual([{ x: 100, y: 25 }, { x: 300, y: 100 }]);
+    expect(connectorPath({ ...arrow, routing: 'elbow' })).toHaveLength(4);
+  });
+});
+
+describe('remapBindings', () => {
+  test('points bindings at copied targets and drops the rest', () => {
+    expect(remapBindings(arrow, new Map([['r', 'r2']]))).toMatchObject({
+      start: { id: 'r2', anchor: 'right' },
+      end: null,
+    });
+    expect(remapBindings(rect, new Map())).toBe(rect);
+  });
+});
@@ -0,0 +1,186 @@
+/**
+ * Excalidraw scene import
+ *
+ * Turns an Excalidraw scene (the JSON in a .excalidraw file, or what
+ * Excalidraw puts on the clipboard) into native objects, bottom to top:
+ *
+ *   rectangle, ellipse, diamond -> rectangle, ellipse, diamond
+ *   line, arrow (two points)    -> line, arrow
+ *   line, arrow (more points)   -> stroke, plus an arrow for the last leg
+ *   freedraw                    -> stroke
+ *   text                        -> one text object per line
+ *   Excalidraw groups           -> nested groups
+ *
+ * Excalidraw element ids are kept; importing assigns fresh ones. Elements
+ * with no native counterpart (images, frames, embeds) are listed
+ * in `unsupported` instead of being dropped without a word.
+ */
+
+const EXCALIDRAW_TYPES = ['excalidraw', 'excalidraw/clipboard'];
+
+// Excalidraw's default line height, as a multiple of the font size
+const LINE_HEIGHT = 1.25;
+
+const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+
+export const isExcalidrawScene = (data) => Boolean(data && EXCALIDRAW_TYPES.includes(data.type));
+
+const colorOf = value => (typeof value === 'string' && value !== 'transparent' ? value : null);
+
+const rotateAbout = (point, center, angle) => {
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+  const dx = point.x - center.x;
+  const dy = point.y - center.y;
+  return { x: center.x + dx * cos - dy * sin, y: center.y + dx * sin + dy * cos };
+};
+
+// Line, arrow and freedraw points on the board. Excalidraw keeps them
+// relative to the element and turns them about the middle of its box.
+const absolutePoints = (el) => {
+  const center = { x: el.x + (el.width || 0) / 2, y: el.y + (el.height || 0) / 2 };
+  return el.points.map(([x, y]) => {
+    const point = { x: el.x + x, y: el.y + y };
+    return el.angle ? rotateAbout(point, center, el.angle) : point;
+  });
+};
+
+const hasPoints = el => Array.isArray(el.points) && el.points.length >= 2 &&
+  el.points.every(point => Array.isArray(point) && isNumber(point[0]) && isNumber(point[1]));
+
+const convertShape = (el) => {
+  if (![el.width, el.height].every(isNumber)) return null;
+  const shape = {
+    id: el.id,
+    type: el.type,
+    x: el.x,
+    y: el.y,
+    width: el.width,
+    height: el.height,
+    color: colorOf(el.strokeColor) || '#000000',
+    size: el.strokeWidth || 1,
+  };
+  const fill = colorOf(el.backgroundColor);
+  if (fill) shape.fill = fill;
+  if (el.angle) shape.rotation = el.angle;
+  return [shape];
+};
+
+// Lines and arrows. An arrow whose only head is at its start is drawn
+// reversed, since native arrows point at their end.
+const convertLinear = (el) => {
+  if (!hasPoints(el)) return null;
+  let points = absolutePoints(el);
+  const headAtStart = el.type === 'arrow' && el.startArrowhead && !el.endArrowhead;
+  if (headAtStart) points = points.reverse();
+  const isArrow = el.type === 'arrow' && Boolean(el.endArrowhead || el.startArrowhead);
+  const style = { color: colorOf(el.strokeColor) || '#000000', size: el.strokeWidth || 1 };
+
+  const [from, to] = points.slice(-2);
+  const lastLeg = {
+    id: el.id, type: isArrow ? 'arrow' : 'line', x1: from.x, y1: from.y, x2: to.x, y2: to.y, ...style,
+  };
+  if (points.length === 2) return [lastLeg];
+  if (!isArrow) return [{ id: el.id, type: 'stroke', points, tool: 'pen', ...style }];
+  return [
+    { id: `${el.id}-path`, type: 'stroke', points: points.slice(0, -1), tool: 'pen', ...style },
+    { ...lastLeg, id: `${el.id}-head` },
+  ];
+};
+
+const convertFreedraw = (el) => {
+  if (!hasPoints(el)) return null;
+  return [{
+    id: el.id,
+    type: 'stroke',
+    points: absolutePoints(el),
+    color: colorOf(el.strokeColor) || '#000000',
+    size: el.strokeWidth || 1,
+    tool: 'pen',
+  }];
+};
+
+// Native text is a single line drawn from its baseline, where Excalidraw
+// text is a block measured from its top
+const convertText = (el) => {
+  if (typeof el.text !== 'string') return null;
+  const fontSize = isNumber(el.fontSize) ? el.fontSize : 20;
+  const lineHeight = fontSize * (isNumber(el.lineHeight) ? el.lineHeight : LINE_HEIGHT);
+  const lines = el.text.split('\n');
+  return lines.map((line, index) => ({
+    id: lines.length === 1 ? el.id : `${el.id}-${index + 1}`,
+    type: 'text',
+    text: line,
+    x: el.x,
+    y: el.y + index * lineHeight + fontSize,
+    color: colorOf(el.strokeColor) || '#000000',
+    fontSize,
+    ...(el.angle ? { rotation: el.angle } : {}),
+  })).filter(text => text.text.trim() !== '');
+};
+
+const CONVERTERS = {
+  rectangle: convertShape,
+  ellipse: convertShape,
+  diamond: convertShape,
+  line: convertLinear,
+  arrow: convertLinear,
+  freedraw: convertFreedraw,
+  text: convertText,
+};
+
+// Excalidraw lists an element's groups innermost first. Each group becomes a
+// group object holding the elements and groups directly inside it.
+const buildGroups = (elements, objectIds) => {
+  const children = new Map();
+  const add = (groupId, childId) => {
+    if (!children.has(groupId)) children.set(groupId, []);
+    const list = children.get(groupId);
+    if (!list.includes(childId)) list.push(childId);
+  };
+  elements.forEach((el) => {
+    const groupIds = Array.isArray(el.groupIds) ? el.groupIds : [];
+    if (groupIds.length === 0) return;
+    objectIds.get(el.id).forEach(id => add(groupIds[0], id));
+    groupIds.slice(1).forEach((groupId, index) => add(groupId, groupIds[index]));
+  });
+  return [...children.entries()]
+    .filter(([, ids]) => ids.length > 0)
+    .map(([id, ids]) => ({ id, type: 'group', children: ids }));
+};
+
+// Read an Excalidraw scene: { board } with a title and scene, plus the
+// labels of elements that couldn't be brought over, or { error }
+export const convertExcalidraw = (data, title) => {
+  if (!isExcalidrawScene(data) || !Array.isArray(data.elements)) {
+    return { error: 'The file is not an Excalidraw scene' };
+  }
+
+  const objects = [];
+  const unsupported = [];
+  const converted = [];
+  const objectIds = new Map();
+  data.elements.forEach((el) => {
+    if (!el || el.isDeleted) return;
+    const convert = CONVERTERS[el.type];
+    const valid = typeof el.id === 'string' && isNumber(el.x) && isNumber(el.y);
+    const result = convert && valid ? convert(el) : null;
+    if (!result) {
+      unsupported.push(convert ? `${el.type} (incomplete)` : String(el.type || 'unknown element'));
+      return;
+    }
+    objects.push(...result);
+    objectIds.set(el.id, result.map(obj => obj.id));
+    converted.push(el);
+  });
+
+  if (objects.length === 0) return { error: 'The file has nothing this app can draw', unsupported };
+  return {
+    board: {
+      title,
+      scene: { objects: [...objects, ...buildGroups(converted, objectIds)], stickyNotes: [], layers: [] },
+      assets: {},
+    },
+    unsupported,
+  };
+};
@@ -0,0 +1,100 @@
+import { convertExcalidraw, isExcalidrawScene } from './excalidrawImport';
+
+const base = {
+  x: 10, y: 20, width: 100, height: 50, angle: 0, strokeColor: '#1e1e1e', backgroundColor: 'transparent',
+  strokeWidth: 2, groupIds: [], isDeleted: false,
+};
+const scene = elements => ({ type: 'excalidraw', version: 2, elements });
+
+describe('isExcalidrawScene', () => {
+  test('recognizes files and clipboard content', () => {
+    expect(isExcalidrawScene({ type: 'excalidraw' })).toBe(true);
+    expect(isExcalidrawScene({ type: 'excalidraw/clipboard' })).toBe(true);
+    expect(isExcalidrawScene({ type: 'collabo/board' })).toBe(false);
+  });
+});
+
+describe('convertExcalidraw', () => {
+  test('converts shapes with their colours, fill and angle', () => {
+    const { board, unsupported } = convertExcalidraw(scene([
+      { ...base, id: 'r', type: 'rectangle', backgroundColor: '#ffc9c9', angle: 0.5 },
+      { ...base, id: 'e', type: 'ellipse' },
+      { ...base, id: 'd', type: 'diamond' },
+    ]), 'Sketch');
+
+    expect(board.title).toBe('Sketch');
+    expect(board.scene.objects).toEqual([
+      {
+        id: 'r', type: 'rectangle', x: 10, y: 20, width: 100, height: 50, color: '#1e1e1e', size: 2,
+        fill: '#ffc9c9', rotation: 0.5,
+      },
+      { id: 'e', type: 'ellipse', x: 10, y: 20, width: 100, height: 50, color: '#1e1e1e', size: 2 },
+      { id: 'd', type: 'diamond', x: 10, y: 20, width: 100, height: 50, color: '#1e1e1e', size: 2 },
+    ]);
+    expect(unsupported).toEqual([]);
+  });
+
+  test('places line and arrow points on the board', () => {
+    const { board } = convertExcalidraw(scene([
+      { ...base, id: 'l', type: 'line', points: [[0, 0], [100, 50]] },
+      { ...base, id: 'a', type: 'arrow', points: [[0, 0], [100, 50]], startArrowhead: 'arrow', endArrowhead: null },
+    ]), 'Sketch');
+    const [line, arrow] = board.scene.objects;
+
+    expect(line).toMatchObject({ type: 'line', x1: 10, y1: 20, x2: 110, y2: 70 });
+    // A head only at the start is turned around to the end
+    expect(arrow).toMatchObject({ type: 'arrow', x1: 110, y1: 70, x2: 10, y2: 20 });
+  });
+
+  test('draws bent lines and arrows as strokes', () => {
+    const { board } = convertExcalidraw(scene([
+      { ...base, id: 'a', type: 'arrow', points: [[0, 0], [50, 0], [50, 50]], endArrowhead: 'arrow' },
+    ]), 'Sketch');
+    const [path, head] = board.scene.objects;
+
+    expect(path.type).toBe('stroke');
+    expect(path.points).toEqual([{ x: 10, y: 20 }, { x: 60, y: 20 }]);
+    expect(head).toMatchObject({ type: 'arrow', x1: 60, y1: 20, x2: 60, y2: 70 });
+  });
+
+  test('splits text into lines measured from their baselines', () => {
+    const { board } = convertExcalidraw(scene([
+      { ...base, id: 't', type: 'text', text: 'One\nTwo', fontSize: 20 },
+    ]), 'Sketch');
+
+    expect(board.scene.objects.map(obj => [obj.text, obj.y])).toEqual([['One', 40], ['Two', 65]]);
+  });
+
+  test('turns Excalidraw groups into nested groups', () => {
+    const { board } = convertExcalidraw(scene([
+      { ...base, id: 'a', type: 'rectangle', groupIds: ['inner', 'outer'] },
+      { ...base, id: 'b', type: 'ellipse', groupIds: ['inner', 'outer'] },
+      { ...base, id: 'c', type: 'rectangle', groupIds: ['outer'] },
+    ]), 'Sketch');
+    const groups = board.scene.objects.filter(obj => obj.type === 'group');
+
+    expect(groups).toEqual([
+      { id: 'inner', type: 'group', children: ['a', 'b'] },
+      { id: 'outer', type: 'group', children: ['inner', 'c'] },
+    ]);
+  });
+
+  test('reports what it cannot convert and skips deleted elements', () => {
+    const { board, unsupported } = convertExcalidraw(scene([
+      { ...base, id: 'r', type: 'rectangle' },
+      { ...base, id: 'fr', type: 'frame' },
+      { ...base, id: 'i', type: 'image' },
+      { ...base, id: 'f', type: 'freedraw', points: [] },
+      { ...base, id: 'x', type: 'frame', isDeleted: true },
+    ]), 'Sketch');
+
+    expect(board.scene.objects).toHaveLength(1);
+    expect(unsupported).toEqual(['frame', 'image', 'freedraw (incomplete)']);
+  });
+
+  test('refuses scenes with nothing to draw', () => {
+    expect(convertExcalidraw(scene([{ ...base, id: 'fr', type: 'frame' }]), 'Sketch'))
+      .toEqual({ error: 'The file has nothing this app can draw', unsupported: ['frame'] });
+    expect(convertExcalidraw({ type: 'excalidraw' }, 'Sketch').error).toBe('The file is not an Excalidraw scene');
+  });
+});
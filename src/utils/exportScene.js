@@ -0,0 +1,300 @@
+/**
+ * Board export
+ *
+ * Renders a scene to PNG, SVG or PDF. A scene is what should appear: the
+ * objects from bottom to top, the sticky notes, which sit above every object
+ * as they do on the board, and the box to frame (see the Whiteboard's
+ * getExportScene). PNG and PDF are painted with the same code as the canvas;
+ * SVG is built from the object model, so it stays vector.
+ */
+
+import {
+  drawObject,
+  drawStickyNote,
+  rotationCenter,
+  arrowheadPoints,
+  wrapText,
+  NOTE_PADDING,
+  NOTE_FONT_SIZE,
+  NOTE_LINE_HEIGHT,
+} from './sceneRender';
+import { imageCrop } from './images';
+import { connectorPath } from './connectors';
+import { opacityOf, dashPattern, cornerRadiusOf } from './styles';
+import { shapeOutline, shapeDetails } from './shapes';
+import { buildPdf, PDF_PAGE } from './pdf';
+
+// Space left around what is exported, in board units
+export const EXPORT_PADDING = 20;
+
+// Pixels per board unit offered for PNG export
+export const PNG_SCALES = [1, 2, 3];
+
+// Pixels per point of the images on PDF pages
+const PDF_RESOLUTION = 2;
+
+const BACKGROUND = '#ffffff';
+
+export const padBounds = (bounds, padding = EXPORT_PADDING) => ({
+  x: bounds.x - padding,
+  y: bounds.y - padding,
+  width: bounds.width + padding * 2,
+  height: bounds.height + padding * 2,
+});
+
+const createCanvas = (width, height) => {
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.max(1, Math.ceil(width));
+  canvas.height = Math.max(1, Math.ceil(height));
+  return canvas;
+};
+
+// Paint the part of a scene inside a frame onto a new canvas, at `scale`
+// pixels per board unit. Objects are painted on a layer of their own first,
+// so erasers cut through them without cutting through the background.
+export const renderScene = ({ objects, stickyNotes }, frame, { scale = 1, getImage } = {}) => {
+  const place = (ctx) => {
+    ctx.scale(scale, scale);
+    ctx.translate(-frame.x, -frame.y);
+    ctx.lineJoin = 'round';
+    ctx.lineCap = 'round';
+  };
+
+  const layer = createCanvas(frame.width * scale, frame.height * scale);
+  const layerCtx = layer.getContext('2d');
+  place(layerCtx);
+  objects.forEach(obj => drawObject(layerCtx, obj, getImage));
+
+  const canvas = createCanvas(frame.width * scale, frame.height * scale);
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = BACKGROUND;
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  ctx.drawImage(layer, 0, 0);
+  place(ctx);
+  stickyNotes.forEach(note => drawStickyNote(ctx, note));
+  return canvas;
+};
+
+export const canvasToBlob = (canvas, type, quality) => new Promise((resolve, reject) => {
+  canvas.toBlob((blob) => {
+    if (blob) {
+      resolve(blob);
+    } else {
+      reject(new Error(`Could not encode the board as ${type}`));
+    }
+  }, type, quality);
+});
+
+export const exportPng = (scene, { scale = 1, getImage } = {}) => (
+  canvasToBlob(renderScene(scene, scene.bounds, { scale, getImage }), 'image/png')
+);
+
+// Page-sized tiles covering a box, row by row, one board unit to a point
+export const pageFrames = (bounds, page = PDF_PAGE) => {
+  const columns = Math.max(1, Math.ceil(bounds.width / page.width));
+  const rows = Math.max(1, Math.ceil(bounds.height / page.height));
+  const frames = [];
+  for (let row = 0; row < rows; row++) {
+    for (let column = 0; column < columns; column++) {
+      frames.push({
+        x: bounds.x + column * page.width,
+        y: bounds.y + row * page.height,
+        width: page.width,
+        height: page.height,
+      });
+    }
+  }
+  return frames;
+};
+
+// The scene over as many pages as it takes
+export const exportPdf = async (scene, { getImage } = {}) => {
+  const pages = [];
+  for (const frame of pageFrames(scene.bounds)) {
+    const canvas = renderScene(scene, frame, { scale: PDF_RESOLUTION, getImage });
+    const jpeg = await canvasToBlob(canvas, 'image/jpeg', 0.92);
+    pages.push({
+      width: frame.width,
+      height: frame.height,
+      jpeg: new Uint8Array(await jpeg.arrayBuffer()),
+      imageWidth: canvas.width,
+      imageHeight: canvas.height,
+    });
+  }
+  return new Blob([buildPdf(pages)], { type: 'application/pdf' });
+};
+
+const escapeXml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Coordinates to two decimals keep the markup small
+const num = (value) => Math.round(value * 100) / 100;
+
+const attributes = (values) => Object.entries(values)
+  .filter(([, value]) => value !== undefined && value !== null)
+  .map(([name, value]) => `${name}="${typeof value === 'number' ? num(value) : escapeXml(value)}"`)
+  .join(' ');
+
+const pointList = (points) => points.map(p => `${num(p.x)},${num(p.y)}`).join(' ');
+
+const pathData = (points) => points.map((p, index) => `${index === 0 ? 'M' : 'L'}${num(p.x)} ${num(p.y)}`).join(' ');
+
+// Stroke attributes, with the outline's dashes (see utils/styles)
+const outline = (obj) => {
+  const dashes = dashPattern(obj);
+  return {
+    stroke: obj.color,
+    'stroke-width': obj.size,
+    'stroke-dasharray': dashes.length > 0 ? dashes.map(num).join(' ') : null,
+    'stroke-linecap': obj.dash === 'dotted' ? 'round' : null,
+  };
+};
+
+// Markup for one object, without its rotation
+const objectMarkup = (obj) => {
+  if (obj.type === 'stroke') {
+    return `<path ${attributes({
+      d: pathData(obj.points), fill: 'none', ...outline(obj), 'stroke-linecap': 'round', 'stroke-linejoin': 'round',
+    })}/>`;
+  }
+  if (obj.type === 'text') {
+    return `<text ${attributes({
+      x: obj.x, y: obj.y, fill: obj.color, 'font-family': 'Arial', 'font-size': obj.fontSize || 20,
+    })}>${escapeXml(obj.text)}</text>`;
+  }
+  if (obj.type === 'image') {
+    const crop = imageCrop(obj);
+    // The nested viewport shows the crop of the full-size picture
+    return `<svg ${attributes({
+      x: obj.x, y: obj.y, width: obj.width, height: obj.height,
+      viewBox: [crop.x, crop.y, crop.width, crop.height].map(num).join(' '), preserveAspectRatio: 'none',
+    })}><image ${attributes({
+      href: obj.src, width: obj.naturalWidth, height: obj.naturalHeight, preserveAspectRatio: 'none',
+    })}/></svg>`;
+  }
+  if (obj.type === 'line' || obj.type === 'arrow') {
+    const line = obj.routing === 'elbow'
+      ? `<path ${attributes({
+        d: pathData(connectorPath(obj)), fill: 'none', ...outline(obj), 'stroke-linecap': 'round', 'stroke-linejoin': 'round',
+      })}/>`
+      : `<line ${attributes({
+        x1: obj.x1, y1: obj.y1, x2: obj.x2, y2: obj.y2, ...outline(obj), 'stroke-linecap': 'round',
+      })}/>`;
+    if (obj.type === 'line') return line;
+    return `${line}<polygon ${attributes({ points: pointList(arrowheadPoints(obj)), fill: obj.color })}/>`;
+  }
+
+  const fill = obj.fill || 'none';
+  const x = Math.min(obj.x, obj.x + obj.width);
+  const y = Math.min(obj.y, obj.y + obj.height);
+  const width = Math.abs(obj.width);
+  const height = Math.abs(obj.height);
+  if (obj.type === 'rectangle') {
+    const radius = cornerRadiusOf(obj) || null;
+    return `<rect ${attributes({ x, y, width, height, rx: radius, ry: radius, fill, ...outline(obj) })}/>`;
+  }
+  if (obj.type === 'ellipse') {
+    return `<ellipse ${attributes({
+      cx: x + width / 2, cy: y + height / 2, rx: width / 2, ry: height / 2, fill, ...outline(obj),
+    })}/>`;
+  }
+  if (obj.type === 'triangle') {
+    const points = [
+      { x: obj.x + obj.width / 2, y: obj.y },
+      { x: obj.x, y: obj.y + obj.height },
+      { x: obj.x + obj.width, y: obj.y + obj.height },
+    ];
+    return `<polygon ${attributes({ points: pointList(points), fill, ...outline(obj), 'stroke-linejoin': 'round' })}/>`;
+  }
+  if (shapeOutline(obj)) {
+    const details = shapeDetails(obj).map(line => `<path ${attributes({
+      d: pathData(line), fill: 'none', ...outline(obj), 'stroke-linejoin': 'round',
+    })}/>`);
+    return `<polygon ${attributes({
+      points: pointList(shapeOutline(obj)), fill, ...outline(obj), 'stroke-linejoin': 'round',
+    })}/>${details.join('')}`;
+  }
+  return '';
+};
+
+const fade = (markup, opacity) => (opacity === 1 ? markup : `<g opacity="${num(opacity)}">${markup}</g>`);
+
+const rotate = (markup, angle, center) => {
+  if (!angle) return markup;
+  const degrees = (angle * 180) / Math.PI;
+  return `<g transform="rotate(${num(degrees)} ${num(center.x)} ${num(center.y)})">${markup}</g>`;
+};
+
+// ctx is only used to measure text
+const noteMarkup = (ctx, note, clipId) => {
+  ctx.font = `${NOTE_FONT_SIZE}px Arial`;
+  const lines = wrapText(ctx, note.text, note.width - NOTE_PADDING * 2);
+  const box = { x: note.x, y: note.y, width: note.width, height: note.height };
+  const tspans = lines.map((line, index) => `<tspan ${attributes({
+    x: note.x + NOTE_PADDING, y: note.y + NOTE_PADDING + index * NOTE_LINE_HEIGHT,
+  })}>${escapeXml(line)}</tspan>`).join('');
+  const markup = `<clipPath id="${clipId}"><rect ${attributes(box)}/></clipPath>` +
+    `<rect ${attributes({ ...box, fill: note.color, stroke: '#cccccc', 'stroke-width': 1 })}/>` +
+    `<text ${attributes({
+      'clip-path': `url(#${clipId})`, fill: '#000000', 'font-family': 'Arial', 'font-size': NOTE_FONT_SIZE,
+      'dominant-baseline': 'hanging',
+    })}>${tspans}</text>`;
+  return rotate(markup, note.rotation, { x: note.x + note.width / 2, y: note.y + note.height / 2 });
+};
+
+// The scene as an SVG document. An eraser stroke becomes a mask over
+// everything drawn before it, which is what it cuts through on the canvas.
+export const sceneToSvg = ({ objects, stickyNotes, bounds }, ctx) => {
+  const frame = attributes(bounds);
+  const defs = [];
+  let content = [];
+
+  objects.forEach((obj) => {
+    const center = obj.rotation ? rotationCenter(ctx, obj) : null;
+    if (obj.type === 'stroke' && obj.tool === 'erase') {
+      const id = `erase-${defs.length}`;
+      const cut = `<path ${attributes({
+        d: pathData(obj.points), fill: 'none', stroke: '#000000', 'stroke-width': obj.size * 4,
+        'stroke-linecap': 'round', 'stroke-linejoin': 'round',
+      })}/>`;
+      defs.push(`<mask id="${id}" maskUnits="userSpaceOnUse" ${frame}>` +
+        `<rect ${frame} fill="#ffffff"/>${rotate(cut, obj.rotation, center)}</mask>`);
+      content = [`<g mask="url(#${id})">${content.join('')}</g>`];
+      return;
+    }
+    content.push(rotate(fade(objectMarkup(obj), opacityOf(obj)), obj.rotation, center));
+  });
+
+  const notes = stickyNotes.map((note, index) => noteMarkup(ctx, note, `note-${index}`));
+
+  return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    `<svg xmlns="http://www.w3.org/2000/svg" ${attributes({
+      width: bounds.width, height: bounds.height,
+      viewBox: [bounds.x, bounds.y, bounds.width, bounds.height].map(num).join(' '),
+    })}>` +
+    (defs.length > 0 ? `<defs>${defs.join('')}</defs>` : '') +
+    `<rect ${frame} fill="${BACKGROUND}"/>` +
+    content.join('') +
+    notes.join('') +
+    '</svg>\n';
+};
+
+export const exportSvg = (scene) => {
+  const ctx = document.createElement('canvas').getContext('2d');
+  return new Blob([sceneToSvg(scene, ctx)], { type: 'image/svg+xml' });
+};
+
+// Save a file through the browser's download prompt
+export const downloadBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
@@ -0,0 +1,134 @@
+import { sceneToSvg, pageFrames, padBounds, renderScene } from './exportScene';
+
+const createContext = () => ({
+  beginPath: jest.fn(),
+  moveTo: jest.fn(),
+  lineTo: jest.fn(),
+  closePath: jest.fn(),
+  rect: jest.fn(),
+  ellipse: jest.fn(),
+  stroke: jest.fn(),
+  fill: jest.fn(),
+  fillText: jest.fn(),
+  fillRect: jest.fn(),
+  strokeRect: jest.fn(),
+  setLineDash: jest.fn(),
+  drawImage: jest.fn(),
+  clip: jest.fn(),
+  save: jest.fn(),
+  restore: jest.fn(),
+  scale: jest.fn(),
+  translate: jest.fn(),
+  rotate: jest.fn(),
+  // Every character is 10 units wide
+  measureText: jest.fn(text => ({ width: text.length * 10 })),
+});
+
+const bounds = { x: -20, y: -20, width: 340, height: 240 };
+const rect = { id: 'r', type: 'rectangle', x: 0, y: 0, width: 100, height: 50, color: '#000', size: 2, fill: '#f00' };
+const note = { id: 'n', x: 150, y: 0, width: 150, height: 100, text: 'Buy milk & eggs', color: '#ffd700' };
+
+describe('padBounds', () => {
+  test('leaves room on every side', () => {
+    expect(padBounds({ x: 0, y: 0, width: 10, height: 10 })).toEqual({ x: -20, y: -20, width: 50, height: 50 });
+  });
+});
+
+describe('sceneToSvg', () => {
+  test('frames the scene and writes objects below notes', () => {
+    const svg = sceneToSvg({ objects: [rect], stickyNotes: [note], bounds }, createContext());
+
+    expect(svg).toContain('viewBox="-20 -20 340 240"');
+    expect(svg).toContain('<rect x="0" y="0" width="100" height="50" fill="#f00" stroke="#000" stroke-width="2"/>');
+    expect(svg.indexOf('<rect x="0"')).toBeLessThan(svg.indexOf('fill="#ffd700"'));
+    // Note text is escaped and wrapped to the note's width less its padding
+    expect(svg).toContain('<tspan x="160" y="10">Buy milk &amp;</tspan><tspan x="160" y="26.8">eggs</tspan>');
+  });
+
+  test('turns rotated objects about their middle', () => {
+    const svg = sceneToSvg({ objects: [{ ...rect, rotation: Math.PI / 2 }], stickyNotes: [], bounds }, createContext());
+
+    expect(svg).toContain('<g transform="rotate(90 50 25)"><rect');
+  });
+
+  test('writes dashes, rounded corners and opacity', () => {
+    const styled = { ...rect, dash: 'dotted', cornerRadius: 8, opacity: 0.4 };
+    const svg = sceneToSvg({ objects: [styled], stickyNotes: [], bounds }, createContext());
+
+    expect(svg).toContain('<g opacity="0.4"><rect x="0" y="0" width="100" height="50" rx="8" ry="8" fill="#f00" ' +
+      'stroke="#000" stroke-width="2" stroke-dasharray="0 4" stroke-linecap="round"/></g>');
+  });
+
+  test('writes diagram shapes as polygons, with a cylinder\'s rim', () => {
+    const svg = sceneToSvg({
+      objects: [{ ...rect, type: 'diamond' }, { ...rect, id: 'c', type: 'cylinder' }], stickyNotes: [], bounds,
+    }, createContext());
+
+    expect(svg).toContain('<polygon points="50,0 100,25 50,50 0,25" fill="#f00" stroke="#000" stroke-width="2" ' +
+      'stroke-linejoin="round"/>');
+    expect(svg).toMatch(/<polygon points="[^"]+" fill="#f00"[^>]*\/><path d="M100 5 L/);
+  });
+
+  test('shows the crop of an image from its URL', () => {
+    const image = {
+      id: 'i', type: 'image', src: 'https://storage.example/cat.png?v=1&s=2', x: 10, y: 10, width: 150, height: 100,
+      naturalWidth: 400, naturalHeight: 200, crop: { x: 100, y: 0, width: 300, height: 200 },
+    };
+    const svg = sceneToSvg({ objects: [image], stickyNotes: [], bounds }, createContext());
+
+    expect(svg).toContain('<svg x="10" y="10" width="150" height="100" viewBox="100 0 300 200" preserveAspectRatio="none">');
+    expect(svg).toContain('href="https://storage.example/cat.png?v=1&amp;s=2" width="400" height="200"');
+  });
+
+  test('masks what an eraser cut through, but not what came after it', () => {
+    const eraser = { id: 'e', type: 'stroke', tool: 'erase', size: 3, color: '#000', points: [{ x: 0, y: 0 }, { x: 5, y: 5 }] };
+    const arrow = { id: 'a', type: 'arrow', x1: 0, y1: 0, x2: 50, y2: 0, color: '#00f', size: 1 };
+    const svg = sceneToSvg({ objects: [rect, eraser, arrow], stickyNotes: [], bounds }, createContext());
+
+    expect(svg).toContain('<mask id="erase-0"');
+    expect(svg).toContain('stroke-width="12"');
+    expect(svg).toMatch(/<g mask="url\(#erase-0\)"><rect x="0".*<\/g><line /);
+    expect(svg).toContain('<polygon points="50,0');
+  });
+});
+
+describe('pageFrames', () => {
+  test('tiles a box with whole pages, row by row', () => {
+    const frames = pageFrames({ x: 0, y: 0, width: 1000, height: 500 }, { width: 600, height: 400 });
+
+    expect(frames).toEqual([
+      { x: 0, y: 0, width: 600, height: 400 },
+      { x: 600, y: 0, width: 600, height: 400 },
+      { x: 0, y: 400, width: 600, height: 400 },
+      { x: 600, y: 400, width: 600, height: 400 },
+    ]);
+  });
+});
+
+describe('renderScene', () => {
+  let contexts;
+
+  beforeEach(() => {
+    contexts = [];
+    jest.spyOn(HTMLCanvasElement.prototype, 'getContext').mockImplementation(() => {
+      const ctx = createContext();
+      contexts.push(ctx);
+      return ctx;
+    });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('paints the frame at a scale on a white background, with notes on top', () => {
+    const { width, height } = renderScene({ objects: [rect], stickyNotes: [note] }, bounds, { scale: 2 });
+    const [objectLayer, output] = contexts;
+
+    expect(width).toBe(680);
+    expect(height).toBe(480);
+    expect(objectLayer.rect).toHaveBeenCalledWith(0, 0, 100, 50);
+    expect(objectLayer.translate).toHaveBeenCalledWith(20, 20);
+    expect(output.fillRect).toHaveBeenNthCalledWith(1, 0, 0, 680, 480);
+    expect(output.drawImage).toHaveBeenCalledTimes(1);
+    expect(output.fillText).toHaveBeenCalledWith('Buy milk &', 160, 10);
+  });
+});
@@ -0,0 +1,51 @@
+/**
+ * Object groups
+ *
+ * A group is an object of type 'group' that lists the ids of its children,
+ * which may be groups themselves. The children stay ordinary objects in the
+ * scene; a group only ties them together so they're selected and transformed
+ * as one. Groups are never edited after they're made: ungrouping deletes the
+ * group and leaves its children where they are.
+ */
+
+export const isGroup = (obj) => obj.type === 'group';
+
+// child id -> id of the live group holding it. If concurrent edits put an
+// object in two groups, the later group in the scene wins.
+export const buildParentMap = (objects) => {
+  const parents = new Map();
+  objects.forEach((obj) => {
+    if (obj.deleted || !isGroup(obj)) return;
+    obj.children.forEach(childId => parents.set(childId, obj.id));
+  });
+  return parents;
+};
+
+// The outermost group an object belongs to, or the object itself
+export const topLevelId = (id, parents) => {
+  const seen = new Set([id]);
+  let current = id;
+  while (parents.has(current) && !seen.has(parents.get(current))) {
+    current = parents.get(current);
+    seen.add(current);
+  }
+  return current;
+};
+
+// Live ids in and under the given ids, groups included, each once
+export const descendantIds = (ids, byId) => {
+  const found = new Set();
+  const visit = (id) => {
+    const obj = byId.get(id);
+    if (!obj || obj.deleted || found.has(id)) return;
+    found.add(id);
+    if (isGroup(obj)) obj.children.forEach(visit);
+  };
+  ids.forEach(visit);
+  return [...found];
+};
+
+// The live objects that actually get drawn in and under the given ids
+export const expandGroups = (ids, byId) => (
+  descendantIds(ids, byId).map(id => byId.get(id)).filter(obj => !isGroup(obj))
+);
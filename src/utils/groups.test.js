@@ -0,0 +1,40 @@
+import { buildParentMap, topLevelId, descendantIds, expandGroups } from './groups';
+
+const shape = id => ({ id, type: 'rectangle', x: 0, y: 0, width: 10, height: 10 });
+const group = (id, children, extra = {}) => ({ id, type: 'group', children, ...extra });
+const byIdOf = objects => new Map(objects.map(obj => [obj.id, obj]));
+
+describe('groups', () => {
+  const scene = [
+    shape('a'), shape('b'), shape('c'), shape('d'),
+    group('inner', ['a', 'b']),
+    group('outer', ['inner', 'c']),
+  ];
+
+  test('finds the outermost group of nested objects', () => {
+    const parents = buildParentMap(scene);
+    expect(topLevelId('a', parents)).toBe('outer');
+    expect(topLevelId('c', parents)).toBe('outer');
+    expect(topLevelId('d', parents)).toBe('d');
+  });
+
+  test('deleted groups no longer hold their children', () => {
+    const parents = buildParentMap([shape('a'), group('g', ['a'], { deleted: true })]);
+    expect(topLevelId('a', parents)).toBe('a');
+  });
+
+  test('expands nested groups into the objects they draw', () => {
+    const byId = byIdOf(scene);
+    expect(descendantIds(['outer'], byId)).toEqual(['outer', 'inner', 'a', 'b', 'c']);
+    expect(expandGroups(['outer', 'd'], byId).map(obj => obj.id)).toEqual(['a', 'b', 'c', 'd']);
+  });
+
+  test('skips deleted children and survives cycles', () => {
+    const byId = byIdOf([
+      { ...shape('a'), deleted: true }, shape('b'),
+      group('x', ['a', 'b', 'y']), group('y', ['x']),
+    ]);
+    expect(expandGroups(['x'], byId).map(obj => obj.id)).toEqual(['b']);
+    expect(topLevelId('x', buildParentMap([...byId.values()]))).toBeDefined();
+  });
+});
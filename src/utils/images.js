@@ -0,0 +1,149 @@
+/**
+ * Image objects
+ *
+ * An image object is a box on the canvas showing part of an uploaded file:
+ * `src` is the file's URL, `naturalWidth`/`naturalHeight` its size in image
+ * pixels and `crop` the rectangle of it that fills the box. Resizing scales
+ * the box; cropping moves the crop's edges and the box's with them, so the
+ * picture stays put on the canvas.
+ */
+
+// Longest side of an image when it's first placed, in canvas units
+export const MAX_IMAGE_SIZE = 600;
+
+// Smallest crop, in image pixels, and smallest box, in canvas units
+export const MIN_CROP = 10;
+export const MIN_IMAGE_SIZE = 10;
+
+export const isImageFile = (file) => Boolean(file && typeof file.type === 'string' && file.type.startsWith('image/'));
+
+// A box the size of the image, scaled down to fit MAX_IMAGE_SIZE
+export const fitImageSize = ({ width, height }, maxSize = MAX_IMAGE_SIZE) => {
+  const scale = Math.min(1, maxSize / Math.max(width, height));
+  return { width: width * scale, height: height * scale };
+};
+
+// The whole image, for objects that were never cropped
+export const imageCrop = (obj) => obj.crop || { x: 0, y: 0, width: obj.naturalWidth, height: obj.naturalHeight };
+
+const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
+
+// Move one edge of a span along an axis of the image. 'start' and 'end' are
+// the edges; anything else leaves the span alone.
+const moveEdge = (start, length, natural, delta, edge) => {
+  if (edge === 'end') {
+    const end = clamp(start + length + delta, start + MIN_CROP, natural);
+    return { start, length: end - start };
+  }
+  if (edge === 'start') {
+    const moved = clamp(start + delta, 0, start + length - MIN_CROP);
+    return { start: moved, length: start + length - moved };
+  }
+  return { start, length };
+};
+
+// Drag a resize handle by a delta in canvas units. Corners keep the image's
+// proportions; edges stretch it. Returns the new box.
+export const resizeImage = (obj, handle, deltaX, deltaY) => {
+  let width = obj.width;
+  let height = obj.height;
+  if (handle.includes('e')) width += deltaX;
+  if (handle.includes('w')) width -= deltaX;
+  if (handle.includes('s')) height += deltaY;
+  if (handle.includes('n')) height -= deltaY;
+
+  if (handle.length === 2) {
+    const minScale = MIN_IMAGE_SIZE / Math.min(obj.width, obj.height);
+    const scale = Math.max(width / obj.width, height / obj.height, minScale);
+    width = obj.width * scale;
+    height = obj.height * scale;
+  } else {
+    width = Math.max(width, MIN_IMAGE_SIZE);
+    height = Math.max(height, MIN_IMAGE_SIZE);
+  }
+
+  return {
+    x: handle.includes('w') ? obj.x + obj.width - width : obj.x,
+    y: handle.includes('n') ? obj.y + obj.height - height : obj.y,
+    width,
+    height,
+  };
+};
+
+// Drag the crop edges under a resize handle by a delta in canvas units. The
+// image's scale doesn't change, and the crop can't go past the picture.
+// Returns the new box and crop.
+export const cropImage = (obj, handle, deltaX, deltaY) => {
+  const crop = imageCrop(obj);
+  const scaleX = obj.width / crop.width;
+  const scaleY = obj.height / crop.height;
+  const edgeX = handle.includes('w') ? 'start' : handle.includes('e') ? 'end' : null;
+  const edgeY = handle.includes('n') ? 'start' : handle.includes('s') ? 'end' : null;
+
+  const horizontal = moveEdge(crop.x, crop.width, obj.naturalWidth, deltaX / scaleX, edgeX);
+  const vertical = moveEdge(crop.y, crop.height, obj.naturalHeight, deltaY / scaleY, edgeY);
+
+  return {
+    x: obj.x + (horizontal.start - crop.x) * scaleX,
+    y: obj.y + (vertical.start - crop.y) * scaleY,
+    width: horizontal.length * scaleX,
+    height: vertical.length * scaleY,
+    crop: { x: horizontal.start, y: vertical.start, width: horizontal.length, height: vertical.length },
+  };
+};
+
+// Where the whole, uncropped picture sits on the canvas
+export const uncroppedFrame = (obj) => {
+  const crop = imageCrop(obj);
+  const scaleX = obj.width / crop.width;
+  const scaleY = obj.height / crop.height;
+  return {
+    x: obj.x - crop.x * scaleX,
+    y: obj.y - crop.y * scaleY,
+    width: obj.naturalWidth * scaleX,
+    height: obj.naturalHeight * scaleY,
+  };
+};
+
+// The pixel size of an image file
+export const readImageSize = (file) => new Promise((resolve, reject) => {
+  const url = URL.createObjectURL(file);
+  const image = new Image();
+  image.onload = () => {
+    URL.revokeObjectURL(url);
+    resolve({ width: image.naturalWidth, height: image.naturalHeight });
+  };
+  image.onerror = () => {
+    URL.revokeObjectURL(url);
+    reject(new Error(`Could not read ${file.name || 'image'}`));
+  };
+  image.src = url;
+});
+
+// Image elements by URL, shared by every board in the tab
+const loadedImages = new Map();
+
+// The image element for a URL once it has loaded. Until then this returns
+// null and calls onLoad when it arrives; images that fail stay null.
+export const getLoadedImage = (src, onLoad) => {
+  let entry = loadedImages.get(src);
+  if (!entry) {
+    const image = new Image();
+    entry = { image, loaded: false, listeners: new Set() };
+    const loading = entry;
+    image.onload = () => {
+      loading.loaded = true;
+      loading.listeners.forEach(listener => listener());
+      loading.listeners.clear();
+    };
+    image.onerror = () => loading.listeners.clear();
+    // Loaded across origins without tainting the canvas, so boards can still
+    // be exported
+    image.crossOrigin = 'anonymous';
+    image.src = src;
+    loadedImages.set(src, entry);
+  }
+  if (entry.loaded) return entry.image;
+  if (onLoad) entry.listeners.add(onLoad);
+  return null;
+};
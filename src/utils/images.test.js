@@ -0,0 +1,115 @@
+import {
+  isImageFile,
+  fitImageSize,
+  imageCrop,
+  resizeImage,
+  cropImage,
+  uncroppedFrame,
+  getLoadedImage,
+  MIN_CROP,
+} from './images';
+
+// A 400x200 picture shown at half size
+const image = {
+  id: 'img', type: 'image', src: 'https://storage.example/cat.png', x: 100, y: 50, width: 200, height: 100,
+  naturalWidth: 400, naturalHeight: 200, crop: { x: 0, y: 0, width: 400, height: 200 },
+};
+
+describe('isImageFile', () => {
+  test('accepts image files only', () => {
+    expect(isImageFile({ type: 'image/png' })).toBe(true);
+    expect(isImageFile({ type: 'text/plain' })).toBe(false);
+    expect(isImageFile(null)).toBe(false);
+  });
+});
+
+describe('fitImageSize', () => {
+  test('scales large images down to fit and keeps small ones', () => {
+    expect(fitImageSize({ width: 1200, height: 600 })).toEqual({ width: 600, height: 300 });
+    expect(fitImageSize({ width: 300, height: 1200 })).toEqual({ width: 150, height: 600 });
+    expect(fitImageSize({ width: 40, height: 30 })).toEqual({ width: 40, height: 30 });
+  });
+});
+
+describe('resizeImage', () => {
+  test('keeps proportions from a corner and pins the opposite one', () => {
+    expect(resizeImage(image, 'se', 100, 0)).toEqual({ x: 100, y: 50, width: 300, height: 150 });
+    expect(resizeImage(image, 'nw', 100, 50)).toEqual({ x: 200, y: 100, width: 100, height: 50 });
+  });
+
+  test('stretches from an edge', () => {
+    expect(resizeImage(image, 'n', 0, 40)).toEqual({ x: 100, y: 90, width: 200, height: 60 });
+  });
+
+  test('does not shrink below the smallest size', () => {
+    expect(resizeImage(image, 'se', -500, -500)).toEqual({ x: 100, y: 50, width: 20, height: 10 });
+    expect(resizeImage(image, 'e', -500, 0).width).toBe(10);
+  });
+});
+
+describe('cropImage', () => {
+  test('moves the dragged edge of the crop and the box together', () => {
+    const cropped = cropImage(image, 'w', 50, 0);
+
+    expect(cropped.crop).toEqual({ x: 100, y: 0, width: 300, height: 200 });
+    expect(cropped).toMatchObject({ x: 150, y: 50, width: 150, height: 100 });
+  });
+
+  test('crops two edges from a corner', () => {
+    const cropped = cropImage(image, 'se', -100, -20);
+
+    expect(cropped.crop).toEqual({ x: 0, y: 0, width: 200, height: 160 });
+    expect(cropped).toMatchObject({ x: 100, y: 50, width: 100, height: 80 });
+  });
+
+  test('stops at the edges of the picture and at the smallest crop', () => {
+    const cropped = cropImage({ ...image, ...cropImage(image, 'n', 0, 40) }, 'n', 0, -500);
+    expect(cropped.crop.y).toBe(0);
+    expect(cropped.y).toBe(50);
+
+    expect(cropImage(image, 'e', -1000, 0).crop.width).toBe(MIN_CROP);
+  });
+
+  test('treats uncropped images as showing the whole picture', () => {
+    const { crop, ...uncropped } = image;
+    expect(imageCrop(uncropped)).toEqual(crop);
+    expect(cropImage(uncropped, 'e', -100, 0).crop.width).toBe(200);
+  });
+});
+
+describe('uncroppedFrame', () => {
+  test('places the whole picture around the crop', () => {
+    const once = { ...image, ...cropImage(image, 'w', 50, 0) };
+    const cropped = { ...once, ...cropImage(once, 'n', 0, 25) };
+    expect(uncroppedFrame(cropped)).toEqual({ x: 100, y: 50, width: 200, height: 100 });
+  });
+});
+
+describe('getLoadedImage', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  test('calls back when the image loads and returns it from then on', () => {
+    const element = {};
+    jest.spyOn(window, 'Image').mockImplementation(() => element);
+    const onLoad = jest.fn();
+
+    expect(getLoadedImage('https://storage.example/dog.png', onLoad)).toBeNull();
+    expect(element.src).toBe('https://storage.example/dog.png');
+
+    element.onload();
+    expect(onLoad).toHaveBeenCalledTimes(1);
+    expect(getLoadedImage('https://storage.example/dog.png')).toBe(element);
+    expect(window.Image).toHaveBeenCalledTimes(1);
+  });
+
+  test('keeps returning null for images that fail', () => {
+    const element = {};
+    jest.spyOn(window, 'Image').mockImplementation(() => element);
+    const onLoad = jest.fn();
+
+    getLoadedImage('https://storage.example/missing.png', onLoad);
+    element.onerror();
+    expect(getLoadedImage('https://storage.example/missing.png')).toBeNull();
+    expect(onLoad).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,37 @@
+/**
+ * Board imports
+ *
+ * The Dashboard's "Import board" action takes Collabo board files, Excalidraw
+ * scenes and SVG images. Every reader returns { board } with a title, scene
+ * and embedded assets, or { error }; the converters also list what they
+ * couldn't bring over in `unsupported`.
+ */
+
+import { BOARD_FILE_EXTENSION, parseBoardFile } from './boardFile';
+import { isExcalidrawScene, convertExcalidraw } from './excalidrawImport';
+import { convertSvg } from './svgImport';
+
+export const IMPORT_ACCEPT = [BOARD_FILE_EXTENSION, '.excalidraw', '.svg', 'application/json', 'image/svg+xml'].join(',');
+
+const EXTENSIONS = /(\.collabo\.json|\.excalidraw|\.json|\.svg)$/i;
+
+export const readImportFile = (name, text) => {
+  const title = name.replace(EXTENSIONS, '').trim() || 'Imported board';
+  if (/\.svg$/i.test(name) || text.trimStart().startsWith('<')) return convertSvg(text, title);
+
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    return { error: 'The file is not valid JSON' };
+  }
+  if (isExcalidrawScene(data)) return convertExcalidraw(data, title);
+  return { ...parseBoardFile(text), unsupported: [] };
+};
+
+// Unsupported labels with how often each came up, in the order first seen
+export const summarizeUnsupported = (labels) => {
+  const counts = new Map();
+  labels.forEach(label => counts.set(label, (counts.get(label) || 0) + 1));
+  return [...counts.entries()].map(([label, count]) => ({ label, count }));
+};
@@ -0,0 +1,33 @@
+import { readImportFile, summarizeUnsupported } from './importers';
+import { BOARD_FILE_TYPE } from './boardFile';
+
+describe('readImportFile', () => {
+  test('picks the reader from the file name or content', () => {
+    const svg = '<svg xmlns="http://www.w3.org/2000/svg"><line x1="0" y1="0" x2="1" y2="1"/></svg>';
+    const excalidraw = JSON.stringify({
+      type: 'excalidraw',
+      elements: [{ id: 'r', type: 'rectangle', x: 0, y: 0, width: 1, height: 1 }],
+    });
+    const boardFile = JSON.stringify({
+      type: BOARD_FILE_TYPE, version: 1, board: { title: 'Plan' }, scene: { objects: [], stickyNotes: [] },
+    });
+
+    expect(readImportFile('arrow.svg', svg).board.title).toBe('arrow');
+    expect(readImportFile('sketch.excalidraw', excalidraw).board.scene.objects[0].type).toBe('rectangle');
+    expect(readImportFile('plan.collabo.json', boardFile)).toMatchObject({ board: { title: 'Plan' }, unsupported: [] });
+  });
+
+  test('explains files it cannot read', () => {
+    expect(readImportFile('notes.txt', 'hello').error).toBe('The file is not valid JSON');
+    expect(readImportFile('data.json', '{"type":"other"}').error).toBe('The file is not a Collabo board');
+  });
+});
+
+describe('summarizeUnsupported', () => {
+  test('counts repeats in the order first seen', () => {
+    expect(summarizeUnsupported(['image', 'frame', 'image'])).toEqual([
+      { label: 'image', count: 2 },
+      { label: 'frame', count: 1 },
+    ]);
+  });
+});
@@ -0,0 +1,39 @@
+/**
+ * Scene layers
+ *
+ * Layers are shared scene entities ({ id, name, hidden, locked, order })
+ * edited through the layer:* socket events. Each object names its layer in
+ * `layer`; objects without one, or whose layer was deleted, belong to the
+ * bottom layer. Layers stack by `order`, and objects stack by their z within
+ * their layer. Hidden layers aren't drawn and locked layers can't be picked.
+ */
+
+// What every scene starts with (matches createDefaultLayer on the server)
+export const DEFAULT_LAYER = { id: 'default', name: 'Layer 1', hidden: false, locked: false, order: 0 };
+
+// Live layers from bottom to top. If every layer has been deleted (e.g. by
+// two people at once) the default layer stands in, so there is always one to
+// draw objects on and add new ones to.
+export const sortLayers = (layers) => {
+  const live = layers.filter(layer => !layer.deleted).sort((a, b) => a.order - b.order);
+  return live.length > 0 ? live : [DEFAULT_LAYER];
+};
+
+// Scenes saved before layers existed get the default one
+export const withDefaultLayer = (layers) => (
+  Array.isArray(layers) && layers.length > 0 ? layers : [DEFAULT_LAYER]
+);
+
+// The layer an object is drawn on, given the live layers bottom to top
+export const layerIdOf = (obj, stackedLayers) => {
+  if (stackedLayers.some(layer => layer.id === obj.layer)) return obj.layer;
+  return stackedLayers.length > 0 ? stackedLayers[0].id : DEFAULT_LAYER.id;
+};
+
+// "Layer N" for the first N not taken
+export const nextLayerName = (layers) => {
+  const names = new Set(layers.filter(layer => !layer.deleted).map(layer => layer.name));
+  let number = 1;
+  while (names.has(`Layer ${number}`)) number += 1;
+  return `Layer ${number}`;
+};
@@ -0,0 +1,33 @@
+import { DEFAULT_LAYER, sortLayers, withDefaultLayer, layerIdOf, nextLayerName } from './layers';
+
+const layer = (id, order, extra = {}) => ({ ...DEFAULT_LAYER, id, name: id, order, ...extra });
+
+describe('layers', () => {
+  test('stacks live layers by order', () => {
+    const layers = [layer('top', 2), layer('gone', 1, { deleted: true }), layer('bottom', -1)];
+    expect(sortLayers(layers).map(l => l.id)).toEqual(['bottom', 'top']);
+  });
+
+  test('falls back to the default layer once every layer is deleted', () => {
+    expect(sortLayers([layer('gone', 0, { deleted: true })])).toEqual([DEFAULT_LAYER]);
+    expect(layerIdOf({ layer: 'gone' }, [])).toBe(DEFAULT_LAYER.id);
+  });
+
+  test('scenes without layers get the default one', () => {
+    expect(withDefaultLayer(undefined)).toEqual([DEFAULT_LAYER]);
+    expect(withDefaultLayer([])).toEqual([DEFAULT_LAYER]);
+    expect(withDefaultLayer([layer('a', 0)])).toEqual([layer('a', 0)]);
+  });
+
+  test('objects on unknown layers fall to the bottom one', () => {
+    const stacked = [layer('bottom', 0), layer('top', 1)];
+    expect(layerIdOf({ layer: 'top' }, stacked)).toBe('top');
+    expect(layerIdOf({ layer: 'deleted' }, stacked)).toBe('bottom');
+    expect(layerIdOf({}, stacked)).toBe('bottom');
+  });
+
+  test('names new layers after the first free number', () => {
+    expect(nextLayerName([{ name: 'Layer 1' }, { name: 'Layer 3' }])).toBe('Layer 2');
+    expect(nextLayerName([{ name: 'Layer 1', deleted: true }])).toBe('Layer 1');
+  });
+});
@@ -0,0 +1,81 @@
+/**
+ * Offline board storage
+ *
+ * Keeps a copy of each opened board and the edits we couldn't send yet in
+ * IndexedDB, so a board can be reopened and edited without a connection and
+ * caught up with the server once it's back. Helpers return { data, error }
+ * like the Supabase helpers; without IndexedDB they simply find nothing.
+ */
+
+const DB_NAME = 'collabo-offline';
+const DB_VERSION = 1;
+const BOARDS = 'boards';
+const PENDING_OPS = 'pendingOps';
+
+let dbPromise = null;
+
+const openDatabase = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        resolve(null);
+        return;
+      }
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(BOARDS, { keyPath: 'id' });
+        request.result.createObjectStore(PENDING_OPS, { keyPath: 'boardId' });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    }).catch((error) => {
+      dbPromise = null;
+      throw error;
+    });
+  }
+  return dbPromise;
+};
+
+// Run one request against a store and resolve with its result
+const run = async (storeName, mode, makeRequest) => {
+  try {
+    const db = await openDatabase();
+    if (!db) return { data: null, error: null };
+
+    const data = await new Promise((resolve, reject) => {
+      const request = makeRequest(db.transaction(storeName, mode).objectStore(storeName));
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    return { data: data ?? null, error: null };
+  } catch (error) {
+    console.error('Offline store error:', error);
+    return { data: null, error };
+  }
+};
+
+// Remember a board as loaded from Supabase. It replaces any local copy:
+// edits made offline come back through the pending ops instead.
+export const cacheBoard = (board) => run(BOARDS, 'readwrite', store => (
+  store.put({ id: board.id, board })
+));
+
+// { board } for a board opened before, or null
+export const getCachedBoard = (boardId) => run(BOARDS, 'readonly', store => store.get(boardId));
+
+// Keep the latest scene locally, for opening the board offline. Only the
+// server writes scenes to Supabase.
+export const cacheScene = (board, scene) => run(BOARDS, 'readwrite', store => store.put({
+  id: board.id,
+  board: { ...board, scene_json: JSON.stringify(scene) },
+}));
+
+// Edits made while disconnected, oldest first
+export const getPendingOps = async (boardId) => {
+  const { data, error } = await run(PENDING_OPS, 'readonly', store => store.get(boardId));
+  return { data: data ? data.ops : [], error };
+};
+
+export const savePendingOps = (boardId, ops) => run(PENDING_OPS, 'readwrite', store => (
+  ops.length > 0 ? store.put({ boardId, ops }) : store.delete(boardId)
+));
@@ -0,0 +1,44 @@
+import 'fake-indexeddb/auto';
+import {
+  cacheBoard,
+  getCachedBoard,
+  cacheScene,
+  getPendingOps,
+  savePendingOps,
+} from './offlineStore';
+
+const board = { id: 'board-1', title: 'Plan', scene_json: '{"objects":[],"stickyNotes":[]}' };
+
+describe('offlineStore', () => {
+  test('returns nothing for boards never opened', async () => {
+    expect(await getCachedBoard('unknown')).toEqual({ data: null, error: null });
+    expect(await getPendingOps('unknown')).toEqual({ data: [], error: null });
+  });
+
+  test('caches a loaded board', async () => {
+    await cacheBoard(board);
+
+    const { data } = await getCachedBoard('board-1');
+    expect(data).toEqual({ id: 'board-1', board });
+  });
+
+  test('keeps the latest scene of a board on this device', async () => {
+    const scene = { objects: [{ id: 'a', type: 'text', text: 'A' }], stickyNotes: [] };
+    await cacheScene(board, scene);
+
+    const { data } = await getCachedBoard('board-1');
+    expect(JSON.parse(data.board.scene_json)).toEqual(scene);
+    expect(data.board.title).toBe('Plan');
+  });
+
+  test('stores pending ops per board and forgets them once sent', async () => {
+    const ops = [{ event: 'move', payload: { roomId: 'board-1', id: 'a', x: 1, y: 1, stamp: [1, 'me'] } }];
+    await savePendingOps('board-1', ops);
+
+    expect((await getPendingOps('board-1')).data).toEqual(ops);
+    expect((await getPendingOps('board-2')).data).toEqual([]);
+
+    await savePendingOps('board-1', []);
+    expect((await getPendingOps('board-1')).data).toEqual([]);
+  });
+});
@@ -0,0 +1,72 @@
+/**
+ * Minimal PDF writer
+ *
+ * Builds a PDF whose pages each show one JPEG image, which is all the board
+ * export needs: every page is a rendered tile of the board. JPEG data can be
+ * embedded as is (the DCTDecode filter), so no compression code is needed.
+ */
+
+// A4 landscape, in points
+export const PDF_PAGE = { width: 842, height: 595 };
+
+const ascii = (text) => Uint8Array.from(text, char => char.charCodeAt(0));
+
+// pages: [{ width, height, jpeg, imageWidth, imageHeight }], with the page
+// size in points and the JPEG bytes and pixel size of its image
+export const buildPdf = (pages) => {
+  const chunks = [];
+  const offsets = [];
+  let length = 0;
+  const write = (chunk) => {
+    const bytes = typeof chunk === 'string' ? ascii(chunk) : chunk;
+    chunks.push(bytes);
+    length += bytes.length;
+  };
+  const startObject = (number) => {
+    offsets[number] = length;
+    write(`${number} 0 obj\n`);
+  };
+
+  // Objects 1 and 2 are the catalog and page tree; each page then takes
+  // three: the page, its content stream and its image
+  const pageNumber = index => 3 + index * 3;
+
+  write('%PDF-1.4\n');
+  startObject(1);
+  write('<< /Type /Catalog /Pages 2 0 R >>\nendobj\n');
+  startObject(2);
+  const kids = pages.map((page, index) => `${pageNumber(index)} 0 R`).join(' ');
+  write(`<< /Type /Pages /Kids [${kids}] /Count ${pages.length} >>\nendobj\n`);
+
+  pages.forEach((page, index) => {
+    const number = pageNumber(index);
+    const content = `q ${page.width} 0 0 ${page.height} 0 0 cm /Im0 Do Q\n`;
+
+    startObject(number);
+    write(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${page.width} ${page.height}] ` +
+      `/Resources << /XObject << /Im0 ${number + 2} 0 R >> >> /Contents ${number + 1} 0 R >>\nendobj\n`);
+    startObject(number + 1);
+    write(`<< /Length ${content.length} >>\nstream\n${content}endstream\nendobj\n`);
+    startObject(number + 2);
+    write(`<< /Type /XObject /Subtype /Image /Width ${page.imageWidth} /Height ${page.imageHeight} ` +
+      `/ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${page.jpeg.length} >>\nstream\n`);
+    write(page.jpeg);
+    write('\nendstream\nendobj\n');
+  });
+
+  const xrefOffset = length;
+  const objectCount = offsets.length;
+  write(`xref\n0 ${objectCount}\n0000000000 65535 f \n`);
+  for (let number = 1; number < objectCount; number++) {
+    write(`${String(offsets[number]).padStart(10, '0')} 00000 n \n`);
+  }
+  write(`trailer\n<< /Size ${objectCount} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`);
+
+  const pdf = new Uint8Array(length);
+  let position = 0;
+  chunks.forEach((chunk) => {
+    pdf.set(chunk, position);
+    position += chunk.length;
+  });
+  return pdf;
+};
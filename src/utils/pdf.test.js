@@ -0,0 +1,33 @@
+import { buildPdf } from './pdf';
+
+const text = (bytes) => String.fromCharCode(...bytes);
+
+const page = (marker) => ({
+  width: 842, height: 595, jpeg: Uint8Array.from([0xff, 0xd8, marker, 0xff, 0xd9]), imageWidth: 1684, imageHeight: 1190,
+});
+
+describe('buildPdf', () => {
+  test('writes a page with its image for each tile', () => {
+    const pdf = text(buildPdf([page(1), page(2)]));
+
+    expect(pdf.startsWith('%PDF-1.4\n')).toBe(true);
+    expect(pdf).toContain('/Type /Pages /Kids [3 0 R 6 0 R] /Count 2');
+    expect(pdf).toContain('/MediaBox [0 0 842 595]');
+    expect(pdf).toContain('/Width 1684 /Height 1190');
+    expect(pdf).toContain('/Filter /DCTDecode /Length 5');
+    expect(pdf.trimEnd().endsWith('%%EOF')).toBe(true);
+  });
+
+  test('points the cross-reference table at every object', () => {
+    const pdf = text(buildPdf([page(1), page(2)]));
+
+    const offsets = pdf.match(/(\d{10}) 00000 n/g).map(entry => Number(entry.slice(0, 10)));
+    expect(offsets).toHaveLength(8);
+    offsets.forEach((offset, index) => {
+      expect(pdf.slice(offset)).toMatch(new RegExp(`^${index + 1} 0 obj`));
+    });
+
+    const startxref = Number(pdf.match(/startxref\n(\d+)/)[1]);
+    expect(pdf.slice(startxref).startsWith('xref')).toBe(true);
+  });
+});
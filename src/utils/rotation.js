@@ -0,0 +1,87 @@
+/**
+ * Geometry for rotated objects
+ *
+ * An object's `rotation` is an angle in radians, clockwise on screen, about
+ * the centre of its unrotated box (see rotationCenter in sceneRender.js).
+ * Positions and sizes are stored unrotated, so moving or resizing an object
+ * works on the same fields whatever its angle.
+ */
+
+import { SHAPE_TYPES } from './shapes';
+
+// Object types with a rotation handle. Sticky notes rotate too.
+export const ROTATABLE_TYPES = [...SHAPE_TYPES, 'text', 'stroke', 'image'];
+
+// Step the angle snaps to while Shift is held
+export const ROTATION_SNAP = Math.PI / 12;
+
+// How far above the top edge the rotation handle sits, in screen pixels
+export const ROTATION_HANDLE_OFFSET = 25;
+
+export const isRotatable = (obj) => ROTATABLE_TYPES.includes(obj.type);
+
+export const rotatePoint = (point, center, angle) => {
+  if (!angle) return point;
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+  const dx = point.x - center.x;
+  const dy = point.y - center.y;
+  return {
+    x: center.x + dx * cos - dy * sin,
+    y: center.y + dx * sin + dy * cos,
+  };
+};
+
+// Bring an angle into (-π, π]
+export const normalizeAngle = (angle) => {
+  const turn = Math.PI * 2;
+  const wrapped = ((angle % turn) + turn) % turn;
+  return wrapped > Math.PI ? wrapped - turn : wrapped;
+};
+
+export const snapAngle = (angle, step = ROTATION_SNAP) => normalizeAngle(Math.round(angle / step) * step);
+
+// The rotation that points an object's top edge at a point, as when dragging
+// the handle above it
+export const angleToPoint = (center, point) => normalizeAngle(
+  Math.atan2(point.y - center.y, point.x - center.x) + Math.PI / 2
+);
+
+// Axis-aligned box around a box turned about a centre
+export const rotatedBounds = (box, center, angle) => {
+  if (!angle) return box;
+  const corners = [
+    { x: box.x, y: box.y },
+    { x: box.x + box.width, y: box.y },
+    { x: box.x + box.width, y: box.y + box.height },
+    { x: box.x, y: box.y + box.height },
+  ].map(corner => rotatePoint(corner, center, angle));
+  const xs = corners.map(corner => corner.x);
+  const ys = corners.map(corner => corner.y);
+  const x = Math.min(...xs);
+  const y = Math.min(...ys);
+  return {
+    ...box,
+    x,
+    y,
+    width: Math.max(...xs) - x,
+    height: Math.max(...ys) - y,
+  };
+};
+
+export const boxCenter = (box) => ({ x: box.x + box.width / 2, y: box.y + box.height / 2 });
+
+// Point of a box a resize handle ('n', 'se', ...) sits on
+export const handlePoint = (box, handle) => {
+  let x = box.x + box.width / 2;
+  let y = box.y + box.height / 2;
+  if (handle.includes('w')) x = box.x;
+  if (handle.includes('e')) x = box.x + box.width;
+  if (handle.includes('n')) y = box.y;
+  if (handle.includes('s')) y = box.y + box.height;
+  return { x, y };
+};
+
+const OPPOSITES = { n: 's', s: 'n', e: 'w', w: 'e' };
+
+export const oppositeHandle = (handle) => handle.replace(/[nsew]/g, side => OPPOSITES[side]);
@@ -0,0 +1,82 @@
+import {
+  rotatePoint,
+  normalizeAngle,
+  snapAngle,
+  angleToPoint,
+  rotatedBounds,
+  handlePoint,
+  oppositeHandle,
+  isRotatable,
+} from './rotation';
+
+const expectPoint = (actual, expected) => {
+  expect(actual.x).toBeCloseTo(expected.x);
+  expect(actual.y).toBeCloseTo(expected.y);
+};
+
+describe('rotatePoint', () => {
+  test('turns clockwise on screen about the centre', () => {
+    expectPoint(rotatePoint({ x: 10, y: 0 }, { x: 0, y: 0 }, Math.PI / 2), { x: 0, y: 10 });
+    expectPoint(rotatePoint({ x: 15, y: 5 }, { x: 5, y: 5 }, Math.PI), { x: -5, y: 5 });
+  });
+
+  test('leaves points alone without an angle', () => {
+    const point = { x: 3, y: 4 };
+    expect(rotatePoint(point, { x: 0, y: 0 }, 0)).toBe(point);
+    expect(rotatePoint(point, { x: 0, y: 0 }, null)).toBe(point);
+  });
+});
+
+describe('angles', () => {
+  test('normalizes into a half turn either way', () => {
+    expect(normalizeAngle(Math.PI * 2)).toBeCloseTo(0);
+    expect(normalizeAngle(Math.PI * 1.5)).toBeCloseTo(-Math.PI / 2);
+    expect(normalizeAngle(-Math.PI * 1.5)).toBeCloseTo(Math.PI / 2);
+  });
+
+  test('snaps to 15° steps', () => {
+    const degrees = (angle) => (angle * 180) / Math.PI;
+    expect(degrees(snapAngle((37 * Math.PI) / 180))).toBeCloseTo(30);
+    expect(degrees(snapAngle((-8 * Math.PI) / 180))).toBeCloseTo(-15);
+  });
+
+  test('points the top edge at the handle', () => {
+    const center = { x: 0, y: 0 };
+    expect(angleToPoint(center, { x: 0, y: -10 })).toBeCloseTo(0);
+    expect(angleToPoint(center, { x: 10, y: 0 })).toBeCloseTo(Math.PI / 2);
+    expect(angleToPoint(center, { x: -10, y: 0 })).toBeCloseTo(-Math.PI / 2);
+  });
+});
+
+describe('rotatedBounds', () => {
+  test('grows to hold the turned corners', () => {
+    const box = { x: 0, y: 0, width: 20, height: 10 };
+    const bounds = rotatedBounds(box, { x: 10, y: 5 }, Math.PI / 2);
+    expect(bounds.x).toBeCloseTo(5);
+    expect(bounds.y).toBeCloseTo(-5);
+    expect(bounds.width).toBeCloseTo(10);
+    expect(bounds.height).toBeCloseTo(20);
+  });
+
+  test('returns unrotated boxes as they are', () => {
+    const box = { x: 0, y: 0, width: 20, height: 10 };
+    expect(rotatedBounds(box, { x: 10, y: 5 }, 0)).toBe(box);
+  });
+});
+
+describe('handles', () => {
+  test('finds handle points and their opposites', () => {
+    const box = { x: 0, y: 0, width: 20, height: 10 };
+    expect(handlePoint(box, 'se')).toEqual({ x: 20, y: 10 });
+    expect(handlePoint(box, 'n')).toEqual({ x: 10, y: 0 });
+    expect(oppositeHandle('nw')).toBe('se');
+    expect(oppositeHandle('e')).toBe('w');
+  });
+
+  test('lines have no rotation handle', () => {
+    expect(isRotatable({ type: 'rectangle' })).toBe(true);
+    expect(isRotatable({ type: 'stroke' })).toBe(true);
+    expect(isRotatable({ type: 'arrow' })).toBe(false);
+    expect(isRotatable({ type: 'group' })).toBe(false);
+  });
+});
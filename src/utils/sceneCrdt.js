@@ -0,0 +1,95 @@
+/**
+ * Client side of the last-writer-wins scene CRDT (see server/crdt.js).
+ *
+ * Objects and sticky notes remember, per field, the stamp of the edit that
+ * last wrote it. A stamp is [counter, actor]. Every socket event is merged
+ * field by field, keeping the newer write, so our optimistic local edits and
+ * everyone else's edits end up the same here, on other clients and on the
+ * server whatever order they arrive in.
+ */
+
+export const OBJECT_EVENTS = [
+  'text', 'stroke', 'shape', 'image', 'group', 'delete', 'move', 'resize', 'resizeStroke', 'resizeShape', 'resizeLine',
+  'recolor', 'restyle', 'reorder', 'setLayer', 'rotate', 'crop', 'setBindings', 'setRouting',
+];
+
+export const STICKY_NOTE_EVENTS = [
+  'stickyNote:create', 'stickyNote:update', 'stickyNote:move', 'stickyNote:resize', 'stickyNote:delete',
+  'stickyNote:recolor', 'stickyNote:reorder', 'stickyNote:rotate',
+];
+
+export const LAYER_EVENTS = [
+  'layer:create', 'layer:delete', 'layer:rename', 'layer:visibility', 'layer:lock', 'layer:reorder',
+];
+
+const CREATE_EVENTS = ['text', 'stroke', 'shape', 'image', 'group', 'stickyNote:create', 'layer:create'];
+const DELETE_EVENTS = ['delete', 'stickyNote:delete', 'layer:delete'];
+
+// Parts of an event that describe the edit rather than the entity
+const META_FIELDS = ['roomId', 'id', 'stamp', 'versions', 'socketId', 'gestureId'];
+
+const ZERO_STAMP = [0, ''];
+
+export const compareStamps = (a, b) => {
+  if (a[0] !== b[0]) return a[0] - b[0];
+  if (a[1] === b[1]) return 0;
+  return a[1] < b[1] ? -1 : 1;
+};
+
+// Returns a new entity with the newer of each write, or the same entity if
+// nothing changed
+export const mergeFields = (entity, fields, stamp) => {
+  const versions = entity.versions || {};
+  const winners = Object.keys(fields).filter(field => (
+    compareStamps(stamp, versions[field] || ZERO_STAMP) > 0
+  ));
+  if (winners.length === 0) return entity;
+
+  const merged = { ...entity, versions: { ...versions } };
+  winners.forEach((field) => {
+    merged[field] = fields[field];
+    merged.versions[field] = stamp;
+  });
+  return merged;
+};
+
+// The entity fields an event writes
+export const operationFields = (event, data) => {
+  if (DELETE_EVENTS.includes(event)) return { deleted: true };
+
+  const fields = { ...data };
+  META_FIELDS.forEach(field => delete fields[field]);
+  return CREATE_EVENTS.includes(event) ? { ...fields, deleted: false } : fields;
+};
+
+// Merge one event into a list of objects, sticky notes or layers
+export const applyOperation = (list, event, data) => {
+  const fields = operationFields(event, data);
+  const index = list.findIndex(entity => entity.id === data.id);
+
+  if (index === -1) {
+    // The server only relays edits to entities it has already created, so an
+    // edit for an id we have never seen has nothing to apply to
+    if (!CREATE_EVENTS.includes(event)) return list;
+    return [...list, mergeFields({ id: data.id }, fields, data.stamp)];
+  }
+
+  const merged = mergeFields(list[index], fields, data.stamp);
+  if (merged === list[index]) return list;
+  const updated = [...list];
+  updated[index] = merged;
+  return updated;
+};
+
+// Put an entity back the way another replica has it (e.g. after the server
+// rejected our edit to it), or drop it if that replica has none
+export const replaceEntity = (list, id, entity) => {
+  if (!entity) return list.filter(existing => existing.id !== id);
+  if (!list.some(existing => existing.id === id)) return [...list, entity];
+  return list.map(existing => (existing.id === id ? entity : existing));
+};
+
+// Highest Lamport counter written into any of the entities
+export const maxCounter = (entities) => entities.reduce((max, entity) => (
+  Object.values(entity.versions || {}).reduce((m, stamp) => Math.max(m, stamp[0]), max)
+), 0);
@@ -0,0 +1,99 @@
+import {
+  compareStamps,
+  mergeFields,
+  operationFields,
+  applyOperation,
+  replaceEntity,
+  maxCounter,
+} from './sceneCrdt';
+
+// Every ordering of a list
+const permutations = (items) => (items.length <= 1
+  ? [items]
+  : items.flatMap((item, i) => permutations([...items.slice(0, i), ...items.slice(i + 1)]).map(rest => [item, ...rest])));
+
+describe('sceneCrdt', () => {
+  describe('compareStamps', () => {
+    test('orders by counter, then by actor', () => {
+      expect(compareStamps([2, 'a'], [1, 'z'])).toBeGreaterThan(0);
+      expect(compareStamps([1, 'a'], [1, 'b'])).toBeLessThan(0);
+      expect(compareStamps([1, 'a'], [1, 'a'])).toBe(0);
+    });
+  });
+
+  describe('mergeFields', () => {
+    test('returns a new entity with the newer writes', () => {
+      const entity = { id: 'a', x: 0, versions: { x: [1, 'alice'] } };
+      const merged = mergeFields(entity, { x: 5 }, [2, 'bob']);
+
+      expect(merged).toEqual({ id: 'a', x: 5, versions: { x: [2, 'bob'] } });
+      expect(entity.x).toBe(0);
+    });
+
+    test('returns the same entity when every write is older', () => {
+      const entity = { id: 'a', x: 0, versions: { x: [3, 'alice'] } };
+      expect(mergeFields(entity, { x: 5 }, [2, 'bob'])).toBe(entity);
+    });
+  });
+
+  describe('operationFields', () => {
+    test('creates revive the entity and drop edit metadata', () => {
+      expect(operationFields('shape', { roomId: 'r', id: 'a', stamp: [1, 'x'], type: 'rectangle' }))
+        .toEqual({ type: 'rectangle', deleted: false });
+    });
+
+    test('deletes only write the deleted flag', () => {
+      expect(operationFields('stickyNote:delete', { id: 'a', stamp: [1, 'x'] })).toEqual({ deleted: true });
+    });
+
+    test('edits write the fields they carry', () => {
+      expect(operationFields('move', { id: 'a', x: 1, y: 2, gestureId: 'g', stamp: [1, 'x'] })).toEqual({ x: 1, y: 2 });
+    });
+  });
+
+  describe('applyOperation', () => {
+    test('ignores edits to entities we have never seen', () => {
+      const list = [];
+      expect(applyOperation(list, 'move', { id: 'a', x: 1, y: 1, stamp: [1, 'x'] })).toBe(list);
+    });
+
+    test('concurrent edits from several users converge in any order', () => {
+      const create = ['shape', { id: 'a', type: 'rectangle', x: 0, y: 0, width: 10, height: 10, stamp: [1, 'alice'] }];
+      const edits = [
+        ['move', { id: 'a', x: 5, y: 5, stamp: [2, 'alice'] }],
+        ['move', { id: 'a', x: 9, y: 9, stamp: [2, 'bob'] }],
+        ['resizeShape', { id: 'a', x: 0, y: 0, width: 50, height: 50, stamp: [3, 'carol'] }],
+        ['delete', { id: 'a', stamp: [3, 'bob'] }],
+      ];
+
+      const results = permutations(edits).map(order => (
+        [create, ...order].reduce((list, [event, data]) => applyOperation(list, event, data), [])
+      ));
+
+      results.forEach(result => expect(result).toEqual(results[0]));
+      expect(results[0][0]).toMatchObject({ x: 0, y: 0, width: 50, deleted: true });
+    });
+  });
+
+  describe('replaceEntity', () => {
+    const list = [{ id: 'a', x: 5 }, { id: 'b', x: 1 }];
+
+    test('replaces our copy with the given one', () => {
+      expect(replaceEntity(list, 'a', { id: 'a', x: 0 })).toEqual([{ id: 'a', x: 0 }, { id: 'b', x: 1 }]);
+    });
+
+    test('adds an entity we had lost', () => {
+      expect(replaceEntity(list, 'c', { id: 'c', x: 2 })).toHaveLength(3);
+    });
+
+    test('drops an entity the other replica does not have', () => {
+      expect(replaceEntity(list, 'a', null)).toEqual([{ id: 'b', x: 1 }]);
+    });
+  });
+
+  describe('maxCounter', () => {
+    test('finds the highest counter written', () => {
+      expect(maxCounter([{ versions: { x: [3, 'a'], y: [8, 'b'] } }, {}])).toBe(8);
+    });
+  });
+});
@@ -0,0 +1,310 @@
+/**
+ * Canvas drawing for scene objects
+ *
+ * Draws in canvas coordinates; the caller sets up the viewport transform.
+ */
+
+import { imageCrop } from './images';
+import { connectorPath } from './connectors';
+import { opacityOf, dashPattern, cornerRadiusOf } from './styles';
+import { isShape, shapeOutline, shapeDetails } from './shapes';
+
+// Freehand strokes: committed, our own live one and other users' live ones
+export const drawStroke = (ctx, stroke) => {
+  ctx.globalCompositeOperation = stroke.tool === 'erase' ? 'destination-out' : 'source-over';
+  ctx.strokeStyle = stroke.color;
+  ctx.lineWidth = stroke.tool === 'erase' ? stroke.size * 4 : stroke.size;
+  ctx.beginPath();
+  stroke.points.forEach((point, index) => {
+    if (index === 0) {
+      ctx.moveTo(point.x, point.y);
+    } else {
+      ctx.lineTo(point.x, point.y);
+    }
+  });
+  ctx.stroke();
+};
+
+// Corners of an arrow's head: its tip and the two barbs. The head points
+// along the last leg of the arrow's path.
+export const arrowheadPoints = (arrow) => {
+  const [from] = connectorPath(arrow).slice(-2);
+  const angle = Math.atan2(arrow.y2 - from.y, arrow.x2 - from.x);
+  const headLength = 15 + arrow.size * 2;
+  return [
+    { x: arrow.x2, y: arrow.y2 },
+    {
+      x: arrow.x2 - headLength * Math.cos(angle - Math.PI / 6),
+      y: arrow.y2 - headLength * Math.sin(angle - Math.PI / 6),
+    },
+    {
+      x: arrow.x2 - headLength * Math.cos(angle + Math.PI / 6),
+      y: arrow.y2 - headLength * Math.sin(angle + Math.PI / 6),
+    },
+  ];
+};
+
+const drawArrowhead = (ctx, arrow) => {
+  const [tip, ...barbs] = arrowheadPoints(arrow);
+  ctx.beginPath();
+  ctx.moveTo(tip.x, tip.y);
+  barbs.forEach(barb => ctx.lineTo(barb.x, barb.y));
+  ctx.closePath();
+  ctx.fill();
+};
+
+// A rectangle with rounded corners, however it was dragged out
+const traceRoundedRect = (ctx, rect, radius) => {
+  const left = Math.min(rect.x, rect.x + rect.width);
+  const top = Math.min(rect.y, rect.y + rect.height);
+  const right = left + Math.abs(rect.width);
+  const bottom = top + Math.abs(rect.height);
+  ctx.moveTo(left + radius, top);
+  ctx.arcTo(right, top, right, bottom, radius);
+  ctx.arcTo(right, bottom, left, bottom, radius);
+  ctx.arcTo(left, bottom, left, top, radius);
+  ctx.arcTo(left, top, right, top, radius);
+  ctx.closePath();
+};
+
+const tracePolyline = (ctx, points) => {
+  points.forEach((point, index) => {
+    if (index === 0) {
+      ctx.moveTo(point.x, point.y);
+    } else {
+      ctx.lineTo(point.x, point.y);
+    }
+  });
+};
+
+// Outline of a shape (see shapes.js)
+const traceShape = (ctx, shape) => {
+  ctx.beginPath();
+  if (shapeOutline(shape)) {
+    tracePolyline(ctx, shapeOutline(shape));
+    ctx.closePath();
+  } else if (shape.type === 'rectangle' && cornerRadiusOf(shape) > 0) {
+    traceRoundedRect(ctx, shape, cornerRadiusOf(shape));
+  } else if (shape.type === 'rectangle') {
+    ctx.rect(shape.x, shape.y, shape.width, shape.height);
+  } else if (shape.type === 'ellipse') {
+    const centerX = shape.x + shape.width / 2;
+    const centerY = shape.y + shape.height / 2;
+    ctx.ellipse(centerX, centerY, Math.abs(shape.width / 2), Math.abs(shape.height / 2), 0, 0, 2 * Math.PI);
+  } else {
+    // Triangle points: top center, bottom left, bottom right
+    ctx.moveTo(shape.x + shape.width / 2, shape.y);
+    ctx.lineTo(shape.x, shape.y + shape.height);
+    ctx.lineTo(shape.x + shape.width, shape.y + shape.height);
+    ctx.closePath();
+  }
+};
+
+// Straight lines and the legs of elbow connectors
+const traceLine = (ctx, line) => {
+  ctx.beginPath();
+  tracePolyline(ctx, connectorPath(line));
+};
+
+// Lines inside a shape's outline, such as the rim of a cylinder
+const traceShapeDetails = (ctx, shape) => {
+  ctx.beginPath();
+  shapeDetails(shape).forEach(points => tracePolyline(ctx, points));
+};
+
+// The point an object turns about: the middle of its unrotated box
+export const rotationCenter = (ctx, obj) => {
+  if (obj.type === 'stroke') {
+    const xs = obj.points.map(p => p.x);
+    const ys = obj.points.map(p => p.y);
+    return {
+      x: (Math.min(...xs) + Math.max(...xs)) / 2,
+      y: (Math.min(...ys) + Math.max(...ys)) / 2,
+    };
+  }
+  if (obj.type === 'text') {
+    const fontSize = obj.fontSize || 20;
+    ctx.font = `${fontSize}px Arial`;
+    const textWidth = ctx.measureText(obj.text).width;
+    return { x: obj.x + textWidth / 2, y: obj.y - (fontSize * 1.2) / 2 };
+  }
+  return { x: obj.x + obj.width / 2, y: obj.y + obj.height / 2 };
+};
+
+// The shown part of an image, or a placeholder box while it loads (or if it
+// can't be loaded)
+const paintImage = (ctx, obj, image) => {
+  if (image) {
+    const crop = imageCrop(obj);
+    ctx.drawImage(image, crop.x, crop.y, crop.width, crop.height, obj.x, obj.y, obj.width, obj.height);
+    return;
+  }
+  ctx.fillStyle = '#f1f3f5';
+  ctx.fillRect(obj.x, obj.y, obj.width, obj.height);
+  ctx.strokeStyle = '#adb5bd';
+  ctx.lineWidth = 1;
+  ctx.strokeRect(obj.x, obj.y, obj.width, obj.height);
+};
+
+const paintObject = (ctx, obj, getImage) => {
+  if (obj.type === 'stroke') {
+    drawStroke(ctx, obj);
+    return;
+  }
+
+  ctx.globalCompositeOperation = 'source-over';
+  if (obj.type === 'text') {
+    ctx.fillStyle = obj.color;
+    const fontSize = obj.fontSize || 20;
+    ctx.font = `${fontSize}px Arial`;
+    ctx.fillText(obj.text, obj.x, obj.y);
+  } else if (obj.type === 'image') {
+    paintImage(ctx, obj, getImage ? getImage(obj.src) : null);
+  } else if (isShape(obj)) {
+    // The fill goes under the outline
+    traceShape(ctx, obj);
+    if (obj.fill) {
+      ctx.fillStyle = obj.fill;
+      ctx.fill();
+    }
+    ctx.strokeStyle = obj.color;
+    ctx.lineWidth = obj.size;
+    ctx.setLineDash(dashPattern(obj));
+    ctx.stroke();
+    if (shapeDetails(obj).length > 0) {
+      traceShapeDetails(ctx, obj);
+      ctx.stroke();
+    }
+    ctx.setLineDash([]);
+  } else if (obj.type === 'line') {
+    ctx.strokeStyle = obj.color;
+    ctx.lineWidth = obj.size;
+    ctx.setLineDash(dashPattern(obj));
+    traceLine(ctx, obj);
+    ctx.stroke();
+    ctx.setLineDash([]);
+  } else if (obj.type === 'arrow') {
+    ctx.strokeStyle = obj.color;
+    ctx.fillStyle = obj.color;
+    ctx.lineWidth = obj.size;
+    ctx.setLineDash(dashPattern(obj));
+    traceLine(ctx, obj);
+    ctx.stroke();
+    ctx.setLineDash([]);
+    drawArrowhead(ctx, obj);
+  }
+};
+
+// getImage(src) looks up the loaded image elements that image objects show
+export const drawObject = (ctx, obj, getImage) => {
+  const opacity = opacityOf(obj);
+  if (!obj.rotation && opacity === 1) {
+    paintObject(ctx, obj, getImage);
+    return;
+  }
+  ctx.save();
+  ctx.globalAlpha = opacity;
+  if (obj.rotation) {
+    const center = rotationCenter(ctx, obj);
+    ctx.translate(center.x, center.y);
+    ctx.rotate(obj.rotation);
+    ctx.translate(-center.x, -center.y);
+  }
+  paintObject(ctx, obj, getImage);
+  ctx.restore();
+};
+
+// Sticky notes are DOM elements on the board; these match their styling for
+// the places they have to be painted instead, such as exports
+export const NOTE_PADDING = 10;
+export const NOTE_FONT_SIZE = 14;
+export const NOTE_LINE_HEIGHT = NOTE_FONT_SIZE * 1.2;
+
+// Break text into lines that fit a width, at spaces where possible and
+// within words that are too long on their own
+export const wrapText = (ctx, text, maxWidth) => {
+  const lines = [];
+  String(text || '').split('\n').forEach((paragraph) => {
+    let line = '';
+    paragraph.split(' ').forEach((word) => {
+      const candidate = line ? `${line} ${word}` : word;
+      if (!line || ctx.measureText(candidate).width <= maxWidth) {
+        line = candidate;
+      } else {
+        lines.push(line);
+        line = word;
+      }
+      while (line.length > 1 && ctx.measureText(line).width > maxWidth) {
+        let fit = line.length - 1;
+        while (fit > 1 && ctx.measureText(line.slice(0, fit)).width > maxWidth) fit -= 1;
+        lines.push(line.slice(0, fit));
+        line = line.slice(fit);
+      }
+    });
+    lines.push(line);
+  });
+  return lines;
+};
+
+// A sticky note, turned about its middle, with its text clipped to it
+export const drawStickyNote = (ctx, note) => {
+  ctx.save();
+  ctx.globalCompositeOperation = 'source-over';
+  if (note.rotation) {
+    const centerX = note.x + note.width / 2;
+    const centerY = note.y + note.height / 2;
+    ctx.translate(centerX, centerY);
+    ctx.rotate(note.rotation);
+    ctx.translate(-centerX, -centerY);
+  }
+  ctx.fillStyle = note.color;
+  ctx.fillRect(note.x, note.y, note.width, note.height);
+  ctx.strokeStyle = '#cccccc';
+  ctx.lineWidth = 1;
+  ctx.strokeRect(note.x, note.y, note.width, note.height);
+
+  ctx.beginPath();
+  ctx.rect(note.x, note.y, note.width, note.height);
+  ctx.clip();
+  ctx.fillStyle = '#000000';
+  ctx.font = `${NOTE_FONT_SIZE}px Arial`;
+  ctx.textBaseline = 'top';
+  wrapText(ctx, note.text, note.width - NOTE_PADDING * 2).forEach((line, index) => {
+    ctx.fillText(line, note.x + NOTE_PADDING, note.y + NOTE_PADDING + index * NOTE_LINE_HEIGHT);
+  });
+  ctx.restore();
+};
+
+// Dashed preview of the shape being dragged out
+export const drawShapePreview = (ctx, shape, scale) => {
+  ctx.globalCompositeOperation = 'source-over';
+  ctx.strokeStyle = shape.color;
+  ctx.lineWidth = shape.size;
+  ctx.setLineDash([5 / scale, 5 / scale]);
+
+  if (shape.type === 'line' || shape.type === 'arrow') {
+    traceLine(ctx, shape);
+  } else {
+    traceShape(ctx, shape);
+  }
+  ctx.stroke();
+  if (shapeDetails(shape).length > 0) {
+    traceShapeDetails(ctx, shape);
+    ctx.stroke();
+  }
+
+  if (shape.type === 'arrow') {
+    ctx.setLineDash([]);
+    ctx.fillStyle = shape.color;
+    drawArrowhead(ctx, shape);
+  }
+  ctx.setLineDash([]);
+};
+
+// How far an object's paint reaches past its bounding box: half the line
+// width, a wide eraser, or the spread of an arrowhead
+export const paintMargin = (obj) => {
+  if (obj.type === 'arrow') return 15 + obj.size * 2;
+  if (obj.type === 'stroke' && obj.tool === 'erase') return obj.size * 2;
+  return (obj.size || 0) / 2;
+};
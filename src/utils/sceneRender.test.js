@@ -0,0 +1,159 @@
+import { drawObject, drawShapePreview, paintMargin, rotationCenter, wrapText } from './sceneRender';
+
+const createContext = () => ({
+  beginPath: jest.fn(),
+  moveTo: jest.fn(),
+  lineTo: jest.fn(),
+  closePath: jest.fn(),
+  rect: jest.fn(),
+  arcTo: jest.fn(),
+  ellipse: jest.fn(),
+  stroke: jest.fn(),
+  fill: jest.fn(),
+  fillText: jest.fn(),
+  fillRect: jest.fn(),
+  strokeRect: jest.fn(),
+  drawImage: jest.fn(),
+  setLineDash: jest.fn(),
+  save: jest.fn(),
+  restore: jest.fn(),
+  translate: jest.fn(),
+  rotate: jest.fn(),
+  measureText: jest.fn(() => ({ width: 40 })),
+});
+
+describe('drawObject', () => {
+  test('erasing strokes cut through what is below', () => {
+    const ctx = createContext();
+    drawObject(ctx, { type: 'stroke', tool: 'erase', size: 3, color: '#000', points: [{ x: 0, y: 0 }, { x: 5, y: 5 }] });
+
+    expect(ctx.globalCompositeOperation).toBe('destination-out');
+    expect(ctx.lineWidth).toBe(12);
+    expect(ctx.lineTo).toHaveBeenCalledWith(5, 5);
+  });
+
+  test('fills shapes that have a fill colour', () => {
+    const ctx = createContext();
+    drawObject(ctx, { type: 'rectangle', x: 1, y: 2, width: 3, height: 4, color: '#000', size: 2, fill: '#f00' });
+
+    expect(ctx.rect).toHaveBeenCalledWith(1, 2, 3, 4);
+    expect(ctx.fillStyle).toBe('#f00');
+    expect(ctx.fill).toHaveBeenCalled();
+  });
+
+  test('dashes, rounds and fades shapes as styled', () => {
+    const ctx = createContext();
+    drawObject(ctx, {
+      type: 'rectangle', x: 0, y: 0, width: 40, height: 20, color: '#000', size: 2,
+      dash: 'dashed', opacity: 0.5, cornerRadius: 50,
+    });
+
+    expect(ctx.setLineDash).toHaveBeenNthCalledWith(1, [8, 6]);
+    expect(ctx.setLineDash).toHaveBeenLastCalledWith([]);
+    expect(ctx.globalAlpha).toBe(0.5);
+    // The radius is capped at half the shorter side
+    expect(ctx.rect).not.toHaveBeenCalled();
+    expect(ctx.arcTo).toHaveBeenCalledWith(40, 0, 40, 20, 10);
+    expect(ctx.restore).toHaveBeenCalled();
+  });
+
+  test('traces diagram shapes along their outline, with details on top', () => {
+    const ctx = createContext();
+    drawObject(ctx, { type: 'diamond', x: 0, y: 0, width: 40, height: 20, color: '#000', size: 2 });
+
+    expect(ctx.moveTo).toHaveBeenCalledWith(20, 0);
+    expect(ctx.lineTo.mock.calls).toEqual([[40, 10], [20, 20], [0, 10]]);
+    expect(ctx.stroke).toHaveBeenCalledTimes(1);
+
+    drawObject(ctx, { type: 'cylinder', x: 0, y: 0, width: 40, height: 20, color: '#000', size: 2 });
+    expect(ctx.stroke).toHaveBeenCalledTimes(3);
+  });
+
+  test('draws text at its baseline position', () => {
+    const ctx = createContext();
+    drawObject(ctx, { type: 'text', text: 'Hi', x: 4, y: 8, color: '#000', fontSize: 30 });
+
+    expect(ctx.font).toBe('30px Arial');
+    expect(ctx.fillText).toHaveBeenCalledWith('Hi', 4, 8);
+  });
+
+  test('draws the cropped part of an image into its box', () => {
+    const ctx = createContext();
+    const element = {};
+    const getImage = jest.fn(() => element);
+    drawObject(ctx, {
+      type: 'image', src: 'cat.png', x: 10, y: 20, width: 150, height: 100,
+      naturalWidth: 400, naturalHeight: 200, crop: { x: 100, y: 0, width: 300, height: 200 },
+    }, getImage);
+
+    expect(getImage).toHaveBeenCalledWith('cat.png');
+    expect(ctx.drawImage).toHaveBeenCalledWith(element, 100, 0, 300, 200, 10, 20, 150, 100);
+  });
+
+  test('draws a placeholder for images that have not loaded', () => {
+    const ctx = createContext();
+    drawObject(ctx, { type: 'image', src: 'cat.png', x: 10, y: 20, width: 150, height: 100 }, () => null);
+
+    expect(ctx.drawImage).not.toHaveBeenCalled();
+    expect(ctx.fillRect).toHaveBeenCalledWith(10, 20, 150, 100);
+  });
+});
+
+describe('rotation', () => {
+  test('turns rotated objects about the middle of their box', () => {
+    const ctx = createContext();
+    drawObject(ctx, { type: 'rectangle', x: 0, y: 0, width: 20, height: 10, color: '#000', size: 2, rotation: 0.5 });
+
+    expect(ctx.translate).toHaveBeenNthCalledWith(1, 10, 5);
+    expect(ctx.rotate).toHaveBeenCalledWith(0.5);
+    expect(ctx.translate).toHaveBeenNthCalledWith(2, -10, -5);
+    expect(ctx.rect).toHaveBeenCalledWith(0, 0, 20, 10);
+    expect(ctx.restore).toHaveBeenCalled();
+  });
+
+  test('leaves unrotated objects untransformed', () => {
+    const ctx = createContext();
+    drawObject(ctx, { type: 'rectangle', x: 0, y: 0, width: 20, height: 10, color: '#000', size: 2 });
+
+    expect(ctx.save).not.toHaveBeenCalled();
+    expect(ctx.rotate).not.toHaveBeenCalled();
+  });
+
+  test('text and strokes turn about their box too', () => {
+    const ctx = createContext();
+    expect(rotationCenter(ctx, { type: 'text', text: 'Hi', x: 0, y: 30, fontSize: 20 })).toEqual({ x: 20, y: 18 });
+    expect(rotationCenter(ctx, { type: 'stroke', points: [{ x: 0, y: 0 }, { x: 10, y: 4 }] })).toEqual({ x: 5, y: 2 });
+  });
+});
+
+describe('drawShapePreview', () => {
+  test('dashes the outline at a constant on-screen length', () => {
+    const ctx = createContext();
+    drawShapePreview(ctx, { type: 'line', x1: 0, y1: 0, x2: 10, y2: 10, color: '#000', size: 2 }, 2);
+
+    expect(ctx.setLineDash).toHaveBeenCalledWith([2.5, 2.5]);
+    expect(ctx.setLineDash).toHaveBeenLastCalledWith([]);
+  });
+});
+
+describe('paintMargin', () => {
+  test('covers line width, erasers and arrowheads', () => {
+    expect(paintMargin({ type: 'rectangle', size: 4 })).toBe(2);
+    expect(paintMargin({ type: 'stroke', tool: 'erase', size: 4 })).toBe(8);
+    expect(paintMargin({ type: 'arrow', size: 4 })).toBe(23);
+    expect(paintMargin({ type: 'text' })).toBe(0);
+  });
+});
+
+describe('wrapText', () => {
+  // Every character is 10 units wide
+  const ctx = { measureText: text => ({ width: text.length * 10 }) };
+
+  test('breaks at spaces and keeps line breaks', () => {
+    expect(wrapText(ctx, 'one two three\nfour', 80)).toEqual(['one two', 'three', 'four']);
+  });
+
+  test('splits words too long for a line', () => {
+    expect(wrapText(ctx, 'abcdefghij', 40)).toEqual(['abcd', 'efgh', 'ij']);
+  });
+});
@@ -0,0 +1,149 @@
+/**
+ * Geometry for multi-object selections
+ *
+ * A selection is transformed as a group: every member is moved or scaled
+ * relative to the group's bounding box, then written back as ordinary
+ * protocol events so the whole change can be sent as one batch.
+ */
+
+import { isShape } from './shapes';
+
+export const EMPTY_SELECTION = { objectIds: [], noteIds: [] };
+
+export const selectionSize = (selection) => selection.objectIds.length + selection.noteIds.length;
+
+// Add ids that aren't selected yet and drop the ones that are
+export const toggleInSelection = (selection, key, id) => {
+  const ids = selection[key];
+  return {
+    ...selection,
+    [key]: ids.includes(id) ? ids.filter(other => other !== id) : [...ids, id],
+  };
+};
+
+export const mergeSelections = (a, b) => ({
+  objectIds: [...new Set([...a.objectIds, ...b.objectIds])],
+  noteIds: [...new Set([...a.noteIds, ...b.noteIds])],
+});
+
+// Normalize a rectangle dragged out in any direction
+export const rectFromPoints = (start, end) => ({
+  x: Math.min(start.x, end.x),
+  y: Math.min(start.y, end.y),
+  width: Math.abs(end.x - start.x),
+  height: Math.abs(end.y - start.y),
+});
+
+export const containsRect = (outer, inner) => (
+  inner.x >= outer.x && inner.y >= outer.y &&
+  inner.x + inner.width <= outer.x + outer.width &&
+  inner.y + inner.height <= outer.y + outer.height
+);
+
+// Smallest rectangle around all the given rectangles, or null for none
+export const unionBounds = (rects) => {
+  if (rects.length === 0) return null;
+  const minX = Math.min(...rects.map(r => r.x));
+  const minY = Math.min(...rects.map(r => r.y));
+  const maxX = Math.max(...rects.map(r => r.x + r.width));
+  const maxY = Math.max(...rects.map(r => r.y + r.height));
+  return { x: minX, y: minY, width: maxX - minX, height: maxY - minY };
+};
+
+// The fixed point and scale factors for dragging a resize handle of a box.
+// The anchor is the opposite corner or edge.
+export const scaleForHandle = (handle, bounds, deltaX, deltaY) => {
+  let scaleX = 1;
+  let scaleY = 1;
+  let anchorX = bounds.x + bounds.width / 2;
+  let anchorY = bounds.y + bounds.height / 2;
+  const width = Math.max(bounds.width, 1);
+  const height = Math.max(bounds.height, 1);
+
+  if (handle.includes('e')) {
+    anchorX = bounds.x;
+    scaleX = (width + deltaX) / width;
+  } else if (handle.includes('w')) {
+    anchorX = bounds.x + bounds.width;
+    scaleX = (width - deltaX) / width;
+  }
+  if (handle.includes('s')) {
+    anchorY = bounds.y;
+    scaleY = (height + deltaY) / height;
+  } else if (handle.includes('n')) {
+    anchorY = bounds.y + bounds.height;
+    scaleY = (height - deltaY) / height;
+  }
+
+  return {
+    anchor: { x: anchorX, y: anchorY },
+    scaleX: Math.max(0.1, Math.min(10, scaleX)),
+    scaleY: Math.max(0.1, Math.min(10, scaleY)),
+  };
+};
+
+// Translate an object of any type by a delta
+export const moveObject = (obj, deltaX, deltaY) => {
+  if (obj.type === 'stroke') {
+    return { ...obj, points: obj.points.map(p => ({ x: p.x + deltaX, y: p.y + deltaY })) };
+  } else if (obj.type === 'text' || obj.type === 'image' || isShape(obj)) {
+    return { ...obj, x: obj.x + deltaX, y: obj.y + deltaY };
+  } else if (obj.type === 'line' || obj.type === 'arrow') {
+    return {
+      ...obj,
+      x1: obj.x1 + deltaX,
+      y1: obj.y1 + deltaY,
+      x2: obj.x2 + deltaX,
+      y2: obj.y2 + deltaY
+    };
+  }
+  return obj;
+};
+
+const scalePoint = (point, anchor, scaleX, scaleY) => ({
+  x: anchor.x + (point.x - anchor.x) * scaleX,
+  y: anchor.y + (point.y - anchor.y) * scaleY,
+});
+
+// Scale an object about an anchor point
+export const scaleObject = (obj, anchor, scaleX, scaleY) => {
+  if (obj.type === 'stroke') {
+    return { ...obj, points: obj.points.map(p => scalePoint(p, anchor, scaleX, scaleY)) };
+  }
+  if (obj.type === 'line' || obj.type === 'arrow') {
+    const start = scalePoint({ x: obj.x1, y: obj.y1 }, anchor, scaleX, scaleY);
+    const end = scalePoint({ x: obj.x2, y: obj.y2 }, anchor, scaleX, scaleY);
+    return { ...obj, x1: start.x, y1: start.y, x2: end.x, y2: end.y };
+  }
+  const origin = scalePoint(obj, anchor, scaleX, scaleY);
+  if (obj.type === 'text') {
+    const fontSize = (obj.fontSize || 20) * Math.max(scaleX, scaleY);
+    return { ...obj, ...origin, fontSize: Math.max(8, Math.min(200, fontSize)) };
+  }
+  return { ...obj, ...origin, width: obj.width * scaleX, height: obj.height * scaleY };
+};
+
+export const scaleNote = (note, anchor, scaleX, scaleY) => ({
+  ...note,
+  ...scalePoint(note, anchor, scaleX, scaleY),
+  width: note.width * scaleX,
+  height: note.height * scaleY,
+});
+
+// The protocol events that write an object's current size and position
+export const resizeOperations = (obj) => {
+  const { id } = obj;
+  if (obj.type === 'text') {
+    return [
+      { event: 'move', data: { id, x: obj.x, y: obj.y } },
+      { event: 'resize', data: { id, fontSize: obj.fontSize } },
+    ];
+  }
+  if (obj.type === 'stroke') {
+    return [{ event: 'resizeStroke', data: { id, points: obj.points } }];
+  }
+  if (obj.type === 'line' || obj.type === 'arrow') {
+    return [{ event: 'resizeLine', data: { id, x1: obj.x1, y1: obj.y1, x2: obj.x2, y2: obj.y2 } }];
+  }
+  return [{ event: 'resizeShape', data: { id, x: obj.x, y: obj.y, width: obj.width, height: obj.height } }];
+};
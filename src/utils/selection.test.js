@@ -0,0 +1,84 @@
+import {
+  EMPTY_SELECTION,
+  toggleInSelection,
+  mergeSelections,
+  rectFromPoints,
+  containsRect,
+  unionBounds,
+  scaleForHandle,
+  scaleObject,
+  moveObject,
+  resizeOperations,
+} from './selection';
+
+const rect = (x, y, width, height) => ({ x, y, width, height });
+
+describe('selection', () => {
+  test('toggling adds ids and removes selected ones', () => {
+    const once = toggleInSelection(EMPTY_SELECTION, 'objectIds', 'a');
+    expect(once).toEqual({ objectIds: ['a'], noteIds: [] });
+    expect(toggleInSelection(once, 'objectIds', 'a')).toEqual(EMPTY_SELECTION);
+  });
+
+  test('merging keeps each id once', () => {
+    const merged = mergeSelections(
+      { objectIds: ['a', 'b'], noteIds: ['n'] },
+      { objectIds: ['b', 'c'], noteIds: ['n'] }
+    );
+    expect(merged).toEqual({ objectIds: ['a', 'b', 'c'], noteIds: ['n'] });
+  });
+
+  test('a marquee dragged up and left still covers its area', () => {
+    expect(rectFromPoints({ x: 100, y: 80 }, { x: 20, y: 10 })).toEqual(rect(20, 10, 80, 70));
+  });
+
+  test('containment needs the whole rectangle inside', () => {
+    expect(containsRect(rect(0, 0, 100, 100), rect(10, 10, 50, 50))).toBe(true);
+    expect(containsRect(rect(0, 0, 100, 100), rect(60, 60, 50, 50))).toBe(false);
+  });
+
+  test('union bounds cover every rectangle', () => {
+    expect(unionBounds([rect(0, 0, 10, 10), rect(50, -20, 10, 10)])).toEqual(rect(0, -20, 60, 30));
+    expect(unionBounds([])).toBeNull();
+  });
+
+  test('dragging a corner scales about the opposite corner', () => {
+    const { anchor, scaleX, scaleY } = scaleForHandle('se', rect(0, 0, 100, 50), 100, 50);
+    expect(anchor).toEqual({ x: 0, y: 0 });
+    expect(scaleX).toBe(2);
+    expect(scaleY).toBe(2);
+
+    const west = scaleForHandle('w', rect(0, 0, 100, 50), 50, 0);
+    expect(west.anchor.x).toBe(100);
+    expect(west.scaleX).toBe(0.5);
+    expect(west.scaleY).toBe(1);
+  });
+
+  test('moves every kind of object by a delta, leaving groups alone', () => {
+    expect(moveObject({ type: 'ellipse', x: 1, y: 2, width: 3, height: 4 }, 10, 20)).toMatchObject({ x: 11, y: 22 });
+    expect(moveObject({ type: 'stroke', points: [{ x: 0, y: 0 }] }, 5, 5).points).toEqual([{ x: 5, y: 5 }]);
+    expect(moveObject({ type: 'arrow', x1: 0, y1: 0, x2: 1, y2: 1 }, 1, 1)).toMatchObject({ x1: 1, y1: 1, x2: 2, y2: 2 });
+    const group = { type: 'group', children: ['a'] };
+    expect(moveObject(group, 5, 5)).toBe(group);
+  });
+
+  test('scales every kind of object about the anchor', () => {
+    const anchor = { x: 0, y: 0 };
+    expect(scaleObject({ type: 'rectangle', x: 10, y: 10, width: 20, height: 20 }, anchor, 2, 2))
+      .toMatchObject({ x: 20, y: 20, width: 40, height: 40 });
+    expect(scaleObject({ type: 'line', x1: 10, y1: 0, x2: 20, y2: 10 }, anchor, 2, 1))
+      .toMatchObject({ x1: 20, y1: 0, x2: 40, y2: 10 });
+    expect(scaleObject({ type: 'stroke', points: [{ x: 5, y: 5 }] }, anchor, 2, 3).points)
+      .toEqual([{ x: 10, y: 15 }]);
+    expect(scaleObject({ type: 'text', x: 10, y: 10, fontSize: 20 }, anchor, 2, 1))
+      .toMatchObject({ x: 20, y: 10, fontSize: 40 });
+  });
+
+  test('resize operations write each type with its own event', () => {
+    expect(resizeOperations({ id: 'r', type: 'rectangle', x: 1, y: 2, width: 3, height: 4 }))
+      .toEqual([{ event: 'resizeShape', data: { id: 'r', x: 1, y: 2, width: 3, height: 4 } }]);
+    expect(resizeOperations({ id: 't', type: 'text', x: 1, y: 2, fontSize: 30 }).map(op => op.event))
+      .toEqual(['move', 'resize']);
+    expect(resizeOperations({ id: 's', type: 'stroke', points: [] })[0].event).toBe('resizeStroke');
+  });
+});
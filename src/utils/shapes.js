@@ -0,0 +1,126 @@
+/**
+ * Shape library
+ *
+ * Shapes are objects drawn in a box (x, y, width, height) and turned about
+ * its middle. Rectangles, ellipses and triangles are drawn directly. The
+ * diagram shapes below are outlines through points given as fractions of
+ * the box; curved ones (cylinders and clouds) are traced finely enough to
+ * look smooth. The canvas, exports and hit-testing all go through
+ * shapeOutline, so what is picked is what is drawn.
+ *
+ * Width and height can be negative while a shape is being dragged out, which
+ * mirrors its outline.
+ */
+
+export const OUTLINE_SHAPES = ['diamond', 'parallelogram', 'hexagon', 'star', 'cylinder', 'cloud', 'callout'];
+
+export const SHAPE_TYPES = ['rectangle', 'ellipse', 'triangle', ...OUTLINE_SHAPES];
+
+export const isShape = (obj) => Boolean(obj) && SHAPE_TYPES.includes(obj.type);
+
+// Points on the part of an ellipse from one angle to another, as fractions
+const arc = (cx, cy, rx, ry, from, to, steps) => Array.from({ length: steps + 1 }, (_, i) => {
+  const angle = from + (to - from) * (i / steps);
+  return { u: cx + rx * Math.cos(angle), v: cy + ry * Math.sin(angle) };
+});
+
+// Stretch points to fill the unit box
+const fillBox = (points) => {
+  const us = points.map(p => p.u);
+  const vs = points.map(p => p.v);
+  const [minU, maxU, minV, maxV] = [Math.min(...us), Math.max(...us), Math.min(...vs), Math.max(...vs)];
+  return points.map(p => ({ u: (p.u - minU) / (maxU - minU), v: (p.v - minV) / (maxV - minV) }));
+};
+
+const starOutline = () => fillBox(Array.from({ length: 10 }, (_, i) => {
+  const angle = -Math.PI / 2 + (i * Math.PI) / 5;
+  const radius = i % 2 === 0 ? 0.5 : 0.19;
+  return { u: 0.5 + radius * Math.cos(angle), v: 0.5 + radius * Math.sin(angle) };
+}));
+
+// A cylinder's top and bottom are ellipses this fraction of its height
+const CYLINDER_RIM = 0.2;
+
+const cylinderOutline = () => {
+  const ry = CYLINDER_RIM / 2;
+  return [
+    ...arc(0.5, ry, 0.5, ry, Math.PI, 2 * Math.PI, 16),
+    ...arc(0.5, 1 - ry, 0.5, ry, 0, Math.PI, 16),
+  ];
+};
+
+// Eight puffs around an ellipse, pinched where they meet
+const cloudOutline = () => fillBox(Array.from({ length: 96 }, (_, i) => {
+  const angle = (i / 96) * 2 * Math.PI;
+  const radius = 0.42 + 0.08 * Math.abs(Math.sin(4 * angle));
+  return { u: 0.5 + radius * Math.cos(angle), v: 0.5 + radius * Math.sin(angle) };
+}));
+
+const OUTLINES = {
+  diamond: [{ u: 0.5, v: 0 }, { u: 1, v: 0.5 }, { u: 0.5, v: 1 }, { u: 0, v: 0.5 }],
+  parallelogram: [{ u: 0.25, v: 0 }, { u: 1, v: 0 }, { u: 0.75, v: 1 }, { u: 0, v: 1 }],
+  hexagon: [
+    { u: 0.25, v: 0 }, { u: 0.75, v: 0 }, { u: 1, v: 0.5 },
+    { u: 0.75, v: 1 }, { u: 0.25, v: 1 }, { u: 0, v: 0.5 },
+  ],
+  star: starOutline(),
+  cylinder: cylinderOutline(),
+  cloud: cloudOutline(),
+  // A speech bubble with its tail at the bottom left
+  callout: [
+    { u: 0, v: 0 }, { u: 1, v: 0 }, { u: 1, v: 0.8 }, { u: 0.4, v: 0.8 },
+    { u: 0.15, v: 1 }, { u: 0.2, v: 0.8 }, { u: 0, v: 0.8 },
+  ],
+};
+
+// Open lines drawn over an outline: the front of a cylinder's top
+const DETAILS = {
+  cylinder: [arc(0.5, CYLINDER_RIM / 2, 0.5, CYLINDER_RIM / 2, 0, Math.PI, 16)],
+};
+
+const toBox = (shape) => ({ u, v }) => ({ x: shape.x + u * shape.width, y: shape.y + v * shape.height });
+
+// A diagram shape's closed outline in board coordinates, unrotated, or null
+// for shapes drawn directly
+export const shapeOutline = (shape) => (OUTLINES[shape.type] ? OUTLINES[shape.type].map(toBox(shape)) : null);
+
+// Lines drawn inside a shape's outline: [[{ x, y }, ...], ...]
+export const shapeDetails = (shape) => (DETAILS[shape.type] || []).map(line => line.map(toBox(shape)));
+
+// Where a ray from the middle of the unit box first leaves an outline
+const exitPoint = (points, direction) => {
+  let best = null;
+  points.forEach((a, index) => {
+    const b = points[(index + 1) % points.length];
+    const edge = { u: b.u - a.u, v: b.v - a.v };
+    const denominator = direction.u * edge.v - direction.v * edge.u;
+    if (denominator === 0) return;
+    const t = ((a.u - 0.5) * edge.v - (a.v - 0.5) * edge.u) / denominator;
+    const s = ((a.u - 0.5) * direction.v - (a.v - 0.5) * direction.u) / denominator;
+    if (t > 0 && s >= 0 && s <= 1 && (!best || t < best.t)) best = { t };
+  });
+  return { x: 0.5 + direction.u * best.t, y: 0.5 + direction.v * best.t };
+};
+
+const SIDES = { top: { u: 0, v: -1 }, right: { u: 1, v: 0 }, bottom: { u: 0, v: 1 }, left: { u: -1, v: 0 } };
+
+const ANCHOR_OFFSETS = Object.fromEntries(Object.entries(OUTLINES).map(([type, points]) => [
+  type,
+  Object.fromEntries(Object.entries(SIDES).map(([side, direction]) => [side, exitPoint(points, direction)])),
+]));
+
+// Where connectors attach to a diagram shape: where its outline crosses the
+// lines through its middle, as fractions of its box. Null for other shapes.
+export const shapeAnchorOffsets = (type) => ANCHOR_OFFSETS[type] || null;
+
+// Even-odd test of a point against a closed outline
+export const isPointInPolygon = (point, polygon) => {
+  let inside = false;
+  polygon.forEach((a, index) => {
+    const b = polygon[(index + polygon.length - 1) % polygon.length];
+    if ((a.y > point.y) !== (b.y > point.y) && point.x < a.x + ((point.y - a.y) / (b.y - a.y)) * (b.x - a.x)) {
+      inside = !inside;
+    }
+  });
+  return inside;
+};
@@ -0,0 +1,69 @@
+import {
+  SHAPE_TYPES, OUTLINE_SHAPES, isShape, shapeOutline, shapeDetails, shapeAnchorOffsets, isPointInPolygon,
+} from './shapes';
+
+const box = { x: 100, y: 50, width: 200, height: 100 };
+
+describe('shapeOutline', () => {
+  test('places an outline in its box', () => {
+    expect(shapeOutline({ ...box, type: 'diamond' })).toEqual([
+      { x: 200, y: 50 }, { x: 300, y: 100 }, { x: 200, y: 150 }, { x: 100, y: 100 },
+    ]);
+  });
+
+  test('fills the box with every diagram shape', () => {
+    OUTLINE_SHAPES.forEach((type) => {
+      const points = shapeOutline({ ...box, type });
+      const xs = points.map(p => p.x);
+      const ys = points.map(p => p.y);
+      expect([Math.min(...xs), Math.max(...xs)]).toEqual([100, 300]);
+      expect(Math.min(...ys)).toBeCloseTo(50);
+      expect(Math.max(...ys)).toBeCloseTo(150);
+    });
+  });
+
+  test('mirrors shapes dragged out backwards', () => {
+    const [top] = shapeOutline({ x: 300, y: 50, width: -200, height: 100, type: 'parallelogram' });
+    expect(top).toEqual({ x: 250, y: 50 });
+  });
+
+  test('is null for shapes drawn directly', () => {
+    expect(shapeOutline({ ...box, type: 'rectangle' })).toBeNull();
+    expect(shapeDetails({ ...box, type: 'rectangle' })).toEqual([]);
+  });
+});
+
+describe('shapeDetails', () => {
+  test('draws the front of a cylinder\'s top', () => {
+    const [rim] = shapeDetails({ ...box, type: 'cylinder' });
+    expect(rim[0]).toEqual({ x: 300, y: 60 });
+    expect(rim[rim.length - 1].x).toBeCloseTo(100);
+    expect(Math.max(...rim.map(p => p.y))).toBeCloseTo(70);
+  });
+});
+
+describe('shapeAnchorOffsets', () => {
+  test('puts anchors where the outline crosses the middle lines', () => {
+    expect(shapeAnchorOffsets('diamond')).toEqual({
+      top: { x: 0.5, y: 0 }, right: { x: 1, y: 0.5 }, bottom: { x: 0.5, y: 1 }, left: { x: 0, y: 0.5 },
+    });
+    expect(shapeAnchorOffsets('parallelogram').right).toEqual({ x: 0.875, y: 0.5 });
+    expect(shapeAnchorOffsets('callout').bottom.y).toBeCloseTo(0.8);
+    expect(shapeAnchorOffsets('rectangle')).toBeNull();
+  });
+});
+
+describe('isPointInPolygon', () => {
+  const outline = shapeOutline({ ...box, type: 'diamond' });
+
+  test('tells inside from outside', () => {
+    expect(isPointInPolygon({ x: 200, y: 100 }, outline)).toBe(true);
+    expect(isPointInPolygon({ x: 110, y: 55 }, outline)).toBe(false);
+  });
+});
+
+test('isShape covers every box shape', () => {
+  expect(SHAPE_TYPES).toEqual(expect.arrayContaining(['rectangle', 'ellipse', 'triangle', 'star', 'cloud']));
+  expect(isShape({ type: 'hexagon' })).toBe(true);
+  expect(isShape({ type: 'line' })).toBe(false);
+});
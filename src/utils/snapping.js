@@ -0,0 +1,145 @@
+/**
+ * Grid and alignment snapping
+ *
+ * While objects, sticky notes or a selection are dragged or resized, the
+ * edges that move snap to the edges and centers of the things around them,
+ * and whatever lines up is shown with guides. Where nothing lines up and the
+ * board snaps to its grid, they snap to the grid instead.
+ *
+ * Boxes are { x, y, width, height } in canvas coordinates. A guide is
+ * { axis, position, start, end }: a line across `axis` at `position`, e.g.
+ * a vertical line at x = position for axis 'x', running from start to end
+ * along the other axis.
+ */
+
+export const GRID_SIZES = [10, 20, 40, 80];
+
+// How each board's grid is set up until someone changes it
+export const DEFAULT_GRID_SETTINGS = { visible: false, snap: false, size: 20, guides: true };
+
+// How close, in screen pixels, an edge has to come to something to snap to it
+export const SNAP_DISTANCE = 6;
+
+// Grid lines are spread out when zoomed out so they stay this far apart on screen
+const MIN_GRID_SPACING = 8;
+
+// Guides only join things lined up to within this distance
+const GUIDE_TOLERANCE = 0.5;
+
+// Where a box's start, middle and end lie along each axis
+const EDGES = { start: 0, center: 0.5, end: 1 };
+const AXES = {
+  x: { start: 'x', size: 'width', across: 'y', acrossSize: 'height' },
+  y: { start: 'y', size: 'height', across: 'x', acrossSize: 'width' },
+};
+
+// Every edge of a box moves with it when it is dragged
+export const MOVE_EDGES = { x: ['start', 'center', 'end'], y: ['start', 'center', 'end'] };
+
+// The edges a resize handle moves
+export const resizeEdges = (handle) => ({
+  x: handle.includes('w') ? ['start'] : handle.includes('e') ? ['end'] : [],
+  y: handle.includes('n') ? ['start'] : handle.includes('s') ? ['end'] : [],
+});
+
+export const offsetBox = (box, deltaX, deltaY) => ({ ...box, x: box.x + deltaX, y: box.y + deltaY });
+
+// A box with the edges under a resize handle dragged by a delta
+export const resizedBox = (box, handle, deltaX, deltaY) => {
+  const resized = { ...box };
+  if (handle.includes('e')) resized.width += deltaX;
+  if (handle.includes('w')) {
+    resized.x += deltaX;
+    resized.width -= deltaX;
+  }
+  if (handle.includes('s')) resized.height += deltaY;
+  if (handle.includes('n')) {
+    resized.y += deltaY;
+    resized.height -= deltaY;
+  }
+  return resized;
+};
+
+// Grid settings as saved with a board, with anything missing or unknown
+// left at its default
+export const normalizeGridSettings = (settings) => {
+  const saved = settings && typeof settings === 'object' ? settings : {};
+  const flag = key => (typeof saved[key] === 'boolean' ? saved[key] : DEFAULT_GRID_SETTINGS[key]);
+  return {
+    visible: flag('visible'),
+    snap: flag('snap'),
+    size: GRID_SIZES.includes(saved.size) ? saved.size : DEFAULT_GRID_SETTINGS.size,
+    guides: flag('guides'),
+  };
+};
+
+export const snapToGrid = (value, size) => Math.round(value / size) * size;
+
+// Distance between the grid lines drawn at a zoom level: the grid size, or a
+// multiple of it when the lines would crowd together
+export const gridSpacing = (size, scale) => {
+  let spacing = size;
+  while (spacing * scale < MIN_GRID_SPACING) spacing *= 2;
+  return spacing;
+};
+
+const edgeLine = (box, axis, edge) => box[AXES[axis].start] + box[AXES[axis].size] * EDGES[edge];
+
+// How far to shift a box's moving edges along one axis: onto the nearest
+// edge or center of a target within reach, otherwise onto the grid
+const snapAxis = (box, axis, edges, targets, threshold, gridSize) => {
+  let best = null;
+  edges.forEach((edge) => {
+    const value = edgeLine(box, axis, edge);
+    targets.forEach((target) => {
+      Object.keys(EDGES).forEach((targetEdge) => {
+        const offset = edgeLine(target, axis, targetEdge) - value;
+        if (Math.abs(offset) <= threshold && (best === null || Math.abs(offset) < Math.abs(best))) {
+          best = offset;
+        }
+      });
+    });
+  });
+  if (best !== null) return best;
+  if (gridSize && edges.length > 0) {
+    const value = edgeLine(box, axis, edges[0]);
+    return snapToGrid(value, gridSize) - value;
+  }
+  return 0;
+};
+
+// Guides along one axis through each moving edge that lines up with targets,
+// spanning the box and everything on the line
+const axisGuides = (box, axis, edges, targets) => {
+  const { across, acrossSize } = AXES[axis];
+  const guides = [];
+  edges.forEach((edge) => {
+    const position = edgeLine(box, axis, edge);
+    if (guides.some(guide => Math.abs(guide.position - position) <= GUIDE_TOLERANCE)) return;
+    const aligned = targets.filter(target => (
+      Object.keys(EDGES).some(targetEdge => Math.abs(edgeLine(target, axis, targetEdge) - position) <= GUIDE_TOLERANCE)
+    ));
+    if (aligned.length === 0) return;
+    const spanned = [box, ...aligned];
+    guides.push({
+      axis,
+      position,
+      start: Math.min(...spanned.map(b => b[across])),
+      end: Math.max(...spanned.map(b => b[across] + b[acrossSize])),
+    });
+  });
+  return guides;
+};
+
+// Snap the moving edges of a box. Returns the shift { dx, dy } to apply and
+// the guides to show for it.
+export const snapBox = (box, edges, { targets = [], threshold = 0, gridSize = null } = {}) => {
+  const dx = snapAxis(box, 'x', edges.x, targets, threshold, gridSize);
+  const dy = snapAxis(box, 'y', edges.y, targets, threshold, gridSize);
+  const snapped = { ...box, x: box.x + dx, y: box.y + dy };
+  return {
+    dx,
+    dy,
+    guides: [...axisGuides(snapped, 'x', edges.x, targets), ...axisGuides(snapped, 'y', edges.y, targets)],
+  };
+};
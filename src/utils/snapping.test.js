@@ -0,0 +1,79 @@
+import {
+  DEFAULT_GRID_SETTINGS,
+  MOVE_EDGES,
+  resizeEdges,
+  resizedBox,
+  normalizeGridSettings,
+  snapToGrid,
+  gridSpacing,
+  snapBox,
+} from './snapping';
+
+const box = { x: 103, y: 132, width: 50, height: 40 };
+const target = { x: 200, y: 0, width: 100, height: 100 };
+
+describe('normalizeGridSettings', () => {
+  test('fills in defaults for missing or unknown settings', () => {
+    expect(normalizeGridSettings(null)).toEqual(DEFAULT_GRID_SETTINGS);
+    expect(normalizeGridSettings({ visible: true, size: 13, snap: 'yes' })).toEqual({
+      ...DEFAULT_GRID_SETTINGS,
+      visible: true,
+    });
+    expect(normalizeGridSettings({ snap: true, size: 40, guides: false })).toEqual({
+      visible: false, snap: true, size: 40, guides: false,
+    });
+  });
+});
+
+describe('grid', () => {
+  test('rounds to the nearest grid line', () => {
+    expect(snapToGrid(29, 20)).toBe(20);
+    expect(snapToGrid(31, 20)).toBe(40);
+  });
+
+  test('spreads lines out when zoomed out', () => {
+    expect(gridSpacing(20, 1)).toBe(20);
+    expect(gridSpacing(20, 0.25)).toBe(40);
+    expect(gridSpacing(10, 0.1)).toBe(80);
+  });
+});
+
+describe('resizing', () => {
+  test('moves only the edges under the handle', () => {
+    expect(resizeEdges('nw')).toEqual({ x: ['start'], y: ['start'] });
+    expect(resizeEdges('e')).toEqual({ x: ['end'], y: [] });
+
+    expect(resizedBox(target, 'nw', 10, 20)).toEqual({ x: 210, y: 20, width: 90, height: 80 });
+    expect(resizedBox(target, 'e', 10, 20)).toEqual({ x: 200, y: 0, width: 110, height: 100 });
+  });
+});
+
+describe('snapBox', () => {
+  test('lines edges and centers up with targets within reach', () => {
+    const near = { x: 148, y: 28, width: 50, height: 40 };
+    const { dx, dy, guides } = snapBox(near, MOVE_EDGES, { targets: [target], threshold: 6 });
+
+    // Its right edge meets the target's left edge, its middle the target's middle
+    expect(dx).toBe(2);
+    expect(dy).toBe(2);
+    expect(guides).toEqual([
+      { axis: 'x', position: 200, start: 0, end: 100 },
+      { axis: 'y', position: 50, start: 150, end: 300 },
+    ]);
+  });
+
+  test('falls back to the grid where nothing lines up', () => {
+    expect(snapBox(box, MOVE_EDGES, { targets: [target], threshold: 6, gridSize: 20 })).toEqual({
+      dx: -3, dy: 8, guides: [],
+    });
+    expect(snapBox(box, MOVE_EDGES, { targets: [target], threshold: 6 })).toEqual({ dx: 0, dy: 0, guides: [] });
+  });
+
+  test('snaps only the edges being resized', () => {
+    const resized = { x: 100, y: 0, width: 96, height: 103 };
+    const { dx, dy } = snapBox(resized, resizeEdges('e'), { targets: [target], threshold: 6, gridSize: 20 });
+
+    expect(dx).toBe(4);
+    expect(dy).toBe(0);
+  });
+});
@@ -0,0 +1,113 @@
+/**
+ * Spatial index of object bounds
+ *
+ * A uniform grid: every object is filed under each cell its bounding box
+ * touches, so finding what lies in a rectangle only looks at the objects in
+ * the cells that rectangle covers. Objects are kept up to date with sync(),
+ * which only recomputes bounds for entities that changed since the last call
+ * (scene updates replace changed entities and keep the rest).
+ */
+
+const DEFAULT_CELL_SIZE = 256;
+
+export const intersects = (a, b) => (
+  a.x <= b.x + b.width && b.x <= a.x + a.width &&
+  a.y <= b.y + b.height && b.y <= a.y + a.height
+);
+
+const isFiniteRect = (rect) => (
+  rect && [rect.x, rect.y, rect.width, rect.height].every(Number.isFinite)
+);
+
+export const createSpatialIndex = (cellSize = DEFAULT_CELL_SIZE) => {
+  const cells = new Map(); // "col,row" -> Set of ids
+  const entries = new Map(); // id -> { bounds, keys, source }
+
+  const cellKeys = (rect) => {
+    const keys = [];
+    const minCol = Math.floor(rect.x / cellSize);
+    const maxCol = Math.floor((rect.x + rect.width) / cellSize);
+    const minRow = Math.floor(rect.y / cellSize);
+    const maxRow = Math.floor((rect.y + rect.height) / cellSize);
+    for (let col = minCol; col <= maxCol; col++) {
+      for (let row = minRow; row <= maxRow; row++) {
+        keys.push(`${col},${row}`);
+      }
+    }
+    return keys;
+  };
+
+  const remove = (id) => {
+    const entry = entries.get(id);
+    if (!entry) return;
+    entry.keys.forEach((key) => {
+      const cell = cells.get(key);
+      cell.delete(id);
+      if (cell.size === 0) cells.delete(key);
+    });
+    entries.delete(id);
+  };
+
+  // File an id under new bounds, replacing wherever it was before
+  const insert = (id, bounds, source = null) => {
+    remove(id);
+    if (!isFiniteRect(bounds)) return;
+
+    const keys = cellKeys(bounds);
+    keys.forEach((key) => {
+      if (!cells.has(key)) cells.set(key, new Set());
+      cells.get(key).add(id);
+    });
+    entries.set(id, { bounds, keys, source });
+  };
+
+  // Ids of everything whose bounds overlap the rectangle
+  const search = (rect) => {
+    const found = new Set();
+    if (!isFiniteRect(rect)) return found;
+
+    cellKeys(rect).forEach((key) => {
+      const cell = cells.get(key);
+      if (!cell) return;
+      cell.forEach((id) => {
+        if (!found.has(id) && intersects(entries.get(id).bounds, rect)) {
+          found.add(id);
+        }
+      });
+    });
+    return found;
+  };
+
+  // Bring the index in line with a list of entities. Deleted entities and
+  // ones no longer in the list are dropped.
+  const sync = (entities, getBounds) => {
+    const live = new Set();
+    entities.forEach((entity) => {
+      if (entity.deleted) return;
+      live.add(entity.id);
+      const entry = entries.get(entity.id);
+      if (!entry || entry.source !== entity) {
+        insert(entity.id, getBounds(entity), entity);
+      }
+    });
+    [...entries.keys()].forEach((id) => {
+      if (!live.has(id)) remove(id);
+    });
+  };
+
+  const getBounds = (id) => {
+    const entry = entries.get(id);
+    return entry ? entry.bounds : null;
+  };
+
+  return {
+    insert,
+    remove,
+    search,
+    sync,
+    getBounds,
+    get size() {
+      return entries.size;
+    },
+  };
+};
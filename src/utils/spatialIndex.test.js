@@ -0,0 +1,73 @@
+import { createSpatialIndex, intersects } from './spatialIndex';
+
+const rect = (x, y, width, height) => ({ x, y, width, height });
+
+describe('spatialIndex', () => {
+  test('finds ids whose bounds overlap a rectangle', () => {
+    const index = createSpatialIndex(100);
+    index.insert('near', rect(10, 10, 20, 20));
+    index.insert('far', rect(5000, 5000, 20, 20));
+    index.insert('wide', rect(-500, 50, 2000, 10));
+
+    expect(index.search(rect(0, 0, 100, 100))).toEqual(new Set(['near', 'wide']));
+    expect(index.search(rect(4990, 4990, 50, 50))).toEqual(new Set(['far']));
+  });
+
+  test('checks real bounds, not just shared cells', () => {
+    const index = createSpatialIndex(100);
+    index.insert('a', rect(80, 80, 10, 10));
+
+    expect(index.search(rect(0, 0, 50, 50)).size).toBe(0);
+  });
+
+  test('re-inserting moves an id and remove forgets it', () => {
+    const index = createSpatialIndex(100);
+    index.insert('a', rect(0, 0, 10, 10));
+    index.insert('a', rect(1000, 1000, 10, 10));
+
+    expect(index.search(rect(0, 0, 50, 50)).size).toBe(0);
+    expect(index.search(rect(990, 990, 50, 50))).toEqual(new Set(['a']));
+
+    index.remove('a');
+    expect(index.size).toBe(0);
+  });
+
+  test('ignores bounds that are not finite', () => {
+    const index = createSpatialIndex();
+    index.insert('a', null);
+    index.insert('b', rect(0, NaN, 1, 1));
+
+    expect(index.size).toBe(0);
+  });
+
+  test('sync only recomputes bounds for changed entities', () => {
+    const index = createSpatialIndex(100);
+    const getBounds = jest.fn(obj => rect(obj.x, obj.y, 10, 10));
+    const a = { id: 'a', x: 0, y: 0 };
+    const b = { id: 'b', x: 200, y: 200 };
+
+    index.sync([a, b], getBounds);
+    expect(getBounds).toHaveBeenCalledTimes(2);
+
+    const movedB = { ...b, x: 500 };
+    index.sync([a, movedB], getBounds);
+    expect(getBounds).toHaveBeenCalledTimes(3);
+    expect(index.getBounds('b')).toEqual(rect(500, 200, 10, 10));
+  });
+
+  test('sync drops deleted and missing entities', () => {
+    const index = createSpatialIndex(100);
+    const getBounds = obj => rect(obj.x, obj.y, 10, 10);
+    index.sync([{ id: 'a', x: 0, y: 0 }, { id: 'b', x: 0, y: 0 }], getBounds);
+    index.sync([{ id: 'a', x: 0, y: 0, deleted: true }], getBounds);
+
+    expect(index.size).toBe(0);
+  });
+});
+
+describe('intersects', () => {
+  test('treats touching edges as overlapping', () => {
+    expect(intersects(rect(0, 0, 10, 10), rect(10, 10, 5, 5))).toBe(true);
+    expect(intersects(rect(0, 0, 10, 10), rect(11, 0, 5, 5))).toBe(false);
+  });
+});
@@ -0,0 +1,76 @@
+/**
+ * Object styles
+ *
+ * Besides its colour and line width, an object can carry:
+ *   fill          fill colour of a shape, or null for none
+ *   dash          'solid' (the default), 'dashed' or 'dotted' outline
+ *   opacity       0 to 1, 1 when missing
+ *   cornerRadius  rounding of a rectangle's corners, 0 when missing
+ *
+ * Styles are set with a 'restyle' event carrying only the fields that
+ * change (see server/sceneOps.js), so people editing different parts of an
+ * object's style don't overwrite each other. A missing or null field is
+ * its default.
+ */
+
+import { SHAPE_TYPES } from './shapes';
+
+export const DASH_STYLES = ['solid', 'dashed', 'dotted'];
+
+const LINE_TYPES = ['line', 'arrow'];
+
+// Which objects each style field applies to
+const STYLE_TYPES = {
+  color: ['stroke', 'text', ...SHAPE_TYPES, ...LINE_TYPES],
+  fill: SHAPE_TYPES,
+  size: ['stroke', ...SHAPE_TYPES, ...LINE_TYPES],
+  dash: [...SHAPE_TYPES, ...LINE_TYPES],
+  opacity: ['stroke', 'text', 'image', ...SHAPE_TYPES, ...LINE_TYPES],
+  cornerRadius: ['rectangle'],
+};
+
+export const STYLE_FIELDS = Object.keys(STYLE_TYPES);
+
+// The style fields an object has; erasers have none
+export const styleFieldsOf = (obj) => (
+  obj.type === 'stroke' && obj.tool === 'erase' ? [] : STYLE_FIELDS.filter(field => STYLE_TYPES[field].includes(obj.type))
+);
+
+// The 'restyle' edit that makes some style changes to an object, or null if
+// none of them apply to it
+export const restyleOperation = (obj, changes) => {
+  const fields = styleFieldsOf(obj).filter(field => changes[field] !== undefined);
+  if (fields.length === 0) return null;
+  const data = { id: obj.id };
+  fields.forEach((field) => {
+    data[field] = changes[field];
+  });
+  return { event: 'restyle', data };
+};
+
+// The style shown for a selection: each field as on the first object that
+// has it
+export const selectionStyle = (objects) => {
+  const style = {};
+  objects.forEach((obj) => {
+    styleFieldsOf(obj).forEach((field) => {
+      if (!(field in style)) style[field] = obj[field] ?? null;
+    });
+  });
+  return style;
+};
+
+export const opacityOf = (obj) => (typeof obj.opacity === 'number' ? obj.opacity : 1);
+
+// Canvas line dash for an object's outline. Dots rely on round line caps.
+export const dashPattern = (obj) => {
+  const size = Number(obj.size) || 1;
+  if (obj.dash === 'dashed') return [size * 4, size * 3];
+  if (obj.dash === 'dotted') return [0, size * 2];
+  return [];
+};
+
+// A rectangle's corner radius, no more than half its shorter side
+export const cornerRadiusOf = (obj) => (
+  Math.max(0, Math.min(obj.cornerRadius || 0, Math.abs(obj.width) / 2, Math.abs(obj.height) / 2))
+);
@@ -0,0 +1,44 @@
+import { styleFieldsOf, restyleOperation, selectionStyle, dashPattern, cornerRadiusOf } from './styles';
+
+const rect = { id: 'r', type: 'rectangle', x: 0, y: 0, width: 40, height: 20, color: '#000', size: 2 };
+const text = { id: 't', type: 'text', text: 'Hi', x: 0, y: 0, color: '#f00', opacity: 0.5 };
+
+describe('styleFieldsOf', () => {
+  test('lists the style fields each kind of object has', () => {
+    expect(styleFieldsOf(rect)).toEqual(['color', 'fill', 'size', 'dash', 'opacity', 'cornerRadius']);
+    expect(styleFieldsOf(text)).toEqual(['color', 'opacity']);
+    expect(styleFieldsOf({ type: 'image' })).toEqual(['opacity']);
+    expect(styleFieldsOf({ type: 'stroke', tool: 'erase' })).toEqual([]);
+  });
+});
+
+describe('restyleOperation', () => {
+  test('carries only the changes that apply to the object', () => {
+    expect(restyleOperation(text, { fill: '#0f0', opacity: 0.2 })).toEqual({
+      event: 'restyle', data: { id: 't', opacity: 0.2 },
+    });
+    expect(restyleOperation(text, { cornerRadius: 8 })).toBeNull();
+  });
+});
+
+describe('selectionStyle', () => {
+  test('takes each field from the first object that has it', () => {
+    expect(selectionStyle([text, rect])).toEqual({
+      color: '#f00', opacity: 0.5, fill: null, size: 2, dash: null, cornerRadius: null,
+    });
+  });
+});
+
+describe('drawing styles', () => {
+  test('dash patterns scale with the line width', () => {
+    expect(dashPattern(rect)).toEqual([]);
+    expect(dashPattern({ ...rect, dash: 'dashed' })).toEqual([8, 6]);
+    expect(dashPattern({ ...rect, dash: 'dotted' })).toEqual([0, 4]);
+  });
+
+  test('corners are rounded by at most half the shorter side', () => {
+    expect(cornerRadiusOf(rect)).toBe(0);
+    expect(cornerRadiusOf({ ...rect, cornerRadius: 6 })).toBe(6);
+    expect(cornerRadiusOf({ ...rect, height: -10, cornerRadius: 30 })).toBe(5);
+  });
+});
@@ -0,0 +1,433 @@
+/**
+ * SVG import
+ *
+ * Turns the basic elements of an SVG file into native objects, in document
+ * order (bottom to top):
+ *
+ *   rect                      -> rectangle
+ *   ellipse, circle           -> ellipse
+ *   line                      -> line
+ *   polyline, polygon, path   -> stroke (one per subpath; curves and arcs are
+ *                                flattened into short segments)
+ *   text                      -> text
+ *
+ * Transforms on elements and their <g> ancestors are applied. A rect or
+ * ellipse that ends up rotated or skewed becomes a closed stroke. What native
+ * objects can't show - images, <use>, filled outlines, gradients, rounded
+ * corners - is listed in `unsupported` rather than left out silently.
+ */
+
+// Groups whose children are drawn
+const CONTAINERS = ['svg', 'g', 'a', 'switch'];
+
+// Elements that are never drawn themselves
+const NON_RENDERING = [
+  'defs', 'title', 'desc', 'metadata', 'style', 'script', 'symbol', 'clipPath', 'mask', 'marker',
+  'pattern', 'linearGradient', 'radialGradient', 'filter',
+];
+
+// Styles that pass from a group to what's in it
+const INHERITED = ['fill', 'stroke', 'stroke-width', 'font-size', 'visibility'];
+
+const DEFAULT_STYLE = { fill: '#000000', stroke: 'none', 'stroke-width': '1', 'font-size': '16', visibility: 'visible' };
+
+// Segments each curve and every quarter turn of an arc is drawn with
+const CURVE_STEPS = 12;
+
+// Points on the outline of an ellipse that can't stay an ellipse
+const ELLIPSE_STEPS = 32;
+
+// Affine transforms as [a, b, c, d, e, f], as in SVG's matrix()
+const IDENTITY = [1, 0, 0, 1, 0, 0];
+
+const multiply = (m, n) => [
+  m[0] * n[0] + m[2] * n[1],
+  m[1] * n[0] + m[3] * n[1],
+  m[0] * n[2] + m[2] * n[3],
+  m[1] * n[2] + m[3] * n[3],
+  m[0] * n[4] + m[2] * n[5] + m[4],
+  m[1] * n[4] + m[3] * n[5] + m[5],
+];
+
+const apply = (m, { x, y }) => ({ x: m[0] * x + m[2] * y + m[4], y: m[1] * x + m[3] * y + m[5] });
+
+// How much a transform scales lengths, on average
+const scaleOf = m => Math.sqrt(Math.abs(m[0] * m[3] - m[1] * m[2]));
+
+const isAxisAligned = m => m[1] === 0 && m[2] === 0;
+
+const NUMBER = /[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?/g;
+
+const numbers = value => (String(value || '').match(NUMBER) || []).map(Number);
+
+export const parseTransform = (value) => {
+  let matrix = IDENTITY;
+  const pattern = /(matrix|translate|scale|rotate|skewX|skewY)\s*\(([^)]*)\)/g;
+  let match;
+  while ((match = pattern.exec(value || '')) !== null) {
+    const args = numbers(match[2]);
+    let step = IDENTITY;
+    if (match[1] === 'matrix' && args.length === 6) {
+      step = args;
+    } else if (match[1] === 'translate') {
+      step = [1, 0, 0, 1, args[0] || 0, args[1] || 0];
+    } else if (match[1] === 'scale') {
+      const sx = args.length > 0 ? args[0] : 1;
+      step = [sx, 0, 0, args.length > 1 ? args[1] : sx, 0, 0];
+    } else if (match[1] === 'rotate') {
+      const angle = ((args[0] || 0) * Math.PI) / 180;
+      const [cx = 0, cy = 0] = args.slice(1);
+      step = multiply(
+        multiply([1, 0, 0, 1, cx, cy], [Math.cos(angle), Math.sin(angle), -Math.sin(angle), Math.cos(angle), 0, 0]),
+        [1, 0, 0, 1, -cx, -cy],
+      );
+    } else if (match[1] === 'skewX') {
+      step = [1, 0, Math.tan(((args[0] || 0) * Math.PI) / 180), 1, 0, 0];
+    } else if (match[1] === 'skewY') {
+      step = [1, Math.tan(((args[0] || 0) * Math.PI) / 180), 0, 1, 0, 0];
+    }
+    matrix = multiply(matrix, step);
+  }
+  return matrix;
+};
+
+// An element's own styles, from its attributes and then its style attribute
+const ownStyle = (element) => {
+  const style = {};
+  ['fill', 'stroke', 'stroke-width', 'font-size', 'display', 'visibility'].forEach((name) => {
+    if (element.hasAttribute(name)) style[name] = element.getAttribute(name).trim();
+  });
+  (element.getAttribute('style') || '').split(';').forEach((declaration) => {
+    const [name, ...rest] = declaration.split(':');
+    if (name && rest.length > 0) style[name.trim()] = rest.join(':').trim();
+  });
+  return style;
+};
+
+const inheritedStyle = (style) => {
+  const passed = {};
+  INHERITED.forEach((name) => { passed[name] = style[name]; });
+  return passed;
+};
+
+const paintOf = value => (!value || value === 'none' || value.startsWith('url(') ? null
+  : value === 'currentColor' ? '#000000' : value);
+
+const attr = (element, name) => {
+  const value = parseFloat(element.getAttribute(name));
+  return Number.isFinite(value) ? value : 0;
+};
+
+const pointList = element => {
+  const values = numbers(element.getAttribute('points'));
+  const points = [];
+  for (let i = 0; i + 1 < values.length; i += 2) points.push({ x: values[i], y: values[i + 1] });
+  return points;
+};
+
+const ellipsePoints = (cx, cy, rx, ry) => Array.from({ length: ELLIPSE_STEPS + 1 }, (_, i) => {
+  const angle = (i / ELLIPSE_STEPS) * 2 * Math.PI;
+  return { x: cx + rx * Math.cos(angle), y: cy + ry * Math.sin(angle) };
+});
+
+// Points along an elliptical arc, from SVG's endpoint form (see the SVG
+// spec's implementation notes on arcs), not including the start
+const arcPoints = (from, rx, ry, rotation, largeArc, sweep, to) => {
+  if (rx === 0 || ry === 0) return [to];
+  const phi = (rotation * Math.PI) / 180;
+  const cos = Math.cos(phi);
+  const sin = Math.sin(phi);
+  const dx = (from.x - to.x) / 2;
+  const dy = (from.y - to.y) / 2;
+  const x1 = cos * dx + sin * dy;
+  const y1 = -sin * dx + cos * dy;
+  let rX = Math.abs(rx);
+  let rY = Math.abs(ry);
+  const lambda = (x1 * x1) / (rX * rX) + (y1 * y1) / (rY * rY);
+  if (lambda > 1) {
+    rX *= Math.sqrt(lambda);
+    rY *= Math.sqrt(lambda);
+  }
+  const numerator = rX * rX * rY * rY - rX * rX * y1 * y1 - rY * rY * x1 * x1;
+  const denominator = rX * rX * y1 * y1 + rY * rY * x1 * x1;
+  const root = (largeArc === sweep ? -1 : 1) * Math.sqrt(Math.max(0, numerator / denominator));
+  const cx1 = (root * rX * y1) / rY;
+  const cy1 = (-root * rY * x1) / rX;
+  const cx = cos * cx1 - sin * cy1 + (from.x + to.x) / 2;
+  const cy = sin * cx1 + cos * cy1 + (from.y + to.y) / 2;
+
+  const angle = (ux, uy, vx, vy) => Math.atan2(ux * vy - uy * vx, ux * vx + uy * vy);
+  const start = angle(1, 0, (x1 - cx1) / rX, (y1 - cy1) / rY);
+  let delta = angle((x1 - cx1) / rX, (y1 - cy1) / rY, (-x1 - cx1) / rX, (-y1 - cy1) / rY);
+  if (!sweep && delta > 0) delta -= 2 * Math.PI;
+  if (sweep && delta < 0) delta += 2 * Math.PI;
+
+  const steps = Math.max(1, Math.ceil((Math.abs(delta) / (Math.PI / 2)) * CURVE_STEPS));
+  return Array.from({ length: steps }, (_, i) => {
+    if (i === steps - 1) return to;
+    const theta = start + (delta * (i + 1)) / steps;
+    const ex = rX * Math.cos(theta);
+    const ey = rY * Math.sin(theta);
+    return { x: cos * ex - sin * ey + cx, y: sin * ex + cos * ey + cy };
+  });
+};
+
+const bezierPoints = (controls) => Array.from({ length: CURVE_STEPS }, (_, i) => {
+  const t = (i + 1) / CURVE_STEPS;
+  const u = 1 - t;
+  const [p0, p1, p2, p3] = controls;
+  if (!p3) {
+    return { x: u * u * p0.x + 2 * u * t * p1.x + t * t * p2.x, y: u * u * p0.y + 2 * u * t * p1.y + t * t * p2.y };
+  }
+  return {
+    x: u * u * u * p0.x + 3 * u * u * t * p1.x + 3 * u * t * t * p2.x + t * t * t * p3.x,
+    y: u * u * u * p0.y + 3 * u * u * t * p1.y + 3 * u * t * t * p2.y + t * t * t * p3.y,
+  };
+});
+
+// Where a path command's coordinates point, given where the pen is
+const target = (from, relative, x, y) => (relative ? { x: from.x + x, y: from.y + y } : { x, y });
+
+// How many numbers each path command takes
+const ARG_COUNTS = { m: 2, l: 2, h: 1, v: 1, c: 6, s: 4, q: 4, t: 2, a: 7, z: 0 };
+
+// A path's subpaths as lists of points, with whether each one is closed
+export const parsePath = (d) => {
+  const tokens = String(d || '').match(/[MmLlHhVvCcSsQqTtAaZz]|[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?/g) || [];
+  const subpaths = [];
+  let current = null;
+  let point = { x: 0, y: 0 };
+  let start = point;
+  let lastControl = null;
+  let command = null;
+  let i = 0;
+
+  while (i < tokens.length) {
+    if (/^[a-z]$/i.test(tokens[i])) {
+      command = tokens[i];
+      i += 1;
+    } else if (!command) {
+      break;
+    }
+    const lower = command.toLowerCase();
+    const relative = command !== command.toUpperCase();
+    const count = ARG_COUNTS[lower];
+    const args = tokens.slice(i, i + count).map(Number);
+    if (args.length < count || args.some(Number.isNaN)) break;
+    i += count;
+
+    const previous = point;
+    let control = null;
+
+    if (lower === 'm') {
+      point = target(previous, relative, args[0], args[1]);
+      start = point;
+      current = { points: [point], closed: false };
+      subpaths.push(current);
+      // Pairs after a moveto are linetos
+      command = relative ? 'l' : 'L';
+    } else {
+      if (!current) {
+        current = { points: [point], closed: false };
+        subpaths.push(current);
+      }
+      if (lower === 'z') {
+        current.closed = true;
+        current.points.push(start);
+        point = start;
+        current = null;
+        // Closepath takes no numbers, so any that follow are stray
+        command = null;
+      } else if (lower === 'l' || lower === 't') {
+        const to = target(previous, relative, args[0], args[1]);
+        if (lower === 't') {
+          control = lastControl && lastControl.quadratic
+            ? { x: 2 * previous.x - lastControl.x, y: 2 * previous.y - lastControl.y, quadratic: true }
+            : { ...previous, quadratic: true };
+          current.points.push(...bezierPoints([previous, control, to]));
+        } else {
+          current.points.push(to);
+        }
+        point = to;
+      } else if (lower === 'h' || lower === 'v') {
+        point = lower === 'h'
+          ? { x: relative ? point.x + args[0] : args[0], y: point.y }
+          : { x: point.x, y: relative ? point.y + args[0] : args[0] };
+        current.points.push(point);
+      } else if (lower === 'c' || lower === 's') {
+        const rest = lower === 'c' ? args.slice(2) : args;
+        const first = lower === 'c'
+          ? target(previous, relative, args[0], args[1])
+          : lastControl && !lastControl.quadratic
+            ? { x: 2 * previous.x - lastControl.x, y: 2 * previous.y - lastControl.y }
+            : previous;
+        const second = target(previous, relative, rest[0], rest[1]);
+        const to = target(previous, relative, rest[2], rest[3]);
+        current.points.push(...bezierPoints([previous, first, second, to]));
+        control = second;
+        point = to;
+      } else if (lower === 'q') {
+        const ctrl = target(previous, relative, args[0], args[1]);
+        const to = target(previous, relative, args[2], args[3]);
+        current.points.push(...bezierPoints([previous, ctrl, to]));
+        control = { ...ctrl, quadratic: true };
+        point = to;
+      } else if (lower === 'a') {
+        const to = target(previous, relative, args[5], args[6]);
+        current.points.push(...arcPoints(previous, args[0], args[1], args[2], Boolean(args[3]), Boolean(args[4]), to));
+        point = to;
+      }
+    }
+    lastControl = control;
+  }
+  return subpaths.filter(subpath => subpath.points.length >= 2);
+};
+
+// Native objects for one drawable element, or null if it has no counterpart
+const convertElement = (element, matrix, style, report) => {
+  const tag = element.localName;
+  const stroke = paintOf(style.stroke);
+  const fill = paintOf(style.fill);
+  const scale = scaleOf(matrix);
+  // Outlines are drawn in the stroke colour, or the fill colour if the
+  // element is only filled
+  const color = stroke || fill || '#000000';
+  const size = stroke ? (parseFloat(style['stroke-width']) || 1) * scale : 1;
+  const noteFills = (fillable) => {
+    if ((style.fill || '').startsWith('url(')) report(`<${tag}> gradient or pattern fill`);
+    else if (fill && !fillable) report(`<${tag}> fill`);
+  };
+  const strokeThrough = points => ({
+    type: 'stroke',
+    points: points.map(point => apply(matrix, point)),
+    color,
+    size,
+    tool: 'pen',
+  });
+
+  if (tag === 'rect' || tag === 'ellipse' || tag === 'circle') {
+    let box;
+    if (tag === 'rect') {
+      box = { x: attr(element, 'x'), y: attr(element, 'y'), width: attr(element, 'width'), height: attr(element, 'height') };
+      if (attr(element, 'rx') > 0 || attr(element, 'ry') > 0) report('<rect> rounded corners');
+    } else {
+      const rx = tag === 'circle' ? attr(element, 'r') : attr(element, 'rx');
+      const ry = tag === 'circle' ? attr(element, 'r') : attr(element, 'ry');
+      box = { x: attr(element, 'cx') - rx, y: attr(element, 'cy') - ry, width: 2 * rx, height: 2 * ry };
+    }
+    if (box.width <= 0 || box.height <= 0) return null;
+
+    if (!isAxisAligned(matrix)) {
+      noteFills(false);
+      const outline = tag === 'rect'
+        ? [
+          { x: box.x, y: box.y }, { x: box.x + box.width, y: box.y },
+          { x: box.x + box.width, y: box.y + box.height }, { x: box.x, y: box.y + box.height }, { x: box.x, y: box.y },
+        ]
+        : ellipsePoints(box.x + box.width / 2, box.y + box.height / 2, box.width / 2, box.height / 2);
+      return [strokeThrough(outline)];
+    }
+    noteFills(true);
+    const corner = apply(matrix, box);
+    const opposite = apply(matrix, { x: box.x + box.width, y: box.y + box.height });
+    const shape = {
+      type: tag === 'rect' ? 'rectangle' : 'ellipse',
+      x: Math.min(corner.x, opposite.x),
+      y: Math.min(corner.y, opposite.y),
+      width: Math.abs(opposite.x - corner.x),
+      height: Math.abs(opposite.y - corner.y),
+      color,
+      size,
+    };
+    if (fill) shape.fill = fill;
+    return [shape];
+  }
+
+  if (tag === 'line') {
+    const from = apply(matrix, { x: attr(element, 'x1'), y: attr(element, 'y1') });
+    const to = apply(matrix, { x: attr(element, 'x2'), y: attr(element, 'y2') });
+    // Lines have nothing to fill, so they're drawn even without a stroke
+    return [{ type: 'line', x1: from.x, y1: from.y, x2: to.x, y2: to.y, color, size }];
+  }
+
+  if (tag === 'polyline' || tag === 'polygon') {
+    const points = pointList(element);
+    if (points.length < 2) return null;
+    noteFills(false);
+    return [strokeThrough(tag === 'polygon' ? [...points, points[0]] : points)];
+  }
+
+  if (tag === 'path') {
+    const subpaths = parsePath(element.getAttribute('d'));
+    if (subpaths.length === 0) return null;
+    noteFills(false);
+    return subpaths.map(subpath => strokeThrough(subpath.points));
+  }
+
+  if (tag === 'text') {
+    const text = (element.textContent || '').replace(/\s+/g, ' ').trim();
+    if (!text) return null;
+    const at = apply(matrix, { x: numbers(element.getAttribute('x'))[0] || 0, y: numbers(element.getAttribute('y'))[0] || 0 });
+    const obj = {
+      type: 'text',
+      text,
+      x: at.x,
+      y: at.y,
+      color: fill || stroke || '#000000',
+      fontSize: Math.round((parseFloat(style['font-size']) || 16) * scale),
+    };
+    const rotation = Math.atan2(matrix[1], matrix[0]);
+    if (rotation) obj.rotation = rotation;
+    return [obj];
+  }
+
+  return undefined;
+};
+
+// Read an SVG file: { board } with a title and scene, plus labels for what
+// couldn't be brought over, or { error }. Objects get ids local to the file;
+// importing assigns fresh ones.
+export const convertSvg = (text, title) => {
+  const doc = new DOMParser().parseFromString(text, 'image/svg+xml');
+  const root = doc.documentElement;
+  if (!root || doc.getElementsByTagName('parsererror').length > 0 || root.localName !== 'svg') {
+    return { error: 'The file is not a valid SVG image' };
+  }
+
+  const objects = [];
+  const unsupported = [];
+  const report = label => unsupported.push(label);
+
+  const visit = (element, parentMatrix, parentStyle) => {
+    const tag = element.localName;
+    if (NON_RENDERING.includes(tag)) return;
+    const own = ownStyle(element);
+    if (own.display === 'none') return;
+    const style = { ...parentStyle, ...own };
+    const matrix = multiply(parentMatrix, parseTransform(element.getAttribute('transform')));
+
+    if (CONTAINERS.includes(tag)) {
+      Array.from(element.children).forEach(child => visit(child, matrix, inheritedStyle(style)));
+      return;
+    }
+    if (style.visibility === 'hidden') return;
+    const converted = convertElement(element, matrix, style, report);
+    if (converted === undefined) {
+      report(`<${tag}>`);
+    } else if (converted) {
+      converted.forEach(obj => objects.push({ id: `svg-${objects.length + 1}`, ...obj }));
+    }
+  };
+  visit(root, IDENTITY, DEFAULT_STYLE);
+
+  if (objects.length === 0) return { error: 'The file has nothing this app can draw', unsupported };
+  const svgTitle = Array.from(root.children).find(child => child.localName === 'title');
+  return {
+    board: {
+      title: (svgTitle && svgTitle.textContent.trim()) || title,
+      scene: { objects, stickyNotes: [], layers: [] },
+      assets: {},
+    },
+    unsupported,
+  };
+};
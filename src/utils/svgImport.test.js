@@ -0,0 +1,104 @@
+import { convertSvg, parsePath, parseTransform } from './svgImport';
+
+const svg = body => `<svg xmlns="http://www.w3.org/2000/svg" width="200" height="200">${body}</svg>`;
+
+const objectsOf = body => convertSvg(svg(body), 'Drawing').board.scene.objects;
+
+const round = points => points.map(({ x, y }) => ({ x: Math.round(x * 100) / 100, y: Math.round(y * 100) / 100 }));
+
+describe('parseTransform', () => {
+  test('composes transforms left to right', () => {
+    expect(parseTransform('translate(10, 20) scale(2)')).toEqual([2, 0, 0, 2, 10, 20]);
+    expect(parseTransform('rotate(90)').map(n => Math.round(n))).toEqual([0, 1, -1, 0, 0, 0]);
+    expect(parseTransform(null)).toEqual([1, 0, 0, 1, 0, 0]);
+  });
+});
+
+describe('parsePath', () => {
+  test('reads absolute and relative lines into subpaths', () => {
+    expect(parsePath('M0 0 L10 0 l0 10 h-10 z M20 20 30 30')).toEqual([
+      { points: [{ x: 0, y: 0 }, { x: 10, y: 0 }, { x: 10, y: 10 }, { x: 0, y: 10 }, { x: 0, y: 0 }], closed: true },
+      { points: [{ x: 20, y: 20 }, { x: 30, y: 30 }], closed: false },
+    ]);
+  });
+
+  test('flattens curves and arcs and ends them where the path says', () => {
+    const [curve] = parsePath('M0 0 C0 10 10 10 10 0');
+    const [arc] = parsePath('M0 0 A10 10 0 0 1 20 0');
+
+    expect(curve.points.length).toBeGreaterThan(2);
+    expect(curve.points[curve.points.length - 1]).toEqual({ x: 10, y: 0 });
+    expect(round([arc.points[Math.floor(arc.points.length / 2)]])[0].x).toBeCloseTo(10, 0);
+    expect(arc.points[arc.points.length - 1]).toEqual({ x: 20, y: 0 });
+  });
+
+  test('stops at malformed data', () => {
+    expect(parsePath('M0 0 L10')).toEqual([]);
+    expect(parsePath('M0 0 L10 0 Z 5 5')).toHaveLength(1);
+  });
+});
+
+describe('convertSvg', () => {
+  test('converts rects, ellipses and lines with their paint', () => {
+    const objects = objectsOf(`
+      <rect x="10" y="20" width="30" height="40" fill="#ff0000" stroke="blue" stroke-width="3"/>
+      <circle cx="50" cy="50" r="10" fill="none" stroke="green"/>
+      <line x1="0" y1="0" x2="5" y2="5" style="stroke: #333"/>
+    `);
+
+    expect(objects).toEqual([
+      { id: 'svg-1', type: 'rectangle', x: 10, y: 20, width: 30, height: 40, color: 'blue', size: 3, fill: '#ff0000' },
+      { id: 'svg-2', type: 'ellipse', x: 40, y: 40, width: 20, height: 20, color: 'green', size: 1 },
+      { id: 'svg-3', type: 'line', x1: 0, y1: 0, x2: 5, y2: 5, color: '#333', size: 1 },
+    ]);
+  });
+
+  test('applies group transforms and inherited styles', () => {
+    const [rect] = objectsOf('<g transform="translate(100 0) scale(2)" stroke="red"><rect width="10" height="5" fill="none"/></g>');
+
+    expect(rect).toMatchObject({ type: 'rectangle', x: 100, y: 0, width: 20, height: 10, color: 'red', size: 2 });
+  });
+
+  test('draws rotated shapes, polygons and paths as strokes', () => {
+    const { board, unsupported } = convertSvg(svg(`
+      <rect width="10" height="10" transform="rotate(45)" stroke="black" fill="none"/>
+      <polygon points="0,0 10,0 5,10" fill="orange"/>
+      <path d="M0 0 L10 10 M20 20 L30 30" stroke="black" fill="none"/>
+    `), 'Drawing');
+    const [rotated, polygon, ...paths] = board.scene.objects;
+
+    expect(rotated.type).toBe('stroke');
+    expect(rotated.points).toHaveLength(5);
+    expect(polygon).toMatchObject({ type: 'stroke', color: 'orange', points: [{ x: 0, y: 0 }, { x: 10, y: 0 }, { x: 5, y: 10 }, { x: 0, y: 0 }] });
+    expect(paths).toHaveLength(2);
+    expect(unsupported).toEqual(['<polygon> fill']);
+  });
+
+  test('places text at its baseline with its font size', () => {
+    const [text] = objectsOf('<text x="5" y="30" font-size="24" fill="#111">Hello <tspan>there</tspan></text>');
+
+    expect(text).toEqual({ id: 'svg-1', type: 'text', text: 'Hello there', x: 5, y: 30, color: '#111', fontSize: 24 });
+  });
+
+  test('reports elements and paint it cannot show and skips hidden ones', () => {
+    const { board, unsupported } = convertSvg(svg(`
+      <defs><linearGradient id="g"/></defs>
+      <title>Floor plan</title>
+      <rect width="10" height="10" rx="2" fill="url(#g)"/>
+      <image href="cat.png" width="10" height="10"/>
+      <use href="#thing"/>
+      <rect width="10" height="10" display="none"/>
+    `), 'Drawing');
+
+    expect(board.title).toBe('Floor plan');
+    expect(board.scene.objects).toHaveLength(1);
+    expect(unsupported).toEqual(['<rect> rounded corners', '<rect> gradient or pattern fill', '<image>', '<use>']);
+  });
+
+  test('refuses files that are not SVG or have nothing to draw', () => {
+    expect(convertSvg('<html></html>', 'Drawing').error).toBe('The file is not a valid SVG image');
+    expect(convertSvg('<svg', 'Drawing').error).toBe('The file is not a valid SVG image');
+    expect(convertSvg(svg('<image href="cat.png"/>'), 'Drawing'))
+      .toEqual({ error: 'The file has nothing this app can draw', unsupported: ['<image>'] });
+  });
+});
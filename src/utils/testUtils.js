@@ -77,6 +77,7 @@ export function createMockCanvasContext() {
     restore: jest.fn(),
     scale: jest.fn(),
     translate: jest.fn(),
+    rotate: jest.fn(),
     setTransform: jest.fn(),
     setLineDash: jest.fn(),
     rect: jest.fn(),
@@ -0,0 +1,79 @@
+/**
+ * Stacking order
+ *
+ * Objects are drawn by their `z` and sticky notes are stacked by their
+ * `zIndex`. Objects saved before z existed stack by where they sit in the
+ * list. Reordering only rewrites the keys of the items that move: they get
+ * keys between their new neighbours', so concurrent reorders of different
+ * items merge without conflicts.
+ */
+
+export const Z_COMMANDS = ['bringForward', 'sendBackward', 'bringToFront', 'sendToBack'];
+
+// Stacking key of an object at a position in the scene list
+export const objectZ = (obj, index) => (Number.isFinite(obj.z) ? obj.z : index);
+
+// Key for a new object, above every object in the scene list. Objects get
+// one when they are created so they land on top even when others have been
+// brought forward past their list position.
+export const nextObjectZ = (objects) => objects.reduce((top, obj, index) => Math.max(top, objectZ(obj, index) + 1), 0);
+
+// Key for a new sticky note, above every note
+export const nextNoteZ = (notes) => notes.reduce((top, note) => Math.max(top, (note.zIndex || 0) + 1), 0);
+
+// Objects from bottom to top. Equal keys keep their list order.
+export const sortByZ = (objects) => objects
+  .map((obj, index) => ({ obj, index, z: objectZ(obj, index) }))
+  .sort((a, b) => a.z - b.z || a.index - b.index)
+  .map(entry => entry.obj);
+
+// Evenly spaced keys strictly between low and high, in order
+const spread = (moving, low, high, key) => moving.map((item, i) => ({
+  id: item.id,
+  [key]: low + ((high - low) * (i + 1)) / (moving.length + 1),
+}));
+
+/**
+ * New keys that apply a z command to some items of a stack.
+ *
+ * @param {Array} stack - Live items from bottom to top
+ * @param {Array} ids - Ids of the items to move
+ * @param {string} command - One of Z_COMMANDS
+ * @param {Function} getKey - Current stacking key of an item in the stack
+ * @param {string} key - Field the key is written to ('z' or 'zIndex')
+ * @returns {Array} { id, [key] } for every item that moves; empty if none can
+ */
+export const reorder = (stack, ids, command, getKey, key) => {
+  const moving = stack.filter(item => ids.includes(item.id));
+  const others = stack.filter(item => !ids.includes(item.id));
+  if (moving.length === 0 || others.length === 0) return [];
+
+  const bottom = getKey(moving[0]);
+  const top = getKey(moving[moving.length - 1]);
+  const count = moving.length;
+
+  if (command === 'bringToFront') {
+    const highest = getKey(others[others.length - 1]);
+    return highest < bottom ? [] : spread(moving, highest, highest + count + 1, key);
+  }
+  if (command === 'sendToBack') {
+    const lowest = getKey(others[0]);
+    return lowest > top ? [] : spread(moving, lowest - count - 1, lowest, key);
+  }
+  if (command === 'bringForward') {
+    // Step over the next item above the selection
+    const nextIndex = others.findIndex(item => getKey(item) > top);
+    if (nextIndex === -1) return [];
+    const low = getKey(others[nextIndex]);
+    const above = others[nextIndex + 1];
+    return spread(moving, low, above ? getKey(above) : low + count + 1, key);
+  }
+  if (command === 'sendBackward') {
+    const below = others.filter(item => getKey(item) < bottom);
+    if (below.length === 0) return [];
+    const high = getKey(below[below.length - 1]);
+    const under = below[below.length - 2];
+    return spread(moving, under ? getKey(under) : high - count - 1, high, key);
+  }
+  return [];
+};
@@ -0,0 +1,57 @@
+import { objectZ, nextObjectZ, nextNoteZ, sortByZ, reorder } from './zOrder';
+
+const item = (id, z) => ({ id, z });
+const byZ = entry => entry.z;
+
+describe('zOrder', () => {
+  test('stacks by z, falling back to list position', () => {
+    const objects = [{ id: 'a' }, { id: 'b', z: -1 }, { id: 'c' }, { id: 'd', z: 0.5 }];
+    expect(sortByZ(objects).map(obj => obj.id)).toEqual(['b', 'a', 'd', 'c']);
+    expect(objectZ({ id: 'a' }, 3)).toBe(3);
+  });
+
+  test('new items go above everything', () => {
+    expect(nextObjectZ([])).toBe(0);
+    expect(nextObjectZ([{ id: 'a' }, { id: 'b', z: 7.5 }, { id: 'c' }])).toBe(8.5);
+    expect(nextObjectZ([{ id: 'a', z: -3 }, { id: 'b' }])).toBe(2);
+    expect(nextNoteZ([{ id: 'n', zIndex: 4 }, { id: 'm' }])).toBe(5);
+  });
+
+  const stack = [item('a', 0), item('b', 1), item('c', 2), item('d', 3)];
+
+  test('brings to front and sends to back', () => {
+    const front = reorder(stack, ['a', 'b'], 'bringToFront', byZ, 'z');
+    expect(front.map(entry => entry.id)).toEqual(['a', 'b']);
+    expect(front[0].z).toBeGreaterThan(3);
+    expect(front[1].z).toBeGreaterThan(front[0].z);
+
+    const [back] = reorder(stack, ['c'], 'sendToBack', byZ, 'z');
+    expect(back.z).toBeLessThan(0);
+  });
+
+  test('steps over one neighbour at a time', () => {
+    const [forward] = reorder(stack, ['a'], 'bringForward', byZ, 'z');
+    expect(forward.z).toBeGreaterThan(1);
+    expect(forward.z).toBeLessThan(2);
+
+    const [backward] = reorder(stack, ['d'], 'sendBackward', byZ, 'z');
+    expect(backward.z).toBeGreaterThan(1);
+    expect(backward.z).toBeLessThan(2);
+
+    const [last] = reorder(stack, ['c'], 'bringForward', byZ, 'z');
+    expect(last.z).toBeGreaterThan(3);
+  });
+
+  test('does nothing when the items are already at the end', () => {
+    expect(reorder(stack, ['d'], 'bringForward', byZ, 'z')).toEqual([]);
+    expect(reorder(stack, ['c', 'd'], 'bringToFront', byZ, 'z')).toEqual([]);
+    expect(reorder(stack, ['a'], 'sendToBack', byZ, 'z')).toEqual([]);
+    expect(reorder(stack, [], 'bringToFront', byZ, 'z')).toEqual([]);
+  });
+
+  test('writes the key it is given', () => {
+    const notes = [{ id: 'n1', zIndex: 0 }, { id: 'n2', zIndex: 1 }];
+    const [moved] = reorder(notes, ['n1'], 'bringToFront', note => note.zIndex, 'zIndex');
+    expect(moved).toEqual({ id: 'n1', zIndex: 2 });
+  });
+});
@@ -62,12 +62,16 @@ CREATE TABLE IF NOT EXISTS boards (
   owner_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
   scene_json JSONB DEFAULT '{"objects": [], "stickyNotes": []}'::jsonb,
   thumbnail_url TEXT,
+  grid_settings JSONB,
   is_public BOOLEAN DEFAULT false,
   collaborators UUID[] DEFAULT '{}',
   created_at TIMESTAMPTZ DEFAULT NOW(),
   updated_at TIMESTAMPTZ DEFAULT NOW()
 );
 
+-- Boards created before grids were added
+ALTER TABLE boards ADD COLUMN IF NOT EXISTS grid_settings JSONB;
+
 -- Enable Row Level Security
 ALTER TABLE boards ENABLE ROW LEVEL SECURITY;
 
@@ -214,6 +218,52 @@ CREATE POLICY "Board owners can delete invites"
     )
   );
 
+-- ============================================
+-- BOARD IMAGES STORAGE
+-- Image files placed on boards, stored as <board id>/<file>
+-- ============================================
+INSERT INTO storage.buckets (id, name, public)
+VALUES ('board-images', 'board-images', true)
+ON CONFLICT (id) DO NOTHING;
+
+-- The board's owner and its editors and admins can add images to it;
+-- viewers can't
+CREATE POLICY "Board editors can upload images"
+  ON storage.objects FOR INSERT
+  WITH CHECK (
+    bucket_id = 'board-images'
+    AND (
+      EXISTS (
+        SELECT 1 FROM boards
+        WHERE boards.id::text = (storage.foldername(name))[1]
+        AND boards.owner_id = auth.uid()
+      )
+      OR EXISTS (
+        SELECT 1 FROM board_collaborators
+        WHERE board_collaborators.board_id::text = (storage.foldername(name))[1]
+        AND board_collaborators.user_id = auth.uid()
+        AND board_collaborators.role IN ('editor', 'admin')
+      )
+    )
+  );
+
+CREATE POLICY "Board images are viewable by everyone"
+  ON storage.objects FOR SELECT
+  USING (bucket_id = 'board-images');
+
+-- ============================================
+-- BOARD THUMBNAILS STORAGE
+-- Dashboard previews stored as <board id>.png. Only the realtime server
+-- writes them, with the service role, so there is no insert policy.
+-- ============================================
+INSERT INTO storage.buckets (id, name, public)
+VALUES ('board-thumbnails', 'board-thumbnails', true)
+ON CONFLICT (id) DO NOTHING;
+
+CREATE POLICY "Board thumbnails are viewable by everyone"
+  ON storage.objects FOR SELECT
+  USING (bucket_id = 'board-thumbnails');
+
 -- ============================================
 -- INDEXES FOR PERFORMANCE
 -- ============================================